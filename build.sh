@@ -32,7 +32,7 @@ mkdir -p dist
 echo "📁 Created dist directory"
 
 # Copy all files to dist
-cp -r index.html css js dist/
+cp -r index.html css js data dist/
 echo "📋 Copied source files to dist/"
 
 # Replace placeholders in config.js
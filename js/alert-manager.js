@@ -0,0 +1,322 @@
+// Alert Manager - Threshold rules evaluated after each data refresh
+// Each source names the APIClient method that loads its data
+const ALERT_RULE_SOURCES = {
+  'jamming/agg': {
+    label: 'Jamming cells',
+    metric: 'ratio_bad',
+    method: 'getJammingData',
+  },
+  'spoofing/agg': {
+    label: 'Spoofing flight events',
+    metric: 'events',
+    method: 'getSpoofingData',
+  },
+  'spoofing/h3': {
+    label: 'Spoofing H3 events',
+    metric: 'events',
+    method: 'getSpoofingH3Data',
+  },
+};
+
+class AlertManager {
+  constructor(storage = null, apiClient = null) {
+    this.storage = storage; // localStorage (or null to keep state in memory)
+    this.apiClient = apiClient; // Loads each rule's own data (check)
+    this.rules = [];
+    this.log = []; // Newest first
+    this.onAlert = null; // Callback (entry)
+    this.load();
+  }
+
+  /**
+   * Load rules and the alert log from storage
+   */
+  load() {
+    if (!this.storage) return;
+
+    try {
+      this.rules = JSON.parse(
+        this.storage.getItem(CONFIG.ALERTS.RULES_KEY) || '[]'
+      );
+      this.log = JSON.parse(
+        this.storage.getItem(CONFIG.ALERTS.LOG_KEY) || '[]'
+      );
+    } catch (error) {
+      console.error('Failed to load alert rules:', error);
+      this.rules = [];
+      this.log = [];
+    }
+  }
+
+  /**
+   * Persist rules and the alert log
+   */
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(CONFIG.ALERTS.RULES_KEY, JSON.stringify(this.rules));
+      this.storage.setItem(CONFIG.ALERTS.LOG_KEY, JSON.stringify(this.log));
+    } catch (error) {
+      console.error('Failed to save alert rules:', error);
+    }
+  }
+
+  /**
+   * Add a rule
+   * @param {Object} rule - { name, dataSource, threshold, altitude, region, notify }
+   */
+  addRule(rule) {
+    const newRule = {
+      id: `rule-${Date.now().toString(36)}-${this.rules.length}`,
+      name: rule.name || this.describeCondition(rule),
+      dataSource: rule.dataSource,
+      threshold: rule.threshold,
+      altitude: rule.altitude || null,
+      region: rule.region || null, // GeoJSON Polygon, null = anywhere
+      notify: rule.notify !== false,
+      enabled: true,
+      active: false, // Condition met at the last evaluation
+    };
+
+    this.rules.push(newRule);
+    this.save();
+    return newRule;
+  }
+
+  /**
+   * Update fields of a rule
+   */
+  updateRule(id, changes) {
+    const rule = this.rules.find((r) => r.id === id);
+    if (!rule) return null;
+
+    Object.assign(rule, changes);
+    if (changes.enabled === false) {
+      rule.active = false;
+    }
+    this.save();
+    return rule;
+  }
+
+  /**
+   * Remove a rule
+   */
+  removeRule(id) {
+    this.rules = this.rules.filter((r) => r.id !== id);
+    this.save();
+  }
+
+  /**
+   * Load the data of every enabled rule and evaluate the rules
+   * Each rule gets its own data source and altitude band, unfiltered, with
+   * the time range and n_obs_min of the current settings; rules sharing a
+   * query share one request (the proxy caches repeats of the map's query)
+   * @returns {Promise<Array>} Log entries for the rules that fired
+   */
+  async check(settings) {
+    const queries = new Map(); // Query key -> { query, rules }
+    this.rules.forEach((rule) => {
+      if (!rule.enabled) return;
+
+      const query = this.getRuleQuery(rule, settings);
+      const key = `${rule.dataSource}|${query.altitudes}`;
+      if (!queries.has(key)) {
+        queries.set(key, { query, rules: [] });
+      }
+      queries.get(key).rules.push(rule);
+    });
+
+    const results = new Map(); // Rule id -> GeoJSON
+    await Promise.all(
+      Array.from(queries, async ([key, { query, rules }]) => {
+        const method = ALERT_RULE_SOURCES[query.dataSource].method;
+        try {
+          const response = await this.apiClient[method](query, {
+            key: `alerts:${key}`,
+          });
+          rules.forEach((rule) => results.set(rule.id, response.data));
+        } catch (error) {
+          // Rules without data keep their state until the next check
+          if (error.name !== 'APIAbortError') {
+            console.error(`Failed to load alert data (${key}):`, error);
+          }
+        }
+      })
+    );
+
+    return this.evaluate((rule) => results.get(rule.id));
+  }
+
+  /**
+   * Query parameters for a rule: the settings, with the rule's data source
+   * and altitude band (the current band when the rule has none)
+   */
+  getRuleQuery(rule, settings) {
+    return {
+      ...settings,
+      dataSource: rule.dataSource,
+      altitudes: rule.altitude || settings.altitudes,
+    };
+  }
+
+  /**
+   * Evaluate all enabled rules against their data
+   * A rule fires when its condition becomes true (not on every refresh
+   * while it stays true)
+   * @param {Function} getData - Returns the GeoJSON of a rule (or null)
+   * @returns {Array} Log entries for the rules that fired
+   */
+  evaluate(getData) {
+    const fired = [];
+
+    this.rules.forEach((rule) => {
+      if (!rule.enabled) return;
+
+      const result = this.evaluateRule(rule, getData(rule));
+      if (!result) return; // No data for the rule
+
+      if (result.triggered && !rule.active) {
+        fired.push(this.addLogEntry(rule, result));
+      }
+      rule.active = result.triggered;
+    });
+
+    this.save();
+    fired.forEach((entry) => this.notify(entry));
+
+    return fired;
+  }
+
+  /**
+   * Evaluate one rule against the data of its source and altitude band
+   * Jamming rules trigger when a cell reaches the threshold, spoofing rules
+   * when the events exceed it
+   * @returns {{triggered: boolean, value: number, matches: number}|null}
+   *   null without data
+   */
+  evaluateRule(rule, geojson) {
+    if (!geojson || !geojson.features) return null;
+
+    const features = geojson.features.filter((feature) =>
+      this.isInRegion(feature, rule.region)
+    );
+
+    if (rule.dataSource === 'jamming/agg') {
+      const hits = features.filter(
+        (f) => (f.properties.ratio_bad || 0) >= rule.threshold
+      );
+      const value = features.reduce(
+        (max, f) => Math.max(max, f.properties.ratio_bad || 0),
+        0
+      );
+      return { triggered: hits.length > 0, value, matches: hits.length };
+    }
+
+    // Spoofing: H3 cells carry a count, flight events count once each
+    const events =
+      rule.dataSource === 'spoofing/h3'
+        ? features.filter((f) => f.properties.count !== undefined)
+        : features.filter((f) => f.properties.count === undefined);
+    const value = events.reduce((sum, f) => sum + (f.properties.count ?? 1), 0);
+    return {
+      triggered: value > rule.threshold,
+      value,
+      matches: events.length,
+    };
+  }
+
+  /**
+   * Check whether a feature intersects a rule region (null = anywhere)
+   */
+  isInRegion(feature, region) {
+    if (!region) return true;
+    if (!feature.geometry) return false;
+
+    if (typeof turf === 'undefined') {
+      console.warn('Turf.js not loaded. Cannot evaluate alert regions.');
+      return false;
+    }
+
+    return turf.booleanIntersects(feature, region);
+  }
+
+  /**
+   * Human-readable condition, e.g. "Jamming cells: any cell ratio_bad ≥ 10.0%"
+   */
+  describeCondition(rule) {
+    const source = ALERT_RULE_SOURCES[rule.dataSource];
+    const condition =
+      source.metric === 'ratio_bad'
+        ? `any cell ratio_bad ≥ ${formatPercentage(rule.threshold)}`
+        : `events > ${rule.threshold}`;
+    const altitude = rule.altitude ? ` at ${rule.altitude}` : '';
+    const region = rule.region ? ' in region' : '';
+
+    return `${source.label}: ${condition}${altitude}${region}`;
+  }
+
+  /**
+   * Record a fired rule in the alert log
+   */
+  addLogEntry(rule, result) {
+    const detail =
+      rule.dataSource === 'jamming/agg'
+        ? `${result.matches} cell(s) ≥ ${formatPercentage(
+            rule.threshold
+          )}, max ${formatPercentage(result.value)}`
+        : `${result.value} events (> ${rule.threshold})`;
+
+    const entry = {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      message: detail,
+      value: result.value,
+      notify: rule.notify,
+      time: new Date().toISOString(),
+    };
+
+    this.log.unshift(entry);
+    this.log = this.log.slice(0, CONFIG.ALERTS.MAX_LOG_ENTRIES);
+
+    return entry;
+  }
+
+  /**
+   * Clear the alert log
+   */
+  clearLog() {
+    this.log = [];
+    this.save();
+  }
+
+  /**
+   * Show a browser notification (if permitted) and call onAlert
+   */
+  notify(entry) {
+    if (
+      entry.notify &&
+      typeof Notification !== 'undefined' &&
+      Notification.permission === 'granted'
+    ) {
+      new Notification(`🔔 ${entry.ruleName}`, {
+        body: entry.message,
+        tag: entry.ruleId,
+      });
+    }
+
+    if (this.onAlert) {
+      this.onAlert(entry);
+    }
+  }
+
+  /**
+   * Ask for notification permission (must run from a user gesture)
+   */
+  async requestPermission() {
+    if (typeof Notification === 'undefined') return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+
+    return await Notification.requestPermission();
+  }
+}
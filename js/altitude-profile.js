@@ -0,0 +1,325 @@
+// Altitude Profile - Every altitude band of a jamming query, stacked per cell
+
+// Settings passed on to the profile query (the bands replace `altitudes`)
+const PROFILE_QUERY_KEYS = [
+  'lookback_hours',
+  'period_start',
+  'period_end',
+  'by_date',
+  'n_obs_min',
+  'max_ratio_bad',
+  'max_n_bad',
+];
+
+class AltitudeProfile {
+  constructor(map, apiClient) {
+    this.map = map;
+    this.apiClient = apiClient;
+    this.sourceId = 'profile-source';
+    this.fillLayerId = 'profile-fill-layer'; // Flat: worst band per cell
+    this.extrusionLayerId = 'profile-extrusion-layer'; // 3D: one slab per band
+    this.requestKey = Symbol('profile'); // Cancels a superseded load
+    this.queryKey = null; // JSON of the query behind the loaded bands
+    this.active = false;
+    this.extruded = false;
+    this.cells = new Map(); // h3_index -> { geometry, bands: { altitude: props } }
+    this.selected = null; // h3_index shown in the profile panel
+    this.onSelect = null; // (h3Index) => show that cell's profile
+  }
+
+  /**
+   * Add the (empty, hidden) profile source and layers
+   */
+  initialize() {
+    this.map.addSource(this.sourceId, {
+      type: 'geojson',
+      data: {
+        type: 'FeatureCollection',
+        features: [],
+      },
+    });
+
+    this.map.addLayer({
+      id: this.fillLayerId,
+      type: 'fill',
+      source: this.sourceId,
+      filter: ['==', ['get', 'kind'], 'cell'],
+      layout: { visibility: 'none' },
+      paint: {
+        'fill-color': this.getColorExpression(),
+        'fill-opacity': 0.6,
+        'fill-outline-color': '#000',
+      },
+    });
+
+    this.map.addLayer({
+      id: this.extrusionLayerId,
+      type: 'fill-extrusion',
+      source: this.sourceId,
+      filter: ['==', ['get', 'kind'], 'slab'],
+      layout: { visibility: 'none' },
+      paint: {
+        'fill-extrusion-color': this.getColorExpression(),
+        'fill-extrusion-base': ['get', 'base'],
+        'fill-extrusion-height': ['get', 'top'],
+        'fill-extrusion-opacity': 0.85,
+      },
+    });
+
+    [this.fillLayerId, this.extrusionLayerId].forEach((layerId) => {
+      this.map.on('click', layerId, (e) => {
+        if (e.features && e.features.length > 0 && this.onSelect) {
+          this.onSelect(e.features[0].properties.h3_index);
+        }
+      });
+      this.map.on('mouseenter', layerId, () => {
+        this.map.getCanvas().style.cursor = 'pointer';
+      });
+      this.map.on('mouseleave', layerId, () => {
+        this.map.getCanvas().style.cursor = '';
+      });
+    });
+  }
+
+  /**
+   * Severity color expression on ratio_bad (CONFIG.JAMMING.COLOR_SCALE)
+   */
+  getColorExpression() {
+    const [first, ...rest] = CONFIG.JAMMING.COLOR_SCALE;
+    return [
+      'step',
+      ['get', 'ratio_bad'],
+      first.color,
+      ...rest.flatMap((level) => [level.threshold, level.color]),
+    ];
+  }
+
+  /**
+   * Query for every band of CONFIG.ALTITUDE_PROFILE.BANDS in the settings'
+   * time window, one feature per cell and band
+   */
+  getQuery(settings) {
+    const query = {
+      altitudes: CONFIG.ALTITUDE_PROFILE.BANDS.map((band) => band.altitude),
+      altitude_summed: false,
+      hours_summed: true,
+      grouped: false, // One feature per h3_index
+    };
+    PROFILE_QUERY_KEYS.forEach((key) => {
+      if (settings[key] !== undefined) {
+        query[key] = settings[key];
+      }
+    });
+    return query;
+  }
+
+  /**
+   * Check whether the loaded bands are those of the settings' query
+   */
+  isLoaded(settings) {
+    return this.queryKey === JSON.stringify(this.getQuery(settings));
+  }
+
+  /**
+   * Load every band with one request; nothing is fetched while the query
+   * is unchanged
+   * @returns {Promise<Object>} { cellCount, reloaded }
+   */
+  async load(settings) {
+    const query = this.getQuery(settings);
+    const key = JSON.stringify(query);
+    if (key === this.queryKey) {
+      return { cellCount: this.cells.size, reloaded: false };
+    }
+
+    const response = await this.apiClient.getJammingData(query, {
+      key: this.requestKey,
+    });
+
+    this.cells = this.buildCells(response.data);
+    this.queryKey = key;
+    this.updateSource();
+
+    return { cellCount: this.cells.size, reloaded: true };
+  }
+
+  /**
+   * Index features by cell and band (their `altitude` property); features
+   * of other altitudes are left out
+   */
+  buildCells(data) {
+    const cells = new Map();
+    const bands = CONFIG.ALTITUDE_PROFILE.BANDS.map((band) => band.altitude);
+
+    ((data && data.features) || []).forEach((feature) => {
+      const props = feature.properties || {};
+      const h3Index = props.h3_index || feature.id;
+      if (!h3Index || !feature.geometry || !bands.includes(props.altitude)) {
+        return;
+      }
+
+      if (!cells.has(h3Index)) {
+        cells.set(h3Index, { geometry: feature.geometry, bands: {} });
+      }
+      cells.get(h3Index).bands[props.altitude] = props;
+    });
+
+    return cells;
+  }
+
+  /**
+   * A cell's severity per band, highest band first (null = no data)
+   * @returns {Array<{altitude, ratio_bad, n_unique_ac, n_bad}>}
+   */
+  getProfile(h3Index) {
+    const cell = this.cells.get(h3Index);
+
+    return CONFIG.ALTITUDE_PROFILE.BANDS.slice()
+      .reverse()
+      .map(({ altitude }) => {
+        const props = cell && cell.bands[altitude];
+        return {
+          altitude,
+          ratio_bad: props ? props.ratio_bad || 0 : null,
+          n_unique_ac: props ? props.n_unique_ac || 0 : null,
+          n_bad: props ? props.n_bad || 0 : null,
+        };
+      });
+  }
+
+  /**
+   * Flat features (worst band per cell) and 3D slabs (one per band, at its
+   * flight levels)
+   */
+  buildFeatures() {
+    const { BANDS, EXAGGERATION, SLAB_RATIO } = CONFIG.ALTITUDE_PROFILE;
+    const toMeters = (feet) => feet * 0.3048 * EXAGGERATION;
+    const features = [];
+
+    this.cells.forEach((cell, h3Index) => {
+      const ratios = Object.values(cell.bands).map((p) => p.ratio_bad || 0);
+      features.push({
+        type: 'Feature',
+        geometry: cell.geometry,
+        properties: {
+          kind: 'cell',
+          h3_index: h3Index,
+          ratio_bad: Math.max(...ratios),
+        },
+      });
+
+      BANDS.forEach((band) => {
+        const props = cell.bands[band.altitude];
+        if (!props) return;
+
+        features.push({
+          type: 'Feature',
+          geometry: cell.geometry,
+          properties: {
+            kind: 'slab',
+            h3_index: h3Index,
+            altitude: band.altitude,
+            ratio_bad: props.ratio_bad || 0,
+            base: toMeters(band.base),
+            // Leave a gap between bands
+            top: toMeters(band.base + (band.top - band.base) * SLAB_RATIO),
+          },
+        });
+      });
+    });
+
+    return features;
+  }
+
+  /**
+   * Push the profile features to the map source
+   */
+  updateSource() {
+    const source = this.map.getSource(this.sourceId);
+    if (source) {
+      source.setData({
+        type: 'FeatureCollection',
+        features: this.buildFeatures(),
+      });
+    }
+  }
+
+  /**
+   * Panel HTML: the cell's bands stacked, highest on top
+   */
+  render(h3Index) {
+    const rows = this.getProfile(h3Index)
+      .map((band) => {
+        if (band.ratio_bad === null) {
+          return `
+            <div class="profile-band">
+              <span class="profile-band-label">${band.altitude}</span>
+              <span class="profile-band-bar empty">No data</span>
+            </div>
+          `;
+        }
+
+        return `
+          <div class="profile-band" title="${band.n_bad} bad / ${
+          band.n_unique_ac
+        } aircraft">
+            <span class="profile-band-label">${band.altitude}</span>
+            <span class="profile-band-bar" style="background: ${getColorForRatio(
+              band.ratio_bad
+            )}">${formatPercentage(band.ratio_bad)}</span>
+          </div>
+        `;
+      })
+      .join('');
+
+    return `
+      <div class="profile-cell">${h3Index}</div>
+      <div class="profile-stack">${rows}</div>
+    `;
+  }
+
+  /**
+   * Show or hide the profile layers
+   */
+  setActive(active) {
+    this.active = active;
+    this.applyVisibility();
+  }
+
+  /**
+   * Switch between the flat view and the 3D band stack (tilts the map)
+   */
+  setExtruded(extruded) {
+    this.extruded = extruded;
+    this.applyVisibility();
+    this.map.easeTo({ pitch: extruded ? CONFIG.ALTITUDE_PROFILE.PITCH : 0 });
+  }
+
+  /**
+   * Sync layer visibility with the active/extruded state
+   */
+  applyVisibility() {
+    const visibility = (visible) => (visible ? 'visible' : 'none');
+
+    this.map.setLayoutProperty(
+      this.fillLayerId,
+      'visibility',
+      visibility(this.active && !this.extruded)
+    );
+    this.map.setLayoutProperty(
+      this.extrusionLayerId,
+      'visibility',
+      visibility(this.active && this.extruded)
+    );
+  }
+
+  /**
+   * Drop the loaded bands and the selection
+   */
+  clear() {
+    this.cells = new Map();
+    this.queryKey = null;
+    this.selected = null;
+    this.updateSource();
+  }
+}
@@ -1,48 +1,259 @@
+// Errors thrown by APIClient, one class per failure the UI tells apart
+// (status is the HTTP status, 0 when no response arrived)
+class APIError extends Error {
+  constructor(message, { status = 0, url = null } = {}) {
+    super(message);
+    this.name = 'APIError';
+    this.status = status;
+    this.url = url;
+  }
+
+  /**
+   * Whether sending the request again may succeed (5xx, network errors)
+   */
+  get retryable() {
+    return this.status === 0 || this.status >= 500;
+  }
+}
+
+// No answer within CONFIG.API.TIMEOUT_MS
+class APITimeoutError extends APIError {
+  constructor(timeoutMs, options) {
+    super(`API request timed out after ${timeoutMs / 1000}s`, options);
+    this.name = 'APITimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+// 401 (log in again) or 403 (the login's role cannot use this endpoint)
+class APIAuthError extends APIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'APIAuthError';
+  }
+}
+
+// 429 from the proxy's rate limit
+class APIRateLimitError extends APIError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'APIRateLimitError';
+    this.retryAfter = options.retryAfter ?? null; // Seconds
+  }
+}
+
+// 400/422: the API rejected a query parameter
+class APIParameterError extends APIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'APIParameterError';
+  }
+}
+
+// Cancelled, e.g. superseded by a newer request with the same key
+class APIAbortError extends APIError {
+  constructor(options) {
+    super('API request cancelled', options);
+    this.name = 'APIAbortError';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
 // API Client for SkAI GNSS Interference API
 class APIClient {
-  constructor(config) {
+  constructor(config, auth = null) {
     this.baseUrl = config.BASE_URL;
-    // Note: Authentication is handled by the proxy server
-    // No credentials needed on the client side
+    // Note: API credentials are added by the proxy server; the client only
+    // sends its proxy login token, if any
+    this.auth = auth; // AuthSession (null = no login)
+
+    this.timeout = config.TIMEOUT_MS ?? 30000; // Per attempt
+    this.maxRetries = config.MAX_RETRIES ?? 2; // 5xx and network errors
+    this.retryDelay = config.RETRY_DELAY_MS ?? 1000; // Doubles per retry
+    this.pending = new Map(); // Request key -> AbortController
   }
 
   /**
    * Build headers for requests
    */
   _buildHeaders() {
-    return {
+    const headers = {
       Accept: 'application/json',
     };
+
+    const token = this.auth && this.auth.getToken();
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Log in to the proxy and keep the token in the auth session
+   * @returns {Promise<Object>} { token, user, role, expiresAt }
+   */
+  async login(username, password) {
+    const url = new URL('/auth/login', this.baseUrl);
+    const response = await fetch(url.toString(), {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ username, password }),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw this._responseError(response, data, url.toString());
+    }
+
+    this.auth.setToken(data.token);
+    return data;
+  }
+
+  /**
+   * Typed error for a non-2xx response
+   * @param {Object} body - Parsed error body (proxy { message } or API
+   *   { detail })
+   */
+  _responseError(response, body, url) {
+    const status = response.status;
+    const detail = Array.isArray(body.detail)
+      ? body.detail
+          .map((item) => `${(item.loc || []).slice(-1)[0]}: ${item.msg}`)
+          .join('; ')
+      : body.detail;
+    const message =
+      body.message ||
+      detail ||
+      `API request failed: ${status} ${response.statusText}`;
+
+    if (status === 401 || status === 403) {
+      return new APIAuthError(message, { status, url });
+    }
+    if (status === 429) {
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      return new APIRateLimitError(message, {
+        status,
+        url,
+        retryAfter: isNaN(retryAfter) ? body.retryAfter : retryAfter,
+      });
+    }
+    if (status === 400 || status === 422) {
+      return new APIParameterError(message, { status, url });
+    }
+    return new APIError(message, { status, url });
   }
 
   /**
    * Make a GET request to the API
+   * Each attempt times out after this.timeout; 5xx and network errors are
+   * retried with exponential backoff. A request with the same `key` as one
+   * still in flight cancels that one (e.g. a layer reloading with new
+   * settings)
+   * @param {Object} request - { key } (optional)
    */
-  async _get(endpoint, params = {}) {
+  async _get(endpoint, params = {}, request = {}) {
     const url = new URL(endpoint, this.baseUrl);
 
-    // Add query parameters
+    // Add query parameters (arrays repeat the parameter)
     Object.keys(params).forEach((key) => {
       if (params[key] !== null && params[key] !== undefined) {
-        url.searchParams.append(key, params[key]);
+        [].concat(params[key]).forEach((value) => {
+          url.searchParams.append(key, value);
+        });
       }
     });
 
+    const controller = new AbortController();
+    if (request.key) {
+      const previous = this.pending.get(request.key);
+      if (previous) {
+        previous.abort();
+      }
+      this.pending.set(request.key, controller);
+    }
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await this._fetch(url.toString(), controller.signal);
+        } catch (error) {
+          if (
+            !(error instanceof APIError) ||
+            !error.retryable ||
+            attempt >= this.maxRetries
+          ) {
+            throw error;
+          }
+
+          const delay = this.retryDelay * 2 ** attempt;
+          console.warn(`${error.message}, retrying in ${delay}ms`);
+          await this._wait(delay, controller.signal, url.toString());
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof APIAbortError)) {
+        console.error('API request error:', error);
+      }
+      throw error;
+    } finally {
+      if (request.key && this.pending.get(request.key) === controller) {
+        this.pending.delete(request.key);
+      }
+    }
+  }
+
+  /**
+   * One attempt of a GET request (timing out after this.timeout)
+   * @param {AbortSignal} signal - Cancels the request
+   */
+  async _fetch(url, signal) {
+    if (signal.aborted) {
+      throw new APIAbortError({ url });
+    }
+
+    // Abort on timeout or when the request is cancelled
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeout);
+    const cancel = () => controller.abort();
+    signal.addEventListener('abort', cancel);
+
     try {
-      const response = await fetch(url.toString(), {
+      const response = await fetch(url, {
         method: 'GET',
         headers: this._buildHeaders(),
+        signal: controller.signal,
       });
 
       if (!response.ok) {
-        throw new Error(
-          `API request failed: ${response.status} ${response.statusText}`
-        );
+        // The proxy rejected the login token: log in again
+        if (response.status === 401 && this.auth) {
+          this.auth.clear();
+        }
+
+        const body = await response.json().catch(() => ({}));
+        throw this._responseError(response, body, url);
       }
 
       // Get headers for metadata
       const periodStart = response.headers.get('x-period-start');
       const periodEnd = response.headers.get('x-period-end');
+      // Set by the proxy: HIT/MISS (cache) or REPLAY (offline fixtures)
+      const cacheStatus = response.headers.get('x-cache');
 
       const data = await response.json();
 
@@ -51,24 +262,63 @@ class APIClient {
         metadata: {
           periodStart,
           periodEnd,
+          cacheStatus,
+          replayed: cacheStatus === 'REPLAY',
           status: response.status,
-          url: url.toString(),
+          url,
         },
       };
     } catch (error) {
-      console.error('API request error:', error);
+      if (error instanceof APIError) throw error;
+      if (timedOut) throw new APITimeoutError(this.timeout, { url });
+      if (controller.signal.aborted) throw new APIAbortError({ url });
+      if (error.name === 'TypeError') {
+        // fetch() rejects with a TypeError when no response arrives
+        throw new APIError(`Network error: ${error.message}`, { url });
+      }
       throw error;
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', cancel);
     }
   }
 
+  /**
+   * Wait before a retry (rejects with APIAbortError when cancelled)
+   */
+  _wait(ms, signal, url) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', cancel);
+        resolve();
+      }, ms);
+      const cancel = () => {
+        clearTimeout(timer);
+        reject(new APIAbortError({ url }));
+      };
+      signal.addEventListener('abort', cancel, { once: true });
+    });
+  }
+
+  /**
+   * Check whether an absolute time range is set (both ends required)
+   */
+  _hasTimeRange(start, end) {
+    return Boolean(start && end);
+  }
+
   /**
    * Get jamming aggregated data
    * @param {Object} options - Query parameters
+   * @param {Object} request - { key } to cancel superseded requests (_get)
    * @returns {Promise<Object>} GeoJSON FeatureCollection with metadata
    */
-  async getJammingData(options = {}) {
+  async getJammingData(options = {}, request = {}) {
     const {
       lookback_hours = 6,
+      period_start = null,
+      period_end = null,
+      by_date = false,
       altitudes = 'FL100-FL450',
       altitude_summed = false,
       hours_summed = true,
@@ -79,25 +329,37 @@ class APIClient {
       max_n_bad = 3,
     } = options;
 
-    return await this._get('/db-api/v1/jamming/agg', {
-      lookback_hours,
-      altitudes,
-      altitude_summed,
-      hours_summed,
-      n_obs_min,
-      grouped,
-      full_output,
-      max_ratio_bad,
-      max_n_bad,
-    });
+    // An absolute date range replaces lookback_hours
+    const hasRange = this._hasTimeRange(period_start, period_end);
+
+    return await this._get(
+      '/db-api/v1/jamming/agg',
+      {
+        lookback_hours: hasRange ? null : lookback_hours,
+        period_start: hasRange ? period_start : null,
+        period_end: hasRange ? period_end : null,
+        by_date: hasRange ? by_date : null,
+        altitudes,
+        altitude_summed,
+        hours_summed,
+        n_obs_min,
+        grouped,
+        full_output,
+        max_ratio_bad,
+        max_n_bad,
+      },
+      request
+    );
   }
 
   /**
    * Get jamming coverage data
    */
-  async getJammingCoverage(options = {}) {
+  async getJammingCoverage(options = {}, request = {}) {
     const {
       lookback_hours = 24,
+      period_start = null,
+      period_end = null,
       altitudes = 'FL100-FL450',
       altitude_summed = false,
       show_no_coverage = false,
@@ -105,34 +367,54 @@ class APIClient {
       grouped = false,
     } = options;
 
-    return await this._get('/db-api/v1/jamming/coverage', {
-      lookback_hours,
-      altitudes,
-      altitude_summed,
-      show_no_coverage,
-      min_count: n_obs_min, // Map to API's min_count parameter
-      grouped,
-    });
+    // An absolute date range replaces lookback_hours
+    const hasRange = this._hasTimeRange(period_start, period_end);
+
+    return await this._get(
+      '/db-api/v1/jamming/coverage',
+      {
+        lookback_hours: hasRange ? null : lookback_hours,
+        period_start: hasRange ? period_start : null,
+        period_end: hasRange ? period_end : null,
+        altitudes,
+        altitude_summed,
+        show_no_coverage,
+        min_count: n_obs_min, // Map to API's min_count parameter
+        grouped,
+      },
+      request
+    );
   }
 
   /**
    * Get spoofing aggregated data as GeoJSON
    */
-  async getSpoofingData(options = {}) {
+  async getSpoofingData(options = {}, request = {}) {
     const {
       lookback_hours = 6,
       lookback_minutes = lookback_hours * 60, // Convert hours to minutes for API
+      start_time = null,
+      end_time = null,
     } = options;
 
-    return await this._get('/db-api/v1/spoofing/agg/geojson', {
-      lookback_minutes,
-    });
+    // An absolute time range replaces lookback_minutes
+    const hasRange = this._hasTimeRange(start_time, end_time);
+
+    return await this._get(
+      '/db-api/v1/spoofing/agg/geojson',
+      {
+        lookback_minutes: hasRange ? null : lookback_minutes,
+        start_time: hasRange ? start_time : null,
+        end_time: hasRange ? end_time : null,
+      },
+      request
+    );
   }
 
   /**
    * Get spoofing H3 aggregated data
    */
-  async getSpoofingH3Data(options = {}) {
+  async getSpoofingH3Data(options = {}, request = {}) {
     const {
       lookback_hours = 24,
       lookback_minutes = lookback_hours * 60, // Convert hours to minutes for API
@@ -142,12 +424,16 @@ class APIClient {
       max_time_diff_after_sec = 600,
     } = options;
 
-    return await this._get('/db-api/v1/spoofing/h3_geojson', {
-      lookback_minutes,
-      resolution,
-      coordinates_source,
-      max_time_diff_before_sec,
-      max_time_diff_after_sec,
-    });
+    return await this._get(
+      '/db-api/v1/spoofing/h3_geojson',
+      {
+        lookback_minutes,
+        resolution,
+        coordinates_source,
+        max_time_diff_before_sec,
+        max_time_diff_after_sec,
+      },
+      request
+    );
   }
 }
@@ -2,9 +2,16 @@
 class App {
   constructor() {
     this.mapManager = null;
+    this.authSession = null; // Proxy login token (AuthSession)
     this.currentSettings = {
       dataSource: 'jamming/agg',
       lookback_hours: CONFIG.JAMMING.DEFAULT_LOOKBACK_HOURS,
+      // Absolute date ranges (replace lookback_hours when both ends are set)
+      period_start: null, // Jamming agg/coverage (UTC ISO string)
+      period_end: null,
+      by_date: false,
+      start_time: null, // Spoofing agg (UTC ISO string)
+      end_time: null,
       altitudes: CONFIG.JAMMING.DEFAULT_ALTITUDE,
       altitude_summed: false,
       hours_summed: true,
@@ -19,14 +26,31 @@ class App {
       coordinates_source: 'interpolated',
       max_time_diff_before_sec: 600,
       max_time_diff_after_sec: 600,
+      // Layers shown alongside the selected data source
+      layers: [],
       // Spoofing-specific
-      showBothSpoofingLayers: false,
       spoofingSegments: [], // Segment filter for spoofing/agg (empty = all)
+      spoofingFadeByAge: false, // Dim older spoofing events
+      extrusionMetric: null, // 3D height metric for jamming/agg (null = flat)
+      aggregateResolution: null, // Coarser H3 resolution for jamming/agg
+      h3Kring: 0, // Neighbor rings highlighted on cell click (0 = off)
+      autoResolution: false, // H3 resolution follows the zoom (opt-in: merges cells)
       // Jamming-specific
       jammingSeverityLevels: [], // Severity filter for jamming/agg (empty = all)
       unionBySeverity: false, // Union hexagons by severity level
     };
+    // Snapshot of the defaults (permalinks only encode what differs)
+    this.defaultSettings = { ...this.currentSettings };
+    this.permalink = new Permalink(this.defaultSettings);
+    this.exporter = new DataExporter();
+    this.alertManager = null;
+    this.unseenAlerts = 0;
+    this.regionAnalyzer = null;
+    this.analysisRegion = null; // GeoJSON Polygon for area statistics
     this.isLoading = false;
+    this.loadingSettings = null; // JSON of the settings being loaded
+    this.loadCount = 0; // Results of loads superseded since are dropped
+    this.playbackActive = false;
     this.currentJsonData = null;
     this.currentActiveTab = 'map';
     this.dataViewMode = 'table'; // 'table' or 'json'
@@ -59,13 +83,29 @@ class App {
       // Show loading
       this.showLoading(true);
 
+      // Proxy login token (only used when the proxy asks for a login)
+      this.authSession = new AuthSession(window.localStorage);
+
       // Initialize map
-      this.mapManager = new MapManager('map', CONFIG);
+      this.mapManager = new MapManager('map', CONFIG, this.authSession);
       await this.mapManager.initialize();
 
+      // Alert rules and saved areas persist in localStorage
+      this.alertManager = new AlertManager(
+        window.localStorage,
+        this.mapManager.apiClient
+      );
+      this.regionAnalyzer = new RegionAnalyzer(window.localStorage);
+
       // Setup UI event listeners
       this.setupEventListeners();
 
+      // Restore settings and view from the permalink, if any
+      if (this.permalink.hasState(window.location.hash)) {
+        this.applyPermalink(window.location.hash);
+      }
+      this.setupPermalinkListeners();
+
       // Load initial data
       await this.refreshData();
 
@@ -90,12 +130,37 @@ class App {
    * Setup UI event listeners
    */
   setupEventListeners() {
+    // Proxy login
+    this.setupAuthControls();
+
     // Data source selector
     document.getElementById('data-source').addEventListener('change', (e) => {
-      this.currentSettings.dataSource = e.target.value;
-      this.updateControlsVisibility(e.target.value);
-      this.updateLegend(e.target.value);
-      this.updateStatsLabels(e.target.value);
+      // Each layer keeps its own parameters: show the selected layer's
+      this.currentSettings = {
+        ...this.mapManager.layerManager.getSettings(
+          e.target.value,
+          this.currentSettings
+        ),
+        layers: this.currentSettings.layers,
+      };
+      // Playback and the altitude profile only support jamming/agg,
+      // compare only jamming sources
+      if (this.playbackActive && e.target.value !== 'jamming/agg') {
+        this.stopPlayback();
+      }
+      if (
+        this.mapManager.altitudeProfile.active &&
+        e.target.value !== 'jamming/agg'
+      ) {
+        this.stopProfile();
+      }
+      if (
+        this.mapManager.compareController.active &&
+        !e.target.value.startsWith('jamming/')
+      ) {
+        this.stopCompare();
+      }
+      this.syncControlsFromSettings();
       this.debouncedRefresh();
     });
 
@@ -110,6 +175,66 @@ class App {
       this.debouncedRefresh();
     });
 
+    // Jamming date range (period_start / period_end)
+    ['jamming-period-start', 'jamming-period-end'].forEach((id) => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.updateDateRange(
+          'period_start',
+          'period_end',
+          'jamming-period-start',
+          'jamming-period-end'
+        );
+      });
+    });
+
+    // Jamming by-date breakdown toggle
+    document
+      .getElementById('toggle-by-date')
+      .addEventListener('change', (e) => {
+        this.currentSettings.by_date = e.target.checked;
+        if (
+          this.currentSettings.period_start &&
+          this.currentSettings.period_end
+        ) {
+          this.debouncedRefresh();
+        }
+      });
+
+    // Spoofing date range (start_time / end_time)
+    ['spoofing-start-time', 'spoofing-end-time'].forEach((id) => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.updateDateRange(
+          'start_time',
+          'end_time',
+          'spoofing-start-time',
+          'spoofing-end-time'
+        );
+      });
+    });
+
+    // Clear date range buttons
+    document
+      .getElementById('clear-jamming-date-range')
+      .addEventListener('click', () => {
+        this.clearDateRange(
+          'period_start',
+          'period_end',
+          'jamming-period-start',
+          'jamming-period-end'
+        );
+      });
+
+    document
+      .getElementById('clear-spoofing-date-range')
+      .addEventListener('click', () => {
+        this.clearDateRange(
+          'start_time',
+          'end_time',
+          'spoofing-start-time',
+          'spoofing-end-time'
+        );
+      });
+
     // Altitude filter
     document
       .getElementById('altitude-filter')
@@ -239,15 +364,6 @@ class App {
       this.debouncedRefresh();
     });
 
-    // Show both spoofing layers toggle
-    document
-      .getElementById('toggle-both-spoofing-layers')
-      .addEventListener('change', (e) => {
-        this.currentSettings.showBothSpoofingLayers = e.target.checked;
-        this.updateLegend(this.currentSettings.dataSource); // Update legend immediately
-        this.debouncedRefresh();
-      });
-
     // Spoofing segment filter (checkboxes)
     document.querySelectorAll('.segment-checkbox').forEach((checkbox) => {
       checkbox.addEventListener('change', () => {
@@ -287,100 +403,1430 @@ class App {
       });
     });
 
-    // Union by severity toggle
+    // Union by severity toggle
+    document
+      .getElementById('toggle-union-severity')
+      .addEventListener('change', (e) => {
+        this.currentSettings.unionBySeverity = e.target.checked;
+        this.debouncedRefresh();
+      });
+
+    // 3D extrusion metric (styling only, no reload)
+    document
+      .getElementById('extrusion-metric')
+      .addEventListener('change', (e) => {
+        this.currentSettings.extrusionMetric = e.target.value || null;
+        this.applyExtrusion();
+        this.updateLegend(this.currentSettings.dataSource);
+        this.updatePermalink(true);
+      });
+
+    // Spoofing fade by age (styling only, no reload)
+    document
+      .getElementById('toggle-spoofing-fade')
+      .addEventListener('change', (e) => {
+        this.currentSettings.spoofingFadeByAge = e.target.checked;
+        this.applySpoofingFade();
+        this.updateLegend(this.currentSettings.dataSource);
+        this.updatePermalink(true);
+      });
+
+    // Initialize grouping controls visibility
+    this.toggleGroupingControls(this.currentSettings.grouped);
+
+    // Initialize controls visibility based on data source
+    this.updateControlsVisibility(this.currentSettings.dataSource);
+
+    // Initialize legend
+    this.updateLegend(this.currentSettings.dataSource);
+
+    // Initialize stats labels
+    this.updateStatsLabels(this.currentSettings.dataSource);
+
+    // Refresh button
+    document.getElementById('refresh-btn').addEventListener('click', () => {
+      this.refreshData();
+    });
+
+    // Copy URL button
+    document.getElementById('copy-url-btn').addEventListener('click', () => {
+      this.copyUrlToClipboard();
+    });
+
+    // Tab switching
+    document.querySelectorAll('.tab-button').forEach((button) => {
+      button.addEventListener('click', () => {
+        this.switchTab(button.dataset.tab);
+      });
+    });
+
+    // Copy JSON button
+    document.getElementById('copy-json-btn').addEventListener('click', () => {
+      this.copyJsonToClipboard();
+    });
+
+    // Download menu
+    const downloadOptions = document.getElementById('download-options');
+    document.getElementById('download-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      downloadOptions.classList.toggle('hidden');
+    });
+    downloadOptions.querySelectorAll('[data-format]').forEach((option) => {
+      option.addEventListener('click', () => {
+        downloadOptions.classList.add('hidden');
+        this.downloadData(option.dataset.format);
+      });
+    });
+    document.addEventListener('click', () => {
+      downloadOptions.classList.add('hidden');
+    });
+
+    // Toggle view button
+    document.getElementById('toggle-view-btn').addEventListener('click', () => {
+      this.toggleDataView();
+    });
+
+    // Projection toggle button
+    document
+      .getElementById('toggle-projection')
+      .addEventListener('click', () => {
+        this.toggleMapProjection();
+      });
+
+    // Data layers shown together, reference overlays
+    this.setupLayerControls();
+    this.setupOverlayControls();
+
+    // Change-detection style toggle
+    document.getElementById('toggle-changes').addEventListener('click', () => {
+      this.toggleChangesMode();
+    });
+
+    // Playback controls
+    this.setupPlaybackControls();
+
+    // Compare mode (second synchronized map)
+    this.setupCompareControls();
+
+    // Altitude profile (every band per cell)
+    this.setupProfileControls();
+
+    // H3 lookup, re-aggregation and neighbor rings
+    this.setupH3Controls();
+
+    // Zoom-dependent resolution
+    this.setupLevelOfDetail();
+
+    // Flight trace drill-down from spoofing events
+    this.setupTraceControls();
+
+    // Alert rules editor
+    this.setupAlertControls();
+
+    // Area analysis
+    this.setupAreaControls();
+  }
+
+  /**
+   * Setup hourly playback controls and controller callbacks
+   */
+  setupPlaybackControls() {
+    const controller = this.mapManager.playbackController;
+    const slider = document.getElementById('playback-slider');
+
+    document.getElementById('toggle-playback').addEventListener('click', () => {
+      this.togglePlayback();
+    });
+
+    document.getElementById('playback-play').addEventListener('click', () => {
+      controller.togglePlay();
+    });
+
+    document.getElementById('playback-prev').addEventListener('click', () => {
+      controller.step(-1);
+    });
+
+    document.getElementById('playback-next').addEventListener('click', () => {
+      controller.step(1);
+    });
+
+    slider.addEventListener('input', (e) => {
+      controller.pause();
+      controller.showFrame(parseInt(e.target.value));
+    });
+
+    // Update clock, slider and frame counter on every frame
+    controller.onFrame = (frame, index, total) => {
+      document.getElementById('playback-clock').textContent =
+        frame.time.toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+      document.getElementById('playback-frame').textContent = `${
+        index + 1
+      } / ${total}`;
+      slider.value = index;
+    };
+
+    controller.onStateChange = (playing) => {
+      const playBtn = document.getElementById('playback-play');
+      playBtn.textContent = playing ? '⏸' : '▶';
+      playBtn.title = playing ? 'Pause' : 'Play';
+    };
+  }
+
+  /**
+   * Enter or leave hourly playback mode
+   */
+  async togglePlayback() {
+    if (this.playbackActive) {
+      this.stopPlayback();
+    } else {
+      await this.startPlayback();
+    }
+  }
+
+  /**
+   * Enter playback mode: pause auto-refresh and load hourly frames
+   */
+  async startPlayback() {
+    if (this.currentSettings.dataSource !== 'jamming/agg') {
+      this.showError(
+        'Playback is only available for Jamming - Aggregated Data.'
+      );
+      return;
+    }
+
+    if (this.mapManager.compareController.active) {
+      this.stopCompare();
+    }
+    if (this.mapManager.altitudeProfile.active) {
+      this.stopProfile();
+    }
+
+    this.playbackActive = true;
+    this.mapManager.stopAutoRefresh();
+    this.setPlaybackUiVisible(true);
+    await this.refreshData();
+  }
+
+  /**
+   * Leave playback mode: restore the summed view and auto-refresh
+   */
+  stopPlayback() {
+    this.playbackActive = false;
+    this.mapManager.playbackController.stop();
+    this.setPlaybackUiVisible(false);
+
+    this.refreshData();
+    this.mapManager.startAutoRefresh(
+      () => this.refreshData(),
+      CONFIG.JAMMING.AUTO_REFRESH_INTERVAL
+    );
+  }
+
+  /**
+   * Load hourly frames for the current settings
+   */
+  async loadPlayback() {
+    const result = await this.mapManager.playbackController.load(
+      this.currentSettings
+    );
+
+    document.getElementById('playback-slider').max = Math.max(
+      result.frameCount - 1,
+      0
+    );
+
+    if (result.frameCount === 0) {
+      document.getElementById('playback-clock').textContent = 'No hourly data';
+      document.getElementById('playback-frame').textContent = '0 / 0';
+    }
+
+    if (result.metadata && result.metadata.url) {
+      document.getElementById('api-url').textContent = result.metadata.url;
+    }
+
+    console.log(`Playback loaded: ${result.frameCount} hourly frames`);
+  }
+
+  /**
+   * Show/hide the playback bar and clock overlay
+   */
+  setPlaybackUiVisible(visible) {
+    document
+      .getElementById('playback-bar')
+      .classList.toggle('hidden', !visible);
+    document
+      .getElementById('playback-clock')
+      .classList.toggle('hidden', !visible);
+    document
+      .getElementById('toggle-playback')
+      .classList.toggle('active', visible);
+  }
+
+  /**
+   * Wire the compare bar, its toggle button and the swipe divider
+   */
+  setupCompareControls() {
+    const controller = this.mapManager.compareController;
+
+    // Side B altitude choices mirror the sidebar altitude bands
+    const altitudeSelect = document.getElementById('compare-altitude');
+    document.querySelectorAll('#altitude-filter option').forEach((option) => {
+      altitudeSelect.add(new Option(option.textContent, option.value));
+    });
+
+    // Side B settings: each change reloads side B only
+    const updateSide = (changes) => {
+      controller.updateSettings(changes);
+      this.syncCompareControls();
+      this.loadCompare();
+    };
+
+    document.getElementById('toggle-compare').addEventListener('click', () => {
+      this.toggleCompare();
+    });
+
+    document.getElementById('compare-close').addEventListener('click', () => {
+      this.stopCompare();
+    });
+
+    document.getElementById('compare-mode').addEventListener('change', (e) => {
+      controller.setMode(e.target.value);
+    });
+
+    document.getElementById('compare-reset').addEventListener('change', (e) => {
+      if (!e.target.value) return;
+      controller.reset(this.currentSettings, e.target.value);
+      e.target.value = '';
+      this.syncCompareControls();
+      this.loadCompare();
+    });
+
+    document
+      .getElementById('compare-source')
+      .addEventListener('change', (e) => {
+        updateSide({ dataSource: e.target.value });
+      });
+
+    altitudeSelect.addEventListener('change', (e) => {
+      updateSide({ altitudes: e.target.value });
+    });
+
+    document
+      .getElementById('compare-lookback')
+      .addEventListener('change', (e) => {
+        const hours = parseInt(e.target.value, 10);
+        if (hours >= 1 && hours <= 72) {
+          updateSide({ lookback_hours: hours });
+        } else {
+          this.syncCompareControls();
+        }
+      });
+
+    // A complete date range replaces the lookback
+    ['compare-start', 'compare-end'].forEach((id) => {
+      document.getElementById(id).addEventListener('change', () => {
+        const start = toUtcIsoString(
+          document.getElementById('compare-start').value
+        );
+        const end = toUtcIsoString(
+          document.getElementById('compare-end').value
+        );
+        if (!start || !end) return;
+
+        if (new Date(start) >= new Date(end)) {
+          this.syncCompareControls();
+          this.showError('Date range start must be before its end.');
+          return;
+        }
+        updateSide({ period_start: start, period_end: end });
+      });
+    });
+
+    document
+      .getElementById('compare-n-obs-min')
+      .addEventListener('change', (e) => {
+        const nObsMin = parseInt(e.target.value, 10);
+        if (nObsMin >= 1) {
+          updateSide({ n_obs_min: nObsMin });
+        } else {
+          this.syncCompareControls();
+        }
+      });
+
+    // Severity levels, as in the sidebar (all or none = no filter)
+    document.querySelectorAll('.compare-severity-checkbox').forEach((cb) => {
+      cb.addEventListener('change', () => {
+        const levels = Array.from(
+          document.querySelectorAll('.compare-severity-checkbox:checked')
+        ).map((checkbox) => checkbox.value);
+        updateSide({
+          jammingSeverityLevels:
+            levels.length === 0 || levels.length === 3 ? [] : levels,
+        });
+      });
+    });
+
+    // Drag the swipe divider
+    const divider = document.getElementById('compare-divider');
+    const moveDivider = (e) => {
+      const rect = divider.parentElement.getBoundingClientRect();
+      controller.setSwipePosition((e.clientX - rect.left) / rect.width);
+    };
+    divider.addEventListener('pointerdown', (e) => {
+      divider.setPointerCapture(e.pointerId);
+      divider.addEventListener('pointermove', moveDivider);
+    });
+    divider.addEventListener('pointerup', (e) => {
+      divider.releasePointerCapture(e.pointerId);
+      divider.removeEventListener('pointermove', moveDivider);
+    });
+  }
+
+  /**
+   * Enter or leave compare mode
+   */
+  async toggleCompare() {
+    if (this.mapManager.compareController.active) {
+      this.stopCompare();
+    } else {
+      await this.startCompare();
+    }
+  }
+
+  /**
+   * Enter compare mode: open side B and load it
+   */
+  async startCompare() {
+    if (!this.currentSettings.dataSource.startsWith('jamming/')) {
+      this.showError('Compare mode is only available for jamming data.');
+      return;
+    }
+
+    if (this.playbackActive) {
+      this.stopPlayback();
+    }
+    if (this.mapManager.altitudeProfile.active) {
+      this.stopProfile();
+    }
+
+    await this.mapManager.compareController.start(
+      document.getElementById('compare-mode').value
+    );
+    this.setCompareUiVisible(true);
+    await this.loadCompare();
+  }
+
+  /**
+   * Leave compare mode: remove side B
+   */
+  stopCompare() {
+    this.mapManager.compareController.stop();
+    this.setCompareUiVisible(false);
+  }
+
+  /**
+   * Load side B for the current settings and label both sides
+   */
+  async loadCompare() {
+    const controller = this.mapManager.compareController;
+    if (!controller.active) return;
+
+    try {
+      const result = await controller.load(this.currentSettings);
+      this.syncCompareControls();
+      const label = (side, settings, stats) =>
+        `${side}: ${controller.describe(settings)} · ${
+          this.getStatValues(stats).cells
+        } cells`;
+
+      document.getElementById('compare-label-a').textContent = label(
+        'A',
+        this.currentSettings,
+        this.mapManager.layerManager
+          .getPrimaryLayer()
+          .calculateStats(this.currentJsonData, this.currentSettings.dataSource)
+      );
+      document.getElementById('compare-label-b').textContent = label(
+        'B',
+        result.settings,
+        result.stats
+      );
+    } catch (error) {
+      console.error('Failed to load comparison data:', error);
+      this.showApiError(error, 'Failed to load the comparison map.');
+    }
+  }
+
+  /**
+   * Show side B's settings in the compare bar
+   */
+  syncCompareControls() {
+    const settings = this.mapManager.compareController.settings;
+    if (!settings) return;
+
+    const hasRange = Boolean(settings.period_start && settings.period_end);
+    document.getElementById('compare-source').value = settings.dataSource;
+    document.getElementById('compare-altitude').value = settings.altitudes;
+    document.getElementById('compare-lookback').value = hasRange
+      ? ''
+      : settings.lookback_hours;
+    document.getElementById('compare-start').value = toDateTimeInputValue(
+      settings.period_start
+    );
+    document.getElementById('compare-end').value = toDateTimeInputValue(
+      settings.period_end
+    );
+    document.getElementById('compare-n-obs-min').value = settings.n_obs_min;
+
+    // Severity applies to aggregated data only
+    const levels = settings.jammingSeverityLevels || [];
+    document.querySelectorAll('.compare-severity-checkbox').forEach((cb) => {
+      cb.checked = levels.length === 0 || levels.includes(cb.value);
+    });
+    document.getElementById('compare-severity').style.display =
+      settings.dataSource === 'jamming/agg' ? '' : 'none';
+  }
+
+  /**
+   * Show/hide the compare bar and mark the toggle button
+   */
+  setCompareUiVisible(visible) {
+    document.getElementById('compare-bar').classList.toggle('hidden', !visible);
+    document
+      .getElementById('toggle-compare')
+      .classList.toggle('active', visible);
+  }
+
+  /**
+   * Wire the altitude profile toggle, panel and cell selection
+   */
+  setupProfileControls() {
+    const profile = this.mapManager.altitudeProfile;
+
+    document.getElementById('toggle-profile').addEventListener('click', () => {
+      this.toggleProfile();
+    });
+
+    document.getElementById('profile-close').addEventListener('click', () => {
+      this.stopProfile();
+    });
+
+    document.getElementById('profile-3d').addEventListener('change', (e) => {
+      profile.setExtruded(e.target.checked);
+    });
+
+    profile.onSelect = (h3Index) => {
+      profile.selected = h3Index;
+      this.renderProfile();
+    };
+  }
+
+  /**
+   * Enter or leave altitude profile mode
+   */
+  async toggleProfile() {
+    if (this.mapManager.altitudeProfile.active) {
+      this.stopProfile();
+    } else {
+      await this.startProfile();
+    }
+  }
+
+  /**
+   * Enter altitude profile mode: load every band and show the panel
+   */
+  async startProfile() {
+    if (this.currentSettings.dataSource !== 'jamming/agg') {
+      this.showError(
+        'The altitude profile is only available for Jamming - Aggregated Data.'
+      );
+      return;
+    }
+
+    if (this.playbackActive) {
+      this.stopPlayback();
+    }
+    if (this.mapManager.compareController.active) {
+      this.stopCompare();
+    }
+
+    this.mapManager.setAltitudeProfile(true);
+    this.setProfileUiVisible(true);
+    await this.loadProfile();
+  }
+
+  /**
+   * Leave altitude profile mode: restore the single-band jamming layer
+   */
+  stopProfile() {
+    const profile = this.mapManager.altitudeProfile;
+    if (profile.extruded) {
+      document.getElementById('profile-3d').checked = false;
+      profile.setExtruded(false);
+      // Keep the tilt for an extruded jamming layer
+      if (this.currentSettings.extrusionMetric) {
+        this.mapManager.map.easeTo({ pitch: CONFIG.JAMMING.EXTRUSION.PITCH });
+      }
+    }
+    this.mapManager.setAltitudeProfile(false);
+    profile.clear();
+    this.setProfileUiVisible(false);
+  }
+
+  /**
+   * Load every band for the current time window (only when its query
+   * changed)
+   */
+  async loadProfile() {
+    const profile = this.mapManager.altitudeProfile;
+    if (!profile.active) return;
+
+    try {
+      if (!profile.isLoaded(this.currentSettings)) {
+        document.getElementById('profile-content').textContent =
+          'Loading altitude bands...';
+      }
+      const result = await profile.load(this.currentSettings);
+      // A refresh of the primary layer shows the jamming layer again
+      this.mapManager.setAltitudeProfile(true);
+      this.renderProfile();
+      console.log(`Altitude profile loaded: ${result.cellCount} cells`);
+    } catch (error) {
+      console.error('Failed to load altitude profile:', error);
+      this.showApiError(error, 'Failed to load the altitude bands.');
+    }
+  }
+
+  /**
+   * Show the selected cell's band stack, or a hint
+   */
+  renderProfile() {
+    const profile = this.mapManager.altitudeProfile;
+    const content = document.getElementById('profile-content');
+
+    if (profile.selected) {
+      content.innerHTML = profile.render(profile.selected);
+    } else {
+      content.textContent = 'Click a cell to see its severity per band';
+    }
+  }
+
+  /**
+   * Show/hide the profile panel and mark the toggle button
+   */
+  setProfileUiVisible(visible) {
+    document
+      .getElementById('profile-panel')
+      .classList.toggle('hidden', !visible);
+    document
+      .getElementById('toggle-profile')
+      .classList.toggle('active', visible);
+  }
+
+  /**
+   * Wire the H3 tools panel (needs h3-js)
+   */
+  setupH3Controls() {
+    const tools = this.mapManager.h3Tools;
+    const input = document.getElementById('h3-find-input');
+
+    if (!isH3Available()) {
+      document
+        .querySelectorAll('#h3-tools input, #h3-tools select, #h3-tools button')
+        .forEach((control) => {
+          control.disabled = true;
+        });
+      document.getElementById('h3-find-result').textContent =
+        'h3-js is not loaded';
+      return;
+    }
+
+    document.getElementById('h3-find-btn').addEventListener('click', () => {
+      this.findH3Cell(input.value);
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.findH3Cell(input.value);
+      }
+    });
+
+    document
+      .getElementById('jamming-aggregate-resolution')
+      .addEventListener('change', (e) => {
+        this.currentSettings.aggregateResolution =
+          e.target.value === '' ? null : parseInt(e.target.value);
+        this.debouncedRefresh();
+      });
+
+    document.getElementById('h3-kring').addEventListener('change', (e) => {
+      this.currentSettings.h3Kring = parseInt(e.target.value);
+      tools.clear();
+      this.updatePermalink(false);
+    });
+
+    this.mapManager.jammingLayer.onCellClick = (h3Index) => {
+      if (this.currentSettings.h3Kring > 0) {
+        tools.highlight(h3Index, this.currentSettings.h3Kring);
+      }
+    };
+  }
+
+  /**
+   * Wire the level of detail: spoofing/h3 reloads when the zoom crosses
+   * into another resolution
+   */
+  setupLevelOfDetail() {
+    document
+      .getElementById('toggle-auto-resolution')
+      .addEventListener('change', (e) => {
+        this.currentSettings.autoResolution = e.target.checked;
+        this.applyAutoResolution();
+        this.debouncedRefresh();
+      });
+
+    this.mapManager.onResolutionChange = () => {
+      this.updateResolutionLabel();
+      if (this.mapManager.layerManager.isVisible('spoofing/h3')) {
+        this.debouncedRefresh();
+      }
+    };
+
+    this.applyAutoResolution();
+  }
+
+  /**
+   * Apply the auto resolution setting (the slider is unused while it is on)
+   */
+  applyAutoResolution() {
+    if (!this.mapManager || !this.mapManager.levelOfDetail) return;
+
+    const auto = this.currentSettings.autoResolution;
+    const levelOfDetail = this.mapManager.levelOfDetail;
+    if (levelOfDetail.autoResolution !== auto) {
+      levelOfDetail.setAutoResolution(auto);
+    }
+
+    document.getElementById('h3-resolution').disabled = auto;
+    this.updateResolutionLabel();
+  }
+
+  /**
+   * Show the resolution in use next to the slider
+   */
+  updateResolutionLabel() {
+    const view = this.mapManager.levelOfDetail.view;
+    document.getElementById('h3-resolution-value').textContent =
+      this.currentSettings.autoResolution && view
+        ? `${view.resolution} (auto by zoom)`
+        : this.currentSettings.resolution;
+  }
+
+  /**
+   * Fly to an H3 index or "lat, lon" and report the loaded cell there
+   */
+  findH3Cell(text) {
+    const resultLabel = document.getElementById('h3-find-result');
+    // "lat, lon" resolves at the resolution of the data on the map
+    const resolution =
+      getH3DataResolution(this.currentJsonData) ??
+      this.currentSettings.resolution;
+    const result = this.mapManager.h3Tools.find(text, resolution);
+
+    if (!result) {
+      resultLabel.textContent = 'Enter an H3 index or lat, lon';
+      return;
+    }
+
+    this.mapManager.h3Tools.flyTo(result);
+
+    const feature = ((this.currentJsonData || {}).features || []).find(
+      (f) => (f.properties.h3_index || f.id) === result.h3Index
+    );
+    const ratio = feature && feature.properties.ratio_bad;
+    resultLabel.textContent = `${result.h3Index} (res ${result.resolution})${
+      ratio !== undefined && ratio !== null
+        ? ` · ${formatPercentage(ratio)}`
+        : feature
+        ? ''
+        : ' · not in the loaded data'
+    }`;
+  }
+
+  /**
+   * Wire "Trace this flight" in spoofing popups and the trace panel
+   */
+  setupTraceControls() {
+    const tracer = this.mapManager.flightTracer;
+
+    this.mapManager.layerManager.getLayer('spoofing/agg').onTrace = (feature) =>
+      this.traceFlight(feature);
+
+    document.getElementById('trace-close').addEventListener('click', () => {
+      tracer.clear();
+      document.getElementById('trace-panel').classList.add('hidden');
+    });
+
+    // Zoom to a whole event (header) or one of its legs
+    document.getElementById('trace-timeline').addEventListener('click', (e) => {
+      const target = e.target.closest('[data-event]');
+      if (!target || !tracer.current) return;
+
+      const event = tracer.current.events[parseInt(target.dataset.event)];
+      const legs =
+        target.dataset.leg !== undefined
+          ? [event.legs[parseInt(target.dataset.leg)]]
+          : event.legs;
+      tracer.zoomTo(legs.map((leg) => leg.geometry));
+    });
+  }
+
+  /**
+   * Trace the flight of a spoofing event and open the trace panel
+   */
+  traceFlight(feature) {
+    const tracer = this.mapManager.flightTracer;
+    const trace = tracer.trace(
+      feature,
+      this.mapManager.layerManager.getLayer('spoofing/agg').currentData
+    );
+
+    this.renderTrace(trace);
+    document.getElementById('trace-panel').classList.remove('hidden');
+    tracer.zoomTo(
+      trace.events.flatMap((event) => event.legs.map((leg) => leg.geometry))
+    );
+  }
+
+  /**
+   * Re-run an open trace against freshly loaded spoofing data
+   */
+  refreshTrace() {
+    const tracer = this.mapManager.flightTracer;
+    if (!tracer.traced) return;
+
+    this.renderTrace(
+      tracer.refresh(
+        this.mapManager.layerManager.getLayer('spoofing/agg').currentData
+      )
+    );
+  }
+
+  /**
+   * Render the trace panel timeline (one entry per event, oldest first)
+   */
+  renderTrace(trace) {
+    const colors = CONFIG.TRACE.PHASE_COLORS;
+    const labels = { before: 'Before', during: 'During', after: 'After' };
+    const formatTime = (iso) =>
+      iso ? new Date(iso).toISOString().slice(11, 19) : '--:--:--';
+    const timeline = document.getElementById('trace-timeline');
+
+    document.getElementById('trace-title').textContent = `✈️ ${
+      [trace.flightId, trace.icao24].filter(Boolean).join(' · ') ||
+      'Flight Trace'
+    }`;
+    document.getElementById('trace-phases').innerHTML = Object.keys(labels)
+      .map(
+        (phase) =>
+          `<span><span class="trace-swatch" style="background: ${colors[phase]}"></span>${labels[phase]}</span>`
+      )
+      .join('');
+
+    if (trace.events.length === 0) {
+      timeline.innerHTML =
+        '<li class="trace-event">No events for this flight in the loaded data</li>';
+      return;
+    }
+
+    timeline.innerHTML = trace.events
+      .map((event, i) => {
+        const duration =
+          event.start && event.end
+            ? `${Math.round(
+                (new Date(event.end) - new Date(event.start)) / 1000
+              )}s`
+            : 'N/A';
+        const meta = [
+          event.start ? event.start.slice(0, 10) : null,
+          event.altitude !== null
+            ? `${Math.round(event.altitude).toLocaleString()} ft`
+            : null,
+          event.track !== null ? `${event.track.toFixed(1)}°` : null,
+          event.segment,
+        ]
+          .filter(Boolean)
+          .join(' · ');
+        const legs = event.legs
+          .map(
+            (leg, j) =>
+              `<button class="trace-leg" data-event="${i}" data-leg="${j}" style="border-color: ${
+                colors[leg.phase]
+              }">${labels[leg.phase]}</button>`
+          )
+          .join('');
+
+        return `
+          <li class="trace-event">
+            <div class="trace-event-header" data-event="${i}">
+              ${formatTime(event.start)}–${formatTime(
+          event.end
+        )} UTC (${duration})
+            </div>
+            <div class="trace-event-meta">${meta}</div>
+            <div class="trace-legs">${legs}</div>
+          </li>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Wire overlay checkboxes; overlays without bundled data are disabled
+   */
+  setupOverlayControls() {
+    const overlayManager = this.mapManager.overlayManager;
+    const missing = [];
+
+    document.querySelectorAll('.overlay-checkbox').forEach((cb) => {
+      const id = cb.value;
+      cb.checked = overlayManager.visible[id] === true;
+
+      if (!overlayManager.hasData(id)) {
+        cb.disabled = true;
+        cb.closest('.checkbox-label').classList.add('disabled-label');
+        missing.push(CONFIG.OVERLAYS[id].label);
+        return;
+      }
+
+      cb.addEventListener('change', (e) => {
+        this.mapManager.setOverlayVisibility(id, e.target.checked);
+      });
+    });
+
+    if (missing.length > 0) {
+      document.getElementById(
+        'overlay-hint'
+      ).textContent = `No data bundled for: ${missing.join(
+        ', '
+      )} (see data/overlays/README.md)`;
+    }
+  }
+
+  /**
+   * Wire the per-layer visibility checkboxes and opacity sliders
+   */
+  setupLayerControls() {
+    document.querySelectorAll('.layer-checkbox').forEach((cb) => {
+      cb.addEventListener('change', (e) => {
+        const dataSource = e.target.value;
+        this.currentSettings.layers = Array.from(
+          document.querySelectorAll('.layer-checkbox:checked')
+        )
+          .map((checkbox) => checkbox.value)
+          .filter((value) => value !== this.currentSettings.dataSource);
+        this.mapManager.setLayerVisibility(dataSource, e.target.checked);
+        this.updateLegend(this.currentSettings.dataSource);
+        this.updatePermalink(false);
+
+        if (e.target.checked) {
+          this.loadLayer(dataSource);
+        }
+      });
+    });
+
+    document.querySelectorAll('.layer-opacity').forEach((slider) => {
+      const valueLabel = document.getElementById(`${slider.id}-value`);
+      slider.addEventListener('input', (e) => {
+        valueLabel.textContent = e.target.value;
+        this.mapManager.setLayerOpacity(
+          e.target.dataset.source,
+          parseInt(e.target.value) / 100
+        );
+      });
+    });
+
+    this.updateLayerControls();
+  }
+
+  /**
+   * Sync the layer checkboxes with the settings (the selected data source
+   * is always shown)
+   */
+  updateLayerControls() {
+    const { dataSource, layers } = this.currentSettings;
+
+    if (this.mapManager && this.mapManager.layerManager) {
+      this.mapManager.layerManager.setEnabled(layers);
+    }
+
+    document.querySelectorAll('.layer-checkbox').forEach((cb) => {
+      const isPrimary = cb.value === dataSource;
+      cb.checked = isPrimary || layers.includes(cb.value);
+      cb.disabled = isPrimary;
+    });
+  }
+
+  /**
+   * Apply the fade-by-age setting to the spoofing events layer
+   */
+  applySpoofingFade() {
+    if (this.mapManager && this.mapManager.spoofingLayer) {
+      this.mapManager.spoofingLayer.setFadeByAge(
+        this.currentSettings.spoofingFadeByAge
+      );
+    }
+  }
+
+  /**
+   * Apply the 3D extrusion setting to the jamming layer(s)
+   */
+  applyExtrusion() {
+    if (this.mapManager && this.mapManager.jammingLayer) {
+      this.mapManager.setExtrusion(this.currentSettings.extrusionMetric);
+    }
+  }
+
+  /**
+   * Load a layer shown from the layer panel (the next refresh reloads it)
+   */
+  async loadLayer(dataSource) {
+    try {
+      await this.mapManager.loadLayer(dataSource, this.currentSettings);
+    } catch (error) {
+      console.error(`Failed to load layer ${dataSource}:`, error);
+      this.showApiError(
+        error,
+        `Failed to load the ${DATA_LAYERS[dataSource].label} layer.`
+      );
+    }
+  }
+
+  /**
+   * Toggle the jamming layer between severity and change-detection styles
+   */
+  toggleChangesMode() {
+    const jammingLayer = this.mapManager.jammingLayer;
+    const mode = jammingLayer.styleMode === 'changes' ? 'severity' : 'changes';
+
+    jammingLayer.setStyleMode(mode);
     document
-      .getElementById('toggle-union-severity')
-      .addEventListener('change', (e) => {
-        this.currentSettings.unionBySeverity = e.target.checked;
-        this.debouncedRefresh();
-      });
+      .getElementById('toggle-changes')
+      .classList.toggle('active', mode === 'changes');
+    this.updateLegend(this.currentSettings.dataSource);
+  }
 
-    // Initialize grouping controls visibility
-    this.toggleGroupingControls(this.currentSettings.grouped);
+  /**
+   * Update an absolute date range from its two datetime inputs
+   * The range only takes effect (and replaces lookback) when both ends are set
+   */
+  updateDateRange(startKey, endKey, startInputId, endInputId) {
+    const wasActive = this.hasDateRange(startKey, endKey);
+    const start = toUtcIsoString(document.getElementById(startInputId).value);
+    const end = toUtcIsoString(document.getElementById(endInputId).value);
+
+    if (start && end && new Date(start) >= new Date(end)) {
+      // Show the range that is still queried again
+      document.getElementById(startInputId).value = toDateTimeInputValue(
+        this.currentSettings[startKey]
+      );
+      document.getElementById(endInputId).value = toDateTimeInputValue(
+        this.currentSettings[endKey]
+      );
+      this.showError('Date range start must be before its end.');
+      return;
+    }
 
-    // Initialize controls visibility based on data source
-    this.updateControlsVisibility(this.currentSettings.dataSource);
+    this.currentSettings[startKey] = start;
+    this.currentSettings[endKey] = end;
+    this.updateLookbackState();
 
-    // Initialize legend
-    this.updateLegend(this.currentSettings.dataSource);
+    // Only refresh when the effective query changed
+    if (wasActive || this.hasDateRange(startKey, endKey)) {
+      this.debouncedRefresh();
+    }
+  }
 
-    // Initialize stats labels
-    this.updateStatsLabels(this.currentSettings.dataSource);
+  /**
+   * Clear an absolute date range and fall back to lookback hours
+   */
+  clearDateRange(startKey, endKey, startInputId, endInputId) {
+    const wasActive = this.hasDateRange(startKey, endKey);
 
-    // Refresh button
-    document.getElementById('refresh-btn').addEventListener('click', () => {
-      this.refreshData();
-    });
+    document.getElementById(startInputId).value = '';
+    document.getElementById(endInputId).value = '';
+    this.currentSettings[startKey] = null;
+    this.currentSettings[endKey] = null;
+    this.updateLookbackState();
 
-    // Copy URL button
-    document.getElementById('copy-url-btn').addEventListener('click', () => {
-      this.copyUrlToClipboard();
-    });
+    if (wasActive) {
+      this.debouncedRefresh();
+    }
+  }
 
-    // Tab switching
-    document.querySelectorAll('.tab-button').forEach((button) => {
-      button.addEventListener('click', (e) => {
-        const tab = e.target.dataset.tab;
-        this.switchTab(tab);
-      });
-    });
+  /**
+   * Check whether both ends of a date range are set
+   */
+  hasDateRange(startKey, endKey) {
+    return Boolean(
+      this.currentSettings[startKey] && this.currentSettings[endKey]
+    );
+  }
 
-    // Copy JSON button
-    document.getElementById('copy-json-btn').addEventListener('click', () => {
-      this.copyJsonToClipboard();
-    });
+  /**
+   * Dim the lookback slider when a date range replaces it for the current source
+   */
+  updateLookbackState() {
+    const dataSource = this.currentSettings.dataSource;
+    const lookbackGroup = document
+      .getElementById('lookback-hours')
+      .closest('.control-group');
+    const hint = document.getElementById('lookback-hint');
 
-    // Toggle view button
-    document.getElementById('toggle-view-btn').addEventListener('click', () => {
-      this.toggleDataView();
-    });
+    let overridden = false;
+    if (dataSource.startsWith('jamming/')) {
+      overridden = this.hasDateRange('period_start', 'period_end');
+    } else if (dataSource === 'spoofing/agg') {
+      overridden = this.hasDateRange('start_time', 'end_time');
+    }
 
-    // Projection toggle button
-    document
-      .getElementById('toggle-projection')
-      .addEventListener('click', () => {
-        this.toggleMapProjection();
-      });
+    lookbackGroup.classList.toggle('overridden', overridden);
+    hint.textContent = overridden ? 'Overridden by date range' : '1-72 hours';
   }
 
   /**
    * Refresh jamming data
    */
   async refreshData() {
-    if (this.isLoading) {
+    // Playback loads other data for the same settings
+    const settings = JSON.stringify({
+      ...this.currentSettings,
+      playback: this.playbackActive,
+    });
+    if (this.isLoading && settings === this.loadingSettings) {
       console.log('Already loading data, skipping...');
       return;
     }
 
+    // New settings supersede a load in flight: its layers' requests are
+    // cancelled by the API client and its results dropped
+    const load = ++this.loadCount;
+    let loaded = false;
+
     try {
       this.isLoading = true;
+      this.loadingSettings = settings;
       this.setRefreshButtonLoading(true);
 
       console.log('Loading data with settings:', this.currentSettings);
 
+      // In playback mode, settings changes reload the hourly frames instead
+      if (this.playbackActive) {
+        await this.loadPlayback();
+        return;
+      }
+
       const result = await this.mapManager.loadJammingData(
         this.currentSettings
       );
+      if (load !== this.loadCount) return;
 
       // Store JSON data
       this.currentJsonData = result.data;
 
       // Update statistics
       this.updateStats(result.stats, result.metadata);
+      this.updateAreaAnalysis();
 
       // Update JSON display
       this.updateJsonDisplay(result.data);
 
+      // Reload side B of the comparison and the altitude bands with the new
+      // settings
+      await this.loadCompare();
+      await this.loadProfile();
+      this.refreshTrace();
+
+      // Record the loaded state in the URL (new history entry)
+      this.updatePermalink(true);
+
+      loaded = true;
       console.log('Data loaded successfully:', result.stats);
     } catch (error) {
+      if (load !== this.loadCount) return;
       console.error('Failed to load data:', error);
-      this.showError('Failed to load data. Please try again.');
+      this.showApiError(error, 'Failed to load data. Please try again.');
+    } finally {
+      if (load === this.loadCount) {
+        this.isLoading = false;
+        this.loadingSettings = null;
+        this.setRefreshButtonLoading(false);
+        this.updateAuthStatus();
+      }
+    }
+
+    // Alert rules load their own data once the refresh is done, so a slow
+    // or failed rule fetch neither holds the spinner nor fails the refresh
+    if (loaded) {
+      await this.checkAlerts(load);
+    }
+  }
+
+  /**
+   * Check the alert rules (each loads its own source and band); failures
+   * are logged and the rules keep their state
+   */
+  async checkAlerts(load = this.loadCount) {
+    try {
+      await this.alertManager.check(this.currentSettings);
+      if (load !== this.loadCount) return;
+      this.renderAlerts();
+    } catch (error) {
+      console.error('Failed to check alert rules:', error);
+    }
+  }
+
+  /**
+   * Show an API error by type (a 401 opens the login screen; cancelled
+   * requests are not errors)
+   * @param {string} fallback - Message for other errors
+   */
+  showApiError(error, fallback) {
+    if (error instanceof APIAbortError) {
+      return;
+    }
+
+    if (error instanceof APIAuthError && error.status === 401) {
+      this.showLogin('Please log in to load data.');
+    } else if (error instanceof APIAuthError) {
+      this.showError('Your account cannot load this data source.');
+    } else if (error instanceof APITimeoutError) {
+      this.showError(
+        `The API did not answer within ${
+          error.timeoutMs / 1000
+        }s. Try a shorter time range, or try again later.`
+      );
+    } else if (error instanceof APIRateLimitError) {
+      this.showError(
+        error.retryAfter
+          ? `Too many requests. Try again in ${error.retryAfter}s.`
+          : 'Too many requests. Try again shortly.'
+      );
+    } else if (error instanceof APIParameterError) {
+      this.showError(`The API rejected a parameter: ${error.message}`);
+    } else if (error instanceof APIError && error.status === 0) {
+      this.showError('Cannot reach the API. Is the proxy running?');
+    } else {
+      this.showError(fallback);
+    }
+  }
+
+  /**
+   * Setup the login screen and the header's user/log out controls
+   */
+  setupAuthControls() {
+    document.getElementById('login-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.login();
+    });
+
+    document
+      .getElementById('logout-btn')
+      .addEventListener('click', () => this.logout());
+
+    this.updateAuthStatus();
+  }
+
+  /**
+   * Show the login screen
+   */
+  showLogin(message) {
+    document.getElementById('login-message').textContent = message;
+    document.getElementById('login-error').textContent = '';
+    document.getElementById('login-screen').classList.remove('hidden');
+    document.getElementById('login-username').focus();
+  }
+
+  /**
+   * Log in with the form's credentials, then reload the data
+   */
+  async login() {
+    const username = document.getElementById('login-username').value.trim();
+    const passwordInput = document.getElementById('login-password');
+    const errorLine = document.getElementById('login-error');
+    const button = document.getElementById('login-btn');
+
+    button.disabled = true;
+    errorLine.textContent = '';
+
+    try {
+      await this.mapManager.apiClient.login(username, passwordInput.value);
+      passwordInput.value = '';
+      document.getElementById('login-screen').classList.add('hidden');
+      this.updateAuthStatus();
+      await this.refreshData();
+    } catch (error) {
+      console.error('Login failed:', error);
+      errorLine.textContent =
+        error.status === 401 ? 'Invalid username or password.' : error.message;
     } finally {
-      this.isLoading = false;
-      this.setRefreshButtonLoading(false);
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Forget the login token and ask for a new login
+   */
+  logout() {
+    this.authSession.clear();
+    this.updateAuthStatus();
+    this.showLogin('You have been logged out.');
+  }
+
+  /**
+   * Show the logged-in user (and role) in the header
+   */
+  updateAuthStatus() {
+    const user = this.authSession && this.authSession.getUser();
+    document.getElementById('auth-status').classList.toggle('hidden', !user);
+    document.getElementById('auth-user').textContent = user
+      ? `👤 ${user.name}${user.role === 'demo' ? ' (demo)' : ''}`
+      : '';
+  }
+
+  /**
+   * Listen for map moves and browser back/forward
+   */
+  setupPermalinkListeners() {
+    // Map moves replace the current history entry (no entry per pan)
+    this.mapManager.map.on('moveend', () => {
+      this.updatePermalink(false);
+    });
+
+    window.addEventListener('popstate', () => {
+      this.applyPermalink(window.location.hash);
+      this.refreshData();
+    });
+  }
+
+  /**
+   * Write current settings and view to the URL hash
+   * @param {boolean} push - Create a new history entry instead of replacing
+   */
+  updatePermalink(push) {
+    const hash = this.permalink.encode(
+      this.currentSettings,
+      this.mapManager.getViewState()
+    );
+
+    if (hash === window.location.hash) return;
+
+    if (push) {
+      history.pushState(null, '', hash);
+    } else {
+      history.replaceState(null, '', hash);
+    }
+  }
+
+  /**
+   * Apply settings and view from a URL hash
+   */
+  applyPermalink(hash) {
+    const { settings, view } = this.permalink.decode(hash);
+
+    // Missing keys fall back to defaults so back/forward fully restores state
+    this.currentSettings = { ...this.defaultSettings, ...settings };
+    this.syncControlsFromSettings();
+
+    if (view) {
+      this.mapManager.setViewState(view);
+      this.updateProjectionButton(this.mapManager.getProjection());
     }
   }
 
+  /**
+   * Update all sidebar controls to match currentSettings
+   */
+  syncControlsFromSettings() {
+    const settings = this.currentSettings;
+
+    const setValue = (id, value, labelId = null) => {
+      document.getElementById(id).value = value;
+      if (labelId) {
+        document.getElementById(labelId).textContent = value;
+      }
+    };
+    const setChecked = (id, checked) => {
+      document.getElementById(id).checked = checked;
+    };
+
+    setValue('data-source', settings.dataSource);
+    setValue('lookback-hours', settings.lookback_hours, 'hours-value');
+    setValue('n-obs-min', settings.n_obs_min, 'n-obs-value');
+    setValue('altitude-filter', settings.altitudes);
+    setValue(
+      'max-ratio-bad',
+      Math.round(settings.max_ratio_bad * 100),
+      'max-ratio-bad-value'
+    );
+    setValue('max-n-bad', settings.max_n_bad, 'max-n-bad-value');
+    setValue('h3-resolution', settings.resolution, 'h3-resolution-value');
+    setValue('h3-coords-source', settings.coordinates_source);
+    setValue(
+      'h3-time-diff-before',
+      settings.max_time_diff_before_sec,
+      'h3-time-diff-before-value'
+    );
+    setValue(
+      'h3-time-diff-after',
+      settings.max_time_diff_after_sec,
+      'h3-time-diff-after-value'
+    );
+
+    setValue(
+      'jamming-period-start',
+      toDateTimeInputValue(settings.period_start)
+    );
+    setValue('jamming-period-end', toDateTimeInputValue(settings.period_end));
+    setValue('spoofing-start-time', toDateTimeInputValue(settings.start_time));
+    setValue('spoofing-end-time', toDateTimeInputValue(settings.end_time));
+
+    setChecked('toggle-show-no-coverage', settings.show_no_coverage);
+    setChecked('toggle-altitude-summed', settings.altitude_summed);
+    setChecked('toggle-hours-summed', settings.hours_summed);
+    setChecked('toggle-grouped', settings.grouped);
+    setChecked('toggle-full-output', settings.full_output);
+    setChecked('toggle-by-date', settings.by_date);
+    setChecked('toggle-union-severity', settings.unionBySeverity);
+    setChecked('toggle-spoofing-fade', settings.spoofingFadeByAge);
+    setValue('extrusion-metric', settings.extrusionMetric || '');
+    setValue(
+      'jamming-aggregate-resolution',
+      settings.aggregateResolution === null ? '' : settings.aggregateResolution
+    );
+    setValue('h3-kring', settings.h3Kring);
+    setChecked('toggle-auto-resolution', settings.autoResolution);
+
+    // Empty filter arrays mean "all checked"
+    document.querySelectorAll('.segment-checkbox').forEach((cb) => {
+      cb.checked =
+        settings.spoofingSegments.length === 0 ||
+        settings.spoofingSegments.includes(cb.value);
+    });
+    document.querySelectorAll('.severity-checkbox').forEach((cb) => {
+      cb.checked =
+        settings.jammingSeverityLevels.length === 0 ||
+        settings.jammingSeverityLevels.includes(cb.value);
+    });
+
+    this.updateControlsVisibility(settings.dataSource);
+    this.updateLayerControls();
+    this.applySpoofingFade();
+    this.applyExtrusion();
+    this.applyAutoResolution();
+    this.updateLegend(settings.dataSource);
+    this.updateStatsLabels(settings.dataSource);
+  }
+
   /**
    * Update statistics panel labels based on data source
    */
@@ -424,44 +1870,31 @@ class App {
    * Update statistics panel
    */
   updateStats(stats, metadata) {
-    document.getElementById('stat-cells').textContent = (
-      stats.totalCells || 0
-    ).toLocaleString();
-
-    // Handle different stat types based on data source
-    if (stats.totalAffected !== undefined) {
-      // H3 mode: show total affected flights
-      document.getElementById('stat-aircraft').textContent =
-        stats.totalAffected.toLocaleString();
-    } else if (stats.uniqueAircraft !== undefined) {
-      // Jamming or coverage mode
-      document.getElementById('stat-aircraft').textContent =
-        stats.uniqueAircraft.toLocaleString();
-    } else {
-      document.getElementById('stat-aircraft').textContent = '0';
-    }
-
-    // Handle high severity/count cells
-    if (stats.highCountCells !== undefined) {
-      // H3 mode: high count cells (10+)
-      document.getElementById('stat-high').textContent =
-        stats.highCountCells.toLocaleString();
-    } else if (stats.highSeverityCells !== undefined) {
-      // Jamming/spoofing agg mode
-      document.getElementById('stat-high').textContent =
-        stats.highSeverityCells.toLocaleString();
-    } else {
-      document.getElementById('stat-high').textContent = '0';
+    const values = this.getStatValues(stats);
+    document.getElementById('stat-cells').textContent = values.cells;
+    document.getElementById('stat-aircraft').textContent = values.aircraft;
+    document.getElementById('stat-high').textContent = values.high;
+
+    // Changes since the previous refresh (jamming/agg with the same query)
+    document.getElementById('stat-changes-item').style.display = stats.changes
+      ? 'flex'
+      : 'none';
+    if (stats.changes) {
+      document.getElementById('stat-changes').textContent = this.formatChanges(
+        stats.changes
+      );
     }
 
     const now = new Date();
+    const updatedText = now.toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'UTC',
+      timeZoneName: 'short',
+    });
+    // Flag data served from recorded fixtures (proxy --replay)
     document.getElementById('stat-updated').textContent =
-      now.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        timeZone: 'UTC',
-        timeZoneName: 'short',
-      });
+      metadata && metadata.replayed ? `${updatedText} (replay)` : updatedText;
 
     // Calculate and display response size
     if (this.currentJsonData) {
@@ -476,6 +1909,49 @@ class App {
     }
   }
 
+  /**
+   * Display values for the three stat rows (layers report different fields)
+   */
+  getStatValues(stats) {
+    let aircraft = 0;
+    if (stats.totalAffected !== undefined) {
+      // H3 mode: show total affected flights
+      aircraft = stats.totalAffected;
+    } else if (stats.uniqueAircraft !== undefined) {
+      // Jamming or coverage mode
+      aircraft = stats.uniqueAircraft;
+    }
+
+    let high = 0;
+    if (stats.highCountCells !== undefined) {
+      // H3 mode: high count cells (10+)
+      high = stats.highCountCells;
+    } else if (stats.highSeverityCells !== undefined) {
+      // Jamming/spoofing agg mode
+      high = stats.highSeverityCells;
+    }
+
+    return {
+      cells: (stats.totalCells || 0).toLocaleString(),
+      aircraft: aircraft.toLocaleString(),
+      high: high.toLocaleString(),
+    };
+  }
+
+  /**
+   * Summarize diff counts, e.g. "+2 new high, +5 new, ▲1, ▼3, −4 gone"
+   */
+  formatChanges(changes) {
+    const parts = [];
+    if (changes.newHigh) parts.push(`+${changes.newHigh} new high`);
+    if (changes.new) parts.push(`+${changes.new} new`);
+    if (changes.escalated) parts.push(`▲${changes.escalated}`);
+    if (changes.deescalated) parts.push(`▼${changes.deescalated}`);
+    if (changes.gone) parts.push(`−${changes.gone} gone`);
+
+    return parts.length > 0 ? parts.join(', ') : 'No changes';
+  }
+
   /**
    * Format bytes to human-readable string
    */
@@ -578,6 +2054,11 @@ class App {
       }
     });
 
+    if (tabName === 'alerts') {
+      this.unseenAlerts = 0;
+      this.updateAlertBadge();
+    }
+
     console.log('Switched to tab:', tabName);
   }
 
@@ -822,51 +2303,22 @@ class App {
     const table = document.getElementById('data-table');
     const countDisplay = document.getElementById('data-count');
 
-    if (!data || !data.features || data.features.length === 0) {
-      table.innerHTML = `
-        <thead><tr><th>No data available</th></tr></thead>
-        <tbody><tr><td>Load data using the controls to see results</td></tr></tbody>
-      `;
-      countDisplay.textContent = '0 records';
-      return;
-    }
-
-    let features = [...data.features]; // Clone array
-    countDisplay.textContent = `${features.length} records`;
-
-    // Extract all unique property keys from features
-    const propertyKeys = new Set();
-    features.forEach((feature) => {
-      if (feature.properties) {
-        Object.keys(feature.properties).forEach((key) => propertyKeys.add(key));
-      }
-    });
-
-    // Separate h3_index/h3_indices and other index fields from regular properties
-    const indexFields = [];
-    const regularProperties = [];
-
-    Array.from(propertyKeys)
-      .sort()
-      .forEach((key) => {
-        // Check for index fields (both singular and plural)
-        if (
-          key === 'h3_index' ||
-          key === 'h3_indices' ||
-          key.endsWith('_index') ||
-          key.endsWith('_indices')
-        ) {
-          indexFields.push(key);
-        } else {
-          regularProperties.push(key);
-        }
-      });
+    if (!data || !data.features || data.features.length === 0) {
+      table.innerHTML = `
+        <thead><tr><th>No data available</th></tr></thead>
+        <tbody><tr><td>Load data using the controls to see results</td></tr></tbody>
+      `;
+      countDisplay.textContent = '0 records';
+      return;
+    }
+
+    let features = [...data.features]; // Clone array
+    countDisplay.textContent = `${features.length} records`;
 
     // Build column headers: id, regular properties, h3_index/indices, type, geometry
     const columns = [
       'id',
-      ...regularProperties,
-      ...indexFields,
+      ...this.getPropertyColumns(features),
       'type',
       'geometry',
     ];
@@ -956,6 +2408,42 @@ class App {
     });
   }
 
+  /**
+   * Get property columns in table order: regular properties (sorted), then
+   * h3_index/h3_indices and other index fields
+   */
+  getPropertyColumns(features) {
+    // Extract all unique property keys from features
+    const propertyKeys = new Set();
+    features.forEach((feature) => {
+      if (feature.properties) {
+        Object.keys(feature.properties).forEach((key) => propertyKeys.add(key));
+      }
+    });
+
+    // Separate h3_index/h3_indices and other index fields from regular properties
+    const indexFields = [];
+    const regularProperties = [];
+
+    Array.from(propertyKeys)
+      .sort()
+      .forEach((key) => {
+        // Check for index fields (both singular and plural)
+        if (
+          key === 'h3_index' ||
+          key === 'h3_indices' ||
+          key.endsWith('_index') ||
+          key.endsWith('_indices')
+        ) {
+          indexFields.push(key);
+        } else {
+          regularProperties.push(key);
+        }
+      });
+
+    return [...regularProperties, ...indexFields];
+  }
+
   /**
    * Sort table by column
    */
@@ -1071,20 +2559,419 @@ class App {
     }
   }
 
+  /**
+   * Download the current (filtered) dataset in the given format
+   * @param {string} format - geojson, csv, kml or shapefile
+   */
+  async downloadData(format) {
+    if (!this.currentJsonData || !this.currentJsonData.features) {
+      return;
+    }
+
+    const downloadBtn = document.getElementById('download-btn');
+    const timestamp = new Date()
+      .toISOString()
+      .slice(0, 16)
+      .replace(/[:T]/g, '');
+    const name = `gps-${this.currentSettings.dataSource.replace(
+      '/',
+      '-'
+    )}-${timestamp}`;
+    const { extension } = EXPORT_FORMATS[format];
+
+    try {
+      downloadBtn.disabled = true;
+
+      const blob = await this.exporter.export(
+        format,
+        this.currentJsonData,
+        this.getPropertyColumns(this.currentJsonData.features),
+        name
+      );
+      this.exporter.download(blob, `${name}.${extension}`);
+
+      console.log(`Exported ${format}: ${name}.${extension}`);
+    } catch (error) {
+      console.error(`Failed to export ${format}:`, error);
+      this.showError(`Failed to export ${EXPORT_FORMATS[format].label}.`);
+    } finally {
+      downloadBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Setup the alert rules editor, rule list and log
+   */
+  setupAlertControls() {
+    this.alertManager.onAlert = (entry) => {
+      console.log(`🔔 Alert: ${entry.ruleName} - ${entry.message}`);
+      if (this.currentActiveTab !== 'alerts') {
+        this.unseenAlerts++;
+        this.updateAlertBadge();
+      }
+    };
+
+    document
+      .getElementById('alert-source')
+      .addEventListener('change', () => this.updateAlertForm());
+
+    document.getElementById('add-alert-rule').addEventListener('click', () => {
+      this.addAlertRule();
+    });
+
+    document.getElementById('clear-alert-log').addEventListener('click', () => {
+      this.alertManager.clearLog();
+      this.renderAlerts();
+    });
+
+    this.updateAlertForm();
+    this.renderAlerts();
+  }
+
+  /**
+   * Adapt the rule form to the selected data source
+   */
+  updateAlertForm() {
+    const isJamming =
+      document.getElementById('alert-source').value === 'jamming/agg';
+
+    document.getElementById('alert-threshold-label').textContent = isJamming
+      ? 'Threshold (ratio_bad %):'
+      : 'Threshold (events):';
+    document.getElementById('alert-altitude-group').style.display = isJamming
+      ? 'block'
+      : 'none';
+  }
+
+  /**
+   * Create a rule from the form
+   */
+  async addAlertRule() {
+    const dataSource = document.getElementById('alert-source').value;
+    const thresholdValue = parseFloat(
+      document.getElementById('alert-threshold').value
+    );
+    if (isNaN(thresholdValue) || thresholdValue < 0) {
+      this.showError('Please enter a valid threshold.');
+      return;
+    }
+
+    const isJamming = dataSource === 'jamming/agg';
+    const notify = document.getElementById('alert-notify').checked;
+
+    this.alertManager.addRule({
+      name: document.getElementById('alert-name').value.trim(),
+      dataSource,
+      threshold: isJamming ? thresholdValue / 100 : thresholdValue,
+      altitude: isJamming
+        ? document.getElementById('alert-altitude').value || null
+        : null,
+      region: this.getAlertRegion(
+        document.getElementById('alert-region').value
+      ),
+      notify,
+    });
+
+    document.getElementById('alert-name').value = '';
+    this.renderAlerts();
+
+    // Permission prompts need a user gesture, so ask when a rule is added
+    if (notify) {
+      await this.alertManager.requestPermission();
+    }
+  }
+
+  /**
+   * Resolve the region option of the rule form to a polygon
+   */
+  getAlertRegion(option) {
+    if (option === 'view') {
+      return this.mapManager.getBoundsPolygon();
+    }
+    if (option === 'analysis') {
+      return this.analysisRegion;
+    }
+    return null;
+  }
+
+  /**
+   * Render the rule list and alert log
+   */
+  renderAlerts() {
+    const rulesList = document.getElementById('alert-rules-list');
+    const logList = document.getElementById('alert-log-list');
+    rulesList.innerHTML = '';
+    logList.innerHTML = '';
+
+    if (this.alertManager.rules.length === 0) {
+      rulesList.innerHTML = '<li class="empty">No rules yet</li>';
+    }
+
+    this.alertManager.rules.forEach((rule) => {
+      const item = document.createElement('li');
+      item.classList.toggle('active', rule.enabled && rule.active);
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = rule.enabled;
+      toggle.title = 'Enabled';
+      toggle.addEventListener('change', () => {
+        this.alertManager.updateRule(rule.id, { enabled: toggle.checked });
+        this.renderAlerts();
+      });
+
+      const text = document.createElement('div');
+      text.className = 'alert-text';
+      text.textContent = rule.name;
+      const condition = document.createElement('small');
+      condition.textContent = this.alertManager.describeCondition(rule);
+      text.appendChild(condition);
+
+      const remove = document.createElement('button');
+      remove.className = 'btn-secondary btn-small';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => {
+        this.alertManager.removeRule(rule.id);
+        this.renderAlerts();
+      });
+
+      item.append(toggle, text, remove);
+      rulesList.appendChild(item);
+    });
+
+    if (this.alertManager.log.length === 0) {
+      logList.innerHTML = '<li class="empty">No alerts yet</li>';
+    }
+
+    this.alertManager.log.forEach((entry) => {
+      const item = document.createElement('li');
+
+      const time = document.createElement('span');
+      time.className = 'alert-time';
+      time.textContent = formatTimestamp(entry.time);
+
+      const text = document.createElement('div');
+      text.className = 'alert-text';
+      text.textContent = entry.ruleName;
+      const message = document.createElement('small');
+      message.textContent = entry.message;
+      text.appendChild(message);
+
+      item.append(time, text);
+      logList.appendChild(item);
+    });
+  }
+
+  /**
+   * Show the number of unseen alerts on the Alerts tab
+   */
+  updateAlertBadge() {
+    const badge = document.getElementById('alert-badge');
+    badge.textContent = this.unseenAlerts;
+    badge.classList.toggle('hidden', this.unseenAlerts === 0);
+  }
+
+  /**
+   * Setup area analysis: drawing, bounding box and saved areas
+   */
+  setupAreaControls() {
+    this.mapManager.onRegionDrawn((geometry) => {
+      this.setAnalysisRegion(geometry, false);
+    });
+
+    document.getElementById('area-draw-btn').addEventListener('click', () => {
+      if (!this.mapManager.draw) {
+        this.showError(
+          'Area drawing is not available (MapboxDraw not loaded).'
+        );
+        return;
+      }
+      this.switchTab('map');
+      this.mapManager.startDrawing();
+    });
+
+    document.getElementById('area-view-btn').addEventListener('click', () => {
+      this.setAnalysisRegion(this.mapManager.getBoundsPolygon());
+    });
+
+    document.getElementById('area-clear-btn').addEventListener('click', () => {
+      document.getElementById('area-saved').value = '';
+      this.setAnalysisRegion(null);
+    });
+
+    document.getElementById('area-bbox-btn').addEventListener('click', () => {
+      const [west, south, east, north] = [
+        'area-west',
+        'area-south',
+        'area-east',
+        'area-north',
+      ].map((id) => parseFloat(document.getElementById(id).value));
+      const polygon = this.regionAnalyzer.bboxToPolygon(
+        west,
+        south,
+        east,
+        north
+      );
+
+      if (!polygon) {
+        this.showError(
+          'Please enter a valid bounding box (W < E, S < N, in degrees).'
+        );
+        return;
+      }
+      this.setAnalysisRegion(polygon);
+    });
+
+    document.getElementById('area-saved').addEventListener('change', (e) => {
+      const region = this.regionAnalyzer.getRegion(e.target.value);
+      if (region) {
+        document.getElementById('area-name').value = region.name;
+        this.setAnalysisRegion(region.geometry);
+      }
+    });
+
+    document.getElementById('area-save-btn').addEventListener('click', () => {
+      const name = document.getElementById('area-name').value.trim();
+      if (!this.analysisRegion || !name) {
+        this.showError('Select an area and enter a name to save it.');
+        return;
+      }
+
+      const region = this.regionAnalyzer.saveRegion(name, this.analysisRegion);
+      this.renderSavedAreas();
+      document.getElementById('area-saved').value = region.id;
+    });
+
+    document.getElementById('area-delete-btn').addEventListener('click', () => {
+      const select = document.getElementById('area-saved');
+      if (!select.value) return;
+
+      this.regionAnalyzer.removeRegion(select.value);
+      document.getElementById('area-name').value = '';
+      this.renderSavedAreas();
+    });
+
+    this.renderSavedAreas();
+  }
+
+  /**
+   * Set (or clear) the analysis area and recompute its statistics
+   * @param {boolean} show - Draw the area outline on the map
+   */
+  setAnalysisRegion(geometry, show = true) {
+    this.analysisRegion = geometry;
+    if (show) {
+      this.mapManager.showRegion(geometry);
+    }
+    this.updateAreaAnalysis();
+  }
+
+  /**
+   * Compute statistics for the analysis area from the loaded data
+   */
+  updateAreaAnalysis() {
+    const results = document.getElementById('area-results');
+    const hint = document.getElementById('area-hint');
+
+    if (!this.analysisRegion || !this.currentJsonData) {
+      results.classList.add('hidden');
+      hint.classList.remove('hidden');
+      return;
+    }
+
+    const dataSource = this.currentSettings.dataSource;
+    const layer = this.mapManager.layerManager.getLayer(dataSource);
+    const clipped = this.regionAnalyzer.clip(
+      this.currentJsonData,
+      this.analysisRegion
+    );
+
+    // Same statistics (and labels) as the global stats panel
+    const values = this.getStatValues(
+      layer.calculateStats(clipped, dataSource)
+    );
+    ['cells', 'aircraft', 'high'].forEach((name) => {
+      document.getElementById(`area-${name}`).textContent = values[name];
+      document.getElementById(`area-${name}-label`).textContent =
+        document.getElementById(`stat-${name}-label`).textContent;
+    });
+    document.getElementById('area-aircraft-item').style.display = document
+      .getElementById('stat-aircraft-label')
+      .closest('.stat-item').style.display;
+    document.getElementById('area-high-item').style.display =
+      document.getElementById('stat-high-item').style.display;
+
+    // ratio_bad histogram (jamming aggregated data only)
+    const showHistogram = dataSource === 'jamming/agg';
+    document.getElementById('area-histogram-group').style.display =
+      showHistogram ? 'block' : 'none';
+    if (showHistogram) {
+      this.renderHistogram(this.regionAnalyzer.histogram(clipped.features));
+    }
+
+    results.classList.remove('hidden');
+    hint.classList.add('hidden');
+  }
+
+  /**
+   * Render ratio_bad histogram bars
+   */
+  renderHistogram(bins) {
+    const container = document.getElementById('area-histogram');
+    const maxCount = Math.max(1, ...bins.map((bin) => bin.count));
+
+    container.innerHTML = bins
+      .map((bin) => {
+        const height = (bin.count / maxCount) * 100;
+        const color = getColorForRatio(bin.min);
+        const range = `${formatPercentage(bin.min)}-${formatPercentage(
+          bin.max
+        )}`;
+        return `<div class="area-histogram-bar" style="height: ${height}%; background: ${color}" title="${range}: ${bin.count} cells"></div>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Fill the saved areas dropdown
+   */
+  renderSavedAreas() {
+    const select = document.getElementById('area-saved');
+    const selected = select.value;
+
+    select.innerHTML = '<option value="">Select a saved area…</option>';
+    this.regionAnalyzer.savedRegions.forEach((region) => {
+      const option = document.createElement('option');
+      option.value = region.id;
+      option.textContent = region.name;
+      select.appendChild(option);
+    });
+
+    select.value = this.regionAnalyzer.getRegion(selected) ? selected : '';
+  }
+
   /**
    * Toggle map projection (globe/flat)
    */
   toggleMapProjection() {
     const newProjection = this.mapManager.toggleProjection();
+    this.updateProjectionButton(newProjection);
+    this.updatePermalink(false);
+
+    console.log('Map projection changed to:', newProjection);
+  }
+
+  /**
+   * Update projection button label
+   */
+  updateProjectionButton(projection) {
     const btn = document.getElementById('toggle-projection');
 
-    if (newProjection === 'globe') {
+    if (projection === 'globe') {
       btn.textContent = '🌍 Globe';
     } else {
       btn.textContent = '🗺️ Flat';
     }
-
-    console.log('Map projection changed to:', newProjection);
   }
 
   /**
@@ -1107,94 +2994,102 @@ class App {
   }
 
   /**
-   * Update legend based on data source
+   * Update legend: one section per shown layer, selected data source first
    */
   updateLegend(dataSource) {
-    const legend = document.getElementById('map-legend');
-    const isCoverage = dataSource === 'jamming/coverage';
-    const isSpoofing = dataSource.startsWith('spoofing/');
+    const sources = [
+      dataSource,
+      ...Object.keys(DATA_LAYERS).filter(
+        (source) =>
+          source !== dataSource && this.currentSettings.layers.includes(source)
+      ),
+    ];
 
-    if (isSpoofing) {
-      const isH3 = dataSource === 'spoofing/h3';
-      const showBoth = this.currentSettings.showBothSpoofingLayers;
-
-      if (showBoth) {
-        // Both layers legend (combined)
-        legend.innerHTML = `
-          <h4>Spoofing (Both Layers)</h4>
-          <div style="margin-top: 0.5rem; font-weight: 600;">Flight Events:</div>
-          <div class="legend-item">
-            <span class="legend-color" style="background: #f59e0b; width: 30px; height: 3px; border-radius: 0;"></span>
-            <span>Flight Path</span>
-          </div>
-          <div class="legend-item">
-            <span class="legend-color" style="background: #dc2626; border: 2px solid #fff; border-radius: 50%;"></span>
-            <span>Event Location</span>
-          </div>
-          <div style="margin-top: 0.5rem; font-weight: 600;">H3 Grid:</div>
-          <div class="legend-item">
-            <span class="legend-color" style="background: #fef3c7"></span>
-            <span>1-5 Flights</span>
-          </div>
-          <div class="legend-item">
-            <span class="legend-color" style="background: #fbbf24"></span>
-            <span>5-10 Flights</span>
-          </div>
-          <div class="legend-item">
-            <span class="legend-color" style="background: #f59e0b"></span>
-            <span>10-20 Flights</span>
-          </div>
-          <div class="legend-item">
-            <span class="legend-color" style="background: #d97706"></span>
-            <span>20-50 Flights</span>
-          </div>
+    document.getElementById('map-legend').innerHTML = sources
+      .map((source) => this.getLegendSection(source))
+      .join('');
+  }
+
+  /**
+   * Legend HTML for one data source
+   */
+  getLegendSection(dataSource) {
+    if (dataSource === 'spoofing/h3') {
+      return `
+        <h4>Spoofing H3 Grid</h4>
+        <div class="legend-item">
+          <span class="legend-color" style="background: #fef3c7"></span>
+          <span>1-5 Flights</span>
+        </div>
+        <div class="legend-item">
+          <span class="legend-color" style="background: #fbbf24"></span>
+          <span>5-10 Flights</span>
+        </div>
+        <div class="legend-item">
+          <span class="legend-color" style="background: #f59e0b"></span>
+          <span>10-20 Flights</span>
+        </div>
+        <div class="legend-item">
+          <span class="legend-color" style="background: #d97706"></span>
+          <span>20-50 Flights</span>
+        </div>
+        <div class="legend-item">
+          <span class="legend-color" style="background: #dc2626"></span>
+          <span>50+ Flights</span>
+        </div>
+      `;
+    }
+
+    if (dataSource === 'spoofing/agg') {
+      const { SEGMENTS, DURATION_WIDTHS } = CONFIG.SPOOFING;
+
+      // Segment colors (during-only events are points, the rest paths)
+      let html = '<h4>Spoofing Events</h4>';
+      Object.entries(SEGMENTS).forEach(([segment, style]) => {
+        const swatch =
+          segment === 'during'
+            ? `background: ${style.color}; border: 2px solid #fff; border-radius: 50%;`
+            : `background: ${style.color}; width: 30px; height: 3px; border-radius: 0;`;
+        html += `
           <div class="legend-item">
-            <span class="legend-color" style="background: #dc2626"></span>
-            <span>50+ Flights</span>
+            <span class="legend-color" style="${swatch}"></span>
+            <span>${style.label}</span>
           </div>
         `;
-      } else if (isH3) {
-        // H3 Grid legend
-        legend.innerHTML = `
-          <h4>Spoofing H3 Grid</h4>
-          <div class="legend-item">
-            <span class="legend-color" style="background: #fef3c7"></span>
-            <span>1-5 Flights</span>
-          </div>
-          <div class="legend-item">
-            <span class="legend-color" style="background: #fbbf24"></span>
-            <span>5-10 Flights</span>
-          </div>
-          <div class="legend-item">
-            <span class="legend-color" style="background: #f59e0b"></span>
-            <span>10-20 Flights</span>
-          </div>
-          <div class="legend-item">
-            <span class="legend-color" style="background: #d97706"></span>
-            <span>20-50 Flights</span>
-          </div>
+      });
+
+      html +=
+        '<div style="margin-top: 0.5rem; font-weight: 600;">Spoofing Duration:</div>';
+      DURATION_WIDTHS.forEach((bucket) => {
+        html += `
           <div class="legend-item">
-            <span class="legend-color" style="background: #dc2626"></span>
-            <span>50+ Flights</span>
+            <span class="legend-color" style="background: #9ca3af; width: 30px; height: ${bucket.width}px; border: none; border-radius: 0;"></span>
+            <span>${bucket.label}</span>
           </div>
         `;
-      } else {
-        // Spoofing agg legend
-        legend.innerHTML = `
-          <h4>Spoofing Events</h4>
-          <div class="legend-item">
-            <span class="legend-color" style="background: #f59e0b; width: 30px; height: 3px; border-radius: 0;"></span>
-            <span>Flight Path</span>
-          </div>
+      });
+
+      html += `
+        <div class="legend-item">
+          <span class="legend-color" style="background: transparent; border: none; width: 30px; height: auto; text-align: center; font-weight: 700;">&gt;</span>
+          <span>Direction of Travel</span>
+        </div>
+      `;
+
+      if (this.currentSettings.spoofingFadeByAge) {
+        html += `
           <div class="legend-item">
-            <span class="legend-color" style="background: #dc2626; border: 2px solid #fff; border-radius: 50%;"></span>
-            <span>Event Location</span>
+            <span class="legend-color" style="background: linear-gradient(to right, rgba(156, 163, 175, ${CONFIG.SPOOFING.FADE_MIN_OPACITY}), #9ca3af); width: 30px; height: 8px; border: none;"></span>
+            <span>Older → Newer</span>
           </div>
         `;
       }
-    } else if (isCoverage) {
-      // Coverage legend
-      legend.innerHTML = `
+
+      return html;
+    }
+
+    if (dataSource === 'jamming/coverage') {
+      return `
         <h4>Coverage Areas</h4>
         <div class="legend-item">
           <span class="legend-color" style="background: #10b981"></span>
@@ -1205,24 +3100,63 @@ class App {
           <span>No Coverage</span>
         </div>
       `;
-    } else {
-      // Jamming aggregated legend (3 levels)
-      legend.innerHTML = `
-        <h4>Jamming Severity</h4>
+    }
+
+    // Jamming aggregated legend (3 levels)
+    let html = `
+      <h4>Jamming Severity</h4>
+      <div class="legend-item">
+        <span class="legend-color" style="background: #E5E7EB"></span>
+        <span>Zero (0%-1%)</span>
+      </div>
+      <div class="legend-item">
+        <span class="legend-color" style="background: #FCD34D"></span>
+        <span>Low (1%-10%)</span>
+      </div>
+      <div class="legend-item">
+        <span class="legend-color" style="background: #DC2626"></span>
+        <span>High (10%-100%)</span>
+      </div>
+    `;
+
+    const metric = this.currentSettings.extrusionMetric;
+    if (metric && dataSource === 'jamming/agg') {
+      html += `
+        <div style="margin-top: 0.5rem; font-weight: 600;">3D Height:</div>
+        <div class="legend-item">
+          <span class="legend-color" style="background: linear-gradient(to top, #4b5563, #E5E7EB); width: 10px; height: 24px;"></span>
+          <span>${CONFIG.JAMMING.EXTRUSION.METRICS[metric]} (relative to the tallest cell)</span>
+        </div>
+      `;
+    }
+
+    if (
+      this.mapManager &&
+      this.mapManager.jammingLayer.styleMode === 'changes'
+    ) {
+      const colors = CONFIG.JAMMING.CHANGE_COLORS;
+      html += `
+        <div style="margin-top: 0.5rem; font-weight: 600;">Since Last Refresh:</div>
+        <div class="legend-item">
+          <span class="legend-color" style="background: transparent; border: 2px solid ${colors.new}"></span>
+          <span>New</span>
+        </div>
         <div class="legend-item">
-          <span class="legend-color" style="background: #E5E7EB"></span>
-          <span>Zero (0%-1%)</span>
+          <span class="legend-color" style="background: transparent; border: 2px solid ${colors.escalated}"></span>
+          <span>Escalated</span>
         </div>
         <div class="legend-item">
-          <span class="legend-color" style="background: #FCD34D"></span>
-          <span>Low (1%-10%)</span>
+          <span class="legend-color" style="background: transparent; border: 2px solid ${colors.deescalated}"></span>
+          <span>De-escalated</span>
         </div>
         <div class="legend-item">
-          <span class="legend-color" style="background: #DC2626"></span>
-          <span>High (10%-100%)</span>
+          <span class="legend-color" style="background: transparent; border: 2px dashed ${colors.gone}"></span>
+          <span>Gone</span>
         </div>
       `;
     }
+
+    return html;
   }
 
   /**
@@ -1245,9 +3179,7 @@ class App {
     const showNoCoverageGroup = document.getElementById(
       'coverage-show-no-coverage'
     );
-    const groupingSection = document.querySelector(
-      '.control-group .section-label'
-    ).parentElement;
+    const groupingSection = document.getElementById('grouping-section');
     const groupedToggleGroup = document
       .getElementById('toggle-grouped')
       .closest('.control-group');
@@ -1262,9 +3194,10 @@ class App {
       .closest('.control-group');
     const outputSection = fullOutputGroup.previousElementSibling; // The "Output Options" section
 
-    // Date range placeholder controls
+    // Date range controls
     const jammingDateRange = document.getElementById('jamming-date-range');
     const spoofingDateRange = document.getElementById('spoofing-date-range');
+    const jammingByDateGroup = document.getElementById('jamming-by-date-group');
 
     // Spoofing segment filter
     const spoofingSegmentFilter = document.getElementById(
@@ -1278,6 +3211,7 @@ class App {
     const jammingUnionSeverity = document.getElementById(
       'jamming-union-severity'
     );
+    const jammingExtrusion = document.getElementById('jamming-extrusion');
 
     // H3 control groups
     const h3Options = document.getElementById('h3-options');
@@ -1294,11 +3228,6 @@ class App {
 
     const isH3 = dataSource === 'spoofing/h3';
 
-    // Spoofing "both layers" control
-    const spoofingBothLayersGroup = document.getElementById(
-      'spoofing-both-layers'
-    );
-
     if (isSpoofing) {
       // For spoofing: hide all jamming controls
       nObsMinGroup.style.display = 'none';
@@ -1314,9 +3243,7 @@ class App {
       document.getElementById('group-max-n-bad').style.display = 'none';
       jammingSeverityFilter.style.display = 'none';
       jammingUnionSeverity.style.display = 'none';
-
-      // Show "both layers" option for spoofing
-      spoofingBothLayersGroup.style.display = 'block';
+      jammingExtrusion.style.display = 'none';
 
       // Show/hide spoofing-specific controls based on type
       jammingDateRange.style.display = 'none';
@@ -1360,17 +3287,18 @@ class App {
       document.getElementById('group-max-ratio-bad').style.display = 'none';
       document.getElementById('group-max-n-bad').style.display = 'none';
 
-      // Hide date range placeholders (coverage doesn't support date ranges)
-      jammingDateRange.style.display = 'none';
+      // Show jamming date range (by_date breakdown is agg only)
+      jammingDateRange.style.display = 'block';
+      jammingByDateGroup.style.display = 'none';
       spoofingDateRange.style.display = 'none';
 
       // Hide spoofing-specific controls
-      spoofingBothLayersGroup.style.display = 'none';
       spoofingSegmentFilter.style.display = 'none';
 
       // Hide jamming severity filter (not for coverage)
       jammingSeverityFilter.style.display = 'none';
       jammingUnionSeverity.style.display = 'none';
+      jammingExtrusion.style.display = 'none';
 
       // Hide H3 controls
       h3Options.style.display = 'none';
@@ -1399,16 +3327,17 @@ class App {
       // Hide coverage-specific controls
       showNoCoverageGroup.style.display = 'none';
 
-      // Show jamming date range placeholder
+      // Show jamming date range
       jammingDateRange.style.display = 'block';
+      jammingByDateGroup.style.display = 'flex';
       spoofingDateRange.style.display = 'none';
 
       // Show jamming severity filter (for agg only)
       jammingSeverityFilter.style.display = 'block';
       jammingUnionSeverity.style.display = 'block';
+      jammingExtrusion.style.display = 'block';
 
       // Hide spoofing-specific controls
-      spoofingBothLayersGroup.style.display = 'none';
       spoofingSegmentFilter.style.display = 'none';
 
       // Hide H3 controls
@@ -1421,6 +3350,9 @@ class App {
       // Update grouping controls based on current grouped state
       this.toggleGroupingControls(this.currentSettings.grouped);
     }
+
+    // Lookback slider may be replaced by the date range of this source
+    this.updateLookbackState();
   }
 
   /**
@@ -0,0 +1,66 @@
+// Auth Session - Proxy login token, kept in localStorage
+class AuthSession {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Decode a token's payload ({ sub, role, exp }); the signature is only
+   * checked by the proxy
+   * @returns {Object|null}
+   */
+  static decode(token) {
+    try {
+      const body = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(atob(body.padEnd(Math.ceil(body.length / 4) * 4, '=')));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Stored token, or null when missing or expired (an expired one is dropped)
+   */
+  getToken(now = Date.now()) {
+    const token = this.storage.getItem(CONFIG.AUTH.TOKEN_KEY);
+    if (!token) return null;
+
+    const payload = AuthSession.decode(token);
+    if (!payload || !payload.exp || payload.exp * 1000 <= now) {
+      this.clear();
+      return null;
+    }
+
+    return token;
+  }
+
+  /**
+   * Logged-in user
+   * @returns {{name: string, role: string, expiresAt: Date}|null}
+   */
+  getUser(now = Date.now()) {
+    const token = this.getToken(now);
+    if (!token) return null;
+
+    const payload = AuthSession.decode(token);
+    return {
+      name: payload.sub,
+      role: payload.role,
+      expiresAt: new Date(payload.exp * 1000),
+    };
+  }
+
+  /**
+   * Keep a token from a login
+   */
+  setToken(token) {
+    this.storage.setItem(CONFIG.AUTH.TOKEN_KEY, token);
+  }
+
+  /**
+   * Forget the token (log out)
+   */
+  clear() {
+    this.storage.removeItem(CONFIG.AUTH.TOKEN_KEY);
+  }
+}
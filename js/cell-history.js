@@ -0,0 +1,208 @@
+// Cell History - Hourly ratio_bad / n_obs breakdown of one jamming cell
+class CellHistory {
+  constructor(apiClient) {
+    this.apiClient = apiClient;
+    this.cache = null; // { key, promise } of the last hourly query
+  }
+
+  /**
+   * Hourly query for the same window and altitude as the map's settings
+   */
+  getQuery(settings) {
+    return {
+      ...settings,
+      hours_summed: false,
+      altitude_summed: false,
+      grouped: false, // One feature per h3_index
+    };
+  }
+
+  /**
+   * Fetch the hourly data (shared by every cell of the same query)
+   * @returns {Promise<Object>} GeoJSON FeatureCollection
+   */
+  fetchHourly(settings) {
+    const query = this.getQuery(settings);
+    const key = JSON.stringify(query);
+
+    if (!this.cache || this.cache.key !== key) {
+      const promise = this.apiClient
+        .getJammingData(query)
+        .then((response) => response.data);
+      this.cache = { key, promise };
+      // Let a failed query be retried on the next click
+      promise.catch(() => {
+        if (this.cache && this.cache.promise === promise) {
+          this.cache = null;
+        }
+      });
+    }
+
+    return this.cache.promise;
+  }
+
+  /**
+   * Forget the cached hourly data (e.g. after a refresh)
+   */
+  clear() {
+    this.cache = null;
+  }
+
+  /**
+   * Load a cell's hourly series per altitude band
+   * @returns {Promise<Object>} { hours, bands } (see extractSeries)
+   */
+  async load(h3Index, settings) {
+    const geojson = await this.fetchHourly(settings);
+    return this.extractSeries(geojson, h3Index);
+  }
+
+  /**
+   * Hourly points of one cell, grouped by altitude band
+   * @returns {{hours: Array<Date>, bands: Array<{altitude, points}>}}
+   *   hours spans the first to last hour of the whole query, so gaps show
+   *   as empty slots; points are { time, ratio_bad, n_obs } sorted by time
+   */
+  extractSeries(geojson, h3Index) {
+    const features = (geojson && geojson.features) || [];
+    const hourTimes = features
+      .map((feature) => getFeatureHour(feature))
+      .filter(Boolean)
+      .map((hour) => hour.getTime());
+
+    const bands = new Map();
+    features.forEach((feature) => {
+      const props = feature.properties || {};
+      if ((props.h3_index || feature.id) !== h3Index) return;
+
+      const hour = getFeatureHour(feature);
+      if (!hour) return;
+
+      const altitude = props.altitude || 'All';
+      if (!bands.has(altitude)) {
+        bands.set(altitude, []);
+      }
+      bands.get(altitude).push({
+        time: hour,
+        ratio_bad: props.ratio_bad || 0,
+        n_obs: props.n_obs ?? props.n_unique_ac ?? 0,
+      });
+    });
+
+    // reduce, not Math.min(...hourTimes): the query can span many cells
+    const first = hourTimes.reduce((a, b) => Math.min(a, b), Infinity);
+    const last = hourTimes.reduce((a, b) => Math.max(a, b), -Infinity);
+    const hours = [];
+    for (let t = first; t <= last; t += 3600000) {
+      hours.push(new Date(t));
+    }
+
+    return {
+      hours,
+      bands: Array.from(bands.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([altitude, points]) => ({
+          altitude,
+          points: points.sort((a, b) => a.time - b.time),
+        })),
+    };
+  }
+
+  /**
+   * Hours with jamming (ratio_bad at or above the low severity threshold)
+   * out of the hours with observations
+   */
+  summarize(points) {
+    const threshold = CONFIG.JAMMING.COLOR_SCALE[1].threshold;
+    return {
+      observedHours: points.length,
+      jammedHours: points.filter((point) => point.ratio_bad >= threshold)
+        .length,
+    };
+  }
+
+  /**
+   * Popup HTML: one chart per altitude band
+   */
+  render({ hours, bands }) {
+    if (bands.length === 0) {
+      return '<div class="cell-history-empty">No hourly data for this cell</div>';
+    }
+
+    const format = (date) => date.toISOString().slice(11, 16);
+    const axis = `
+      <div class="cell-history-axis">
+        <span>${format(hours[0])}</span>
+        <span>${format(hours[hours.length - 1])} UTC</span>
+      </div>
+    `;
+
+    return bands
+      .map((band) => {
+        const { observedHours, jammedHours } = this.summarize(band.points);
+        return `
+          <div class="cell-history-band">
+            <div class="cell-history-title">
+              <span>${band.altitude}</span>
+              <span>Jammed ${jammedHours}/${observedHours}h</span>
+            </div>
+            ${this.renderChart(band.points, hours)}
+          </div>
+        `;
+      })
+      .join('')
+      .concat(axis);
+  }
+
+  /**
+   * SVG chart: ratio_bad bars (severity colors) and an n_obs line, one slot
+   * per hour of the query
+   */
+  renderChart(points, hours) {
+    const { WIDTH, HEIGHT, OBS_COLOR } = CONFIG.CELL_HISTORY;
+    const slot = WIDTH / Math.max(hours.length, 1);
+    const slotOf = (time) =>
+      hours.findIndex((hour) => hour.getTime() === time.getTime());
+    // Bars scale to the band's worst hour (at least 10%)
+    const maxRatio = Math.max(0.1, ...points.map((p) => p.ratio_bad));
+    const maxObs = Math.max(1, ...points.map((p) => p.n_obs));
+
+    const bars = points
+      .map((point) => {
+        const height = Math.max(1, (point.ratio_bad / maxRatio) * HEIGHT);
+        return `<rect x="${(slotOf(point.time) * slot).toFixed(1)}" y="${(
+          HEIGHT - height
+        ).toFixed(1)}" width="${Math.max(1, slot - 1).toFixed(
+          1
+        )}" height="${height.toFixed(1)}" fill="${getColorForRatio(
+          point.ratio_bad
+        )}"><title>${point.time
+          .toISOString()
+          .slice(11, 16)} UTC · ${formatPercentage(point.ratio_bad)} · ${
+          point.n_obs
+        } obs</title></rect>`;
+      })
+      .join('');
+
+    const line = points
+      .map(
+        (point) =>
+          `${((slotOf(point.time) + 0.5) * slot).toFixed(1)},${(
+            HEIGHT -
+            (point.n_obs / maxObs) * HEIGHT
+          ).toFixed(1)}`
+      )
+      .join(' ');
+
+    return `
+      <svg class="cell-history-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" width="${WIDTH}" height="${HEIGHT}">
+        ${bars}
+        <polyline points="${line}" fill="none" stroke="${OBS_COLOR}" stroke-width="1.5" />
+      </svg>
+      <div class="cell-history-scale">
+        <span>Bars: ratio_bad (max ${formatPercentage(maxRatio)})</span>
+        <span style="color: ${OBS_COLOR}">Line: n_obs (max ${maxObs})</span>
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,283 @@
+// Compare Controller - Second jamming map (side B) kept in sync with the main map
+class CompareController {
+  constructor(map, apiClient, config) {
+    this.map = map; // Main map (side A)
+    this.apiClient = apiClient;
+    this.config = config;
+    this.containerId = 'compare-map';
+    this.compareMap = null; // Side B map (only while comparing)
+    this.jammingLayer = null; // Side B jamming layer
+    this.active = false;
+    this.mode = 'side-by-side'; // 'side-by-side' or 'swipe'
+    // Side B's own settings (data source, time range, altitudes, n_obs_min,
+    // severity filter); copied from side A on start, then edited separately
+    this.settings = null;
+    this.swipeRatio = 0.5; // Divider position (0-1 of the map width)
+    this.syncHandlers = []; // [map, handler] pairs removed on stop
+    this.locationInfo = null; // (lngLat) => popup rows naming the country
+    this.extrusionMetric = null; // 3D height metric, as on the main map
+    this.levelOfDetail = null; // LevelOfDetail view, as on the main map
+  }
+
+  /**
+   * Create the side B map, matching the main map's view
+   */
+  async start(mode = this.mode) {
+    if (this.active) {
+      this.setMode(mode);
+      return;
+    }
+
+    // Lay out first so the new map is created at its final size
+    this.mode = mode;
+    this.applyLayout(true);
+    this.map.resize();
+
+    this.compareMap = new mapboxgl.Map({
+      container: this.containerId,
+      style: this.config.MAP.STYLE,
+      center: this.map.getCenter(),
+      zoom: this.map.getZoom(),
+      bearing: this.map.getBearing(),
+      pitch: this.map.getPitch(),
+      projection: this.map.getProjection().name,
+      attributionControl: false,
+    });
+
+    await new Promise((resolve) => {
+      this.compareMap.on('load', resolve);
+    });
+
+    this.jammingLayer = new JammingLayer(this.compareMap, this.apiClient);
+    this.jammingLayer.initialize();
+    this.jammingLayer.locationInfo = this.locationInfo;
+    this.jammingLayer.setExtrusion(this.extrusionMetric);
+    this.jammingLayer.setLevelOfDetail(this.levelOfDetail);
+
+    this.syncMaps();
+    this.active = true;
+  }
+
+  /**
+   * Remove the side B map and restore the full-width main map
+   */
+  stop() {
+    this.syncHandlers.forEach(([map, handler]) => map.off('move', handler));
+    this.syncHandlers = [];
+
+    if (this.compareMap) {
+      this.compareMap.remove();
+    }
+    this.compareMap = null;
+    this.jammingLayer = null;
+    this.settings = null;
+    this.active = false;
+
+    this.applyLayout(false);
+    this.map.resize();
+  }
+
+  /**
+   * Switch between side-by-side and swipe layouts
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.applyLayout(this.active);
+    this.map.resize();
+    if (this.compareMap) {
+      this.compareMap.resize();
+    }
+  }
+
+  /**
+   * Set the layout class on the map tab (CSS places both maps)
+   */
+  applyLayout(visible) {
+    const container = document.getElementById(this.containerId);
+    const swipe = visible && this.mode === 'swipe';
+
+    container.parentElement.classList.toggle(
+      'compare-side-by-side',
+      visible && this.mode === 'side-by-side'
+    );
+    container.parentElement.classList.toggle('compare-swipe', swipe);
+
+    // Side-by-side shows side B whole
+    if (swipe) {
+      this.setSwipePosition(this.swipeRatio);
+    } else {
+      container.style.clipPath = '';
+    }
+  }
+
+  /**
+   * Move the swipe divider; side B shows to its right
+   * @param {number} ratio - 0 (left edge) to 1 (right edge)
+   */
+  setSwipePosition(ratio) {
+    this.swipeRatio = Math.max(0, Math.min(ratio, 1));
+    const percent = `${(this.swipeRatio * 100).toFixed(2)}%`;
+
+    document.getElementById(
+      this.containerId
+    ).style.clipPath = `inset(0 0 0 ${percent})`;
+    document.getElementById('compare-divider').style.left = percent;
+  }
+
+  /**
+   * Keep center, zoom, bearing and pitch identical on both maps
+   */
+  syncMaps() {
+    let syncing = false;
+
+    const follow = (source, target) => () => {
+      if (syncing) return;
+
+      syncing = true;
+      target.jumpTo({
+        center: source.getCenter(),
+        zoom: source.getZoom(),
+        bearing: source.getBearing(),
+        pitch: source.getPitch(),
+      });
+      syncing = false;
+    };
+
+    [
+      [this.map, follow(this.map, this.compareMap)],
+      [this.compareMap, follow(this.compareMap, this.map)],
+    ].forEach(([map, handler]) => {
+      map.on('move', handler);
+      this.syncHandlers.push([map, handler]);
+    });
+  }
+
+  /**
+   * Set the projection of side B (follows the main map)
+   */
+  setProjection(projection) {
+    if (this.compareMap) {
+      this.compareMap.setProjection(projection);
+    }
+  }
+
+  /**
+   * Extrude side B's hexagons like the main map's
+   */
+  setExtrusion(metric) {
+    this.extrusionMetric = metric;
+    if (this.jammingLayer) {
+      this.jammingLayer.setExtrusion(metric);
+    }
+  }
+
+  /**
+   * Apply the main map's level of detail to side B (views are synced)
+   */
+  setLevelOfDetail(view) {
+    this.levelOfDetail = view;
+    if (this.jammingLayer) {
+      this.jammingLayer.setLevelOfDetail(view);
+    }
+  }
+
+  /**
+   * Side B settings copied from side A's
+   * @param {Object} settings - Side A settings
+   * @param {string} window - 'previous' (the window before A's) or 'same'
+   * @param {Date} now - Reference time for lookback windows
+   */
+  getSideSettings(settings, window = 'previous', now = new Date()) {
+    const sideSettings = {
+      ...settings,
+      jammingSeverityLevels: [...(settings.jammingSeverityLevels || [])],
+    };
+
+    if (window === 'previous') {
+      Object.assign(sideSettings, this.getPreviousWindow(settings, now));
+    }
+
+    return sideSettings;
+  }
+
+  /**
+   * Replace side B's settings with a copy of side A's (see getSideSettings)
+   * @returns {Object} The new side B settings
+   */
+  reset(settings, window = 'previous', now = new Date()) {
+    this.settings = this.getSideSettings(settings, window, now);
+    return this.settings;
+  }
+
+  /**
+   * Change some of side B's settings; a lookback replaces the date range
+   * @returns {Object} The new side B settings
+   */
+  updateSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+    if (changes.lookback_hours !== undefined) {
+      this.settings.period_start = null;
+      this.settings.period_end = null;
+    }
+    return this.settings;
+  }
+
+  /**
+   * The window of the same length just before side A's (as a date range)
+   * @returns {{period_start: string, period_end: string}}
+   */
+  getPreviousWindow(settings, now = new Date()) {
+    let start;
+    let end;
+
+    if (settings.period_start && settings.period_end) {
+      end = new Date(settings.period_start);
+      start = new Date(
+        end.getTime() -
+          (new Date(settings.period_end).getTime() - end.getTime())
+      );
+    } else {
+      // Lookback ends now (to the minute, so repeated loads share a query)
+      const hours = settings.lookback_hours * 60 * 60 * 1000;
+      end = new Date(Math.floor(now.getTime() / 60000) * 60000 - hours);
+      start = new Date(end.getTime() - hours);
+    }
+
+    const toIso = (date) => date.toISOString().replace('.000Z', 'Z');
+    return { period_start: toIso(start), period_end: toIso(end) };
+  }
+
+  /**
+   * Load side B with its own settings (copied from side A's on first load)
+   * @param {Object} settings - Side A settings
+   * @returns {Promise<Object>} { settings, data, metadata, stats }
+   */
+  async load(settings) {
+    if (!this.active) return null;
+
+    if (!this.settings) {
+      this.reset(settings);
+    }
+    const sideSettings = this.settings;
+    const result = await this.jammingLayer.loadData(sideSettings);
+
+    return { settings: sideSettings, ...result };
+  }
+
+  /**
+   * Short label for a side, e.g. "Last 6h · FL300-FL450 · coverage"
+   */
+  describe(settings) {
+    const format = (iso) => iso.slice(0, 16).replace('T', ' ');
+    const window =
+      settings.period_start && settings.period_end
+        ? `${format(settings.period_start)} → ${format(
+            settings.period_end
+          )} UTC`
+        : `Last ${settings.lookback_hours}h`;
+
+    const source =
+      settings.dataSource === 'jamming/coverage' ? ' · coverage' : '';
+    return `${window} · ${settings.altitudes}${source}`;
+  }
+}
@@ -8,6 +8,14 @@ const CONFIG = {
   // No credentials needed on the client side
   API: {
     BASE_URL: 'API_BASE_URL_PLACEHOLDER',
+    TIMEOUT_MS: 30000, // Per attempt; full-day global queries can be slow
+    MAX_RETRIES: 2, // Retries of 5xx and network errors
+    RETRY_DELAY_MS: 1000, // First retry delay, doubled for each retry
+  },
+
+  // Login (only asked for when the proxy has authentication on)
+  AUTH: {
+    TOKEN_KEY: 'gps-jamming-auth-token', // localStorage key
   },
 
   // Map Configuration
@@ -32,6 +40,145 @@ const CONFIG = {
       { threshold: 0.01, color: '#FCD34D', label: 'Low (1%-10%)' }, // Yellow for 1% to <10%
       { threshold: 0.1, color: '#DC2626', label: 'High (10%-100%)' }, // Red for 10%+
     ],
+
+    // Outline colors for the "changes" style (diff against the previous load)
+    CHANGE_COLORS: {
+      new: '#3b82f6',
+      escalated: '#f97316',
+      deescalated: '#10b981',
+      gone: '#9ca3af',
+    },
+
+    // 3D extrusion: height by a metric, scaled to the largest displayed cell
+    EXTRUSION: {
+      METRICS: {
+        n_unique_ac: 'Aircraft',
+        n_bad: 'Bad Aircraft (NIC 0)',
+        ratio_bad: 'Severity (ratio_bad)',
+      },
+      MAX_HEIGHT: 300000, // Meters for the largest value
+      OPACITY: 0.85,
+      PITCH: 50, // Map pitch while extruded
+    },
+  },
+
+  // Spoofing Event Styling (spoofing/agg trajectories and points)
+  SPOOFING: {
+    // Color per flight segment, in legend order
+    SEGMENTS: {
+      during: { color: '#dc2626', label: 'During Only' },
+      'before-during': { color: '#f59e0b', label: 'Before-During' },
+      'during-after': { color: '#a855f7', label: 'During-After' },
+      'before-during-after': {
+        color: '#3b82f6',
+        label: 'Before-During-After',
+      },
+    },
+    // Line width by spoofing duration (timestamp_during_max - _min)
+    DURATION_WIDTHS: [
+      { minSeconds: 0, width: 2, label: '< 1 min' },
+      { minSeconds: 60, width: 3, label: '1-5 min' },
+      { minSeconds: 300, width: 5, label: '5-15 min' },
+      { minSeconds: 900, width: 7, label: '15+ min' },
+    ],
+    FADE_MIN_OPACITY: 0.15, // Oldest event's share of the opacity (fade by age)
+  },
+
+  // Flight Trace Configuration (spoofing event drill-down)
+  TRACE: {
+    PHASE_COLORS: {
+      before: '#60a5fa', // Last positions before spoofing
+      during: '#dc2626', // Spoofed positions
+      after: '#10b981', // First positions after spoofing
+    },
+    HIGHLIGHT_COLOR: '#ffffff', // Halo around the traced flight's features
+    ZOOM_PADDING: 80, // Pixels around a segment when zooming to it
+    MAX_ZOOM: 10,
+  },
+
+  // Hourly Playback Configuration
+  PLAYBACK: {
+    FRAME_DURATION: 1000, // Milliseconds per hourly frame
+    // Property holding the hour of a cell in hours_summed=false output
+    TIME_PROPERTY: 'hour',
+  },
+
+  // H3 Tools (find box, re-aggregation, neighbor rings)
+  H3: {
+    HIGHLIGHT_COLOR: '#22d3ee',
+    MAX_RING: 3, // Largest k of the neighbor highlight
+    FIND_ZOOM_PER_RESOLUTION: 1.15, // Zoom for a found cell: 1 + res * this
+    FIND_MAX_ZOOM: 14,
+  },
+
+  // Level of Detail (zoom-dependent resolution, viewport clipping)
+  LOD: {
+    // H3 resolution below each zoom: spoofing/h3 is requested at it and
+    // jamming/agg cells are merged up to it (never finer than loaded)
+    ZOOM_RESOLUTIONS: [
+      { maxZoom: 3, resolution: 1 },
+      { maxZoom: 4.5, resolution: 2 },
+      { maxZoom: 6, resolution: 3 },
+      { maxZoom: 7.5, resolution: 4 },
+      { maxZoom: Infinity, resolution: 5 },
+    ],
+    VIEWPORT_MIN_ZOOM: 4, // Sources only hold the viewport from this zoom
+    VIEWPORT_MARGIN: 0.5, // Share of the view's size kept on each side
+  },
+
+  // Cell History Chart (hourly breakdown in the jamming popup)
+  CELL_HISTORY: {
+    WIDTH: 240, // Chart size in pixels
+    HEIGHT: 40,
+    OBS_COLOR: '#60a5fa', // n_obs line
+  },
+
+  // Altitude Profile (every band of one query, stacked per cell)
+  ALTITUDE_PROFILE: {
+    // Bands of the altitude filter, lowest first; base/top in feet
+    BANDS: [
+      { altitude: '<FL100', base: 0, top: 10000 },
+      { altitude: 'FL100-FL200', base: 10000, top: 20000 },
+      { altitude: 'FL200-FL300', base: 20000, top: 30000 },
+      { altitude: 'FL300-FL450', base: 30000, top: 45000 },
+    ],
+    EXAGGERATION: 10, // Vertical scale of the 3D stack
+    SLAB_RATIO: 0.85, // Share of a band's height drawn (gap between bands)
+    PITCH: 60, // Map pitch while the 3D stack is shown
+  },
+
+  // Reference Overlays (bundled GeoJSON in data/overlays/)
+  // Boundaries with a popupLabel are named in popups. No FIR dataset is
+  // bundled; data/overlays/README.md explains how to add one
+  OVERLAYS: {
+    countries: {
+      label: 'Country Borders',
+      url: 'data/overlays/countries.geojson',
+      type: 'boundary',
+      color: '#9ca3af',
+      labelProperty: 'name',
+      popupLabel: 'Country',
+    },
+    airports: {
+      label: 'Major Airports',
+      url: 'data/overlays/airports.geojson',
+      type: 'point',
+      color: '#38bdf8',
+      labelProperty: 'iata',
+    },
+  },
+
+  // Area Analysis Configuration
+  ANALYSIS: {
+    REGIONS_KEY: 'gps-jamming-saved-areas', // localStorage key
+    HISTOGRAM_BINS: 10, // ratio_bad bins (10% wide)
+  },
+
+  // Alert Rules Configuration
+  ALERTS: {
+    RULES_KEY: 'gps-jamming-alert-rules', // localStorage keys
+    LOG_KEY: 'gps-jamming-alert-log',
+    MAX_LOG_ENTRIES: 100,
   },
 };
 
@@ -60,7 +207,48 @@ function formatTimestamp(isoString) {
   });
 }
 
+// Helper function to convert a datetime-local input value to a UTC ISO string
+// The input value has no timezone, so it is interpreted as UTC
+function toUtcIsoString(inputValue) {
+  if (!inputValue) return null;
+  const date = new Date(`${inputValue}Z`);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().replace('.000Z', 'Z');
+}
+
+// Helper function to convert a UTC ISO string back to a datetime-local input value
+function toDateTimeInputValue(isoString) {
+  if (!isoString) return '';
+  const date = new Date(isoString);
+  if (isNaN(date.getTime())) return '';
+  return date.toISOString().slice(0, 16);
+}
+
 // Helper function to format percentage
 function formatPercentage(ratio) {
   return (ratio * 100).toFixed(1) + '%';
 }
+
+// Helper function to build a symbol layer marking the direction of travel
+// along line features (ASCII chevron: always in the style's glyph set)
+function createArrowLayer({ id, source, filter, color, spacing, size }) {
+  return {
+    id,
+    type: 'symbol',
+    source,
+    filter,
+    layout: {
+      'symbol-placement': 'line',
+      'symbol-spacing': spacing,
+      'text-field': '>',
+      'text-size': size,
+      'text-keep-upright': false,
+      'text-allow-overlap': true,
+    },
+    paint: {
+      'text-color': color,
+      'text-halo-color': '#000',
+      'text-halo-width': 1,
+    },
+  };
+}
@@ -0,0 +1,346 @@
+// Data Exporter - Converts the current GeoJSON view to downloadable formats
+const EXPORT_FORMATS = {
+  geojson: {
+    label: 'GeoJSON',
+    extension: 'geojson',
+    mime: 'application/geo+json',
+  },
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' },
+  kml: {
+    label: 'KML (Google Earth)',
+    extension: 'kml',
+    mime: 'application/vnd.google-earth.kml+xml',
+  },
+  shapefile: {
+    label: 'Shapefile (zip)',
+    extension: 'zip',
+    mime: 'application/zip',
+  },
+};
+
+// Spoofing H3 count ramp (matches SpoofingLayer h3 fill-color stops)
+const EXPORT_COUNT_COLORS = [
+  { threshold: 50, color: '#dc2626' },
+  { threshold: 20, color: '#d97706' },
+  { threshold: 10, color: '#f59e0b' },
+  { threshold: 5, color: '#fbbf24' },
+  { threshold: 0, color: '#fef3c7' },
+];
+
+class DataExporter {
+  /**
+   * Serialize as GeoJSON
+   */
+  toGeoJSON(geojson) {
+    return JSON.stringify(geojson, null, 2);
+  }
+
+  /**
+   * Serialize as CSV: id, property columns, H3 index, centroid, geometry type
+   * @param {Object} geojson - FeatureCollection
+   * @param {string[]} propertyColumns - Property keys in table order
+   */
+  toCSV(geojson, propertyColumns) {
+    const columns = propertyColumns.filter((col) => col !== 'h3_index');
+    const header = [
+      'id',
+      ...columns,
+      'h3_index',
+      'centroid_lat',
+      'centroid_lng',
+      'type',
+    ];
+
+    const rows = geojson.features.map((feature) => {
+      const props = feature.properties || {};
+      const centroid = this.getCentroid(feature.geometry);
+
+      return [
+        feature.id ?? '',
+        ...columns.map((col) => props[col]),
+        this.getH3Index(feature),
+        centroid ? centroid[1].toFixed(6) : '',
+        centroid ? centroid[0].toFixed(6) : '',
+        feature.geometry?.type || '',
+      ];
+    });
+
+    return [header, ...rows]
+      .map((row) => row.map((value) => this.escapeCsv(value)).join(','))
+      .join('\r\n');
+  }
+
+  /**
+   * Serialize as KML with one style per map color
+   */
+  toKML(geojson, name = 'GPS Interference') {
+    const styles = new Map();
+    const placemarks = geojson.features.map((feature) => {
+      const color = this.getFeatureColor(feature);
+      const styleId = `c${color.replace('#', '').toUpperCase()}`;
+      styles.set(styleId, color);
+
+      return this.toPlacemark(feature, styleId);
+    });
+
+    const styleXml = Array.from(styles.entries())
+      .map(([id, color]) => {
+        const opaque = this.toKmlColor(color, 'ff');
+        const fill = this.toKmlColor(color, '99');
+        return `    <Style id="${id}">
+      <LineStyle><color>${opaque}</color><width>2</width></LineStyle>
+      <PolyStyle><color>${fill}</color></PolyStyle>
+      <IconStyle><color>${opaque}</color></IconStyle>
+    </Style>`;
+      })
+      .join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${this.escapeXml(name)}</name>
+${styleXml}
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+  }
+
+  /**
+   * Serialize as a zipped Shapefile (uses shp-write, loaded from CDN)
+   * @returns {Promise<Blob>}
+   */
+  async toShapefileZip(geojson, name = 'gps-interference') {
+    if (typeof shpwrite === 'undefined') {
+      throw new Error('shp-write is not loaded. Cannot export Shapefile.');
+    }
+
+    // DBF columns only hold scalars: flatten arrays and objects
+    const flattened = {
+      type: 'FeatureCollection',
+      features: geojson.features
+        .filter((feature) => feature.geometry)
+        .map((feature) => ({
+          type: 'Feature',
+          geometry: feature.geometry,
+          properties: Object.fromEntries(
+            Object.entries({
+              id: feature.id ?? '',
+              ...feature.properties,
+            }).map(([key, value]) => [key, this.toScalar(value)])
+          ),
+        })),
+    };
+
+    return await shpwrite.zip(flattened, {
+      folder: name,
+      outputType: 'blob',
+      compression: 'DEFLATE',
+    });
+  }
+
+  /**
+   * Build a Blob in the requested format
+   * @param {string} format - Key of EXPORT_FORMATS
+   */
+  async export(format, geojson, propertyColumns, name) {
+    const { mime } = EXPORT_FORMATS[format];
+
+    switch (format) {
+      case 'geojson':
+        return new Blob([this.toGeoJSON(geojson)], { type: mime });
+      case 'csv':
+        return new Blob([this.toCSV(geojson, propertyColumns)], {
+          type: mime,
+        });
+      case 'kml':
+        return new Blob([this.toKML(geojson, name)], { type: mime });
+      case 'shapefile':
+        return await this.toShapefileZip(geojson, name);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * Trigger a browser download for a Blob
+   */
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser time to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * KML Placemark for a feature
+   */
+  toPlacemark(feature, styleId) {
+    const props = feature.properties || {};
+    const name =
+      props.h3_index || props.flight_id || feature.id || props.icao24 || '';
+
+    const data = Object.entries(props)
+      .map(
+        ([key, value]) =>
+          `        <Data name="${this.escapeXml(key)}"><value>${this.escapeXml(
+            this.toScalar(value)
+          )}</value></Data>`
+      )
+      .join('\n');
+
+    return `    <Placemark>
+      <name>${this.escapeXml(name)}</name>
+      <styleUrl>#${styleId}</styleUrl>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      ${this.toKmlGeometry(feature.geometry)}
+    </Placemark>`;
+  }
+
+  /**
+   * KML geometry element for a GeoJSON geometry
+   */
+  toKmlGeometry(geometry) {
+    if (!geometry) return '';
+
+    const coords = (positions) =>
+      positions.map((p) => `${p[0]},${p[1]}`).join(' ');
+    const polygon = (rings) =>
+      `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coords(
+        rings[0]
+      )}</coordinates></LinearRing></outerBoundaryIs>${rings
+        .slice(1)
+        .map(
+          (ring) =>
+            `<innerBoundaryIs><LinearRing><coordinates>${coords(
+              ring
+            )}</coordinates></LinearRing></innerBoundaryIs>`
+        )
+        .join('')}</Polygon>`;
+    const line = (positions) =>
+      `<LineString><coordinates>${coords(
+        positions
+      )}</coordinates></LineString>`;
+
+    switch (geometry.type) {
+      case 'Point':
+        return `<Point><coordinates>${coords([
+          geometry.coordinates,
+        ])}</coordinates></Point>`;
+      case 'LineString':
+        return line(geometry.coordinates);
+      case 'Polygon':
+        return polygon(geometry.coordinates);
+      case 'MultiLineString':
+        return `<MultiGeometry>${geometry.coordinates
+          .map(line)
+          .join('')}</MultiGeometry>`;
+      case 'MultiPolygon':
+        return `<MultiGeometry>${geometry.coordinates
+          .map(polygon)
+          .join('')}</MultiGeometry>`;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Color a feature the way the map does
+   */
+  getFeatureColor(feature) {
+    const props = feature.properties || {};
+
+    if (props.ratio_bad !== undefined) {
+      return getColorForRatio(props.ratio_bad);
+    }
+    if (props.coverage !== undefined) {
+      return props.coverage === 'none' ? '#dc2626' : '#10b981';
+    }
+    if (props.count !== undefined) {
+      return EXPORT_COUNT_COLORS.find((stop) => props.count >= stop.threshold)
+        .color;
+    }
+    return feature.geometry?.type === 'Point' ? '#dc2626' : '#f59e0b';
+  }
+
+  /**
+   * H3 index of a feature (property or feature id)
+   */
+  getH3Index(feature) {
+    const props = feature.properties || {};
+    return (
+      props.h3_index ||
+      props.h3Index ||
+      (props.count !== undefined ? feature.id : '') ||
+      ''
+    );
+  }
+
+  /**
+   * Vertex-mean centroid [lng, lat] of a geometry
+   */
+  getCentroid(geometry) {
+    if (!geometry) return null;
+
+    // Polygons use their outer ring without the repeated closing vertex
+    const points = [];
+    const collect = (coords) => {
+      if (typeof coords[0] === 'number') {
+        points.push(coords);
+      } else {
+        coords.forEach(collect);
+      }
+    };
+    collect(
+      geometry.type === 'Polygon'
+        ? geometry.coordinates[0].slice(0, -1)
+        : geometry.coordinates
+    );
+    if (points.length === 0) return null;
+
+    const sum = points.reduce(
+      (acc, p) => [acc[0] + p[0], acc[1] + p[1]],
+      [0, 0]
+    );
+    return [sum[0] / points.length, sum[1] / points.length];
+  }
+
+  /**
+   * Convert arrays/objects to a single scalar value
+   */
+  toScalar(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join(';');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+
+  escapeCsv(value) {
+    const text = String(this.toScalar(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Convert #rrggbb to KML aabbggrr
+   */
+  toKmlColor(hex, alpha) {
+    const rgb = hex.replace('#', '').toLowerCase();
+    return `${alpha}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`;
+  }
+}
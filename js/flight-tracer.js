@@ -0,0 +1,318 @@
+// Flight Tracer - Highlights one flight's spoofing events with before/during/after legs
+class FlightTracer {
+  constructor(map) {
+    this.map = map;
+    this.sourceId = 'trace-source';
+    this.layerIds = {
+      highlight: 'trace-highlight',
+      legs: 'trace-legs',
+      arrows: 'trace-arrows',
+      points: 'trace-points',
+    };
+    this.traced = null; // { flightId, icao24 } of the traced flight
+    this.current = null; // Last trace result
+  }
+
+  /**
+   * Add the (empty) trace source and layers
+   */
+  initialize() {
+    const colors = CONFIG.TRACE.PHASE_COLORS;
+    const phaseColor = [
+      'match',
+      ['get', 'phase'],
+      'before',
+      colors.before,
+      'after',
+      colors.after,
+      colors.during,
+    ];
+
+    this.map.addSource(this.sourceId, {
+      type: 'geojson',
+      data: {
+        type: 'FeatureCollection',
+        features: [],
+      },
+    });
+
+    // Halo around the flight's original features
+    this.map.addLayer({
+      id: this.layerIds.highlight,
+      type: 'line',
+      source: this.sourceId,
+      filter: [
+        'all',
+        ['==', ['get', 'kind'], 'highlight'],
+        ['==', ['geometry-type'], 'LineString'],
+      ],
+      paint: {
+        'line-color': CONFIG.TRACE.HIGHLIGHT_COLOR,
+        'line-width': 9,
+        'line-opacity': 0.3,
+      },
+    });
+
+    this.map.addLayer({
+      id: this.layerIds.legs,
+      type: 'line',
+      source: this.sourceId,
+      filter: [
+        'all',
+        ['==', ['get', 'kind'], 'leg'],
+        ['==', ['geometry-type'], 'LineString'],
+      ],
+      paint: {
+        'line-color': phaseColor,
+        'line-width': 4,
+      },
+    });
+
+    // Direction of travel along each leg
+    this.map.addLayer(
+      createArrowLayer({
+        id: this.layerIds.arrows,
+        source: this.sourceId,
+        filter: [
+          'all',
+          ['==', ['get', 'kind'], 'leg'],
+          ['==', ['geometry-type'], 'LineString'],
+        ],
+        color: phaseColor,
+        spacing: 60,
+        size: 18,
+      })
+    );
+
+    this.map.addLayer({
+      id: this.layerIds.points,
+      type: 'circle',
+      source: this.sourceId,
+      filter: [
+        'all',
+        ['==', ['get', 'kind'], 'leg'],
+        ['==', ['geometry-type'], 'Point'],
+      ],
+      paint: {
+        'circle-radius': 8,
+        'circle-color': phaseColor,
+        'circle-stroke-width': 3,
+        'circle-stroke-color': CONFIG.TRACE.HIGHLIGHT_COLOR,
+      },
+    });
+
+    // Click a leg to zoom to it
+    [this.layerIds.legs, this.layerIds.points].forEach((layerId) => {
+      this.map.on('click', layerId, (e) => {
+        if (e.features && e.features.length > 0) {
+          this.zoomTo([e.features[0].geometry]);
+        }
+      });
+      this.map.on('mouseenter', layerId, () => {
+        this.map.getCanvas().style.cursor = 'pointer';
+      });
+      this.map.on('mouseleave', layerId, () => {
+        this.map.getCanvas().style.cursor = '';
+      });
+    });
+  }
+
+  /**
+   * Trace the flight of a spoofing event in the loaded spoofing data
+   * @returns {Object} { flightId, icao24, events }
+   */
+  trace(feature, geojson) {
+    const props = feature.properties || {};
+    this.traced = {
+      flightId: props.flight_id || null,
+      icao24: props.icao24 || null,
+    };
+
+    return this.refresh(geojson);
+  }
+
+  /**
+   * Re-run the current trace against newly loaded data
+   * @returns {Object|null} Trace result, null when nothing is traced
+   */
+  refresh(geojson) {
+    if (!this.traced) return null;
+
+    const features = this.findFlightFeatures(geojson, this.traced);
+    const events = this.buildTimeline(features);
+
+    this.updateSource(features, events);
+    this.current = { ...this.traced, events };
+
+    return this.current;
+  }
+
+  /**
+   * Flight events of the same flight_id (or icao24 when there is no flight_id)
+   */
+  findFlightFeatures(geojson, { flightId, icao24 }) {
+    if (!geojson || !geojson.features) return [];
+
+    return geojson.features.filter((feature) => {
+      const props = feature.properties || {};
+      if (props.count !== undefined) return false; // H3 cells
+
+      return flightId
+        ? props.flight_id === flightId
+        : Boolean(icao24) && props.icao24 === icao24;
+    });
+  }
+
+  /**
+   * Split a spoofing event into before/during/after legs
+   * Lines run from the last positions before spoofing, through the spoofed
+   * positions, to the first positions after it: the first vertex is "before"
+   * and the last "after" when the segment name includes them
+   * @returns {Array<{phase: string, geometry: Object}>}
+   */
+  splitSegments(feature) {
+    const geometry = feature.geometry;
+    if (!geometry) return [];
+    if (geometry.type === 'Point') return [{ phase: 'during', geometry }];
+    if (geometry.type !== 'LineString') return [];
+
+    const coords = geometry.coordinates;
+    const phases = (feature.properties.segment || 'during').split('-');
+    const hasBefore = phases.includes('before') && coords.length > 1;
+    const hasAfter = phases.includes('after') && coords.length > 1;
+    const line = (coordinates) => ({ type: 'LineString', coordinates });
+    const point = (coordinates) => ({ type: 'Point', coordinates });
+
+    // Spoofed vertices lie between the first and last index
+    const first = hasBefore ? 1 : 0;
+    const last = hasAfter ? coords.length - 2 : coords.length - 1;
+
+    if (first > last) {
+      // Two vertices for before-during-after: spoofing in the middle
+      const middle = [
+        (coords[0][0] + coords[1][0]) / 2,
+        (coords[0][1] + coords[1][1]) / 2,
+      ];
+      return [
+        { phase: 'before', geometry: line([coords[0], middle]) },
+        { phase: 'during', geometry: point(middle) },
+        { phase: 'after', geometry: line([middle, coords[1]]) },
+      ];
+    }
+
+    const legs = [];
+    if (hasBefore) {
+      legs.push({
+        phase: 'before',
+        geometry: line(coords.slice(0, first + 1)),
+      });
+    }
+    legs.push({
+      phase: 'during',
+      geometry:
+        last > first
+          ? line(coords.slice(first, last + 1))
+          : point(coords[first]),
+    });
+    if (hasAfter) {
+      legs.push({ phase: 'after', geometry: line(coords.slice(last)) });
+    }
+
+    return legs;
+  }
+
+  /**
+   * One timeline entry per event, oldest first
+   * @returns {Array<{start, end, segment, altitude, track, legs}>}
+   */
+  buildTimeline(features) {
+    return features
+      .map((feature) => {
+        const props = feature.properties;
+        return {
+          start: props.timestamp_during_min || null,
+          end: props.timestamp_during_max || null,
+          segment: props.segment || null,
+          altitude: props.altitude_during ?? null,
+          track: props.track_during ?? null,
+          feature,
+          legs: this.splitSegments(feature),
+        };
+      })
+      .sort((a, b) => {
+        if (!a.start) return 1;
+        if (!b.start) return -1;
+        return new Date(a.start) - new Date(b.start);
+      });
+  }
+
+  /**
+   * Put the highlighted features and their legs in the trace source
+   */
+  updateSource(features, events) {
+    const source = this.map.getSource(this.sourceId);
+    if (!source) return;
+
+    const highlights = features.map((feature) => ({
+      type: 'Feature',
+      geometry: feature.geometry,
+      properties: { kind: 'highlight' },
+    }));
+    const legs = events.flatMap((event, eventIndex) =>
+      event.legs.map((leg, legIndex) => ({
+        type: 'Feature',
+        geometry: leg.geometry,
+        properties: {
+          kind: 'leg',
+          phase: leg.phase,
+          event: eventIndex,
+          leg: legIndex,
+        },
+      }))
+    );
+
+    source.setData({
+      type: 'FeatureCollection',
+      features: [...highlights, ...legs],
+    });
+  }
+
+  /**
+   * Bounding box of geometries as [[west, south], [east, north]]
+   */
+  getBounds(geometries) {
+    const coords = geometries.flatMap((geometry) =>
+      geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates
+    );
+    if (coords.length === 0) return null;
+
+    const lngs = coords.map((c) => c[0]);
+    const lats = coords.map((c) => c[1]);
+    return [
+      [Math.min(...lngs), Math.min(...lats)],
+      [Math.max(...lngs), Math.max(...lats)],
+    ];
+  }
+
+  /**
+   * Zoom the map to geometries (e.g. one leg or a whole event)
+   */
+  zoomTo(geometries) {
+    const bounds = this.getBounds(geometries);
+    if (!bounds) return;
+
+    this.map.fitBounds(bounds, {
+      padding: CONFIG.TRACE.ZOOM_PADDING,
+      maxZoom: CONFIG.TRACE.MAX_ZOOM,
+    });
+  }
+
+  /**
+   * Stop tracing and clear the highlight
+   */
+  clear() {
+    this.traced = null;
+    this.current = null;
+    this.updateSource([], []);
+  }
+}
@@ -0,0 +1,274 @@
+// H3 Utilities - Cell lookup, re-aggregation and neighbor rings (h3-js)
+
+/**
+ * Check whether h3-js is loaded
+ */
+function isH3Available() {
+  return typeof h3 !== 'undefined';
+}
+
+/**
+ * GeoJSON Polygon feature of an H3 cell
+ */
+function h3CellToFeature(h3Index, properties = {}) {
+  const ring = h3.cellToBoundary(h3Index, true); // [lng, lat] pairs
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring.push(first);
+  }
+
+  return {
+    type: 'Feature',
+    id: h3Index,
+    geometry: { type: 'Polygon', coordinates: [ring] },
+    properties: { h3_index: h3Index, ...properties },
+  };
+}
+
+/**
+ * Resolution of the first H3 cell in a FeatureCollection (null if none)
+ */
+function getH3DataResolution(geojson) {
+  if (!isH3Available() || !geojson || !geojson.features) return null;
+
+  const feature = geojson.features.find(
+    (f) => f.properties && f.properties.h3_index
+  );
+  return feature ? h3.getResolution(feature.properties.h3_index) : null;
+}
+
+/**
+ * Re-aggregate jamming/agg cells to a coarser resolution: n_good and n_bad
+ * are summed over the children, ratio_bad is recomputed as
+ * n_bad / (n_good + n_bad) and max_* properties take the children's maximum
+ * n_unique_ac is summed too, but an aircraft seen in several children counts
+ * more than once: merged cells flag it with n_unique_ac_upper_bound. Other
+ * child properties (e.g. n_obs) are dropped; altitude and hour are kept
+ * Cells already at or above the resolution, and grouped features (no
+ * h3_index), are kept as they are
+ * @returns {Object} FeatureCollection (the input when h3-js is not loaded)
+ */
+function aggregateH3Cells(geojson, resolution) {
+  if (!geojson || !geojson.features) {
+    return geojson;
+  }
+
+  if (!isH3Available()) {
+    console.error('h3-js is not loaded. Cannot re-aggregate cells.');
+    return geojson;
+  }
+
+  const parents = new Map();
+  const kept = [];
+
+  geojson.features.forEach((feature) => {
+    const props = feature.properties || {};
+    if (!props.h3_index || h3.getResolution(props.h3_index) <= resolution) {
+      kept.push(feature);
+      return;
+    }
+
+    const parent = h3.cellToParent(props.h3_index, resolution);
+    // Cells of different bands/hours stay apart
+    const key = [parent, props.altitude, getFeatureHour(feature)?.getTime()]
+      .filter((part) => part !== undefined && part !== null)
+      .join('|');
+
+    if (!parents.has(key)) {
+      // Only the properties the children are grouped by carry over
+      const properties = {};
+      ['altitude', CONFIG.PLAYBACK.TIME_PROPERTY].forEach((name) => {
+        if (props[name] !== undefined) {
+          properties[name] = props[name];
+        }
+      });
+
+      parents.set(key, {
+        h3Index: parent,
+        properties,
+        n_good: 0,
+        n_bad: 0,
+        n_unique_ac: 0,
+        n_cells: 0,
+        maxima: {}, // max_* property -> largest child value
+      });
+    }
+
+    const group = parents.get(key);
+    group.n_good += props.n_good || 0;
+    group.n_bad += props.n_bad || 0;
+    group.n_unique_ac += props.n_unique_ac || 0;
+    group.n_cells += 1;
+    Object.keys(props).forEach((name) => {
+      if (name.startsWith('max_') && typeof props[name] === 'number') {
+        group.maxima[name] = Math.max(
+          group.maxima[name] ?? -Infinity,
+          props[name]
+        );
+      }
+    });
+  });
+
+  const aggregated = Array.from(parents.values()).map((group) => {
+    const observed = group.n_good + group.n_bad;
+    return h3CellToFeature(group.h3Index, {
+      ...group.properties,
+      h3_index: group.h3Index,
+      n_good: group.n_good,
+      n_bad: group.n_bad,
+      n_unique_ac: group.n_unique_ac,
+      ...(group.n_cells > 1 ? { n_unique_ac_upper_bound: true } : {}),
+      ratio_bad: observed > 0 ? group.n_bad / observed : 0,
+      n_cells: group.n_cells, // Child cells merged into this one
+      ...group.maxima,
+    });
+  });
+
+  return {
+    ...geojson,
+    features: [...kept, ...aggregated],
+  };
+}
+
+/**
+ * Parse a "Find H3 cell" query: an H3 index or "lat, lon"
+ * @returns {{h3Index: string}|{lat: number, lng: number}|null}
+ */
+function parseH3Query(text) {
+  const query = (text || '').trim();
+
+  if (isH3Available() && h3.isValidCell(query.toLowerCase())) {
+    return { h3Index: query.toLowerCase() };
+  }
+
+  const match = query.match(/^(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)$/);
+  if (match) {
+    const lat = parseFloat(match[1]);
+    const lng = parseFloat(match[2]);
+    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+      return { lat, lng };
+    }
+  }
+
+  return null;
+}
+
+class H3Tools {
+  constructor(map) {
+    this.map = map;
+    this.sourceId = 'h3-highlight-source';
+    this.fillLayerId = 'h3-highlight-fill';
+    this.lineLayerId = 'h3-highlight-line';
+  }
+
+  /**
+   * Add the (empty) highlight source and layers
+   */
+  initialize() {
+    this.map.addSource(this.sourceId, {
+      type: 'geojson',
+      data: {
+        type: 'FeatureCollection',
+        features: [],
+      },
+    });
+
+    // Neighbor rings fade out with their distance to the clicked cell
+    this.map.addLayer({
+      id: this.fillLayerId,
+      type: 'fill',
+      source: this.sourceId,
+      filter: ['>', ['get', 'ring'], 0],
+      paint: {
+        'fill-color': CONFIG.H3.HIGHLIGHT_COLOR,
+        'fill-opacity': [
+          'interpolate',
+          ['linear'],
+          ['get', 'ring'],
+          1,
+          0.25,
+          CONFIG.H3.MAX_RING,
+          0.05,
+        ],
+      },
+    });
+
+    this.map.addLayer({
+      id: this.lineLayerId,
+      type: 'line',
+      source: this.sourceId,
+      paint: {
+        'line-color': CONFIG.H3.HIGHLIGHT_COLOR,
+        'line-width': ['case', ['==', ['get', 'ring'], 0], 3, 1],
+        'line-opacity': 0.9,
+      },
+    });
+  }
+
+  /**
+   * Resolve a "Find H3 cell" query to a cell
+   * @param {number} resolution - Resolution for "lat, lon" queries
+   * @returns {{h3Index, center: [number, number], resolution}|null}
+   */
+  find(text, resolution) {
+    if (!isH3Available()) return null;
+
+    const query = parseH3Query(text);
+    if (!query) return null;
+
+    const h3Index =
+      query.h3Index || h3.latLngToCell(query.lat, query.lng, resolution);
+    const [lat, lng] = query.h3Index
+      ? h3.cellToLatLng(h3Index)
+      : [query.lat, query.lng];
+
+    return {
+      h3Index,
+      center: [lng, lat],
+      resolution: h3.getResolution(h3Index),
+    };
+  }
+
+  /**
+   * Fly to a found cell and outline it
+   */
+  flyTo(result) {
+    this.highlight(result.h3Index, 0);
+    this.map.flyTo({
+      center: result.center,
+      zoom: Math.min(
+        CONFIG.H3.FIND_MAX_ZOOM,
+        1 + result.resolution * CONFIG.H3.FIND_ZOOM_PER_RESOLUTION
+      ),
+    });
+  }
+
+  /**
+   * Outline a cell and shade its neighbors up to k rings away
+   */
+  highlight(h3Index, k) {
+    if (!isH3Available()) return;
+
+    const features = h3
+      .gridDiskDistances(h3Index, k)
+      .flatMap((ring, distance) =>
+        ring.map((cell) => h3CellToFeature(cell, { ring: distance }))
+      );
+
+    this.map.getSource(this.sourceId).setData({
+      type: 'FeatureCollection',
+      features,
+    });
+  }
+
+  /**
+   * Remove the highlight
+   */
+  clear() {
+    const source = this.map.getSource(this.sourceId);
+    if (source) {
+      source.setData({ type: 'FeatureCollection', features: [] });
+    }
+  }
+}
@@ -1,13 +1,51 @@
 // Jamming Layer Manager
+
+// Settings that define a jamming query; loads are only diffed when they match
+const JAMMING_CHANGE_KEYS = [
+  'dataSource',
+  'lookback_hours',
+  'period_start',
+  'period_end',
+  'by_date',
+  'altitudes',
+  'altitude_summed',
+  'hours_summed',
+  'n_obs_min',
+  'grouped',
+  'max_ratio_bad',
+  'max_n_bad',
+  'jammingSeverityLevels',
+  'unionBySeverity',
+  'aggregateResolution',
+];
+
 class JammingLayer {
-  constructor(map, apiClient) {
+  constructor(map, apiClient, idPrefix = 'jamming') {
     this.map = map;
     this.apiClient = apiClient;
-    this.sourceId = 'jamming-source';
-    this.layerId = 'jamming-layer';
+    // Prefix keeps source/layer ids unique when several instances share a map
+    this.sourceId = `${idPrefix}-source`;
+    this.layerId = `${idPrefix}-layer`;
+    this.goneSourceId = `${idPrefix}-gone-source`; // Cells missing since last load
+    // A new load cancels this layer's request still in flight (APIClient)
+    this.requestKey = Symbol(idPrefix);
     this.currentData = null;
     this.metadata = null;
     this.visible = true;
+    this.opacity = 1; // Multiplier for the base paint opacities
+    this.styleMode = 'severity'; // 'severity' or 'changes'
+    this.extrusionMetric = null; // Height metric of the 3D mode (null = flat)
+    this.sourceData = null; // Data last pushed (e.g. a playback frame)
+    this.displayedData = null; // sourceData after the level of detail
+    this.levelOfDetail = null; // LevelOfDetail view (null = show everything)
+    this.lodCache = null; // { data, resolution, result } of the last merge
+    this.changeKey = null; // Query that produced currentData
+    this.changeStats = null; // Diff counts vs. the previous load (or null)
+    this.changes = null; // h3_index -> change vs. the previous load (or null)
+    this.locationInfo = null; // (lngLat) => popup rows naming the country
+    this.cellHistory = null; // CellHistory for the popup's hourly chart
+    this.onCellClick = null; // (h3Index) => e.g. highlight its neighbors
+    this.currentOptions = null; // Settings of the last load
   }
 
   /**
@@ -29,25 +67,7 @@ class JammingLayer {
       type: 'fill',
       source: this.sourceId,
       paint: {
-        'fill-color': [
-          'case',
-          ['has', 'ratio_bad'],
-          // Jamming aggregated data - color by severity
-          [
-            'step',
-            ['get', 'ratio_bad'],
-            CONFIG.JAMMING.COLOR_SCALE[0].color, // Zero (0%-1%)
-            0.01,
-            CONFIG.JAMMING.COLOR_SCALE[1].color, // Low (1%-10%)
-            0.1,
-            CONFIG.JAMMING.COLOR_SCALE[2].color, // High (10%-100%)
-          ],
-          ['==', ['get', 'coverage'], 'none'],
-          // Coverage data with no coverage (red)
-          '#dc2626',
-          // Coverage data with coverage (default green)
-          '#10b981',
-        ],
+        'fill-color': this.getColorExpression(),
         'fill-opacity': 0.6,
       },
     });
@@ -58,47 +78,98 @@ class JammingLayer {
       type: 'line',
       source: this.sourceId,
       paint: {
-        'line-color': [
-          'case',
-          ['has', 'ratio_bad'],
-          // Jamming aggregated data - color by severity
-          [
-            'step',
-            ['get', 'ratio_bad'],
-            CONFIG.JAMMING.COLOR_SCALE[0].color, // Zero (0%-1%)
-            0.01,
-            CONFIG.JAMMING.COLOR_SCALE[1].color, // Low (1%-10%)
-            0.1,
-            CONFIG.JAMMING.COLOR_SCALE[2].color, // High (10%-100%)
-          ],
-          ['==', ['get', 'coverage'], 'none'],
-          // Coverage data with no coverage (red)
-          '#dc2626',
-          // Coverage data with coverage (default green)
-          '#10b981',
-        ],
+        'line-color': this.getColorExpression(),
         'line-width': 1,
         'line-opacity': 0.8,
       },
     });
 
-    // Add hover effect
-    this.map.on('mouseenter', this.layerId, () => {
-      this.map.getCanvas().style.cursor = 'pointer';
+    // 3D columns, shown instead of the fill when an extrusion metric is set
+    this.map.addLayer({
+      id: `${this.layerId}-extrusion`,
+      type: 'fill-extrusion',
+      source: this.sourceId,
+      layout: {
+        visibility: 'none',
+      },
+      paint: {
+        'fill-extrusion-color': this.getColorExpression(),
+        'fill-extrusion-height': 0,
+        'fill-extrusion-opacity': CONFIG.JAMMING.EXTRUSION.OPACITY,
+      },
     });
 
-    this.map.on('mouseleave', this.layerId, () => {
-      this.map.getCanvas().style.cursor = '';
+    // Cells that disappeared since the last load (shown in "changes" mode)
+    this.map.addSource(this.goneSourceId, {
+      type: 'geojson',
+      data: {
+        type: 'FeatureCollection',
+        features: [],
+      },
     });
 
-    // Add click handler for popup
-    this.map.on('click', this.layerId, (e) => {
-      if (e.features && e.features.length > 0) {
-        this.showPopup(e.features[0], e.lngLat);
-      }
+    this.map.addLayer({
+      id: `${this.layerId}-gone`,
+      type: 'line',
+      source: this.goneSourceId,
+      layout: {
+        visibility: 'none',
+      },
+      paint: {
+        'line-color': CONFIG.JAMMING.CHANGE_COLORS.gone,
+        'line-width': 2,
+        'line-dasharray': [2, 2],
+      },
+    });
+
+    // Hover effect and popups on the flat and 3D hexagons
+    [this.layerId, `${this.layerId}-extrusion`].forEach((layerId) => {
+      this.map.on('mouseenter', layerId, () => {
+        this.map.getCanvas().style.cursor = 'pointer';
+      });
+
+      this.map.on('mouseleave', layerId, () => {
+        this.map.getCanvas().style.cursor = '';
+      });
+
+      this.map.on('click', layerId, (e) => {
+        if (e.features && e.features.length > 0) {
+          this.showPopup(e.features[0], e.lngLat);
+
+          const h3Index = e.features[0].properties.h3_index;
+          if (this.onCellClick && h3Index) {
+            this.onCellClick(h3Index);
+          }
+        }
+      });
     });
   }
 
+  /**
+   * Fill/outline color expression: severity for agg data, green/red for coverage
+   */
+  getColorExpression() {
+    return [
+      'case',
+      ['has', 'ratio_bad'],
+      // Jamming aggregated data - color by severity
+      [
+        'step',
+        ['get', 'ratio_bad'],
+        CONFIG.JAMMING.COLOR_SCALE[0].color, // Zero (0%-1%)
+        0.01,
+        CONFIG.JAMMING.COLOR_SCALE[1].color, // Low (1%-10%)
+        0.1,
+        CONFIG.JAMMING.COLOR_SCALE[2].color, // High (10%-100%)
+      ],
+      ['==', ['get', 'coverage'], 'none'],
+      // Coverage data with no coverage (red)
+      '#dc2626',
+      // Coverage data with coverage (default green)
+      '#10b981',
+    ];
+  }
+
   /**
    * Filter GeoJSON features by severity level (client-side)
    * Severity levels:
@@ -236,33 +307,67 @@ class JammingLayer {
       const severityLevels = options.jammingSeverityLevels || [];
       let response;
 
+      const request = { key: this.requestKey };
       if (dataSource === 'jamming/coverage') {
-        response = await this.apiClient.getJammingCoverage(options);
+        response = await this.apiClient.getJammingCoverage(options, request);
       } else {
-        response = await this.apiClient.getJammingData(options);
+        response = await this.apiClient.getJammingData(options, request);
       }
 
+      // Re-aggregate to a coarser H3 resolution (client-side) before
+      // filtering, so severity follows the merged counts
+      const data = this.aggregate(response.data, options, dataSource);
+
       // Filter by severity (client-side) - only for agg data
       let filteredData =
         dataSource === 'jamming/agg'
-          ? this.filterBySeverity(response.data, severityLevels)
-          : response.data;
+          ? this.filterBySeverity(data, severityLevels)
+          : data;
 
       // Apply union by severity if enabled - only for agg data
       if (dataSource === 'jamming/agg' && options.unionBySeverity === true) {
         filteredData = this.unionBySeverity(filteredData);
       }
 
+      // Diff against the previous load of the same query (e.g. auto-refresh);
+      // unioned features are severity blobs, not cells, so they are not diffed
+      const changeKey = this.getChangeKey(options);
+      let gone = { type: 'FeatureCollection', features: [] };
+      if (
+        dataSource === 'jamming/agg' &&
+        options.unionBySeverity !== true &&
+        changeKey === this.changeKey &&
+        this.canDiff(this.currentData) &&
+        this.canDiff(filteredData)
+      ) {
+        const diff = this.diffData(this.currentData, filteredData);
+        gone = diff.gone;
+        this.changes = diff.changes;
+        this.changeStats = diff.counts;
+      } else {
+        this.changes = null;
+        this.changeStats = null;
+      }
+      this.changeKey = changeKey;
+
       this.currentData = filteredData;
       this.metadata = response.metadata;
+      this.currentOptions = options;
+      if (this.cellHistory) {
+        this.cellHistory.clear();
+      }
 
       // Update the map source with filtered data
       this.updateSource(this.currentData);
+      this.updateGoneSource(gone);
 
       return {
         data: this.currentData,
         metadata: this.metadata,
-        stats: this.calculateStats(this.currentData, dataSource),
+        stats: {
+          ...this.calculateStats(this.currentData, dataSource),
+          changes: this.changeStats,
+        },
       };
     } catch (error) {
       console.error('Failed to load jamming data:', error);
@@ -270,16 +375,327 @@ class JammingLayer {
     }
   }
 
+  /**
+   * Re-aggregate agg cells to options.aggregateResolution (null = native)
+   */
+  aggregate(geojson, options, dataSource = 'jamming/agg') {
+    const resolution = options.aggregateResolution;
+    if (
+      dataSource !== 'jamming/agg' ||
+      resolution === null ||
+      resolution === undefined
+    ) {
+      return geojson;
+    }
+
+    return aggregateH3Cells(geojson, resolution);
+  }
+
   /**
    * Update the map source with new data
    */
   updateSource(geojson) {
+    this.sourceData = geojson;
+    let displayed = this.applyLevelOfDetail(geojson);
+
+    // The change status goes on the map's copy only (not the table/exports)
+    if (this.changes && geojson === this.currentData) {
+      displayed = this.markChanges(displayed);
+    }
+
     const source = this.map.getSource(this.sourceId);
+    if (source) {
+      source.setData(displayed);
+    }
+    this.displayedData = displayed;
+
+    // Heights scale to the new data's largest value
+    if (this.extrusionMetric) {
+      this.updateExtrusionHeight();
+    }
+  }
+
+  /**
+   * Set the zoom-dependent view (see LevelOfDetail) and re-render the
+   * source with it
+   */
+  setLevelOfDetail(view) {
+    this.levelOfDetail = view;
+    if (this.sourceData) {
+      this.updateSource(this.sourceData);
+    }
+  }
+
+  /**
+   * Data for the map source at the current view: agg cells merged up to the
+   * view's resolution, then clipped to the viewport (plus margin)
+   */
+  applyLevelOfDetail(geojson) {
+    const view = this.levelOfDetail;
+    if (!view || !geojson || !geojson.features) return geojson;
+
+    let data = geojson;
+    const dataSource =
+      (this.currentOptions && this.currentOptions.dataSource) || 'jamming/agg';
+    if (
+      view.resolution !== null &&
+      dataSource === 'jamming/agg' &&
+      isH3Available()
+    ) {
+      // Panning at the same zoom reuses the merged cells
+      const cache = this.lodCache;
+      if (
+        !cache ||
+        cache.data !== geojson ||
+        cache.resolution !== view.resolution
+      ) {
+        this.lodCache = {
+          data: geojson,
+          resolution: view.resolution,
+          result: aggregateH3Cells(geojson, view.resolution),
+        };
+      }
+      data = this.lodCache.result;
+    }
+
+    return clipToBbox(data, view.bbox);
+  }
+
+  /**
+   * Update the source of cells gone since the previous load
+   */
+  updateGoneSource(geojson) {
+    const source = this.map.getSource(this.goneSourceId);
     if (source) {
       source.setData(geojson);
     }
   }
 
+  /**
+   * Identify the query behind a load; only loads of the same query are diffed
+   */
+  getChangeKey(options) {
+    return JSON.stringify(
+      JAMMING_CHANGE_KEYS.map((key) => options[key] ?? null)
+    );
+  }
+
+  /**
+   * Check whether every feature carries an h3_index to diff on
+   */
+  canDiff(geojson) {
+    return Boolean(
+      geojson &&
+        geojson.features &&
+        geojson.features.every((f) => f.properties && f.properties.h3_index)
+    );
+  }
+
+  /**
+   * Diff two FeatureCollections by h3_index
+   * Each current cell gets a change status (new, escalated, deescalated or
+   * unchanged, by severity level) in the `changes` map; cells only in the
+   * previous data are returned separately as `gone`
+   * @returns {{changes: Map, gone: Object, counts: Object}}
+   */
+  diffData(previous, current) {
+    const rank = { zero: 0, low: 1, high: 2 };
+    const previousByIndex = new Map(
+      previous.features.map((f) => [f.properties.h3_index, f])
+    );
+    const counts = {
+      new: 0,
+      newHigh: 0,
+      escalated: 0,
+      deescalated: 0,
+      unchanged: 0,
+      gone: 0,
+    };
+
+    const changes = new Map();
+    current.features.forEach((feature) => {
+      const index = feature.properties.h3_index;
+      const level = this.getSeverityLevel(feature.properties.ratio_bad || 0);
+      const before = previousByIndex.get(index);
+
+      let change = 'new';
+      if (before) {
+        const delta =
+          rank[level] -
+          rank[this.getSeverityLevel(before.properties.ratio_bad || 0)];
+        change =
+          delta > 0 ? 'escalated' : delta < 0 ? 'deescalated' : 'unchanged';
+        previousByIndex.delete(index);
+      } else if (level === 'high') {
+        counts.newHigh++;
+      }
+      counts[change]++;
+      changes.set(index, change);
+    });
+
+    const gone = Array.from(previousByIndex.values()).map((feature) => ({
+      ...feature,
+      properties: { ...feature.properties, change: 'gone' },
+    }));
+    counts.gone = gone.length;
+
+    return {
+      changes,
+      gone: { type: 'FeatureCollection', features: gone },
+      counts,
+    };
+  }
+
+  /**
+   * Copy a FeatureCollection with each cell's `change` status (this.changes)
+   * Cells merged by the level of detail have none
+   */
+  markChanges(geojson) {
+    return {
+      ...geojson,
+      features: geojson.features.map((feature) => {
+        const change = this.changes.get(feature.properties.h3_index);
+        return change
+          ? { ...feature, properties: { ...feature.properties, change } }
+          : feature;
+      }),
+    };
+  }
+
+  /**
+   * Switch between severity colors and change-detection outlines
+   * @param {string} mode - 'severity' or 'changes'
+   */
+  setStyleMode(mode) {
+    this.styleMode = mode;
+    const changes = mode === 'changes';
+    const colors = CONFIG.JAMMING.CHANGE_COLORS;
+
+    this.map.setPaintProperty(
+      `${this.layerId}-outline`,
+      'line-color',
+      changes
+        ? [
+            'match',
+            ['get', 'change'],
+            'new',
+            colors.new,
+            'escalated',
+            colors.escalated,
+            'deescalated',
+            colors.deescalated,
+            this.getColorExpression(),
+          ]
+        : this.getColorExpression()
+    );
+    this.map.setPaintProperty(
+      `${this.layerId}-outline`,
+      'line-width',
+      changes
+        ? [
+            'match',
+            ['get', 'change'],
+            ['new', 'escalated', 'deescalated'],
+            3,
+            1,
+          ]
+        : 1
+    );
+    // Dim the fill so the change outlines stand out
+    this.map.setPaintProperty(
+      this.layerId,
+      'fill-opacity',
+      this.getFillOpacity()
+    );
+    this.map.setLayoutProperty(
+      `${this.layerId}-gone`,
+      'visibility',
+      changes && this.visible ? 'visible' : 'none'
+    );
+  }
+
+  /**
+   * Fill opacity for the current style mode and layer opacity
+   */
+  getFillOpacity() {
+    return (this.styleMode === 'changes' ? 0.3 : 0.6) * this.opacity;
+  }
+
+  /**
+   * Extrude the hexagons by a metric, or flatten them again
+   * @param {string|null} metric - A CONFIG.JAMMING.EXTRUSION.METRICS key
+   */
+  setExtrusion(metric) {
+    this.extrusionMetric = metric || null;
+    this.updateExtrusionHeight();
+    this.setVisibility(this.visible);
+  }
+
+  /**
+   * Largest value of the extrusion metric among the displayed cells
+   */
+  getExtrusionMax() {
+    const metric = this.extrusionMetric;
+    const features = (this.displayedData && this.displayedData.features) || [];
+
+    return features.reduce(
+      (max, feature) => Math.max(max, Number(feature.properties[metric]) || 0),
+      0
+    );
+  }
+
+  /**
+   * Height expression: 0 up to MAX_HEIGHT for the largest displayed value
+   */
+  getExtrusionHeightExpression() {
+    const max = this.getExtrusionMax();
+    if (!this.extrusionMetric || max === 0) return 0;
+
+    return [
+      'interpolate',
+      ['linear'],
+      ['to-number', ['coalesce', ['get', this.extrusionMetric], 0]],
+      0,
+      0,
+      max,
+      CONFIG.JAMMING.EXTRUSION.MAX_HEIGHT,
+    ];
+  }
+
+  /**
+   * Apply the height expression to the extrusion layer
+   */
+  updateExtrusionHeight() {
+    this.map.setPaintProperty(
+      `${this.layerId}-extrusion`,
+      'fill-extrusion-height',
+      this.getExtrusionHeightExpression()
+    );
+  }
+
+  /**
+   * Set layer opacity (0-1), scaling the fill, outline and gone outlines
+   */
+  setOpacity(opacity) {
+    this.opacity = opacity;
+    this.map.setPaintProperty(
+      `${this.layerId}-extrusion`,
+      'fill-extrusion-opacity',
+      CONFIG.JAMMING.EXTRUSION.OPACITY * opacity
+    );
+    this.map.setPaintProperty(
+      this.layerId,
+      'fill-opacity',
+      this.getFillOpacity()
+    );
+    this.map.setPaintProperty(
+      `${this.layerId}-outline`,
+      'line-opacity',
+      0.8 * opacity
+    );
+    this.map.setPaintProperty(`${this.layerId}-gone`, 'line-opacity', opacity);
+  }
+
   /**
    * Calculate statistics from the data
    */
@@ -346,6 +762,23 @@ class JammingLayer {
                 <span class="popup-stat-value">${props.h3_index}</span>
             </div>`;
     }
+    if (props.n_cells !== undefined) {
+      h3Info += `<div class="popup-stat">
+                <span class="popup-stat-label">Cells Aggregated:</span>
+                <span class="popup-stat-value">${props.n_cells}</span>
+            </div>`;
+    }
+
+    const location = this.locationInfo ? this.locationInfo(lngLat) : '';
+
+    // Hourly chart of a single (ungrouped, native resolution) agg cell,
+    // filled in once loaded
+    const showHistory =
+      !isCoverage &&
+      Boolean(props.h3_index) &&
+      props.n_cells === undefined &&
+      this.cellHistory !== null &&
+      this.currentOptions !== null;
 
     let html = '';
 
@@ -356,6 +789,7 @@ class JammingLayer {
         <div class="popup-content">
           <h4>Coverage ${hasCoverage ? '✓' : '✗'}</h4>
           ${h3Info}
+          ${location}
           <div class="popup-stat">
             <span class="popup-stat-label">Altitude:</span>
             <span class="popup-stat-value">${props.altitude || 'N/A'}</span>
@@ -377,6 +811,7 @@ class JammingLayer {
         <div class="popup-content">
           <h4>Jamming Details</h4>
           ${h3Info}
+          ${location}
           <div class="popup-stat">
             <span class="popup-stat-label">Altitude:</span>
             <span class="popup-stat-value">${props.altitude || 'N/A'}</span>
@@ -384,7 +819,9 @@ class JammingLayer {
           <hr style="margin: 0.5rem 0; border: 1px solid #444;">
           <div class="popup-stat">
             <span class="popup-stat-label">Total Aircraft:</span>
-            <span class="popup-stat-value">${props.n_unique_ac || 0}</span>
+            <span class="popup-stat-value">${
+              props.n_unique_ac_upper_bound ? '≤ ' : ''
+            }${props.n_unique_ac || 0}</span>
           </div>
           <div class="popup-stat">
             <span class="popup-stat-label">Good (NIC 8-11):</span>
@@ -400,11 +837,39 @@ class JammingLayer {
               props.ratio_bad || 0
             )}</span>
           </div>
+          ${
+            showHistory
+              ? `<hr style="margin: 0.5rem 0; border: 1px solid #444;">
+                 <div class="cell-history">Loading hourly breakdown…</div>`
+              : ''
+          }
         </div>
       `;
     }
 
-    new mapboxgl.Popup().setLngLat(lngLat).setHTML(html).addTo(this.map);
+    const popup = new mapboxgl.Popup(showHistory ? { maxWidth: '280px' } : {})
+      .setLngLat(lngLat)
+      .setHTML(html)
+      .addTo(this.map);
+
+    if (showHistory) {
+      this.loadCellHistory(popup, props.h3_index);
+    }
+  }
+
+  /**
+   * Fill a popup's chart placeholder with the cell's hourly breakdown
+   */
+  async loadCellHistory(popup, h3Index) {
+    const container = popup.getElement().querySelector('.cell-history');
+
+    try {
+      const series = await this.cellHistory.load(h3Index, this.currentOptions);
+      container.innerHTML = this.cellHistory.render(series);
+    } catch (error) {
+      console.error('Failed to load cell history:', error);
+      container.textContent = 'Hourly breakdown unavailable';
+    }
   }
 
   /**
@@ -413,23 +878,44 @@ class JammingLayer {
   setVisibility(visible) {
     this.visible = visible;
     const visibility = visible ? 'visible' : 'none';
-    this.map.setLayoutProperty(this.layerId, 'visibility', visibility);
+    const extruded = this.extrusionMetric !== null;
+    this.map.setLayoutProperty(
+      this.layerId,
+      'visibility',
+      visible && !extruded ? 'visible' : 'none'
+    );
     this.map.setLayoutProperty(
       `${this.layerId}-outline`,
       'visibility',
       visibility
     );
+    this.map.setLayoutProperty(
+      `${this.layerId}-extrusion`,
+      'visibility',
+      visible && extruded ? 'visible' : 'none'
+    );
+    this.map.setLayoutProperty(
+      `${this.layerId}-gone`,
+      'visibility',
+      visible && this.styleMode === 'changes' ? 'visible' : 'none'
+    );
   }
 
   /**
    * Clear all data
    */
   clear() {
-    this.updateSource({
+    const empty = {
       type: 'FeatureCollection',
       features: [],
-    });
+    };
+    this.updateSource(empty);
+    this.updateGoneSource(empty);
+    this.lodCache = null;
     this.currentData = null;
     this.metadata = null;
+    this.changeKey = null;
+    this.changeStats = null;
+    this.changes = null;
   }
 }
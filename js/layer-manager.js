@@ -0,0 +1,184 @@
+// Layer Manager - Independent jamming/spoofing layers shown together
+
+// Data source -> layer class and id prefix, in map stacking order (bottom first)
+const DATA_LAYERS = {
+  'jamming/coverage': {
+    label: 'Jamming Coverage',
+    type: 'jamming',
+    idPrefix: 'coverage',
+  },
+  'jamming/agg': { label: 'Jamming', type: 'jamming', idPrefix: 'jamming' },
+  'spoofing/h3': {
+    label: 'Spoofing H3 Grid',
+    type: 'spoofing',
+    idPrefix: 'spoofing-grid',
+  },
+  'spoofing/agg': {
+    label: 'Spoofing Events',
+    type: 'spoofing',
+    idPrefix: 'spoofing',
+  },
+};
+
+class LayerManager {
+  constructor(map, apiClient) {
+    this.map = map;
+    this.apiClient = apiClient;
+    this.entries = {}; // dataSource -> { layer, enabled, opacity, settings }
+    // Data source selected in the sidebar: always visible, feeds stats/export
+    this.primary = 'jamming/agg';
+  }
+
+  /**
+   * Create one layer per data source (only the primary is shown at first)
+   */
+  initialize() {
+    Object.entries(DATA_LAYERS).forEach(([dataSource, config]) => {
+      const LayerClass =
+        config.type === 'spoofing' ? SpoofingLayer : JammingLayer;
+      const layer = new LayerClass(this.map, this.apiClient, config.idPrefix);
+      layer.initialize();
+
+      this.entries[dataSource] = {
+        layer,
+        enabled: false, // Shown alongside the primary (layer panel checkbox)
+        opacity: 1,
+        settings: null, // Settings of the last load (null = never loaded)
+      };
+      this.applyVisibility(dataSource);
+    });
+  }
+
+  /**
+   * Get the layer instance of a data source
+   */
+  getLayer(dataSource) {
+    return this.entries[dataSource].layer;
+  }
+
+  /**
+   * Get the layer of the selected data source
+   */
+  getPrimaryLayer() {
+    return this.getLayer(this.primary);
+  }
+
+  /**
+   * Select the primary data source; the previous one stays shown only if
+   * it is enabled
+   */
+  setPrimary(dataSource) {
+    const previous = this.primary;
+    this.primary = dataSource;
+    this.applyVisibility(previous);
+    this.applyVisibility(dataSource);
+  }
+
+  /**
+   * Show or hide a layer alongside the primary
+   */
+  setVisibility(dataSource, visible) {
+    this.entries[dataSource].enabled = visible;
+    this.applyVisibility(dataSource);
+  }
+
+  /**
+   * Enable exactly the given data sources (besides the primary)
+   */
+  setEnabled(dataSources) {
+    Object.keys(this.entries).forEach((dataSource) => {
+      this.setVisibility(dataSource, dataSources.includes(dataSource));
+    });
+  }
+
+  /**
+   * Check whether a layer is shown (the primary always is)
+   */
+  isVisible(dataSource) {
+    return (
+      dataSource === this.primary || this.entries[dataSource].enabled === true
+    );
+  }
+
+  /**
+   * Sync a layer's map visibility with its state
+   */
+  applyVisibility(dataSource) {
+    this.entries[dataSource].layer.setVisibility(this.isVisible(dataSource));
+  }
+
+  /**
+   * Set the opacity (0-1) of a layer
+   */
+  setOpacity(dataSource, opacity) {
+    const entry = this.entries[dataSource];
+    entry.opacity = opacity;
+    entry.layer.setOpacity(opacity);
+  }
+
+  /**
+   * Visible data sources, primary first
+   */
+  getVisibleSources() {
+    return [
+      this.primary,
+      ...Object.keys(this.entries).filter(
+        (dataSource) =>
+          dataSource !== this.primary && this.isVisible(dataSource)
+      ),
+    ];
+  }
+
+  /**
+   * Settings a layer loads with: its own from its last load, else the
+   * fallback settings with the data source swapped
+   */
+  getSettings(dataSource, fallback) {
+    const settings = this.entries[dataSource].settings;
+    return settings ? { ...settings } : { ...fallback, dataSource };
+  }
+
+  /**
+   * Load one layer with its own settings
+   */
+  async loadLayer(dataSource, fallback) {
+    const settings = this.getSettings(dataSource, fallback);
+    const result = await this.getLayer(dataSource).loadData(settings);
+    this.entries[dataSource].settings = settings;
+    return result;
+  }
+
+  /**
+   * Load the primary layer with `settings` and every other visible layer
+   * with its own settings, in parallel
+   * Only a primary failure is thrown; other layers keep their previous data
+   * @returns {Promise<Object>} The primary layer's result
+   */
+  async loadAll(settings) {
+    this.setPrimary(settings.dataSource);
+    this.entries[this.primary].settings = { ...settings };
+
+    const [result] = await Promise.all(
+      this.getVisibleSources().map((dataSource) => {
+        const load = this.loadLayer(dataSource, settings);
+        if (dataSource === this.primary) return load;
+
+        return load.catch((error) => {
+          console.warn(`Layer "${dataSource}" failed to load:`, error);
+          return null;
+        });
+      })
+    );
+
+    return result;
+  }
+
+  /**
+   * Set a callback on every layer (e.g. popup location rows)
+   */
+  setLocationInfo(locationInfo) {
+    Object.values(this.entries).forEach((entry) => {
+      entry.layer.locationInfo = locationInfo;
+    });
+  }
+}
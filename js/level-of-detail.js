@@ -0,0 +1,178 @@
+// Level of Detail - Zoom-dependent H3 resolution and viewport clipping
+// Clipping only limits what the map sources draw: the API has no spatial
+// filter, so each query is still fetched whole
+
+// Bounding boxes of features already clipped (features are not mutated)
+const featureBboxes = new WeakMap();
+
+/**
+ * H3 resolution for a zoom level (CONFIG.LOD.ZOOM_RESOLUTIONS)
+ */
+function getResolutionForZoom(zoom) {
+  const levels = CONFIG.LOD.ZOOM_RESOLUTIONS;
+  const level = levels.find((entry) => zoom < entry.maxZoom);
+  return (level || levels[levels.length - 1]).resolution;
+}
+
+/**
+ * Grow a [west, south, east, north] box by a share of its size on each side
+ * @returns {Array<number>|null} null when it covers every longitude
+ */
+function expandBbox([west, south, east, north], margin) {
+  const dx = (east - west) * margin;
+  const dy = (north - south) * margin;
+
+  if (east - west + 2 * dx >= 360) return null;
+
+  return [
+    west - dx,
+    Math.max(-90, south - dy),
+    east + dx,
+    Math.min(90, north + dy),
+  ];
+}
+
+/**
+ * Check whether box `inner` lies within box `outer`
+ */
+function bboxContains(outer, inner) {
+  return (
+    inner[0] >= outer[0] &&
+    inner[1] >= outer[1] &&
+    inner[2] <= outer[2] &&
+    inner[3] <= outer[3]
+  );
+}
+
+/**
+ * [west, south, east, north] of a feature's geometry (null without one)
+ */
+function getFeatureBbox(feature) {
+  if (featureBboxes.has(feature)) {
+    return featureBboxes.get(feature);
+  }
+
+  let bbox = null;
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') {
+      bbox = bbox
+        ? [
+            Math.min(bbox[0], coords[0]),
+            Math.min(bbox[1], coords[1]),
+            Math.max(bbox[2], coords[0]),
+            Math.max(bbox[3], coords[1]),
+          ]
+        : [coords[0], coords[1], coords[0], coords[1]];
+    } else {
+      coords.forEach(visit);
+    }
+  };
+  if (feature.geometry && feature.geometry.coordinates) {
+    visit(feature.geometry.coordinates);
+  }
+
+  featureBboxes.set(feature, bbox);
+  return bbox;
+}
+
+/**
+ * Features whose bounding box meets a [west, south, east, north] box
+ * The box may extend past ±180 (world copies), so it is also tried
+ * shifted by one turn
+ */
+function clipToBbox(geojson, bbox) {
+  if (!geojson || !geojson.features || !bbox) return geojson;
+
+  const [west, south, east, north] = bbox;
+  const meets = (box, shift) =>
+    box[0] <= east + shift &&
+    box[2] >= west + shift &&
+    box[1] <= north &&
+    box[3] >= south;
+
+  return {
+    ...geojson,
+    features: geojson.features.filter((feature) => {
+      const box = getFeatureBbox(feature);
+      return box && (meets(box, 0) || meets(box, 360) || meets(box, -360));
+    }),
+  };
+}
+
+class LevelOfDetail {
+  constructor(map) {
+    this.map = map;
+    this.autoResolution = false; // Pick the H3 resolution from the zoom
+    this.view = null; // { zoom, resolution, viewport, bbox } last applied
+    this.onChange = null; // (view, previous) => apply the view to layers
+  }
+
+  /**
+   * Follow map moves (and apply the initial view)
+   */
+  initialize() {
+    this.map.on('moveend', () => this.update());
+    this.update(true);
+  }
+
+  /**
+   * View for the current camera: resolution (null = native) and, when
+   * zoomed in, the viewport plus a margin to clip sources to
+   */
+  getView() {
+    const zoom = this.map.getZoom();
+    const bounds = this.map.getBounds();
+    const viewport = [
+      bounds.getWest(),
+      bounds.getSouth(),
+      bounds.getEast(),
+      bounds.getNorth(),
+    ];
+
+    return {
+      zoom,
+      resolution: this.autoResolution ? getResolutionForZoom(zoom) : null,
+      viewport,
+      bbox:
+        zoom >= CONFIG.LOD.VIEWPORT_MIN_ZOOM
+          ? expandBbox(viewport, CONFIG.LOD.VIEWPORT_MARGIN)
+          : null,
+    };
+  }
+
+  /**
+   * Check whether a view needs the layers re-rendered: another resolution,
+   * clipping switched on/off, or the viewport left the clipped area
+   */
+  needsUpdate(view) {
+    const previous = this.view;
+    if (!previous) return true;
+    if (view.resolution !== previous.resolution) return true;
+    if (!view.bbox !== !previous.bbox) return true;
+    return Boolean(view.bbox) && !bboxContains(previous.bbox, view.viewport);
+  }
+
+  /**
+   * Apply the current view if it changed (or always, when forced)
+   * @returns {boolean} Whether the view was applied
+   */
+  update(force = false) {
+    const view = this.getView();
+    if (!force && !this.needsUpdate(view)) return false;
+
+    const previous = this.view;
+    this.view = view;
+    if (this.onChange) {
+      this.onChange(view, previous);
+    }
+    return true;
+  }
+
+  /**
+   * Turn zoom-dependent resolution on or off
+   */
+  setAutoResolution(enabled) {
+    this.autoResolution = enabled;
+    this.update(true);
+  }
+}
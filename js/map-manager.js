@@ -1,13 +1,23 @@
 // Map Manager - Handles map initialization and interaction
 class MapManager {
-  constructor(containerId, config) {
+  constructor(containerId, config, authSession = null) {
     this.containerId = containerId;
     this.config = config;
+    this.authSession = authSession; // Proxy login token for the API client
     this.map = null;
     this.apiClient = null;
-    this.jammingLayer = null;
-    this.spoofingLayer = null;
-    this.currentLayerType = 'jamming'; // 'jamming' or 'spoofing'
+    this.layerManager = null;
+    this.jammingLayer = null; // jamming/agg layer (playback, change detection)
+    this.spoofingLayer = null; // spoofing/agg layer
+    this.playbackController = null;
+    this.compareController = null;
+    this.flightTracer = null;
+    this.altitudeProfile = null;
+    this.h3Tools = null;
+    this.levelOfDetail = null; // Zoom-dependent resolution and clipping
+    this.onResolutionChange = null; // (view) => reload resolution-bound data
+    this.draw = null; // MapboxDraw control for area analysis
+    this.overlayManager = null;
     this.autoRefreshInterval = null;
   }
 
@@ -36,65 +46,168 @@ class MapManager {
     });
 
     // Initialize API client
-    this.apiClient = new APIClient(this.config.API);
+    this.apiClient = new APIClient(this.config.API, this.authSession);
 
-    // Initialize jamming layer
-    this.jammingLayer = new JammingLayer(this.map, this.apiClient);
-    this.jammingLayer.initialize();
+    // One independent layer per data source (only jamming/agg shown at first)
+    this.layerManager = new LayerManager(this.map, this.apiClient);
+    this.layerManager.initialize();
+    this.jammingLayer = this.layerManager.getLayer('jamming/agg');
+    this.jammingLayer.cellHistory = new CellHistory(this.apiClient);
+    this.spoofingLayer = this.layerManager.getLayer('spoofing/agg');
 
-    // Initialize spoofing layer
-    this.spoofingLayer = new SpoofingLayer(this.map, this.apiClient);
-    this.spoofingLayer.initialize();
-    this.spoofingLayer.setVisibility(false); // Hidden by default
+    // Reference overlays (countries, airports); popups name the containing
+    // country
+    this.overlayManager = new OverlayManager(this.map);
+    await this.overlayManager.initialize();
+    const locationInfo = (lngLat) =>
+      this.overlayManager.getLocationHtml(lngLat);
+    this.layerManager.setLocationInfo(locationInfo);
+
+    // Initialize hourly playback (drives the jamming source)
+    this.playbackController = new PlaybackController(
+      this.jammingLayer,
+      this.apiClient
+    );
+
+    // Altitude profile: every band of the jamming query (shown on demand)
+    this.altitudeProfile = new AltitudeProfile(this.map, this.apiClient);
+    this.altitudeProfile.initialize();
+
+    // H3 cell lookup and neighbor ring highlight
+    this.h3Tools = new H3Tools(this.map);
+    this.h3Tools.initialize();
+
+    // Flight trace highlight (above data layers and overlays)
+    this.flightTracer = new FlightTracer(this.map);
+    this.flightTracer.initialize();
+
+    // Side B map for comparing two jamming queries (created on demand)
+    this.compareController = new CompareController(
+      this.map,
+      this.apiClient,
+      this.config
+    );
+    this.compareController.locationInfo = locationInfo;
+
+    // Level of detail: every data layer follows the zoom and viewport
+    this.levelOfDetail = new LevelOfDetail(this.map);
+    this.levelOfDetail.onChange = (view, previous) =>
+      this.applyLevelOfDetail(view, previous);
+    this.levelOfDetail.initialize();
+
+    // Polygon drawing for area analysis (plugin loaded from CDN)
+    if (typeof MapboxDraw !== 'undefined') {
+      this.draw = new MapboxDraw({ displayControlsDefault: false });
+      this.map.addControl(this.draw, 'top-right');
+    } else {
+      console.warn('MapboxDraw is not loaded. Area drawing is disabled.');
+    }
 
     console.log('Map initialized successfully');
   }
 
   /**
-   * Load data with current settings (supports both jamming and spoofing)
+   * Load the selected data source plus every other visible layer
+   * @returns {Promise<Object>} Result of the selected data source
    */
   async loadJammingData(options) {
     try {
-      const dataSource = options.dataSource || 'jamming/agg';
-      const isSpoofing = dataSource.startsWith('spoofing/');
-
-      // Switch layer visibility
-      if (isSpoofing && this.currentLayerType !== 'spoofing') {
-        this.jammingLayer.setVisibility(false);
-        this.spoofingLayer.setVisibility(true);
-        this.currentLayerType = 'spoofing';
-      } else if (!isSpoofing && this.currentLayerType !== 'jamming') {
-        this.spoofingLayer.setVisibility(false);
-        this.jammingLayer.setVisibility(true);
-        this.currentLayerType = 'jamming';
-      }
-
-      // Load data from appropriate layer
-      let result;
-      if (isSpoofing) {
-        result = await this.spoofingLayer.loadData(options);
-      } else {
-        result = await this.jammingLayer.loadData(options);
-      }
-
-      return result;
+      return await this.layerManager.loadAll({
+        ...options,
+        dataSource: options.dataSource || 'jamming/agg',
+      });
     } catch (error) {
       console.error('Error loading data:', error);
       throw error;
     }
   }
 
+  /**
+   * Re-render every data layer (and compare side B) at a view; a new
+   * resolution is reported so data fetched at a resolution can reload
+   */
+  applyLevelOfDetail(view, previous) {
+    Object.values(this.layerManager.entries).forEach((entry) => {
+      entry.layer.setLevelOfDetail(view);
+    });
+    this.compareController.setLevelOfDetail(view);
+
+    if (
+      previous &&
+      view.resolution !== previous.resolution &&
+      this.onResolutionChange
+    ) {
+      this.onResolutionChange(view);
+    }
+  }
+
+  /**
+   * Show the altitude profile in place of the jamming layer, or restore it
+   */
+  setAltitudeProfile(active) {
+    this.altitudeProfile.setActive(active);
+    if (active) {
+      this.jammingLayer.setVisibility(false);
+    } else {
+      this.layerManager.applyVisibility('jamming/agg');
+    }
+  }
+
+  /**
+   * Extrude the jamming hexagons (both compare sides) by a metric, or
+   * flatten them (null); tilts the map when switching between the two
+   */
+  setExtrusion(metric) {
+    const wasExtruded = this.jammingLayer.extrusionMetric !== null;
+
+    this.jammingLayer.setExtrusion(metric);
+    this.compareController.setExtrusion(metric);
+
+    if (wasExtruded !== Boolean(metric)) {
+      this.map.easeTo({
+        pitch: metric ? this.config.JAMMING.EXTRUSION.PITCH : 0,
+      });
+    }
+  }
+
+  /**
+   * Show or hide a reference overlay
+   */
+  setOverlayVisibility(id, visible) {
+    this.overlayManager.setVisibility(id, visible);
+  }
+
   /**
    * Toggle current layer visibility
    */
   toggleJammingLayer(visible) {
-    if (this.currentLayerType === 'jamming' && this.jammingLayer) {
-      this.jammingLayer.setVisibility(visible);
-    } else if (this.currentLayerType === 'spoofing' && this.spoofingLayer) {
-      this.spoofingLayer.setVisibility(visible);
+    if (this.layerManager) {
+      this.layerManager.getPrimaryLayer().setVisibility(visible);
     }
   }
 
+  /**
+   * Show or hide the layer of a data source
+   */
+  setLayerVisibility(dataSource, visible) {
+    this.layerManager.setVisibility(dataSource, visible);
+  }
+
+  /**
+   * Load one layer (e.g. when it is first shown) with its own settings
+   * @param {Object} settings - Used if the layer has never been loaded
+   */
+  async loadLayer(dataSource, settings) {
+    return await this.layerManager.loadLayer(dataSource, settings);
+  }
+
+  /**
+   * Set the opacity (0-1) of the layer of a data source
+   */
+  setLayerOpacity(dataSource, opacity) {
+    this.layerManager.setOpacity(dataSource, opacity);
+  }
+
   /**
    * Start auto-refresh
    */
@@ -122,14 +235,73 @@ class MapManager {
     return this.map.getBounds();
   }
 
+  /**
+   * Call back with the drawn polygon geometry (null when deleted)
+   */
+  onRegionDrawn(callback) {
+    if (!this.draw) return;
+
+    const handler = (e) => {
+      callback(e.features.length > 0 ? e.features[0].geometry : null);
+    };
+    this.map.on('draw.create', handler);
+    this.map.on('draw.update', handler);
+    this.map.on('draw.delete', () => callback(null));
+  }
+
+  /**
+   * Start drawing a new polygon (replaces the current one)
+   */
+  startDrawing() {
+    if (!this.draw) return;
+
+    this.draw.deleteAll();
+    this.draw.changeMode('draw_polygon');
+  }
+
+  /**
+   * Show an area outline on the map (null clears it)
+   */
+  showRegion(geometry) {
+    if (!this.draw) return;
+
+    this.draw.deleteAll();
+    if (geometry) {
+      this.draw.add({ type: 'Feature', properties: {}, geometry });
+    }
+  }
+
+  /**
+   * Get current map bounds as a GeoJSON Polygon
+   */
+  getBoundsPolygon() {
+    const bounds = this.getBounds();
+    const west = bounds.getWest();
+    const south = bounds.getSouth();
+    const east = bounds.getEast();
+    const north = bounds.getNorth();
+
+    return {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [west, south],
+          [east, south],
+          [east, north],
+          [west, north],
+          [west, south],
+        ],
+      ],
+    };
+  }
+
   /**
    * Fit map to data bounds
    */
   fitToData(padding = 50) {
-    const currentLayer =
-      this.currentLayerType === 'spoofing'
-        ? this.spoofingLayer
-        : this.jammingLayer;
+    const currentLayer = this.layerManager
+      ? this.layerManager.getPrimaryLayer()
+      : null;
 
     if (!currentLayer || !currentLayer.currentData) {
       return;
@@ -168,6 +340,7 @@ class MapManager {
       currentProjection.name === 'globe' ? 'mercator' : 'globe';
 
     this.map.setProjection(newProjection);
+    this.compareController.setProjection(newProjection);
 
     return newProjection;
   }
@@ -178,4 +351,34 @@ class MapManager {
   getProjection() {
     return this.map.getProjection().name;
   }
+
+  /**
+   * Get the current view (center, zoom, projection)
+   */
+  getViewState() {
+    const center = this.map.getCenter();
+    return {
+      center: [center.lng, center.lat],
+      zoom: this.map.getZoom(),
+      projection: this.getProjection(),
+    };
+  }
+
+  /**
+   * Restore a view (any of center, zoom, projection may be omitted)
+   */
+  setViewState(view) {
+    if (!view) return;
+
+    if (view.projection && view.projection !== this.getProjection()) {
+      this.map.setProjection(view.projection);
+    }
+
+    if (view.center || view.zoom !== undefined) {
+      this.map.jumpTo({
+        center: view.center || this.map.getCenter(),
+        zoom: view.zoom !== undefined ? view.zoom : this.map.getZoom(),
+      });
+    }
+  }
 }
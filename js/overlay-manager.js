@@ -0,0 +1,208 @@
+// Overlay Manager - Reference overlays (countries, airports) from bundled GeoJSON
+class OverlayManager {
+  constructor(map, overlays = CONFIG.OVERLAYS) {
+    this.map = map;
+    this.config = overlays; // id -> { label, url, type, color, labelProperty }
+    this.data = {}; // id -> FeatureCollection (loaded)
+    this.visible = {}; // id -> boolean
+  }
+
+  /**
+   * Load all overlay files and add their (hidden) layers
+   * Boundary data is needed for popup lookups even while hidden
+   */
+  async initialize() {
+    await Promise.all(
+      Object.keys(this.config).map((id) => this.loadOverlay(id))
+    );
+  }
+
+  /**
+   * Fetch one overlay file and add its source and layers
+   */
+  async loadOverlay(id) {
+    const overlay = this.config[id];
+
+    try {
+      const response = await fetch(overlay.url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.data[id] = await response.json();
+    } catch (error) {
+      console.warn(`Overlay "${id}" not loaded (${overlay.url}):`, error);
+      this.data[id] = { type: 'FeatureCollection', features: [] };
+    }
+
+    this.addLayers(id);
+    this.setVisibility(id, overlay.visible === true);
+  }
+
+  /**
+   * Add source and layers for an overlay
+   */
+  addLayers(id) {
+    const overlay = this.config[id];
+    const sourceId = `overlay-${id}`;
+    const textField = ['get', overlay.labelProperty];
+    const labelLayout = {
+      'text-field': textField,
+      'text-size': 11,
+      'text-allow-overlap': false,
+    };
+    const labelPaint = {
+      'text-color': overlay.color,
+      'text-halo-color': '#000',
+      'text-halo-width': 1,
+    };
+
+    this.map.addSource(sourceId, { type: 'geojson', data: this.data[id] });
+
+    if (overlay.type === 'point') {
+      this.map.addLayer({
+        id: `${sourceId}-points`,
+        type: 'circle',
+        source: sourceId,
+        paint: {
+          'circle-radius': 3,
+          'circle-color': overlay.color,
+          'circle-stroke-color': '#000',
+          'circle-stroke-width': 1,
+        },
+      });
+      this.map.addLayer({
+        id: `${sourceId}-labels`,
+        type: 'symbol',
+        source: sourceId,
+        minzoom: 4,
+        layout: {
+          ...labelLayout,
+          'text-offset': [0, 1],
+          'text-anchor': 'top',
+        },
+        paint: labelPaint,
+      });
+      return;
+    }
+
+    // Boundaries: outline plus one label per area
+    this.map.addLayer({
+      id: `${sourceId}-lines`,
+      type: 'line',
+      source: sourceId,
+      paint: {
+        'line-color': overlay.color,
+        'line-width': 1,
+        'line-opacity': 0.8,
+        ...(overlay.dashed ? { 'line-dasharray': [3, 2] } : {}),
+      },
+    });
+
+    this.map.addSource(`${sourceId}-label-points`, {
+      type: 'geojson',
+      data: this.getLabelPoints(this.data[id], overlay.labelProperty),
+    });
+    this.map.addLayer({
+      id: `${sourceId}-labels`,
+      type: 'symbol',
+      source: `${sourceId}-label-points`,
+      minzoom: 3,
+      layout: labelLayout,
+      paint: labelPaint,
+    });
+  }
+
+  /**
+   * One point inside each area to anchor its label
+   */
+  getLabelPoints(geojson, labelProperty) {
+    if (typeof turf === 'undefined') {
+      console.warn('Turf.js not loaded. Overlay labels are disabled.');
+      return { type: 'FeatureCollection', features: [] };
+    }
+
+    return {
+      type: 'FeatureCollection',
+      features: geojson.features
+        .filter((feature) => feature.geometry && feature.properties)
+        .map((feature) =>
+          turf.pointOnFeature(feature, {
+            [labelProperty]: feature.properties[labelProperty],
+          })
+        ),
+    };
+  }
+
+  /**
+   * Get the map layer ids of an overlay
+   */
+  getLayerIds(id) {
+    const sourceId = `overlay-${id}`;
+    return this.config[id].type === 'point'
+      ? [`${sourceId}-points`, `${sourceId}-labels`]
+      : [`${sourceId}-lines`, `${sourceId}-labels`];
+  }
+
+  /**
+   * Show or hide an overlay
+   */
+  setVisibility(id, visible) {
+    this.visible[id] = visible;
+    this.getLayerIds(id).forEach((layerId) => {
+      if (this.map.getLayer(layerId)) {
+        this.map.setLayoutProperty(
+          layerId,
+          'visibility',
+          visible ? 'visible' : 'none'
+        );
+      }
+    });
+  }
+
+  /**
+   * Check whether an overlay has any features
+   */
+  hasData(id) {
+    return Boolean(this.data[id] && this.data[id].features.length > 0);
+  }
+
+  /**
+   * Name of the first boundary feature containing a point
+   * @param {string} id - Boundary overlay id
+   * @param {number[]} point - [lng, lat]
+   * @returns {string|null}
+   */
+  findContaining(id, point) {
+    const geojson = this.data[id];
+    if (!geojson || typeof turf === 'undefined') return null;
+
+    const labelProperty = this.config[id].labelProperty;
+    const match = geojson.features.find(
+      (feature) =>
+        feature.geometry &&
+        ['Polygon', 'MultiPolygon'].includes(feature.geometry.type) &&
+        turf.booleanPointInPolygon(point, feature)
+    );
+
+    return match ? match.properties[labelProperty] : null;
+  }
+
+  /**
+   * Popup rows naming the boundaries (overlays with a popupLabel) at a
+   * location
+   */
+  getLocationHtml(lngLat) {
+    const point = [lngLat.lng, lngLat.lat];
+
+    return Object.keys(this.config)
+      .filter((id) => this.config[id].popupLabel && this.hasData(id))
+      .map((id) => {
+        const name = this.findContaining(id, point) || 'N/A';
+        return `<div class="popup-stat">
+            <span class="popup-stat-label">${this.config[id].popupLabel}:</span>
+            <span class="popup-stat-value">${name}</span>
+          </div>`;
+      })
+      .join('');
+  }
+}
@@ -0,0 +1,145 @@
+// Permalink - Serializes app settings and map view into the URL hash
+const PERMALINK_DATA_SOURCES = [
+  'jamming/agg',
+  'jamming/coverage',
+  'spoofing/agg',
+  'spoofing/h3',
+];
+
+// Settings that are a number or null (their default is null)
+const PERMALINK_NULLABLE_NUMBERS = ['aggregateResolution'];
+
+class Permalink {
+  constructor(defaultSettings) {
+    // Defaults define which keys are serialized and how values are parsed back
+    this.defaultSettings = defaultSettings;
+  }
+
+  /**
+   * Build a URL hash from settings and map view
+   * Only settings that differ from the defaults are included
+   */
+  encode(settings, view = null) {
+    const params = new URLSearchParams();
+
+    Object.keys(this.defaultSettings).forEach((key) => {
+      const value = settings[key];
+      if (this.isDefault(key, value)) return;
+
+      params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    });
+
+    if (view) {
+      params.set(
+        'map',
+        [
+          view.zoom.toFixed(2),
+          view.center[1].toFixed(4),
+          view.center[0].toFixed(4),
+        ].join('/')
+      );
+      params.set('projection', view.projection);
+    }
+
+    // Keep separators readable in the address bar
+    return (
+      '#' +
+      params
+        .toString()
+        .replace(/%2C/g, ',')
+        .replace(/%2F/g, '/')
+        .replace(/%3A/g, ':')
+    );
+  }
+
+  /**
+   * Parse a URL hash into settings overrides and map view
+   * Unknown keys and invalid values are ignored
+   */
+  decode(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const settings = {};
+
+    Object.keys(this.defaultSettings).forEach((key) => {
+      if (!params.has(key)) return;
+
+      const value = this.parseValue(key, params.get(key));
+      if (value !== undefined) {
+        settings[key] = value;
+      }
+    });
+
+    let view = null;
+    if (params.has('map')) {
+      const [zoom, lat, lng] = params.get('map').split('/').map(Number);
+      if ([zoom, lat, lng].every((n) => Number.isFinite(n))) {
+        view = { zoom, center: [lng, lat] };
+      }
+    }
+
+    const projection = params.get('projection');
+    if (projection === 'globe' || projection === 'mercator') {
+      view = { ...(view || {}), projection };
+    }
+
+    return { settings, view };
+  }
+
+  /**
+   * Parse a raw hash value using the type of the default setting
+   */
+  parseValue(key, raw) {
+    const defaultValue = this.defaultSettings[key];
+
+    if (key === 'dataSource') {
+      return PERMALINK_DATA_SOURCES.includes(raw) ? raw : undefined;
+    }
+
+    if (key === 'layers') {
+      return raw
+        .split(',')
+        .filter((source) => PERMALINK_DATA_SOURCES.includes(source));
+    }
+
+    if (PERMALINK_NULLABLE_NUMBERS.includes(key)) {
+      const number = Number(raw);
+      return raw !== '' && Number.isFinite(number) ? number : null;
+    }
+
+    if (Array.isArray(defaultValue)) {
+      return raw ? raw.split(',') : [];
+    }
+
+    if (typeof defaultValue === 'number') {
+      const number = Number(raw);
+      return Number.isFinite(number) ? number : undefined;
+    }
+
+    if (typeof defaultValue === 'boolean') {
+      return raw === 'true';
+    }
+
+    // Strings and nullable values (e.g. date ranges)
+    return raw === 'null' || raw === '' ? null : raw;
+  }
+
+  /**
+   * Check whether a value equals its default
+   */
+  isDefault(key, value) {
+    const defaultValue = this.defaultSettings[key];
+
+    if (Array.isArray(defaultValue)) {
+      return Array.isArray(value) && value.join(',') === defaultValue.join(',');
+    }
+
+    return value === defaultValue;
+  }
+
+  /**
+   * Check whether a hash carries any permalink state
+   */
+  hasState(hash) {
+    return Boolean(hash && hash.replace(/^#/, ''));
+  }
+}
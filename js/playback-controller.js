@@ -0,0 +1,178 @@
+// Playback Controller - Animates hourly jamming data through the jamming source
+
+/**
+ * Get the hour a feature belongs to (truncated to the hour, UTC)
+ * Returns null if the feature has no CONFIG.PLAYBACK.TIME_PROPERTY
+ */
+function getFeatureHour(feature) {
+  const value = (feature.properties || {})[CONFIG.PLAYBACK.TIME_PROPERTY];
+  if (value === undefined || value === null) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  date.setUTCMinutes(0, 0, 0);
+  return date;
+}
+
+class PlaybackController {
+  constructor(jammingLayer, apiClient) {
+    this.jammingLayer = jammingLayer;
+    this.apiClient = apiClient;
+    this.frames = []; // [{ time: Date, data: FeatureCollection }]
+    this.currentIndex = 0;
+    this.playing = false;
+    this.timer = null;
+    this.frameDuration = CONFIG.PLAYBACK.FRAME_DURATION;
+    this.onFrame = null; // Callback (frame, index, total)
+    this.onStateChange = null; // Callback (playing)
+  }
+
+  /**
+   * Load hourly (non-summed) jamming data and split it into frames
+   */
+  async load(options = {}) {
+    this.pause();
+
+    // Shares the jamming layer's request key: entering or leaving playback
+    // cancels the other view's load still in flight
+    const response = await this.apiClient.getJammingData(
+      {
+        ...options,
+        hours_summed: false,
+      },
+      { key: this.jammingLayer.requestKey }
+    );
+
+    // Re-aggregate and filter each hour on its own (like a summed load)
+    this.frames = this.splitByHour(response.data).map((frame) => ({
+      ...frame,
+      data: this.jammingLayer.filterBySeverity(
+        this.jammingLayer.aggregate(frame.data, options),
+        options.jammingSeverityLevels || []
+      ),
+    }));
+    this.currentIndex = 0;
+
+    if (this.frames.length > 0) {
+      this.showFrame(0);
+    }
+
+    return {
+      frameCount: this.frames.length,
+      metadata: response.metadata,
+    };
+  }
+
+  /**
+   * Split a FeatureCollection into hourly frames, sorted by time
+   */
+  splitByHour(geojson) {
+    if (!geojson || !geojson.features) {
+      return [];
+    }
+
+    const framesByHour = new Map();
+
+    geojson.features.forEach((feature) => {
+      const hour = getFeatureHour(feature);
+      if (!hour) return;
+
+      const key = hour.getTime();
+      if (!framesByHour.has(key)) {
+        framesByHour.set(key, []);
+      }
+      framesByHour.get(key).push(feature);
+    });
+
+    return Array.from(framesByHour.keys())
+      .sort((a, b) => a - b)
+      .map((key) => ({
+        time: new Date(key),
+        data: {
+          type: 'FeatureCollection',
+          features: framesByHour.get(key),
+        },
+      }));
+  }
+
+  /**
+   * Push a frame into the jamming source
+   */
+  showFrame(index) {
+    if (this.frames.length === 0) return;
+
+    this.currentIndex = Math.max(0, Math.min(index, this.frames.length - 1));
+    const frame = this.frames[this.currentIndex];
+
+    this.jammingLayer.updateSource(frame.data);
+
+    if (this.onFrame) {
+      this.onFrame(frame, this.currentIndex, this.frames.length);
+    }
+  }
+
+  /**
+   * Start playing from the current frame (loops at the end)
+   */
+  play() {
+    if (this.playing || this.frames.length === 0) return;
+
+    this.playing = true;
+    this.timer = setInterval(() => {
+      this.showFrame((this.currentIndex + 1) % this.frames.length);
+    }, this.frameDuration);
+
+    if (this.onStateChange) {
+      this.onStateChange(true);
+    }
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.playing) {
+      this.playing = false;
+      if (this.onStateChange) {
+        this.onStateChange(false);
+      }
+    }
+  }
+
+  /**
+   * Toggle between play and pause
+   */
+  togglePlay() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Step forward or backward by a number of frames (pauses playback)
+   */
+  step(delta) {
+    if (this.frames.length === 0) return;
+
+    this.pause();
+    const total = this.frames.length;
+    this.showFrame((this.currentIndex + delta + total) % total);
+  }
+
+  /**
+   * Stop playback and drop all frames
+   */
+  stop() {
+    this.pause();
+    this.frames = [];
+    this.currentIndex = 0;
+  }
+}
@@ -0,0 +1,144 @@
+// Region Analyzer - Clips loaded data to an area and keeps saved areas
+class RegionAnalyzer {
+  constructor(storage = null) {
+    this.storage = storage; // localStorage (or null to keep areas in memory)
+    this.savedRegions = []; // [{ id, name, geometry }]
+    this.load();
+  }
+
+  /**
+   * Load saved areas from storage
+   */
+  load() {
+    if (!this.storage) return;
+
+    try {
+      this.savedRegions = JSON.parse(
+        this.storage.getItem(CONFIG.ANALYSIS.REGIONS_KEY) || '[]'
+      );
+    } catch (error) {
+      console.error('Failed to load saved areas:', error);
+      this.savedRegions = [];
+    }
+  }
+
+  /**
+   * Persist saved areas
+   */
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(
+        CONFIG.ANALYSIS.REGIONS_KEY,
+        JSON.stringify(this.savedRegions)
+      );
+    } catch (error) {
+      console.error('Failed to save areas:', error);
+    }
+  }
+
+  /**
+   * Save an area under a name (replaces an area with the same name)
+   */
+  saveRegion(name, geometry) {
+    const existing = this.savedRegions.find((r) => r.name === name);
+    if (existing) {
+      existing.geometry = geometry;
+      this.save();
+      return existing;
+    }
+
+    const region = {
+      id: `area-${Date.now().toString(36)}-${this.savedRegions.length}`,
+      name,
+      geometry,
+    };
+    this.savedRegions.push(region);
+    this.save();
+    return region;
+  }
+
+  /**
+   * Remove a saved area
+   */
+  removeRegion(id) {
+    this.savedRegions = this.savedRegions.filter((r) => r.id !== id);
+    this.save();
+  }
+
+  /**
+   * Get a saved area by id
+   */
+  getRegion(id) {
+    return this.savedRegions.find((r) => r.id === id) || null;
+  }
+
+  /**
+   * Build a Polygon from bounding box edges (degrees)
+   * @returns {Object|null} null when the box is invalid
+   */
+  bboxToPolygon(west, south, east, north) {
+    const values = [west, south, east, north];
+    if (!values.every((n) => Number.isFinite(n))) return null;
+    if (south >= north || west >= east) return null;
+    if (south < -90 || north > 90 || west < -180 || east > 180) return null;
+
+    return {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [west, south],
+          [east, south],
+          [east, north],
+          [west, north],
+          [west, south],
+        ],
+      ],
+    };
+  }
+
+  /**
+   * Keep the features that intersect an area
+   */
+  clip(geojson, region) {
+    if (!geojson || !geojson.features) {
+      return { type: 'FeatureCollection', features: [] };
+    }
+
+    if (typeof turf === 'undefined') {
+      console.error('Turf.js is not loaded. Cannot clip data to the area.');
+      return { type: 'FeatureCollection', features: [] };
+    }
+
+    return {
+      type: 'FeatureCollection',
+      features: geojson.features.filter(
+        (feature) => feature.geometry && turf.booleanIntersects(feature, region)
+      ),
+    };
+  }
+
+  /**
+   * Histogram of ratio_bad in equal-width bins from 0% to 100%
+   * @returns {Array<{min: number, max: number, count: number}>}
+   */
+  histogram(features, binCount = CONFIG.ANALYSIS.HISTOGRAM_BINS) {
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+      min: i / binCount,
+      max: (i + 1) / binCount,
+      count: 0,
+    }));
+
+    features.forEach((feature) => {
+      const ratio = feature.properties.ratio_bad;
+      if (typeof ratio !== 'number') return;
+
+      // 100% falls into the last bin
+      const index = Math.min(Math.floor(ratio * binCount), binCount - 1);
+      bins[Math.max(index, 0)].count++;
+    });
+
+    return bins;
+  }
+}
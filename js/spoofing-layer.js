@@ -1,17 +1,43 @@
 // Spoofing Layer Manager
+
+// Base paint opacities, scaled by SpoofingLayer.setOpacity()
+const SPOOFING_OPACITIES = {
+  lineLayerId: { 'line-opacity': 0.8 },
+  arrowLayerId: { 'text-opacity': 0.9 },
+  pointLayerId: { 'circle-opacity': 0.8, 'circle-stroke-opacity': 0.5 },
+  h3LayerId: { 'fill-opacity': 0.6 },
+  h3OutlineLayerId: { 'line-opacity': 0.3 },
+};
+
+// Flight event layers dimmed by age in fade-by-age mode (not H3 cells)
+const SPOOFING_FADE_LAYERS = ['lineLayerId', 'arrowLayerId', 'pointLayerId'];
+
 class SpoofingLayer {
-  constructor(map, apiClient) {
+  constructor(map, apiClient, idPrefix = 'spoofing') {
     this.map = map;
     this.apiClient = apiClient;
-    this.sourceId = 'spoofing-source';
-    this.lineLayerId = 'spoofing-line-layer';
-    this.pointLayerId = 'spoofing-point-layer';
-    this.h3LayerId = 'spoofing-h3-layer';
-    this.h3OutlineLayerId = 'spoofing-h3-outline-layer';
+    // Prefix keeps source/layer ids unique when several instances share a map
+    this.sourceId = `${idPrefix}-source`;
+    this.lineLayerId = `${idPrefix}-line-layer`;
+    this.arrowLayerId = `${idPrefix}-arrow-layer`;
+    this.pointLayerId = `${idPrefix}-point-layer`;
+    this.h3LayerId = `${idPrefix}-h3-layer`;
+    // A new load cancels this layer's requests still in flight (APIClient);
+    // the H3 grid has its own key when both endpoints load together
+    this.requestKey = Symbol(idPrefix);
+    this.h3RequestKey = Symbol(`${idPrefix}-h3`);
+    this.h3OutlineLayerId = `${idPrefix}-h3-outline-layer`;
     this.currentData = null;
     this.metadata = null;
     this.visible = true;
+    this.opacity = 1; // Multiplier for the base paint opacities
+    this.fadeByAge = false; // Dim older flight events
+    this.timeRange = null; // { min, max } event start (ms) in the source
+    this.sourceData = null; // Data last pushed to the source (unclipped)
+    this.levelOfDetail = null; // LevelOfDetail view (null = show everything)
     this.currentMode = 'agg'; // 'agg' or 'h3'
+    this.locationInfo = null; // (lngLat) => popup rows naming the country
+    this.onTrace = null; // (feature) => trace the event's flight
   }
 
   /**
@@ -34,12 +60,24 @@ class SpoofingLayer {
       source: this.sourceId,
       filter: ['==', ['geometry-type'], 'LineString'],
       paint: {
-        'line-color': '#f59e0b', // Amber color for spoofing
-        'line-width': 3,
+        'line-color': this.getSegmentColorExpression(),
+        'line-width': this.getDurationWidthExpression(),
         'line-opacity': 0.8,
       },
     });
 
+    // Direction of travel along trajectories
+    const arrows = createArrowLayer({
+      id: this.arrowLayerId,
+      source: this.sourceId,
+      filter: ['==', ['geometry-type'], 'LineString'],
+      color: this.getSegmentColorExpression(),
+      spacing: 80,
+      size: 16,
+    });
+    arrows.paint['text-opacity'] = 0.9;
+    this.map.addLayer(arrows);
+
     // Add point layer for single events (during only)
     this.map.addLayer({
       id: this.pointLayerId,
@@ -48,7 +86,7 @@ class SpoofingLayer {
       filter: ['==', ['geometry-type'], 'Point'],
       paint: {
         'circle-radius': 6,
-        'circle-color': '#dc2626', // Red for spoofing events
+        'circle-color': this.getSegmentColorExpression(),
         'circle-opacity': 0.8,
         'circle-stroke-width': 2,
         'circle-stroke-color': '#ffffff',
@@ -143,6 +181,85 @@ class SpoofingLayer {
     });
   }
 
+  /**
+   * Color expression by flight segment (CONFIG.SPOOFING.SEGMENTS)
+   */
+  getSegmentColorExpression() {
+    const segments = CONFIG.SPOOFING.SEGMENTS;
+    return [
+      'match',
+      ['get', 'segment'],
+      ...Object.entries(segments).flatMap(([segment, style]) => [
+        segment,
+        style.color,
+      ]),
+      segments.during.color, // Unknown segment
+    ];
+  }
+
+  /**
+   * Line width expression by spoofing duration (duration_sec, see styleData)
+   */
+  getDurationWidthExpression() {
+    const [first, ...rest] = CONFIG.SPOOFING.DURATION_WIDTHS;
+    return [
+      'step',
+      ['coalesce', ['get', 'duration_sec'], 0],
+      first.width,
+      ...rest.flatMap((bucket) => [bucket.minSeconds, bucket.width]),
+    ];
+  }
+
+  /**
+   * Copy of the data for the map source, with flight events carrying
+   * duration_sec and time_ms (start of spoofing) for data-driven styling
+   * (currentData stays as returned by the API, for the table and exports)
+   */
+  styleData(geojson) {
+    if (!geojson || !geojson.features) return geojson;
+
+    return {
+      ...geojson,
+      features: geojson.features.map((feature) => {
+        const props = feature.properties || {};
+        const start = new Date(props.timestamp_during_min).getTime();
+        if (!props.timestamp_during_min || Number.isNaN(start)) return feature;
+
+        const end = new Date(props.timestamp_during_max).getTime();
+        return {
+          ...feature,
+          properties: {
+            ...props,
+            time_ms: start,
+            duration_sec: Number.isNaN(end)
+              ? 0
+              : Math.max(0, (end - start) / 1000),
+          },
+        };
+      }),
+    };
+  }
+
+  /**
+   * Oldest and newest event start (ms) in styled data
+   * @returns {{min: number, max: number}|null}
+   */
+  getTimeRange(geojson) {
+    const times = (geojson?.features || [])
+      .map((feature) => feature.properties?.time_ms)
+      .filter((time) => typeof time === 'number');
+    if (times.length === 0) return null;
+
+    // reduce, not Math.min(...times): large responses exceed the argument limit
+    return times.reduce(
+      (range, time) => ({
+        min: Math.min(range.min, time),
+        max: Math.max(range.max, time),
+      }),
+      { min: Infinity, max: -Infinity }
+    );
+  }
+
   /**
    * Filter GeoJSON features by segment (client-side)
    */
@@ -177,8 +294,10 @@ class SpoofingLayer {
       if (showBoth) {
         // Load both agg and H3 data for display
         const [aggResponse, h3Response] = await Promise.all([
-          this.apiClient.getSpoofingData(options),
-          this.apiClient.getSpoofingH3Data(options),
+          this.apiClient.getSpoofingData(options, { key: this.requestKey }),
+          this.apiClient.getSpoofingH3Data(this.getH3Query(options), {
+            key: this.h3RequestKey,
+          }),
         ]);
 
         // Filter agg data by segment (client-side)
@@ -207,9 +326,13 @@ class SpoofingLayer {
         };
       } else {
         // Single layer mode (original behavior)
+        const request = { key: this.requestKey };
         const response = isH3
-          ? await this.apiClient.getSpoofingH3Data(options)
-          : await this.apiClient.getSpoofingData(options);
+          ? await this.apiClient.getSpoofingH3Data(
+              this.getH3Query(options),
+              request
+            )
+          : await this.apiClient.getSpoofingData(options, request);
 
         // Filter agg data by segment (client-side) - only for agg mode
         const filteredData = isH3
@@ -238,12 +361,47 @@ class SpoofingLayer {
    * Update the map source with new data
    */
   updateSource(geojson) {
+    this.sourceData = geojson;
     const source = this.map.getSource(this.sourceId);
     if (source) {
-      source.setData(geojson);
+      const styled = this.styleData(geojson);
+      // The age ramp covers every event, not only those in view
+      this.timeRange = this.getTimeRange(styled);
+      source.setData(
+        this.levelOfDetail
+          ? clipToBbox(styled, this.levelOfDetail.bbox)
+          : styled
+      );
+
+      // The age ramp spans the new data's time range
+      if (this.fadeByAge) {
+        this.applyOpacity();
+      }
     }
   }
 
+  /**
+   * Set the zoom-dependent view (see LevelOfDetail): the source only holds
+   * the viewport plus a margin, and spoofing/h3 loads at the view's
+   * resolution
+   */
+  setLevelOfDetail(view) {
+    this.levelOfDetail = view;
+    if (this.sourceData) {
+      this.updateSource(this.sourceData);
+    }
+  }
+
+  /**
+   * spoofing/h3 query: the view's resolution replaces the slider's
+   */
+  getH3Query(options) {
+    const view = this.levelOfDetail;
+    return view && view.resolution !== null
+      ? { ...options, resolution: view.resolution }
+      : options;
+  }
+
   /**
    * Calculate statistics from the data
    */
@@ -304,6 +462,7 @@ class SpoofingLayer {
    */
   showPopup(feature, lngLat) {
     const props = feature.properties;
+    const location = this.locationInfo ? this.locationInfo(lngLat) : '';
 
     // Check if this is an H3 cell (check for count property)
     if (props.count !== undefined) {
@@ -328,6 +487,7 @@ class SpoofingLayer {
               props.coordinates_source || 'N/A'
             }</span>
           </div>
+          ${location}
         </div>
       `;
       new mapboxgl.Popup().setLngLat(lngLat).setHTML(html).addTo(this.map);
@@ -373,6 +533,7 @@ class SpoofingLayer {
           <span class="popup-stat-label">Segment:</span>
           <span class="popup-stat-value">${props.segment || 'N/A'}</span>
         </div>
+        ${location}
         <hr style="margin: 0.5rem 0; border: 1px solid #444;">
         <div class="popup-stat">
           <span class="popup-stat-label">During Period:</span>
@@ -404,10 +565,85 @@ class SpoofingLayer {
             props.track_during
           )}</span>
         </div>
+        ${
+          this.onTrace
+            ? '<button class="btn-secondary btn-small trace-btn">✈️ Trace this flight</button>'
+            : ''
+        }
       </div>
     `;
 
-    new mapboxgl.Popup().setLngLat(lngLat).setHTML(html).addTo(this.map);
+    const popup = new mapboxgl.Popup()
+      .setLngLat(lngLat)
+      .setHTML(html)
+      .addTo(this.map);
+
+    if (this.onTrace) {
+      popup
+        .getElement()
+        .querySelector('.trace-btn')
+        .addEventListener('click', () => {
+          popup.remove();
+          this.onTrace(feature);
+        });
+    }
+  }
+
+  /**
+   * Set layer opacity (0-1), scaling each sublayer's base opacity
+   */
+  setOpacity(opacity) {
+    this.opacity = opacity;
+    this.applyOpacity();
+  }
+
+  /**
+   * Dim flight events by age (oldest at FADE_MIN_OPACITY of the opacity)
+   */
+  setFadeByAge(enabled) {
+    this.fadeByAge = enabled;
+    this.applyOpacity();
+  }
+
+  /**
+   * Set every sublayer's opacity paint properties from the layer opacity
+   * and fade-by-age mode
+   */
+  applyOpacity() {
+    Object.entries(SPOOFING_OPACITIES).forEach(([idKey, properties]) => {
+      const layerId = this[idKey];
+      if (!this.map.getLayer(layerId)) return;
+
+      Object.entries(properties).forEach(([property, base]) => {
+        const opacity = base * this.opacity;
+        this.map.setPaintProperty(
+          layerId,
+          property,
+          SPOOFING_FADE_LAYERS.includes(idKey)
+            ? this.getFadeExpression(opacity)
+            : opacity
+        );
+      });
+    });
+  }
+
+  /**
+   * Opacity ramp from the oldest event (faded) to the newest (full opacity);
+   * the plain opacity when fading is off or all events share a start time
+   */
+  getFadeExpression(opacity) {
+    const range = this.timeRange;
+    if (!this.fadeByAge || !range || range.min === range.max) return opacity;
+
+    return [
+      'interpolate',
+      ['linear'],
+      ['coalesce', ['get', 'time_ms'], range.min],
+      range.min,
+      opacity * CONFIG.SPOOFING.FADE_MIN_OPACITY,
+      range.max,
+      opacity,
+    ];
   }
 
   /**
@@ -421,6 +657,10 @@ class SpoofingLayer {
       this.map.setLayoutProperty(this.lineLayerId, 'visibility', visibility);
     }
 
+    if (this.map.getLayer(this.arrowLayerId)) {
+      this.map.setLayoutProperty(this.arrowLayerId, 'visibility', visibility);
+    }
+
     if (this.map.getLayer(this.pointLayerId)) {
       this.map.setLayoutProperty(this.pointLayerId, 'visibility', visibility);
     }
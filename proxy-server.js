@@ -4,23 +4,78 @@
  * Local CORS Proxy Server for SkAI API
  *
  * For local development: Run with Node.js
- * For AWS Lambda: Use the same logic in Lambda handler
+ * For AWS Lambda: proxy/lambda.js serves the same core (handler export)
+ *
+ * Modes:
+ *   node proxy-server.js            Live (forwards to SkAI API)
+ *   node proxy-server.js --record   Live, and saves responses to fixtures/
+ *                                   (bypasses the response cache)
+ *   node proxy-server.js --replay   Offline, serves saved fixtures only
+ *   --nearest                       Replay the closest fixture of an endpoint
+ *                                   when no fixture matches exactly
+ *   --fixtures=<dir>                Use another fixtures directory
+ *
+ * Configuration (flag, else env var / .env, else default):
+ *   --port=<n>             PORT             3333
+ *   --upstream=<url>       UPSTREAM_URL     https://gpswise.aero
+ *   --origins=<a,b>        ALLOWED_ORIGINS  http://localhost:5151 (CORS)
+ *   --paths=<a,b>          ALLOWED_PATHS    the app's endpoints
  */
 
 const http = require('http');
-const https = require('https');
-const { URL } = require('url');
 const fs = require('fs');
 const path = require('path');
+const { createProxyCore } = require('./proxy/core');
+
+// Flags taking a value: --name=value -> args[key]
+const VALUE_FLAGS = {
+  fixtures: 'fixturesDir',
+  port: 'port',
+  upstream: 'upstream',
+  origins: 'origins',
+  paths: 'paths',
+};
+
+// Parse command line flags
+function parseArgs(argv) {
+  const args = { mode: 'live', fixturesDir: null, nearest: false };
+
+  for (const arg of argv) {
+    if (arg === '--record' || arg === '--replay') {
+      if (args.mode !== 'live') {
+        console.error('❌ Error: --record and --replay cannot be combined');
+        process.exit(1);
+      }
+      args.mode = arg.slice(2);
+    } else if (arg === '--nearest') {
+      args.nearest = true;
+    } else if (
+      arg.startsWith('--') &&
+      arg.includes('=') &&
+      VALUE_FLAGS[arg.slice(2, arg.indexOf('='))]
+    ) {
+      const name = arg.slice(2, arg.indexOf('='));
+      args[VALUE_FLAGS[name]] = arg.slice(arg.indexOf('=') + 1);
+    } else {
+      console.error(`❌ Error: Unknown option ${arg}`);
+      process.exit(1);
+    }
+  }
 
-const PORT = 3333;
-const TARGET_API = 'https://gpswise.aero';
+  return args;
+}
+
+const ARGS = parseArgs(process.argv.slice(2));
 
 // Load environment variables from .env
-function loadEnv() {
+// Credentials are optional in replay mode (no upstream requests are made)
+function loadEnv(requireCredentials) {
   const envPath = path.join(__dirname, '.env');
 
   if (!fs.existsSync(envPath)) {
+    if (!requireCredentials) {
+      return {};
+    }
     console.error('❌ Error: .env file not found');
     console.error('   Please create .env file with API_KEY and CLIENT_ID');
     process.exit(1);
@@ -42,162 +97,162 @@ function loadEnv() {
   }
 
   // Validate required variables
-  if (!env.API_KEY || !env.CLIENT_ID) {
+  if (requireCredentials && (!env.API_KEY || !env.CLIENT_ID)) {
     console.error('❌ Error: Missing required environment variables');
     console.error('   Required: API_KEY and CLIENT_ID in .env file');
+    console.error('   (or run offline with --replay)');
     process.exit(1);
   }
 
   return env;
 }
 
-const ENV = loadEnv();
-
-// Proxy request handler
-function proxyRequest(targetUrl, req, res) {
-  return new Promise((resolve, reject) => {
-    const url = new URL(targetUrl);
-
-    const options = {
-      hostname: url.hostname,
-      path: url.pathname + url.search,
-      method: req.method,
-      headers: {
-        'X-API-Key': ENV.API_KEY,
-        'X-Client-ID': ENV.CLIENT_ID,
-        Accept: 'application/json',
-        'User-Agent': 'SkAI-Proxy/1.0',
-      },
-    };
-
-    console.log(`📡 ${req.method} ${targetUrl}`);
+const ENV = loadEnv(ARGS.mode !== 'replay');
 
-    const apiReq = https.request(options, (apiRes) => {
-      console.log(`✅ ${apiRes.statusCode} ${apiRes.statusMessage}`);
-
-      // Set CORS headers
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-      res.setHeader('Content-Type', 'application/json');
+// Routing, cache, rate limits and login (shared with proxy/lambda.js)
+let core;
+try {
+  core = createProxyCore(ARGS, ENV, process.env, { baseDir: __dirname });
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+const CONFIG = core.config;
+const { cache, fixtures, ipLimiter, tokenLimiter, authenticator } = core;
 
-      // Forward important headers from SkAI
-      if (apiRes.headers['x-period-start']) {
-        res.setHeader('x-period-start', apiRes.headers['x-period-start']);
-      }
-      if (apiRes.headers['x-period-end']) {
-        res.setHeader('x-period-end', apiRes.headers['x-period-end']);
+// Read a request body (forwarded upstream, or the login form)
+// Rejects with the status code to answer (413 too large, 400 read error)
+function readBody(req, maxBytes = 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Discard the rest, so that the 413 can still be sent
+        req.off('data', onData);
+        req.resume();
+        reject(
+          Object.assign(new Error('Request body too large'), {
+            statusCode: 413,
+          })
+        );
+        return;
       }
-
-      // Set status code
-      res.statusCode = apiRes.statusCode;
-
-      // Pipe response
-      apiRes.pipe(res);
-
-      apiRes.on('end', () => resolve());
-    });
-
-    apiReq.on('error', (error) => {
-      console.error('❌ API request error:', error.message);
-
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Content-Type', 'application/json');
-      res.statusCode = 502;
-      res.end(
-        JSON.stringify({
-          error: 'Failed to connect to SkAI API',
-          message: error.message,
-        })
-      );
-
-      reject(error);
-    });
-
-    // Forward request body if present
-    if (req.method !== 'GET' && req.method !== 'HEAD') {
-      req.pipe(apiReq);
-    } else {
-      apiReq.end();
-    }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', (error) =>
+      reject(Object.assign(error, { statusCode: 400 }))
+    );
   });
 }
 
-// Main HTTP server
-const server = http.createServer(async (req, res) => {
-  // Log request
-  console.log(`\n🔵 ${req.method} ${req.url}`);
-  console.log(req.url);
-
-  // Handle CORS preflight
-  if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    res.setHeader('Access-Control-Max-Age', '86400');
-    res.statusCode = 204;
-    res.end();
-    return;
-  }
-
-  // Health check endpoint
-  if (req.url === '/' || req.url === '/health') {
-    res.setHeader('Content-Type', 'application/json');
-    res.statusCode = 200;
-    res.end(
-      JSON.stringify({
-        status: 'ok',
-        service: 'SkAI API Proxy',
-        target: TARGET_API,
-        timestamp: new Date().toISOString(),
-      })
-    );
-    return;
-  }
+// Write a proxy core response (unless the client is already gone)
+function send(res, response) {
+  if (res.destroyed) return;
+  res.writeHead(response.statusCode, response.headers);
+  res.end(response.body);
+}
 
-  // Only proxy /db-api/* paths
-  if (!req.url.startsWith('/db-api/')) {
-    res.setHeader('Content-Type', 'application/json');
-    res.statusCode = 404;
-    res.end(
-      JSON.stringify({
-        error: 'Not found',
-        message: 'This proxy only handles /db-api/* paths',
-        hint: 'Try: http://localhost:3333/db-api/v1/spoofing/agg/sample',
-      })
-    );
-    return;
+// Main HTTP server: hands each request to the proxy core
+const server = http.createServer(async (req, res) => {
+  let body = null;
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      const response = core.reject(req, error.statusCode, {
+        error: error.statusCode === 413 ? 'Payload Too Large' : 'Bad Request',
+        message: error.message,
+      });
+      // Close the connection instead of waiting for the rest of the body
+      res.setHeader('Connection', 'close');
+      send(res, response);
+      return;
+    }
   }
 
-  // Build target URL
-  const targetUrl = `${TARGET_API}${req.url}`;
+  const response = await core.handle({
+    method: req.method,
+    url: req.url,
+    headers: req.headers,
+    body,
+    remoteAddress: req.socket.remoteAddress,
+  });
 
-  try {
-    await proxyRequest(targetUrl, req, res);
-  } catch (error) {
-    // Error already handled in proxyRequest
-  }
+  send(res, response);
 });
 
 // Start server
-server.listen(PORT, () => {
+server.listen(CONFIG.port, () => {
   console.log('');
   console.log('═══════════════════════════════════════════════════');
   console.log('🚀 SkAI API Proxy Server');
   console.log('═══════════════════════════════════════════════════');
   console.log('');
-  console.log(`📍 Local:     http://localhost:${PORT}`);
-  console.log(`🎯 Target:    ${TARGET_API}`);
-  console.log(`🔑 API Key:   ${ENV.API_KEY.substring(0, 10)}...`);
-  console.log(`👤 Client ID: ${ENV.CLIENT_ID}`);
+  console.log(`📍 Local:     http://localhost:${CONFIG.port}`);
+  if (core.mode === 'replay') {
+    const counts = fixtures.summary();
+    console.log(
+      `📼 Mode:      REPLAY (offline) from ${fixtures.dir}${
+        fixtures.nearest ? ', nearest match' : ''
+      }`
+    );
+    for (const endpoint of Object.keys(counts)) {
+      console.log(`              ${endpoint}: ${counts[endpoint]} fixture(s)`);
+    }
+  } else {
+    console.log(`🎯 Target:    ${CONFIG.upstream}`);
+    console.log(`🔑 API Key:   ${ENV.API_KEY.substring(0, 10)}...`);
+    console.log(`👤 Client ID: ${ENV.CLIENT_ID}`);
+  }
+  if (ARGS.mode === 'record') {
+    console.log(`📼 Mode:      RECORD to ${fixtures.dir} (cache bypassed)`);
+  }
+  console.log(
+    `💾 Cache:     TTL ${cache.defaultTtl}s, stale ${cache.staleTtl}s, ${
+      cache.dir ? `disk: ${cache.dir}` : 'memory only'
+    }`
+  );
+  console.log(`🌐 Origins:   ${CONFIG.allowedOrigins.join(', ')}`);
+  console.log(`🛣️  Paths:     ${CONFIG.allowedPaths.length} allowed`);
+  for (const allowed of CONFIG.allowedPaths) {
+    console.log(`              ${allowed}`);
+  }
+  console.log(
+    `🚦 Limits:    ${ipLimiter.capacity} burst, ${
+      ipLimiter.refillPerSecond
+    }/s per IP; ${tokenLimiter.capacity} burst, ${
+      tokenLimiter.refillPerSecond
+    }/s per token (${Object.keys(core.accessTokens).length} token(s))`
+  );
+  console.log(
+    authenticator.enabled
+      ? `🔐 Auth:      on, ${
+          Object.keys(authenticator.users).length
+        } user(s); demo role: ${authenticator.demoPaths.join(', ')}`
+      : '🔓 Auth:      off (anyone reaching the proxy can use the API key)'
+  );
+  if (core.dailyQuota) {
+    console.log(`🚦 Quota:     ${core.dailyQuota} calls per client per day`);
+  }
+  if (core.adminToken) {
+    console.log(`📊 Stats:     http://localhost:${CONFIG.port}/cache/stats`);
+    console.log(`📈 Usage:     http://localhost:${CONFIG.port}/usage`);
+  } else {
+    console.log('📊 Stats:     off (set ADMIN_TOKEN for /cache/stats, /usage)');
+  }
   console.log('');
   console.log('✅ Server is running!');
   console.log('');
   console.log('📝 Next steps:');
   console.log('   1. Keep this terminal open');
-  console.log('   2. Update your app to use: http://localhost:3333');
+  console.log(`   2. Update your app to use: http://localhost:${CONFIG.port}`);
   console.log(
-    '   3. Test: http://localhost:3333/db-api/v1/spoofing/agg/sample'
+    `   3. Test: http://localhost:${CONFIG.port}/db-api/v1/spoofing/agg/sample`
   );
   console.log('');
   console.log('Press Ctrl+C to stop');
@@ -0,0 +1,216 @@
+/**
+ * Optional user authentication for the SkAI API proxy
+ *
+ * Users log in with a password checked against scrypt hashes (AUTH_USERS)
+ * and get a bearer token signed with AUTH_SECRET (HMAC-SHA256), sent back as
+ * `Authorization: Bearer <token>`. Tokens can also be issued up front for
+ * scripts. Roles: "user" may call every allowed path, "demo" only GETs on
+ * the demo paths.
+ *
+ * Helpers:
+ *   node proxy/auth.js hash <password>                 AUTH_USERS entry hash
+ *   AUTH_SECRET=... node proxy/auth.js token <name> [role] [hours]
+ */
+
+const crypto = require('crypto');
+const { isPathAllowed } = require('./config');
+
+const ROLES = ['user', 'demo'];
+
+// Endpoints open to the demo role unless AUTH_DEMO_PATHS says otherwise
+const DEFAULT_DEMO_PATHS = ['/db-api/v1/jamming/agg'];
+
+/**
+ * Hash a password for AUTH_USERS: "scrypt$<salt>$<hash>" (hex)
+ */
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against a hashPassword() string (constant time)
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  if (expected.length === 0) return false;
+
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Parse a user list: "alice:scrypt$..$..,guest:scrypt$..$..:demo"
+ * The role defaults to "user"
+ * @returns {Object} name -> { hash, role }
+ */
+function parseUserList(value) {
+  const users = {};
+  if (!value) return users;
+
+  for (const item of value.split(',')) {
+    const [name, hash, role = 'user'] = item.trim().split(':');
+    if (!name || !hash) continue;
+
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}" for user ${name}`);
+    }
+    users[name] = { hash, role };
+  }
+
+  return users;
+}
+
+function base64url(buffer) {
+  return Buffer.from(buffer)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+class Authenticator {
+  constructor(options = {}) {
+    this.users = options.users || {};
+    this.secret = options.secret || null;
+    this.tokenTtl = options.tokenTtl ?? 12 * 3600; // Seconds
+    this.demoPaths = options.demoPaths || DEFAULT_DEMO_PATHS;
+
+    if (Object.keys(this.users).length > 0 && !this.secret) {
+      throw new Error('AUTH_USERS needs AUTH_SECRET to sign tokens');
+    }
+  }
+
+  /**
+   * Authentication is on when tokens can be signed
+   */
+  get enabled() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * Sign a token: base64url(payload).base64url(HMAC-SHA256)
+   */
+  sign(payload) {
+    const body = base64url(JSON.stringify(payload));
+    const signature = base64url(
+      crypto.createHmac('sha256', this.secret).update(body).digest()
+    );
+    return `${body}.${signature}`;
+  }
+
+  /**
+   * Issue a token for a user and role
+   * @returns {{token, user, role, expiresAt}} expiresAt as an ISO string
+   */
+  issue(name, role = 'user', ttl = this.tokenTtl, now = Date.now()) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}"`);
+    }
+
+    const exp = Math.floor(now / 1000) + ttl;
+    return {
+      token: this.sign({ sub: name, role, exp }),
+      user: name,
+      role,
+      expiresAt: new Date(exp * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Verify a token's signature and expiry
+   * @returns {Object|null} The payload ({ sub, role, exp })
+   */
+  verify(token, now = Date.now()) {
+    if (!this.enabled || typeof token !== 'string') return null;
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(
+      base64url(crypto.createHmac('sha256', this.secret).update(body).digest())
+    );
+    const actual = Buffer.from(signature);
+    if (
+      actual.length !== expected.length ||
+      !crypto.timingSafeEqual(actual, expected)
+    ) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64').toString('utf8'));
+      if (!ROLES.includes(payload.role)) return null;
+      if (!payload.exp || payload.exp * 1000 <= now) return null;
+      return payload;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check a username and password
+   * @returns {{token, user, role, expiresAt}|null}
+   */
+  login(username, password) {
+    const user = this.users[username];
+    // Unknown users cost a hash too, so timing does not reveal them
+    const valid = verifyPassword(
+      String(password || ''),
+      user ? user.hash : hashPassword('', 'unknown-user')
+    );
+
+    return user && valid ? this.issue(username, user.role) : null;
+  }
+
+  /**
+   * The verified token payload of a request (null without a valid token)
+   */
+  authenticate(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? this.verify(match[1]) : null;
+  }
+
+  /**
+   * Check whether a user's role may make a request
+   */
+  authorize(user, method, requestUrl) {
+    if (user.role === 'user') return true;
+    return method === 'GET' && isPathAllowed(requestUrl, this.demoPaths);
+  }
+}
+
+module.exports = {
+  Authenticator,
+  hashPassword,
+  verifyPassword,
+  parseUserList,
+  DEFAULT_DEMO_PATHS,
+};
+
+// Command line helpers (see the header comment)
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'hash' && args[0]) {
+    console.log(hashPassword(args[0]));
+  } else if (command === 'token' && args[0] && process.env.AUTH_SECRET) {
+    const [name, role = 'user', hours = '24'] = args;
+    const authenticator = new Authenticator({
+      secret: process.env.AUTH_SECRET,
+    });
+    const issued = authenticator.issue(name, role, parseFloat(hours) * 3600);
+    console.log(issued.token);
+    console.error(`Expires ${issued.expiresAt}`);
+  } else {
+    console.error('Usage: node proxy/auth.js hash <password>');
+    console.error(
+      '       AUTH_SECRET=... node proxy/auth.js token <name> [role] [hours]'
+    );
+    process.exit(1);
+  }
+}
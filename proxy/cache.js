@@ -0,0 +1,288 @@
+/**
+ * Response cache for the SkAI API proxy
+ *
+ * In-memory cache keyed by normalized path + query, with optional on-disk
+ * persistence (one JSON file per entry). Entries are fresh for a per-endpoint
+ * TTL, then stale for a grace period during which they may still be served
+ * while the proxy revalidates them in the background.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Default TTLs (seconds) per endpoint path; others use defaultTtl
+const DEFAULT_TTLS = {
+  '/db-api/v1/jamming/agg': 300,
+  '/db-api/v1/jamming/coverage': 900,
+  '/db-api/v1/spoofing/agg/geojson': 120,
+  '/db-api/v1/spoofing/h3_geojson': 300,
+};
+
+// Upstream headers kept with a cached response
+const CACHED_HEADERS = [
+  'content-type',
+  'x-period-start',
+  'x-period-end',
+  'etag',
+  'last-modified',
+];
+
+/**
+ * Parse a TTL override list: "jamming/agg:60,spoofing/h3_geojson:600"
+ * Paths without a leading slash are relative to /db-api/v1/
+ */
+function parseTtlList(value) {
+  const ttls = {};
+  if (!value) return ttls;
+
+  for (const item of value.split(',')) {
+    const idx = item.lastIndexOf(':');
+    if (idx === -1) continue;
+
+    let endpoint = item.slice(0, idx).trim();
+    const seconds = parseInt(item.slice(idx + 1), 10);
+    if (!endpoint || isNaN(seconds)) continue;
+
+    if (!endpoint.startsWith('/')) {
+      endpoint = `/db-api/v1/${endpoint}`;
+    }
+    ttls[endpoint] = seconds;
+  }
+
+  return ttls;
+}
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.defaultTtl = options.defaultTtl ?? 300;
+    this.staleTtl = options.staleTtl ?? 600;
+    this.maxEntries = options.maxEntries ?? 500;
+    this.ttls = { ...DEFAULT_TTLS, ...(options.ttls || {}) };
+    this.dir = options.dir || null;
+
+    this.entries = new Map();
+    this.revalidating = new Set();
+    this.counters = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      revalidations: 0,
+      notModified: 0,
+      diskReads: 0,
+    };
+
+    if (this.dir) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Normalize a request URL into a cache key (path + sorted query)
+   */
+  static normalizeKey(requestUrl) {
+    const url = new URL(requestUrl, 'http://localhost');
+    const params = Array.from(url.searchParams.entries()).sort(
+      ([a, aVal], [b, bVal]) =>
+        a === b ? aVal.localeCompare(bVal) : a.localeCompare(b)
+    );
+    const query = new URLSearchParams(params).toString();
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+    return query ? `${pathname}?${query}` : pathname;
+  }
+
+  /**
+   * Get the TTL (seconds) for a cache key
+   */
+  getTtl(key) {
+    const pathname = key.split('?')[0];
+    return this.ttls[pathname] ?? this.defaultTtl;
+  }
+
+  /**
+   * Look up an entry
+   * @returns {{entry: Object, state: 'fresh'|'stale'}|null}
+   */
+  get(key) {
+    let entry = this.entries.get(key);
+
+    if (!entry && this.dir) {
+      entry = this._readFromDisk(key);
+      if (entry) {
+        this.counters.diskReads++;
+        this.entries.set(key, entry);
+      }
+    }
+
+    if (!entry) return null;
+
+    const now = Date.now();
+    if (now < entry.expiresAt) {
+      return { entry, state: 'fresh' };
+    }
+    if (now < entry.expiresAt + this.staleTtl * 1000) {
+      return { entry, state: 'stale' };
+    }
+
+    this.delete(key);
+    return null;
+  }
+
+  /**
+   * Store a successful upstream response
+   */
+  set(key, response) {
+    const headers = {};
+    for (const name of CACHED_HEADERS) {
+      if (response.headers[name]) {
+        headers[name] = response.headers[name];
+      }
+    }
+
+    const now = Date.now();
+    const entry = {
+      key,
+      statusCode: response.statusCode,
+      headers,
+      body: response.body.toString('utf8'),
+      storedAt: now,
+      expiresAt: now + this.getTtl(key) * 1000,
+    };
+
+    // Evict the oldest entry when full (Map keeps insertion order)
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      this.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, entry);
+
+    if (this.dir) {
+      this._writeToDisk(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Mark an entry fresh again after a 304 Not Modified revalidation
+   */
+  touch(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    const now = Date.now();
+    entry.storedAt = now;
+    entry.expiresAt = now + this.getTtl(key) * 1000;
+    this.counters.notModified++;
+
+    if (this.dir) {
+      this._writeToDisk(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove an entry from memory and disk
+   */
+  delete(key) {
+    this.entries.delete(key);
+
+    if (this.dir) {
+      fs.rm(this._diskPath(key), { force: true }, () => {});
+    }
+  }
+
+  /**
+   * Conditional request headers for revalidating an entry
+   */
+  conditionalHeaders(entry) {
+    const headers = {};
+    if (entry.headers.etag) {
+      headers['If-None-Match'] = entry.headers.etag;
+    }
+    if (entry.headers['last-modified']) {
+      headers['If-Modified-Since'] = entry.headers['last-modified'];
+    }
+    return headers;
+  }
+
+  /**
+   * Run a background revalidation once per key
+   * @param {string} key
+   * @param {Function} revalidate - Returns a promise; errors are logged only
+   */
+  revalidate(key, revalidate) {
+    if (this.revalidating.has(key)) return;
+
+    this.revalidating.add(key);
+    this.counters.revalidations++;
+
+    Promise.resolve()
+      .then(revalidate)
+      .catch((error) => {
+        console.error(`⚠️  Revalidation failed for ${key}: ${error.message}`);
+      })
+      .finally(() => {
+        this.revalidating.delete(key);
+      });
+  }
+
+  /**
+   * Record a lookup result for stats
+   */
+  record(state) {
+    if (state === 'fresh') this.counters.hits++;
+    else if (state === 'stale') this.counters.staleHits++;
+    else this.counters.misses++;
+  }
+
+  /**
+   * Cache statistics for the /cache/stats endpoint
+   */
+  stats() {
+    const { hits, staleHits, misses } = this.counters;
+    const lookups = hits + staleHits + misses;
+    const sizeBytes = Array.from(this.entries.values()).reduce(
+      (sum, entry) => sum + Buffer.byteLength(entry.body),
+      0
+    );
+
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      sizeBytes,
+      ...this.counters,
+      hitRate: lookups ? (hits + staleHits) / lookups : 0,
+      defaultTtl: this.defaultTtl,
+      staleTtl: this.staleTtl,
+      ttls: this.ttls,
+      disk: this.dir,
+    };
+  }
+
+  _diskPath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  _readFromDisk(key) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(this._diskPath(key), 'utf8'));
+      return entry.key === key ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _writeToDisk(entry) {
+    fs.writeFile(this._diskPath(entry.key), JSON.stringify(entry), (error) => {
+      if (error) {
+        console.error(`⚠️  Failed to write cache file: ${error.message}`);
+      }
+    });
+  }
+}
+
+module.exports = { ResponseCache, parseTtlList, DEFAULT_TTLS };
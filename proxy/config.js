@@ -0,0 +1,148 @@
+/**
+ * Configuration for the SkAI API proxy
+ *
+ * Port, upstream, CORS origin allowlist and API path allowlist, from CLI
+ * flags, then environment variables, then .env, then the defaults below.
+ * The origin allowlist only binds browsers; it keeps other sites' pages from
+ * spending the API key, not scripts that omit the Origin header.
+ */
+
+const DEFAULT_PORT = 3333;
+const DEFAULT_UPSTREAM = 'https://gpswise.aero';
+
+// Origins of the local web app (python3 -m http.server 5151)
+const DEFAULT_ALLOWED_ORIGINS = [
+  'http://localhost:5151',
+  'http://127.0.0.1:5151',
+];
+
+// Endpoints the app calls (plus the sample used to test the proxy)
+const DEFAULT_ALLOWED_PATHS = [
+  '/db-api/v1/jamming/agg',
+  '/db-api/v1/jamming/coverage',
+  '/db-api/v1/spoofing/agg/geojson',
+  '/db-api/v1/spoofing/h3_geojson',
+  '/db-api/v1/spoofing/agg/sample',
+];
+
+// Settings that may also come from the process environment
+const CONFIG_ENV_KEYS = [
+  'PORT',
+  'UPSTREAM_URL',
+  'ALLOWED_ORIGINS',
+  'ALLOWED_PATHS',
+];
+
+/**
+ * Parse a comma-separated list (empty items dropped)
+ */
+function parseList(value) {
+  if (!value) return [];
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a path allowlist: "jamming/agg,spoofing/*"
+ * Paths without a leading slash are relative to /db-api/v1/; a trailing *
+ * allows every path under that prefix
+ */
+function parsePathList(value) {
+  return parseList(value).map((item) =>
+    item.startsWith('/') ? item : `/db-api/v1/${item}`
+  );
+}
+
+/**
+ * Check whether a request URL's path is on the allowlist
+ * The path is forwarded as sent, so it must already be in normal form: dot
+ * segments (raw or percent-encoded), backslashes or a leading // would let
+ * the upstream resolve it outside the allowed prefix
+ */
+function isPathAllowed(requestUrl, allowedPaths) {
+  const rawPath = requestUrl.split('?')[0];
+  if (rawPath.includes('..') || /%2e/i.test(rawPath)) {
+    return false;
+  }
+
+  let pathname;
+  try {
+    pathname = new URL(requestUrl, 'http://proxy.invalid').pathname;
+  } catch (error) {
+    return false;
+  }
+  if (pathname !== rawPath) {
+    return false;
+  }
+
+  return allowedPaths.some((allowed) =>
+    allowed.endsWith('*')
+      ? pathname.startsWith(allowed.slice(0, -1))
+      : pathname === allowed
+  );
+}
+
+/**
+ * Check whether a request Origin may use the proxy ("*" allows any)
+ * Requests without an Origin (curl, same-origin) are not CORS requests
+ */
+function isOriginAllowed(origin, allowedOrigins) {
+  if (!origin) return true;
+  return allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+}
+
+/**
+ * Resolve the proxy configuration
+ * @param {Object} args - Parsed CLI flags (port, upstream, origins, paths)
+ * @param {Object} env - Variables from .env
+ * @param {Object} processEnv - process.env (overrides .env)
+ * @returns {{port, upstream, allowedOrigins, allowedPaths}}
+ */
+function loadConfig(args = {}, env = {}, processEnv = {}) {
+  const merged = { ...env };
+  for (const key of CONFIG_ENV_KEYS) {
+    if (processEnv[key] !== undefined && processEnv[key] !== '') {
+      merged[key] = processEnv[key];
+    }
+  }
+
+  const port = parseInt(args.port || merged.PORT || DEFAULT_PORT, 10);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port: ${args.port || merged.PORT}`);
+  }
+
+  const upstream = (args.upstream || merged.UPSTREAM_URL || DEFAULT_UPSTREAM)
+    .trim()
+    .replace(/\/+$/, '');
+  let upstreamUrl;
+  try {
+    upstreamUrl = new URL(upstream);
+  } catch (error) {
+    throw new Error(`Invalid upstream URL: ${upstream}`);
+  }
+  if (upstreamUrl.protocol !== 'https:' && upstreamUrl.protocol !== 'http:') {
+    throw new Error(`Upstream must be http(s): ${upstream}`);
+  }
+
+  const origins = args.origins ?? merged.ALLOWED_ORIGINS;
+  const paths = args.paths ?? merged.ALLOWED_PATHS;
+
+  return {
+    port,
+    upstream,
+    allowedOrigins: origins ? parseList(origins) : DEFAULT_ALLOWED_ORIGINS,
+    allowedPaths: paths ? parsePathList(paths) : DEFAULT_ALLOWED_PATHS,
+  };
+}
+
+module.exports = {
+  loadConfig,
+  isOriginAllowed,
+  isPathAllowed,
+  parseList,
+  parsePathList,
+  DEFAULT_ALLOWED_ORIGINS,
+  DEFAULT_ALLOWED_PATHS,
+};
@@ -0,0 +1,748 @@
+/**
+ * Transport-independent request handling for the SkAI API proxy
+ *
+ * A ProxyCore takes a plain request ({ method, url, headers, body,
+ * remoteAddress }; header names lowercase, body a Buffer or null) and
+ * resolves to a plain response ({ statusCode, headers, body }). It does the
+ * routing, CORS, login, rate limits, caching, record/replay, credential
+ * injection and error responses. proxy-server.js serves it over Node's http
+ * module, proxy/lambda.js from API Gateway / Lambda function URL events.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { ResponseCache, parseTtlList } = require('./cache');
+const { FixtureStore } = require('./fixtures');
+const {
+  RateLimiter,
+  UsageTracker,
+  parseTokenList,
+  secondsUntilNextDay,
+} = require('./rate-limit');
+const {
+  loadConfig,
+  isOriginAllowed,
+  isPathAllowed,
+  parsePathList,
+} = require('./config');
+const { Authenticator, parseUserList } = require('./auth');
+
+// Largest login request body (bytes)
+const MAX_LOGIN_BODY = 10 * 1024;
+
+// Send a request with Node's http(s) module and buffer the full response
+// @returns {Promise<{statusCode, headers, body: Buffer}>}
+function httpTransport(targetUrl, { method, headers, body }) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(targetUrl);
+    const client = url.protocol === 'http:' ? http : https;
+
+    const apiReq = client.request(
+      {
+        hostname: url.hostname,
+        port: url.port || undefined,
+        path: url.pathname + url.search,
+        method,
+        headers,
+      },
+      (apiRes) => {
+        console.log(`✅ ${apiRes.statusCode} ${apiRes.statusMessage}`);
+
+        const chunks = [];
+        apiRes.on('data', (chunk) => chunks.push(chunk));
+        apiRes.on('end', () =>
+          resolve({
+            statusCode: apiRes.statusCode,
+            headers: apiRes.headers,
+            body: Buffer.concat(chunks),
+          })
+        );
+        apiRes.on('error', reject);
+      }
+    );
+
+    apiReq.on('error', reject);
+    apiReq.end(body || undefined);
+  });
+}
+
+// Response being built for a request (the handlers below set headers, a
+// status code and a body the way they would on an http.ServerResponse)
+class ProxyResponse {
+  constructor() {
+    this.statusCode = 200;
+    this.headers = {};
+    this.body = '';
+  }
+
+  setHeader(name, value) {
+    this.headers[name] = value;
+  }
+
+  end(body = '') {
+    this.body = body;
+  }
+}
+
+class ProxyCore {
+  constructor(options = {}) {
+    this.mode = options.mode || 'live'; // 'live', 'record' or 'replay'
+    this.config = options.config || loadConfig();
+    this.credentials = options.credentials || {}; // { apiKey, clientId }
+    this.cache = options.cache || new ResponseCache();
+    this.fixtures = options.fixtures || null;
+    this.ipLimiter = options.ipLimiter || new RateLimiter();
+    this.tokenLimiter =
+      options.tokenLimiter ||
+      new RateLimiter({ capacity: 120, refillPerSecond: 2 });
+    this.accessTokens = options.accessTokens || {}; // token -> name
+    this.dailyQuota = options.dailyQuota || 0; // Calls per client per UTC day
+    // Token for /usage and /cache/stats (both are off without one)
+    this.adminToken = options.adminToken || null;
+    // Behind a reverse proxy, the client IP is the first X-Forwarded-For entry
+    this.trustProxy = Boolean(options.trustProxy);
+    this.authenticator = options.authenticator || new Authenticator();
+    this.usage = options.usage || new UsageTracker();
+    this.transport = options.transport || httpTransport;
+    this.baseDir = options.baseDir || process.cwd(); // For log paths
+
+    // Upstream requests in flight, shared by identical GETs (key -> promise)
+    this.inflight = new Map();
+  }
+
+  // Handle a request
+  // @returns {Promise<{statusCode, headers, body}>}
+  async handle(req) {
+    const res = new ProxyResponse();
+    console.log(`\n🔵 ${req.method} ${req.url}`);
+
+    try {
+      await this.route(req, res);
+    } catch (error) {
+      console.error('❌ Proxy error:', error.message);
+      this.sendError(req, res, 500, {
+        error: 'Internal proxy error',
+        message: error.message,
+      });
+    }
+
+    return res;
+  }
+
+  // Answer a request that failed before it could be handled (e.g. its body
+  // could not be read), with the same CORS headers as other errors
+  // @returns {{statusCode, headers, body}}
+  reject(req, statusCode, body) {
+    const res = new ProxyResponse();
+    console.error(`❌ ${req.method} ${req.url}: ${body.message}`);
+    this.sendError(req, res, statusCode, body);
+    return res;
+  }
+
+  // Route a request to its endpoint
+  async route(req, res) {
+    // Browsers on other sites may not use the API key
+    if (!isOriginAllowed(req.headers.origin, this.config.allowedOrigins)) {
+      console.log(`⛔ Origin not allowed: ${req.headers.origin}`);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Vary', 'Origin');
+      res.statusCode = 403;
+      res.end(
+        JSON.stringify({
+          error: 'Forbidden',
+          message: `Origin ${req.headers.origin} is not allowed`,
+          hint: 'Add it to ALLOWED_ORIGINS (or --origins=)',
+        })
+      );
+      return;
+    }
+
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+      this.setCorsHeaders(req, res);
+      res.setHeader('Access-Control-Max-Age', '86400');
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+
+    // Health check endpoint
+    if (req.url === '/' || req.url === '/health') {
+      res.setHeader('Content-Type', 'application/json');
+      res.statusCode = 200;
+      res.end(
+        JSON.stringify({
+          status: 'ok',
+          service: 'SkAI API Proxy',
+          mode: this.mode,
+          target: this.config.upstream,
+          auth: this.authenticator.enabled,
+          timestamp: new Date().toISOString(),
+        })
+      );
+      return;
+    }
+
+    // Login (when authentication is on)
+    if (req.url === '/auth/login' && req.method === 'POST') {
+      this.handleLogin(req, res);
+      return;
+    }
+
+    // Cache statistics endpoint
+    if (req.url === '/cache/stats') {
+      if (!this.checkAdmin(req, res)) return;
+      this.sendJson(req, res, this.cache.stats());
+      return;
+    }
+
+    // API calls per client per day
+    if (req.url === '/usage') {
+      if (!this.checkAdmin(req, res)) return;
+      this.sendJson(req, res, {
+        limits: {
+          ip: {
+            burst: this.ipLimiter.capacity,
+            perSecond: this.ipLimiter.refillPerSecond,
+          },
+          token: {
+            burst: this.tokenLimiter.capacity,
+            perSecond: this.tokenLimiter.refillPerSecond,
+          },
+          dailyQuota: this.dailyQuota || null,
+        },
+        days: this.usage.report(),
+      });
+      return;
+    }
+
+    // Only proxy allowlisted API paths
+    if (!isPathAllowed(req.url, this.config.allowedPaths)) {
+      console.log(`⛔ Path not allowed: ${req.url.split('?')[0]}`);
+      this.sendError(req, res, 404, {
+        error: 'Not found',
+        message: 'This proxy only handles the allowed API paths',
+        allowed: this.config.allowedPaths,
+        hint: 'Try: /db-api/v1/spoofing/agg/sample',
+      });
+      return;
+    }
+
+    // Logged-in users only, when authentication is on
+    const user = this.checkAuth(req, res);
+    if (user === false) {
+      return;
+    }
+
+    // Rate limit API calls per client (user, access token or IP)
+    const client = this.identifyClient(req, user);
+    if (
+      !this.checkRateLimit(client, req, res) ||
+      !this.checkQuota(client, req, res)
+    ) {
+      return;
+    }
+
+    // The call counts against the quota until its result is recorded
+    const call = this.usage.reserve(client.id);
+    try {
+      // Offline: serve recorded fixtures only
+      if (this.mode === 'replay') {
+        call.record('cached');
+        this.replayRequest(req, res);
+        return;
+      }
+
+      // Build target URL
+      const targetUrl = `${this.config.upstream}${req.url}`;
+
+      await this.proxyRequest(targetUrl, req, res, call);
+    } finally {
+      call.release();
+    }
+  }
+
+  // Set CORS headers (the request's origin is echoed only if allowed)
+  setCorsHeaders(req, res) {
+    const origin = req.headers.origin;
+    if (this.config.allowedOrigins.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && isOriginAllowed(origin, this.config.allowedOrigins)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader(
+      'Access-Control-Allow-Headers',
+      'Content-Type, Authorization, X-Access-Token'
+    );
+    res.setHeader(
+      'Access-Control-Expose-Headers',
+      'x-period-start, x-period-end, X-Cache, X-Fixture, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-Quota-Limit, X-Quota-Remaining'
+    );
+  }
+
+  // Send a JSON response (pretty-printed, for the stats endpoints)
+  sendJson(req, res, body) {
+    this.setCorsHeaders(req, res);
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = 200;
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  // Send a JSON error response
+  sendError(req, res, statusCode, body) {
+    this.setCorsHeaders(req, res);
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = statusCode;
+    res.end(JSON.stringify(body));
+  }
+
+  // Request a URL from the SkAI API (credentials added here)
+  fetchUpstream(targetUrl, req, extraHeaders = {}) {
+    console.log(`📡 ${req.method} ${targetUrl}`);
+
+    return this.transport(targetUrl, {
+      method: req.method,
+      headers: {
+        'X-API-Key': this.credentials.apiKey,
+        'X-Client-ID': this.credentials.clientId,
+        Accept: 'application/json',
+        'User-Agent': 'SkAI-Proxy/1.0',
+        ...extraHeaders,
+      },
+      // Forward request body if present
+      body: req.method !== 'GET' && req.method !== 'HEAD' ? req.body : null,
+    });
+  }
+
+  // Send an upstream or cached response to the client
+  sendResponse(req, res, response, cacheStatus) {
+    this.setCorsHeaders(req, res);
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('X-Cache', cacheStatus);
+
+    // Forward important headers from SkAI
+    if (response.headers['x-period-start']) {
+      res.setHeader('x-period-start', response.headers['x-period-start']);
+    }
+    if (response.headers['x-period-end']) {
+      res.setHeader('x-period-end', response.headers['x-period-end']);
+    }
+
+    if (response.storedAt) {
+      res.setHeader(
+        'Age',
+        Math.floor((Date.now() - response.storedAt) / 1000).toString()
+      );
+    }
+
+    res.statusCode = response.statusCode;
+    res.end(response.body);
+  }
+
+  // Refresh a stale cache entry with a conditional upstream request
+  async revalidateEntry(key, targetUrl, entry) {
+    const upstream = await this.fetchUpstream(
+      targetUrl,
+      { method: 'GET' },
+      this.cache.conditionalHeaders(entry)
+    );
+
+    if (upstream.statusCode === 304) {
+      this.cache.touch(key);
+      console.log(`♻️  Revalidated (not modified): ${key}`);
+    } else if (upstream.statusCode === 200) {
+      this.cache.set(key, upstream);
+      this.recordFixture(key, upstream);
+      console.log(`♻️  Revalidated (updated): ${key}`);
+    }
+  }
+
+  // Save a successful upstream response when recording
+  recordFixture(requestUrl, upstream) {
+    if (this.mode !== 'record' || upstream.statusCode !== 200) return;
+
+    try {
+      const filePath = this.fixtures.save(requestUrl, upstream);
+      console.log(`📼 Recorded: ${path.relative(this.baseDir, filePath)}`);
+    } catch (error) {
+      console.error(`⚠️  Failed to record fixture: ${error.message}`);
+    }
+  }
+
+  // Identify the client of a request: its logged-in user, its access token,
+  // else its IP
+  // @returns {{id, limiter}|null} null for an unknown access token
+  identifyClient(req, user = null) {
+    if (user) {
+      return { id: `user:${user.sub}`, limiter: this.tokenLimiter };
+    }
+
+    const token = req.headers['x-access-token'];
+    if (token) {
+      const name = this.accessTokens[token];
+      return name ? { id: `token:${name}`, limiter: this.tokenLimiter } : null;
+    }
+
+    const forwarded = this.trustProxy && req.headers['x-forwarded-for'];
+    const ip = forwarded ? forwarded.split(',')[0].trim() : req.remoteAddress;
+    return { id: `ip:${ip}`, limiter: this.ipLimiter };
+  }
+
+  // Check the bearer token of a request when authentication is on
+  // @returns {Object|null|false} The token payload (null when auth is off),
+  //   or false when the request was rejected (401/403 sent)
+  checkAuth(req, res) {
+    if (!this.authenticator.enabled) return null;
+
+    const user = this.authenticator.authenticate(req);
+    if (!user) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      this.sendError(req, res, 401, {
+        error: 'Unauthorized',
+        message: 'Log in to use the API',
+      });
+      return false;
+    }
+
+    if (!this.authenticator.authorize(user, req.method, req.url)) {
+      console.log(
+        `⛔ ${user.sub} (${user.role}) may not ${req.method} ${req.url}`
+      );
+      this.sendError(req, res, 403, {
+        error: 'Forbidden',
+        message: `The ${user.role} role cannot access ${req.url.split('?')[0]}`,
+      });
+      return false;
+    }
+
+    return user;
+  }
+
+  // Check the admin token (X-Admin-Token) of a /usage or /cache/stats request
+  // @returns {boolean} false when the request was rejected (401/404 sent)
+  checkAdmin(req, res) {
+    if (!this.adminToken) {
+      this.sendError(req, res, 404, {
+        error: 'Not found',
+        message: 'Set ADMIN_TOKEN to enable this endpoint',
+      });
+      return false;
+    }
+
+    // Compare digests so that the comparison is constant time for any length
+    const digest = (value) =>
+      crypto.createHash('sha256').update(value).digest();
+    const token = req.headers['x-admin-token'] || '';
+    if (!crypto.timingSafeEqual(digest(token), digest(this.adminToken))) {
+      this.sendError(req, res, 401, {
+        error: 'Unauthorized',
+        message: 'Send the admin token in X-Admin-Token',
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  // Exchange a username and password for a bearer token
+  handleLogin(req, res) {
+    if (!this.authenticator.enabled) {
+      this.sendError(req, res, 404, {
+        error: 'Not found',
+        message: 'Authentication is not enabled on this proxy',
+      });
+      return;
+    }
+
+    // Password guesses count against the IP's rate limit
+    if (!this.checkRateLimit(this.identifyClient(req), req, res)) {
+      return;
+    }
+
+    let body;
+    try {
+      body = parseJsonBody(req.body, MAX_LOGIN_BODY);
+      if (
+        typeof body.username !== 'string' ||
+        typeof body.password !== 'string'
+      ) {
+        throw new Error('username and password must be strings');
+      }
+    } catch (error) {
+      this.sendError(req, res, 400, {
+        error: 'Bad Request',
+        message: error.message,
+      });
+      return;
+    }
+
+    const session = this.authenticator.login(body.username, body.password);
+    if (!session) {
+      console.log(`🔐 Login failed: ${body.username}`);
+      this.sendError(req, res, 401, {
+        error: 'Unauthorized',
+        message: 'Invalid username or password',
+      });
+      return;
+    }
+
+    console.log(`🔐 Login: ${session.user} (${session.role})`);
+    this.setCorsHeaders(req, res);
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = 200;
+    res.end(JSON.stringify(session));
+  }
+
+  // Spend one request of the client's rate limit
+  // @returns {boolean} false when the request was rejected (401/429 sent)
+  checkRateLimit(client, req, res) {
+    if (!client) {
+      this.sendError(req, res, 401, {
+        error: 'Unauthorized',
+        message: 'Unknown access token',
+      });
+      return false;
+    }
+
+    const limit = client.limiter.take(client.id);
+    res.setHeader('X-RateLimit-Limit', client.limiter.capacity.toString());
+    res.setHeader('X-RateLimit-Remaining', limit.remaining.toString());
+
+    if (!limit.allowed) {
+      this.usage.record(client.id, 'limited');
+      console.log(
+        `🚦 Rate limited: ${client.id} (retry in ${limit.retryAfter}s)`
+      );
+      res.setHeader('Retry-After', limit.retryAfter.toString());
+      this.sendError(req, res, 429, {
+        error: 'Too Many Requests',
+        message: `Rate limit exceeded, retry in ${limit.retryAfter}s`,
+        retryAfter: limit.retryAfter,
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  // Check the client's daily quota (API calls served or in flight today)
+  // @returns {boolean} false when the quota is used up (429 sent)
+  checkQuota(client, req, res) {
+    if (!this.dailyQuota) return true;
+
+    const used = this.usage.served(client.id);
+    res.setHeader('X-Quota-Limit', this.dailyQuota.toString());
+    res.setHeader(
+      'X-Quota-Remaining',
+      Math.max(0, this.dailyQuota - used - 1).toString()
+    );
+
+    if (used >= this.dailyQuota) {
+      const retryAfter = secondsUntilNextDay();
+      this.usage.record(client.id, 'limited');
+      console.log(`🚦 Daily quota used up: ${client.id}`);
+      res.setHeader('Retry-After', retryAfter.toString());
+      this.sendError(req, res, 429, {
+        error: 'Too Many Requests',
+        message: `Daily quota of ${this.dailyQuota} calls used up, it resets at 00:00 UTC`,
+        retryAfter,
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  // Fetch a GET upstream, joining an identical request already in flight
+  // @returns {Promise<{upstream, shared: boolean}>}
+  fetchShared(key, targetUrl, req) {
+    if (this.inflight.has(key)) {
+      console.log(`🔗 Joined in-flight request: ${key}`);
+      return this.inflight
+        .get(key)
+        .then((upstream) => ({ upstream, shared: true }));
+    }
+
+    const promise = this.fetchUpstream(targetUrl, req).finally(() => {
+      this.inflight.delete(key);
+    });
+    this.inflight.set(key, promise);
+    return promise.then((upstream) => ({ upstream, shared: false }));
+  }
+
+  // Serve a request from recorded fixtures (replay mode)
+  replayRequest(req, res) {
+    const found = this.fixtures.find(req.url);
+
+    if (!found) {
+      console.log(`📼 No fixture for ${req.url}`);
+      this.sendError(req, res, 404, {
+        error: 'No fixture recorded',
+        message: `No fixture for ${req.url.split('?')[0]}`,
+        hint: this.fixtures.nearest
+          ? 'Record one with: node proxy-server.js --record'
+          : 'Record one with: node proxy-server.js --record, or replay ' +
+            'the closest fixture with --nearest',
+      });
+      return;
+    }
+
+    console.log(`📼 Replay (${found.match}): ${found.fixture.key}`);
+    res.setHeader('X-Fixture', found.match);
+    this.sendResponse(
+      req,
+      res,
+      this.fixtures.toResponse(found.fixture),
+      'REPLAY'
+    );
+  }
+
+  // Proxy request handler (serves GET requests from the cache when possible)
+  // @param {Object} call - Usage reservation of the call (records its result)
+  async proxyRequest(targetUrl, req, res, call) {
+    try {
+      if (req.method !== 'GET') {
+        call.record('upstream');
+        const upstream = await this.fetchUpstream(targetUrl, req);
+        this.sendResponse(req, res, upstream, 'BYPASS');
+        return;
+      }
+
+      const key = ResponseCache.normalizeKey(req.url);
+      // Recording bypasses the cache so that every request is saved
+      const noCache =
+        this.mode === 'record' ||
+        /no-cache/.test(req.headers['cache-control'] || '');
+      const cached = noCache ? null : this.cache.get(key);
+
+      if (cached) {
+        call.record('cached');
+        this.cache.record(cached.state);
+        console.log(`💾 Cache ${cached.state}: ${key}`);
+        this.sendResponse(req, res, cached.entry, 'HIT');
+
+        // Serve stale while revalidating in the background
+        if (cached.state === 'stale') {
+          this.cache.revalidate(key, () =>
+            this.revalidateEntry(key, targetUrl, cached.entry)
+          );
+        }
+        return;
+      }
+
+      this.cache.record('miss');
+      const { upstream, shared } = await this.fetchShared(key, targetUrl, req);
+      call.record(shared ? 'deduped' : 'upstream');
+
+      // The request that went upstream caches and records the response
+      if (!shared && upstream.statusCode === 200) {
+        this.cache.set(key, upstream);
+        this.recordFixture(key, upstream);
+      }
+
+      this.sendResponse(req, res, upstream, shared ? 'DEDUP' : 'MISS');
+    } catch (error) {
+      console.error('❌ API request error:', error.message);
+      this.sendError(req, res, 502, {
+        error: 'Failed to connect to SkAI API',
+        message: error.message,
+      });
+    }
+  }
+}
+
+// Parse a small JSON object request body (Buffer, string or null)
+function parseJsonBody(body, maxBytes) {
+  if (body && body.length > maxBytes) {
+    throw new Error('Request body too large');
+  }
+
+  let value;
+  try {
+    value = JSON.parse((body || '').toString('utf8') || '{}');
+  } catch (error) {
+    throw new Error('Request body is not valid JSON');
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Request body must be a JSON object');
+  }
+  return value;
+}
+
+// Build a ProxyCore from settings (.env or process environment variables)
+// @param {Object} args - mode, fixturesDir, nearest and loadConfig() flags
+// @param {Object} env - Settings (API_KEY, CLIENT_ID, CACHE_*, AUTH_*, ...)
+// @param {Object} processEnv - Overrides for loadConfig()
+// @param {Object} options - baseDir (relative dirs), transport (tests)
+// Throws on invalid settings
+function createProxyCore(args = {}, env = {}, processEnv = {}, options = {}) {
+  const mode = args.mode || 'live';
+  const baseDir = options.baseDir || process.cwd();
+
+  if (!['live', 'record', 'replay'].includes(mode)) {
+    throw new Error(`Unknown mode: ${mode}`);
+  }
+
+  // Credentials are optional in replay mode (no upstream requests are made)
+  if (mode !== 'replay' && (!env.API_KEY || !env.CLIENT_ID)) {
+    throw new Error('Missing required settings: API_KEY and CLIENT_ID');
+  }
+
+  return new ProxyCore({
+    mode,
+    config: loadConfig(args, env, processEnv),
+    credentials: { apiKey: env.API_KEY, clientId: env.CLIENT_ID },
+
+    // Recorded fixtures (used by --record and --replay)
+    fixtures: new FixtureStore(
+      path.resolve(baseDir, args.fixturesDir || env.FIXTURES_DIR || 'fixtures'),
+      { nearest: Boolean(args.nearest) }
+    ),
+
+    // Response cache (TTLs in seconds, optional on-disk copy in CACHE_DIR)
+    cache: new ResponseCache({
+      defaultTtl: parseInt(env.CACHE_TTL || '300', 10),
+      staleTtl: parseInt(env.CACHE_STALE_TTL || '600', 10),
+      maxEntries: parseInt(env.CACHE_MAX_ENTRIES || '500', 10),
+      ttls: parseTtlList(env.CACHE_TTLS),
+      dir: env.CACHE_DIR ? path.resolve(baseDir, env.CACHE_DIR) : null,
+    }),
+
+    // Rate limits (token buckets): per client IP, or per access token sent
+    // in X-Access-Token (ACCESS_TOKENS=name:token,...)
+    ipLimiter: new RateLimiter({
+      capacity: parseInt(env.RATE_LIMIT_BURST || '60', 10),
+      refillPerSecond: parseFloat(env.RATE_LIMIT_PER_SECOND || '1'),
+    }),
+    tokenLimiter: new RateLimiter({
+      capacity: parseInt(env.RATE_LIMIT_TOKEN_BURST || '120', 10),
+      refillPerSecond: parseFloat(env.RATE_LIMIT_TOKEN_PER_SECOND || '2'),
+    }),
+    accessTokens: parseTokenList(env.ACCESS_TOKENS),
+    trustProxy: env.TRUST_PROXY === 'true',
+    // API calls per client per UTC day (0 or unset: no quota)
+    dailyQuota: parseInt(env.DAILY_QUOTA || '0', 10),
+    adminToken: env.ADMIN_TOKEN,
+
+    // Optional login: AUTH_SECRET signs bearer tokens, AUTH_USERS holds
+    // password hashes; the demo role only reaches AUTH_DEMO_PATHS
+    authenticator: new Authenticator({
+      users: parseUserList(env.AUTH_USERS),
+      secret: env.AUTH_SECRET,
+      tokenTtl: parseInt(env.AUTH_TOKEN_TTL || '43200', 10),
+      demoPaths: env.AUTH_DEMO_PATHS
+        ? parsePathList(env.AUTH_DEMO_PATHS)
+        : undefined,
+    }),
+
+    transport: options.transport,
+    baseDir,
+  });
+}
+
+module.exports = { ProxyCore, createProxyCore, httpTransport };
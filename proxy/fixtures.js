@@ -0,0 +1,176 @@
+/**
+ * Fixture store for the SkAI API proxy
+ *
+ * --record saves upstream responses (body + period headers) as JSON files,
+ * one directory per endpoint. --replay serves them back without touching the
+ * network, matched by endpoint and query parameters (exactly, unless
+ * --nearest allows the closest fixture of the endpoint).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ResponseCache } = require('./cache');
+
+// Upstream headers saved with a fixture
+const FIXTURE_HEADERS = ['content-type', 'x-period-start', 'x-period-end'];
+
+class FixtureStore {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.nearest = Boolean(options.nearest); // Fall back to the closest fixture
+    this.index = null; // endpoint -> [fixture], built lazily for replay
+  }
+
+  /**
+   * Split a request URL into endpoint path and normalized params
+   */
+  static parse(requestUrl) {
+    const key = ResponseCache.normalizeKey(requestUrl);
+    const [endpoint, query = ''] = key.split('?');
+    return {
+      key,
+      endpoint,
+      params: Object.fromEntries(new URLSearchParams(query)),
+    };
+  }
+
+  /**
+   * Save an upstream response as a fixture
+   */
+  save(requestUrl, response) {
+    const { key, endpoint, params } = FixtureStore.parse(requestUrl);
+
+    const headers = {};
+    for (const name of FIXTURE_HEADERS) {
+      if (response.headers[name]) {
+        headers[name] = response.headers[name];
+      }
+    }
+
+    const body = response.body.toString('utf8');
+    let parsedBody;
+    try {
+      parsedBody = JSON.parse(body);
+    } catch (error) {
+      parsedBody = body;
+    }
+
+    const fixture = {
+      key,
+      endpoint,
+      params,
+      statusCode: response.statusCode,
+      headers,
+      recordedAt: new Date().toISOString(),
+      body: parsedBody,
+    };
+
+    const filePath = this._filePath(endpoint, key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+    this.index = null;
+
+    return filePath;
+  }
+
+  /**
+   * Find the fixture for a request
+   * Exact endpoint + params match only; with the nearest option, otherwise
+   * the fixture of the same endpoint sharing the most parameter values
+   * @returns {{fixture: Object, match: 'exact'|'nearest'}|null}
+   */
+  find(requestUrl) {
+    const { key, endpoint, params } = FixtureStore.parse(requestUrl);
+    const candidates = this._load()[endpoint] || [];
+
+    const exact = candidates.find((fixture) => fixture.key === key);
+    if (exact) {
+      return { fixture: exact, match: 'exact' };
+    }
+    if (!this.nearest) {
+      return null;
+    }
+
+    let best = null;
+    let bestScore = -1;
+    for (const fixture of candidates) {
+      const score = Object.keys(params).filter(
+        (name) => fixture.params[name] === params[name]
+      ).length;
+      if (score > bestScore) {
+        best = fixture;
+        bestScore = score;
+      }
+    }
+
+    return best ? { fixture: best, match: 'nearest' } : null;
+  }
+
+  /**
+   * Convert a fixture into a response object for sendResponse()
+   */
+  toResponse(fixture) {
+    const body =
+      typeof fixture.body === 'string'
+        ? fixture.body
+        : JSON.stringify(fixture.body);
+
+    return {
+      statusCode: fixture.statusCode,
+      headers: fixture.headers,
+      body,
+    };
+  }
+
+  /**
+   * Count fixtures per endpoint (for the startup summary)
+   */
+  summary() {
+    const index = this._load();
+    return Object.fromEntries(
+      Object.keys(index).map((endpoint) => [endpoint, index[endpoint].length])
+    );
+  }
+
+  _filePath(endpoint, key) {
+    const slug = endpoint.replace(/^\/+/, '').replace(/[^a-zA-Z0-9]+/g, '_');
+    const hash = crypto
+      .createHash('sha1')
+      .update(key)
+      .digest('hex')
+      .slice(0, 12);
+    return path.join(this.dir, slug, `${hash}.json`);
+  }
+
+  _load() {
+    if (this.index) return this.index;
+
+    this.index = {};
+    if (!fs.existsSync(this.dir)) return this.index;
+
+    for (const sub of fs.readdirSync(this.dir, { withFileTypes: true })) {
+      if (!sub.isDirectory()) continue;
+
+      const subDir = path.join(this.dir, sub.name);
+      for (const file of fs.readdirSync(subDir)) {
+        if (!file.endsWith('.json')) continue;
+
+        try {
+          const fixture = JSON.parse(
+            fs.readFileSync(path.join(subDir, file), 'utf8')
+          );
+          (this.index[fixture.endpoint] ||= []).push(fixture);
+        } catch (error) {
+          console.error(
+            `⚠️  Skipping invalid fixture ${file}: ${error.message}`
+          );
+        }
+      }
+    }
+
+    return this.index;
+  }
+}
+
+module.exports = { FixtureStore };
@@ -0,0 +1,118 @@
+/**
+ * AWS Lambda entry point for the SkAI API proxy
+ *
+ * Serves the same ProxyCore as proxy-server.js from API Gateway events (REST
+ * API payload 1.0, HTTP API payload 2.0) and Lambda function URLs. Settings
+ * come from the function's environment variables, with the names used in
+ * .env; PROXY_MODE=replay serves bundled fixtures (FIXTURES_DIR) only.
+ *
+ *   Handler: proxy/lambda.handler
+ *
+ * The cache, rate limits and usage counts live in memory per warm instance
+ * (CACHE_DIR must be under /tmp). A stale cache entry is revalidated after
+ * the response is sent, which Lambda may freeze before it completes.
+ */
+
+const path = require('path');
+const { createProxyCore } = require('./core');
+
+// Turn an API Gateway / function URL event into a proxy core request
+function toRequest(event) {
+  const headers = {};
+  for (const [name, value] of Object.entries(event.headers || {})) {
+    headers[name.toLowerCase()] = value;
+  }
+
+  let method;
+  let pathname;
+  let query;
+  let sourceIp;
+  if (event.version === '2.0') {
+    // HTTP API and function URLs
+    method = event.requestContext.http.method;
+    pathname = event.rawPath;
+    query = event.rawQueryString || '';
+    sourceIp = event.requestContext.http.sourceIp;
+  } else {
+    // REST API (query values arrive decoded, repeated keys in multiValue*)
+    const params = new URLSearchParams();
+    const multi = event.multiValueQueryStringParameters;
+    const single = event.queryStringParameters || {};
+    for (const name of Object.keys(multi || single)) {
+      for (const value of multi ? multi[name] : [single[name]]) {
+        params.append(name, value);
+      }
+    }
+
+    method = event.httpMethod;
+    pathname = event.path;
+    query = params.toString();
+    sourceIp = event.requestContext?.identity?.sourceIp;
+  }
+
+  return {
+    method,
+    url: query ? `${pathname}?${query}` : pathname,
+    headers,
+    body:
+      event.body == null
+        ? null
+        : Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8'),
+    remoteAddress: sourceIp,
+  };
+}
+
+// Turn a proxy core response into a Lambda proxy integration result
+function toResult(response) {
+  const headers = {};
+  for (const [name, value] of Object.entries(response.headers)) {
+    headers[name] = String(value);
+  }
+
+  return {
+    statusCode: response.statusCode,
+    headers,
+    // The API and the proxy only send JSON
+    body: Buffer.isBuffer(response.body)
+      ? response.body.toString('utf8')
+      : response.body,
+    isBase64Encoded: false,
+  };
+}
+
+// Build a Lambda handler around a proxy core
+function createHandler(core) {
+  return async (event) => toResult(await core.handle(toRequest(event)));
+}
+
+// Created on the first event and reused while the instance stays warm
+let defaultHandler = null;
+
+async function handler(event) {
+  if (!defaultHandler) {
+    try {
+      const core = createProxyCore(
+        { mode: process.env.PROXY_MODE || 'live' },
+        process.env,
+        {},
+        { baseDir: path.resolve(__dirname, '..') }
+      );
+      defaultHandler = createHandler(core);
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      return {
+        statusCode: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Proxy misconfigured',
+          message: error.message,
+        }),
+        isBase64Encoded: false,
+      };
+    }
+  }
+
+  return defaultHandler(event);
+}
+
+module.exports = { handler, createHandler, toRequest, toResult };
@@ -0,0 +1,223 @@
+/**
+ * Rate limiting and usage accounting for the SkAI API proxy
+ *
+ * Every client (an access token, else an IP address) gets a token bucket:
+ * `capacity` requests in a burst, refilled at `refillPerSecond`. An empty
+ * bucket means 429 with a Retry-After. Usage counts API calls per client
+ * per UTC day for the /usage endpoint and the daily quota; a call counts
+ * from the moment it is admitted, so concurrent calls cannot overshoot it.
+ */
+
+// Usage entry that clients past UsageTracker.maxClients share
+const OTHER_CLIENTS = '(other clients)';
+
+/**
+ * UTC day of a timestamp ('YYYY-MM-DD')
+ */
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole seconds until the next UTC midnight (when daily quotas reset)
+ */
+function secondsUntilNextDay(now = Date.now()) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((midnight.getTime() - now) / 1000));
+}
+
+/**
+ * Parse an access token list: "alice:s3cret,ci:t0ken" -> { token: name }
+ */
+function parseTokenList(value) {
+  const tokens = {};
+  if (!value) return tokens;
+
+  for (const item of value.split(',')) {
+    const idx = item.indexOf(':');
+    if (idx === -1) continue;
+
+    const name = item.slice(0, idx).trim();
+    const token = item.slice(idx + 1).trim();
+    if (name && token) {
+      tokens[token] = name;
+    }
+  }
+
+  return tokens;
+}
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.capacity = options.capacity ?? 60;
+    this.refillPerSecond = options.refillPerSecond ?? 1;
+    this.maxBuckets = options.maxBuckets ?? 10000;
+    this.buckets = new Map(); // client -> { tokens, updatedAt }
+  }
+
+  /**
+   * Spend one request from a client's bucket
+   * @returns {{allowed: boolean, remaining: number, retryAfter: number}}
+   *   retryAfter is in whole seconds (0 when allowed)
+   */
+  take(client, now = Date.now()) {
+    let bucket = this.buckets.get(client);
+    if (!bucket) {
+      if (this.buckets.size >= this.maxBuckets) {
+        this.prune(now);
+      }
+      bucket = { tokens: this.capacity, updatedAt: now };
+      this.buckets.set(client, bucket);
+    }
+
+    // Refill for the time since the last request
+    const elapsed = Math.max(0, now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(
+      this.capacity,
+      bucket.tokens + elapsed * this.refillPerSecond
+    );
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) {
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfter: Math.ceil((1 - bucket.tokens) / this.refillPerSecond),
+      };
+    }
+
+    bucket.tokens -= 1;
+    return {
+      allowed: true,
+      remaining: Math.floor(bucket.tokens),
+      retryAfter: 0,
+    };
+  }
+
+  /**
+   * Drop buckets that have refilled (they would start full anyway)
+   */
+  prune(now = Date.now()) {
+    for (const [client, bucket] of this.buckets) {
+      const elapsed = (now - bucket.updatedAt) / 1000;
+      if (bucket.tokens + elapsed * this.refillPerSecond >= this.capacity) {
+        this.buckets.delete(client);
+      }
+    }
+  }
+}
+
+class UsageTracker {
+  constructor(options = {}) {
+    this.maxDays = options.maxDays ?? 7;
+    this.maxClients = options.maxClients ?? 10000; // Per day
+    this.days = new Map(); // 'YYYY-MM-DD' -> Map(client -> counters)
+    this.reserved = new Map(); // client -> calls admitted, not yet recorded
+  }
+
+  /**
+   * Reserve an admitted call: served() counts it until its result is
+   * recorded, or until it is released (e.g. the upstream request failed)
+   * @returns {{record: Function, release: Function}} record(result) and
+   *   release() end the reservation; only the first of them has an effect
+   */
+  reserve(client) {
+    this.reserved.set(client, (this.reserved.get(client) || 0) + 1);
+
+    let open = true;
+    const release = () => {
+      if (!open) return false;
+      open = false;
+
+      const count = this.reserved.get(client) - 1;
+      if (count > 0) {
+        this.reserved.set(client, count);
+      } else {
+        this.reserved.delete(client);
+      }
+      return true;
+    };
+
+    return {
+      record: (result, now = Date.now()) => {
+        if (release()) this.record(client, result, now);
+      },
+      release,
+    };
+  }
+
+  /**
+   * Count an API call for a client
+   * @param {string} result - 'upstream', 'cached', 'deduped' or 'limited'
+   *   (rate limit or quota)
+   */
+  record(client, result, now = Date.now()) {
+    const day = utcDay(now);
+
+    if (!this.days.has(day)) {
+      this.days.set(day, new Map());
+      // Keep the most recent days only (Map keeps insertion order)
+      while (this.days.size > this.maxDays) {
+        this.days.delete(this.days.keys().next().value);
+      }
+    }
+
+    const clients = this.days.get(day);
+    // Past the cap (e.g. spoofed X-Forwarded-For values), new clients are
+    // counted together
+    if (!clients.has(client) && clients.size >= this.maxClients) {
+      client = OTHER_CLIENTS;
+    }
+    if (!clients.has(client)) {
+      clients.set(client, {
+        calls: 0,
+        upstream: 0,
+        cached: 0,
+        deduped: 0,
+        limited: 0,
+      });
+    }
+
+    const counters = clients.get(client);
+    counters.calls++;
+    counters[result]++;
+  }
+
+  /**
+   * API calls served to a client today, plus its calls in flight
+   * (rate-limited calls not included)
+   */
+  served(client, now = Date.now()) {
+    const counters = this.days.get(utcDay(now))?.get(client);
+    const reserved = this.reserved.get(client) || 0;
+    return (counters ? counters.calls - counters.limited : 0) + reserved;
+  }
+
+  /**
+   * Usage report for the /usage endpoint, most recent day first
+   */
+  report() {
+    return Array.from(this.days.entries())
+      .reverse()
+      .map(([day, clients]) => ({
+        day,
+        calls: Array.from(clients.values()).reduce(
+          (sum, counters) => sum + counters.calls,
+          0
+        ),
+        clients: Object.fromEntries(
+          Array.from(clients.entries()).sort(
+            ([, a], [, b]) => b.calls - a.calls
+          )
+        ),
+      }));
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  UsageTracker,
+  parseTokenList,
+  secondsUntilNextDay,
+};
@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  loadBrowserScripts,
+  loadFixture,
+  toPlain,
+  memoryStorage,
+} = require('./helpers/browser-env');
+const { turf } = require('./helpers/turf-stub');
+
+const { AlertManager } = loadBrowserScripts({ turf });
+
+const jammingSettings = { dataSource: 'jamming/agg', altitudes: 'FL300-FL450' };
+
+// Every rule gets the same data
+const allRules = (data) => () => data;
+
+test('jamming rule fires once when a cell reaches the threshold', () => {
+  const manager = new AlertManager();
+  const alerts = [];
+  manager.onAlert = (entry) => alerts.push(entry);
+  manager.addRule({
+    name: 'High jamming',
+    dataSource: 'jamming/agg',
+    threshold: 0.1,
+    altitude: 'FL300-FL450',
+  });
+  const data = loadFixture('jamming-agg.geojson');
+
+  const fired = manager.evaluate(allRules(data));
+  assert.strictEqual(fired.length, 1);
+  assert.strictEqual(fired[0].value, 0.35);
+  assert.match(fired[0].message, /^2 cell\(s\) ≥ 10\.0%, max 35\.0%$/);
+
+  // Still above threshold on the next refresh: no repeat alert
+  assert.strictEqual(manager.evaluate(allRules(data)).length, 0);
+  assert.strictEqual(alerts.length, 1);
+  assert.strictEqual(manager.log.length, 1);
+});
+
+test('rule re-arms after its condition clears', () => {
+  const manager = new AlertManager();
+  manager.addRule({ dataSource: 'jamming/agg', threshold: 0.1 });
+  const data = loadFixture('jamming-agg.geojson');
+  const quiet = {
+    type: 'FeatureCollection',
+    features: data.features.filter((f) => f.properties.ratio_bad < 0.1),
+  };
+
+  assert.strictEqual(manager.evaluate(allRules(data)).length, 1);
+  assert.strictEqual(manager.evaluate(allRules(quiet)).length, 0);
+  assert.strictEqual(manager.rules[0].active, false);
+  assert.strictEqual(manager.evaluate(allRules(data)).length, 1);
+});
+
+test('check loads each rule source and band unfiltered, once per query', async () => {
+  const calls = [];
+  const apiClient = {};
+  ['getJammingData', 'getSpoofingData', 'getSpoofingH3Data'].forEach(
+    (method) => {
+      apiClient[method] = async (query, request) => {
+        calls.push({ method, query, key: request.key });
+        return {
+          data: loadFixture(
+            method === 'getJammingData'
+              ? 'jamming-agg.geojson'
+              : 'spoofing-agg.geojson'
+          ),
+        };
+      };
+    }
+  );
+  const manager = new AlertManager(null, apiClient);
+  manager.addRule({
+    dataSource: 'jamming/agg',
+    threshold: 0.3,
+    altitude: 'FL300-FL450',
+  });
+  manager.addRule({ dataSource: 'jamming/agg', threshold: 0.01 });
+  manager.addRule({ dataSource: 'spoofing/agg', threshold: 3 });
+
+  // The spoofing view is shown with only low severity jamming cells
+  const fired = await manager.check({
+    dataSource: 'spoofing/agg',
+    altitudes: 'FL300-FL450',
+    jammingSeverityLevels: ['low'],
+    lookback_hours: 12,
+  });
+
+  assert.deepStrictEqual(
+    toPlain(
+      calls.map(({ method, query, key }) => [method, query.dataSource, key])
+    ),
+    [
+      ['getJammingData', 'jamming/agg', 'alerts:jamming/agg|FL300-FL450'],
+      ['getSpoofingData', 'spoofing/agg', 'alerts:spoofing/agg|FL300-FL450'],
+    ]
+  );
+  assert.strictEqual(calls[0].query.lookback_hours, 12);
+  assert.strictEqual(fired.length, 3);
+  assert.strictEqual(fired[0].value, 0.35);
+});
+
+test('check keeps rule state when its data fails to load', async () => {
+  const manager = new AlertManager(null, {
+    getJammingData: async () => {
+      throw new Error('Network error');
+    },
+  });
+  const rule = manager.addRule({ dataSource: 'jamming/agg', threshold: 0 });
+  rule.active = true;
+
+  assert.deepStrictEqual(toPlain(await manager.check(jammingSettings)), []);
+  assert.strictEqual(rule.active, true);
+});
+
+test('region limits which features are counted', () => {
+  const manager = new AlertManager();
+  const data = loadFixture('jamming-agg.geojson');
+  const rule = manager.addRule({
+    dataSource: 'jamming/agg',
+    threshold: 0.01,
+    region: {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [33, 34],
+          [34, 34],
+          [34, 35.5],
+          [33, 35.5],
+          [33, 34],
+        ],
+      ],
+    },
+  });
+
+  const inRegion = data.features.filter((f) =>
+    turf.booleanIntersects(f, rule.region)
+  );
+  const result = manager.evaluateRule(rule, data);
+
+  assert.ok(inRegion.length < data.features.length);
+  assert.strictEqual(
+    result.value,
+    Math.max(...inRegion.map((f) => f.properties.ratio_bad))
+  );
+});
+
+test('spoofing rules trigger when events exceed the threshold', () => {
+  const manager = new AlertManager();
+  const events = manager.addRule({ dataSource: 'spoofing/agg', threshold: 3 });
+  const cells = manager.addRule({ dataSource: 'spoofing/h3', threshold: 76 });
+
+  const agg = manager.evaluateRule(events, loadFixture('spoofing-agg.geojson'));
+  const h3 = manager.evaluateRule(cells, loadFixture('spoofing-h3.geojson'));
+
+  assert.deepStrictEqual(toPlain(agg), {
+    triggered: true,
+    value: 4,
+    matches: 4,
+  });
+  assert.deepStrictEqual(toPlain(h3), {
+    triggered: false,
+    value: 76,
+    matches: 4,
+  });
+});
+
+test('rules and log persist in storage', () => {
+  const storage = memoryStorage();
+  const manager = new AlertManager(storage);
+  manager.addRule({
+    name: 'Any spoofing',
+    dataSource: 'spoofing/agg',
+    threshold: 1,
+  });
+  manager.evaluate(allRules(loadFixture('spoofing-agg.geojson')));
+
+  const restored = new AlertManager(storage);
+
+  assert.strictEqual(restored.rules.length, 1);
+  assert.strictEqual(restored.rules[0].name, 'Any spoofing');
+  assert.strictEqual(restored.rules[0].active, true);
+  assert.strictEqual(restored.log[0].ruleName, 'Any spoofing');
+});
+
+test('describeCondition is used as the default rule name', () => {
+  const manager = new AlertManager();
+  const rule = manager.addRule({
+    dataSource: 'jamming/agg',
+    threshold: 0.1,
+    altitude: 'FL300-FL450',
+  });
+
+  assert.strictEqual(
+    rule.name,
+    'Jamming cells: any cell ratio_bad ≥ 10.0% at FL300-FL450'
+  );
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  loadBrowserScripts,
+  loadFixture,
+  toPlain,
+} = require('./helpers/browser-env');
+const { MockMap } = require('./helpers/mock-map');
+
+const { AltitudeProfile } = loadBrowserScripts();
+
+// Returns the fixture cells once per requested band with a band-specific
+// ratio_bad (FL300-FL450 has no data), plus a band the profile does not show
+function createApiClient() {
+  const calls = [];
+  const ratios = {
+    '<FL100': 0.3,
+    'FL100-FL200': 0.05,
+    'FL200-FL300': 0,
+    'FL450+': 0.9,
+  };
+
+  return {
+    calls,
+    getJammingData: async (options, request) => {
+      calls.push({ ...options, request });
+      const cells = loadFixture('jamming-agg.geojson').features;
+      const features = [...options.altitudes, 'FL450+']
+        .filter((altitude) => altitude in ratios)
+        .flatMap((altitude) =>
+          cells.map((feature) => ({
+            ...feature,
+            properties: {
+              ...feature.properties,
+              altitude,
+              ratio_bad: ratios[altitude],
+            },
+          }))
+        );
+      return { data: { type: 'FeatureCollection', features }, metadata: {} };
+    },
+  };
+}
+
+function createProfile() {
+  const map = new MockMap();
+  const apiClient = createApiClient();
+  const profile = new AltitudeProfile(map, apiClient);
+  profile.initialize();
+  return { map, apiClient, profile };
+}
+
+test('load fetches every band in one altitude_summed=false request', async () => {
+  const { apiClient, profile } = createProfile();
+  const settings = {
+    dataSource: 'jamming/agg',
+    lookback_hours: 6,
+    altitudes: 'FL100-FL450',
+    grouped: true,
+    n_obs_min: 5,
+  };
+
+  const result = await profile.load(settings);
+
+  assert.strictEqual(apiClient.calls.length, 1);
+  const { request, ...query } = apiClient.calls[0];
+  assert.deepStrictEqual(toPlain(query), {
+    altitudes: ['<FL100', 'FL100-FL200', 'FL200-FL300', 'FL300-FL450'],
+    altitude_summed: false,
+    hours_summed: true,
+    grouped: false,
+    lookback_hours: 6,
+    n_obs_min: 5,
+  });
+  assert.strictEqual(request.key, profile.requestKey);
+  assert.strictEqual(result.reloaded, true);
+  assert.strictEqual(
+    result.cellCount,
+    loadFixture('jamming-agg.geojson').features.length
+  );
+});
+
+test('load only fetches again when the query changes', async () => {
+  const { apiClient, profile } = createProfile();
+  const settings = { lookback_hours: 6, n_obs_min: 5 };
+
+  await profile.load(settings);
+  // Settings outside the query (e.g. the sidebar band) change nothing
+  const again = await profile.load({ ...settings, altitudes: 'FL300-FL450' });
+  assert.strictEqual(again.reloaded, false);
+  assert.strictEqual(apiClient.calls.length, 1);
+
+  assert.strictEqual(profile.isLoaded({ ...settings, n_obs_min: 10 }), false);
+  await profile.load({ ...settings, n_obs_min: 10 });
+  assert.strictEqual(apiClient.calls.length, 2);
+
+  profile.clear();
+  await profile.load({ ...settings, n_obs_min: 10 });
+  assert.strictEqual(apiClient.calls.length, 3);
+});
+
+test('getProfile stacks a cell per band, highest first', async () => {
+  const { profile } = createProfile();
+  await profile.load({});
+
+  assert.deepStrictEqual(
+    toPlain(
+      profile
+        .getProfile('832d8afffffffff')
+        .map((band) => [band.altitude, band.ratio_bad])
+    ),
+    [
+      ['FL300-FL450', null],
+      ['FL200-FL300', 0],
+      ['FL100-FL200', 0.05],
+      ['<FL100', 0.3],
+    ]
+  );
+  assert.match(profile.render('832d8afffffffff'), /No data[\s\S]*30\.0%/);
+});
+
+test('the source holds the worst band per cell and one slab per band', async () => {
+  const { map, profile } = createProfile();
+  await profile.load({});
+
+  const features = map
+    .getSource('profile-source')
+    .data.features.filter((f) => f.properties.h3_index === '832d8afffffffff');
+  const cell = features.find((f) => f.properties.kind === 'cell');
+  const slabs = features.filter((f) => f.properties.kind === 'slab');
+
+  assert.strictEqual(cell.properties.ratio_bad, 0.3);
+  assert.deepStrictEqual(toPlain(slabs.map((f) => f.properties.altitude)), [
+    '<FL100',
+    'FL100-FL200',
+    'FL200-FL300',
+  ]);
+  // Slabs sit at their flight levels (exaggerated), with a gap between bands
+  assert.strictEqual(slabs[1].properties.base, 10000 * 0.3048 * 10);
+  assert.ok(slabs[0].properties.top < slabs[1].properties.base);
+});
+
+test('setExtruded swaps the flat layer for the 3D stack and tilts the map', () => {
+  const { map, profile } = createProfile();
+
+  profile.setActive(true);
+  assert.strictEqual(
+    map.layoutProperties['profile-fill-layer'].visibility,
+    'visible'
+  );
+
+  profile.setExtruded(true);
+  assert.strictEqual(
+    map.layoutProperties['profile-fill-layer'].visibility,
+    'none'
+  );
+  assert.strictEqual(
+    map.layoutProperties['profile-extrusion-layer'].visibility,
+    'visible'
+  );
+  assert.strictEqual(map.callsTo('easeTo')[0].args[0].pitch, 60);
+
+  profile.setActive(false);
+  assert.strictEqual(
+    map.layoutProperties['profile-extrusion-layer'].visibility,
+    'none'
+  );
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('./helpers/browser-env');
+
+// fetch() stub: each call takes the next reply; 'hang' waits for the abort
+// signal, an Error rejects, anything else is a { status, headers, body }
+const requests = [];
+const replies = [];
+
+function fetch(url, options) {
+  requests.push({ url, options });
+  const reply = replies.shift() || { status: 200 };
+
+  if (reply === 'hang') {
+    return new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () =>
+        reject(new DOMException('The operation was aborted', 'AbortError'))
+      );
+    });
+  }
+  if (reply instanceof Error) {
+    return Promise.reject(reply);
+  }
+
+  const { status, headers = {}, body = {} } = reply;
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    json: () => Promise.resolve(body),
+  });
+}
+
+const {
+  APIClient,
+  APIError,
+  APITimeoutError,
+  APIAuthError,
+  APIRateLimitError,
+  APIParameterError,
+  APIAbortError,
+} = loadBrowserScripts({ fetch });
+
+function createClient(config = {}) {
+  requests.length = 0;
+  replies.length = 0;
+  return new APIClient({
+    BASE_URL: 'http://localhost:3333',
+    TIMEOUT_MS: 50,
+    MAX_RETRIES: 2,
+    RETRY_DELAY_MS: 1,
+    ...config,
+  });
+}
+
+test('5xx responses and network errors are retried with backoff', async () => {
+  const client = createClient();
+  replies.push({ status: 502 }, new TypeError('Failed to fetch'), {
+    status: 200,
+    body: { type: 'FeatureCollection', features: [] },
+  });
+
+  const result = await client.getJammingData();
+
+  assert.strictEqual(requests.length, 3);
+  assert.strictEqual(result.data.type, 'FeatureCollection');
+});
+
+test('retries stop after MAX_RETRIES with the last error', async () => {
+  const client = createClient({ MAX_RETRIES: 1 });
+  replies.push({ status: 503 }, new TypeError('Failed to fetch'));
+
+  await assert.rejects(client.getJammingData(), (error) => {
+    assert.ok(error instanceof APIError);
+    assert.strictEqual(error.status, 0);
+    assert.match(error.message, /Network error/);
+    return true;
+  });
+  assert.strictEqual(requests.length, 2);
+});
+
+test('a request without an answer times out and is not retried', async () => {
+  const client = createClient();
+  replies.push('hang');
+
+  await assert.rejects(client.getJammingCoverage(), (error) => {
+    assert.ok(error instanceof APITimeoutError);
+    assert.strictEqual(error.timeoutMs, 50);
+    return true;
+  });
+  assert.strictEqual(requests.length, 1);
+});
+
+test('client errors are typed and not retried', async () => {
+  const client = createClient();
+  replies.push(
+    { status: 403, body: { message: 'The demo role cannot access it' } },
+    { status: 429, headers: { 'retry-after': '7' } },
+    {
+      status: 422,
+      body: {
+        detail: [{ loc: ['query', 'lookback_hours'], msg: 'must be <= 72' }],
+      },
+    }
+  );
+
+  await assert.rejects(client.getJammingCoverage(), (error) => {
+    assert.ok(error instanceof APIAuthError);
+    assert.strictEqual(error.status, 403);
+    assert.strictEqual(error.message, 'The demo role cannot access it');
+    return true;
+  });
+  await assert.rejects(client.getSpoofingData(), (error) => {
+    assert.ok(error instanceof APIRateLimitError);
+    assert.strictEqual(error.retryAfter, 7);
+    return true;
+  });
+  await assert.rejects(client.getJammingData(), (error) => {
+    assert.ok(error instanceof APIParameterError);
+    assert.strictEqual(error.message, 'lookback_hours: must be <= 72');
+    return true;
+  });
+  assert.strictEqual(requests.length, 3);
+});
+
+test('a request with the same key cancels the one in flight', async () => {
+  const client = createClient({ TIMEOUT_MS: 1000 });
+  replies.push('hang', 'hang', { status: 200 }, { status: 200 });
+
+  const superseded = client.getJammingData({}, { key: 'layer' });
+  const other = client.getJammingData({}, { key: 'other' });
+  const current = client.getJammingData(
+    { lookback_hours: 12 },
+    { key: 'layer' }
+  );
+
+  await assert.rejects(superseded, (error) => error instanceof APIAbortError);
+  const result = await current;
+  assert.match(result.metadata.url, /lookback_hours=12/);
+
+  // Other keys are left alone until their own replacement arrives
+  assert.strictEqual(client.pending.size, 1);
+  client.getJammingData({}, { key: 'other' });
+  await assert.rejects(other, (error) => error instanceof APIAbortError);
+});
+
+test('array parameters are repeated in the query string', async () => {
+  const client = createClient();
+
+  await client.getJammingData({ altitudes: ['<FL100', 'FL100-FL200'] });
+
+  assert.match(requests[0].url, /altitudes=%3CFL100&altitudes=FL100-FL200&/);
+});
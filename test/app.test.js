@@ -0,0 +1,268 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  loadBrowserScripts,
+  loadFixture,
+  toPlain,
+} = require('./helpers/browser-env');
+
+const {
+  App,
+  APIError,
+  APITimeoutError,
+  APIAuthError,
+  APIRateLimitError,
+  APIParameterError,
+  APIAbortError,
+} = loadBrowserScripts();
+
+function ids(features) {
+  return features.map((f) => f.properties.h3_index || f.id);
+}
+
+test('sortFeatures sorts numeric properties ascending and descending', () => {
+  const app = new App();
+  const features = loadFixture('jamming-agg.geojson').features;
+
+  const asc = app.sortFeatures([...features], 'n_unique_ac', 'asc');
+  assert.deepStrictEqual(
+    asc.map((f) => f.properties.n_unique_ac),
+    [40, 40, 100, 100, 100, 120]
+  );
+
+  const desc = app.sortFeatures([...features], 'ratio_bad', 'desc');
+  assert.deepStrictEqual(
+    desc.map((f) => f.properties.ratio_bad),
+    [0.35, 0.1, 0.05, 0.01, 1 / 120, 0]
+  );
+});
+
+test('sortFeatures compares strings case-insensitively', () => {
+  const app = new App();
+  const features = [
+    { id: 'b', properties: { segment: 'During' } },
+    { id: 'a', properties: { segment: 'before-during' } },
+    { id: 'c', properties: { segment: 'during-after' } },
+  ];
+
+  const sorted = app.sortFeatures(features, 'segment', 'asc');
+
+  assert.deepStrictEqual(
+    sorted.map((f) => f.id),
+    ['a', 'b', 'c']
+  );
+});
+
+test('sortFeatures treats missing values as larger than any value', () => {
+  const app = new App();
+  const features = [
+    { id: 'none', properties: {} },
+    { id: 'low', properties: { count: 1 } },
+    { id: 'high', properties: { count: 9 } },
+  ];
+
+  assert.deepStrictEqual(ids(app.sortFeatures([...features], 'count', 'asc')), [
+    'low',
+    'high',
+    'none',
+  ]);
+  assert.deepStrictEqual(
+    ids(app.sortFeatures([...features], 'count', 'desc')),
+    ['none', 'high', 'low']
+  );
+});
+
+test('sortFeatures sorts by the special id and geometry columns', () => {
+  const app = new App();
+  const features = loadFixture('spoofing-h3.geojson').features;
+
+  const byId = app.sortFeatures([...features], 'id', 'desc');
+  assert.deepStrictEqual(
+    byId.map((f) => f.id),
+    ['832d8bfffffffff', '832d8afffffffff', '832d89fffffffff', '832d88fffffffff']
+  );
+
+  const mixed = [{ id: 'x', properties: {} }, ...features.slice(0, 1)];
+  const byGeometry = app.sortFeatures(mixed, 'geometry', 'asc');
+  assert.strictEqual(byGeometry[0].id, 'x');
+});
+
+test('formatChanges lists non-zero change counts', () => {
+  const app = new App();
+
+  assert.strictEqual(
+    app.formatChanges({
+      new: 5,
+      newHigh: 2,
+      escalated: 1,
+      deescalated: 0,
+      unchanged: 10,
+      gone: 4,
+    }),
+    '+2 new high, +5 new, ▲1, −4 gone'
+  );
+  assert.strictEqual(
+    app.formatChanges({
+      new: 0,
+      newHigh: 0,
+      escalated: 0,
+      deescalated: 0,
+      unchanged: 3,
+      gone: 0,
+    }),
+    'No changes'
+  );
+});
+
+test('getStatValues picks the fields each layer reports', () => {
+  const app = new App();
+
+  assert.deepStrictEqual(
+    toPlain(
+      app.getStatValues({
+        totalCells: 1200,
+        uniqueAircraft: 40,
+        highSeverityCells: 3,
+      })
+    ),
+    { cells: '1,200', aircraft: '40', high: '3' }
+  );
+  assert.deepStrictEqual(
+    toPlain(
+      app.getStatValues({
+        totalCells: 4,
+        totalAffected: 76,
+        highCountCells: 2,
+      })
+    ),
+    { cells: '4', aircraft: '76', high: '2' }
+  );
+});
+
+test('showApiError tells API failures apart', () => {
+  const app = new App();
+  const shown = [];
+  app.showError = (message) => shown.push(message);
+  app.showLogin = (message) => shown.push(`login: ${message}`);
+
+  app.showApiError(new APIAuthError('Log in', { status: 401 }), 'Failed');
+  app.showApiError(new APIAuthError('Forbidden', { status: 403 }), 'Failed');
+  app.showApiError(new APITimeoutError(30000), 'Failed');
+  app.showApiError(
+    new APIRateLimitError('Slow down', { status: 429, retryAfter: 5 }),
+    'Failed'
+  );
+  app.showApiError(
+    new APIParameterError('lookback_hours: must be <= 72', { status: 422 }),
+    'Failed'
+  );
+  app.showApiError(new APIError('Network error: offline'), 'Failed');
+  app.showApiError(new APIError('Bad gateway', { status: 502 }), 'Failed');
+  app.showApiError(new APIAbortError(), 'Failed');
+
+  assert.deepStrictEqual(shown, [
+    'login: Please log in to load data.',
+    'Your account cannot load this data source.',
+    'The API did not answer within 30s. Try a shorter time range, or try again later.',
+    'Too many requests. Try again in 5s.',
+    'The API rejected a parameter: lookback_hours: must be <= 72',
+    'Cannot reach the API. Is the proxy running?',
+    'Failed',
+  ]);
+});
+
+test('updateDateRange keeps the active range when start is after end', () => {
+  const inputs = {
+    'period-start': { value: '2024-06-02T00:00' },
+    'period-end': { value: '2024-06-01T00:00' },
+  };
+  const { App: DomApp } = loadBrowserScripts({
+    document: {
+      addEventListener: () => {},
+      getElementById: (id) => inputs[id],
+    },
+  });
+  const app = new DomApp();
+  const errors = [];
+  app.showError = (message) => errors.push(message);
+  app.debouncedRefresh = () => errors.push('refresh');
+  app.currentSettings.period_start = '2024-05-01T00:00:00Z';
+  app.currentSettings.period_end = '2024-05-02T00:00:00Z';
+
+  app.updateDateRange(
+    'period_start',
+    'period_end',
+    'period-start',
+    'period-end'
+  );
+
+  assert.deepStrictEqual(errors, ['Date range start must be before its end.']);
+  assert.strictEqual(app.currentSettings.period_start, '2024-05-01T00:00:00Z');
+  assert.strictEqual(inputs['period-start'].value, '2024-05-01T00:00');
+  assert.strictEqual(inputs['period-end'].value, '2024-05-02T00:00');
+});
+
+test('refreshData does not skip entering playback while a load is in flight', async () => {
+  const app = new App();
+  const loads = [];
+  app.setRefreshButtonLoading = () => {};
+  app.updateAuthStatus = () => {};
+  app.mapManager = {
+    loadJammingData: () => {
+      loads.push('summed');
+      return new Promise(() => {});
+    },
+  };
+  app.loadPlayback = async () => loads.push('playback');
+
+  app.refreshData();
+  app.refreshData();
+  app.playbackActive = true;
+  await app.refreshData();
+
+  assert.deepStrictEqual(loads, ['summed', 'playback']);
+  assert.strictEqual(app.isLoading, false);
+});
+
+test('refreshData checks alerts after the load and apart from its errors', async () => {
+  const app = new App();
+  const errors = [];
+  const spinner = [];
+  let finishCheck;
+  app.setRefreshButtonLoading = (loading) => spinner.push(loading);
+  app.updateAuthStatus = () => {};
+  app.showApiError = (error) => errors.push(error.message);
+  app.mapManager = {
+    loadJammingData: async () => ({ data: {}, stats: {}, metadata: {} }),
+  };
+  [
+    'updateStats',
+    'updateAreaAnalysis',
+    'updateJsonDisplay',
+    'loadCompare',
+    'loadProfile',
+    'refreshTrace',
+    'updatePermalink',
+  ].forEach((method) => (app[method] = async () => {}));
+
+  let rendered = 0;
+  app.renderAlerts = () => rendered++;
+  app.alertManager = {
+    check: () => new Promise((resolve) => (finishCheck = resolve)),
+  };
+
+  const refresh = app.refreshData();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(app.isLoading, false);
+  assert.deepStrictEqual(spinner, [true, false]);
+  finishCheck();
+  await refresh;
+  assert.strictEqual(rendered, 1);
+
+  app.alertManager.check = async () => {
+    throw new TypeError('rule broke');
+  };
+  await app.refreshData();
+  assert.strictEqual(rendered, 1);
+  assert.deepStrictEqual(errors, []);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, memoryStorage } = require('./helpers/browser-env');
+
+// Requests made through the stubbed fetch, answered from `responses`
+const requests = [];
+const responses = [];
+
+function fetch(url, options) {
+  requests.push({ url, options });
+  const { status = 200, body = {} } = responses.shift() || {};
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    headers: { get: () => null },
+    json: () => Promise.resolve(body),
+  });
+}
+
+const { AuthSession, APIClient, CONFIG } = loadBrowserScripts({
+  atob,
+  fetch,
+});
+
+// A token as the proxy signs it (the client does not check the signature)
+function makeToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.signature`;
+}
+
+const NOW = Date.UTC(2024, 5, 1, 12);
+const TOKEN = makeToken({ sub: 'alice', role: 'demo', exp: NOW / 1000 + 60 });
+
+function createClient() {
+  requests.length = 0;
+  responses.length = 0;
+  const auth = new AuthSession(memoryStorage());
+  const client = new APIClient({ BASE_URL: 'http://localhost:3333' }, auth);
+  return { auth, client };
+}
+
+test('getUser decodes the stored token and drops it once expired', () => {
+  const auth = new AuthSession(memoryStorage());
+  assert.strictEqual(auth.getUser(NOW), null);
+
+  auth.setToken(TOKEN);
+  const user = auth.getUser(NOW);
+  assert.strictEqual(user.name, 'alice');
+  assert.strictEqual(user.role, 'demo');
+  assert.strictEqual(user.expiresAt.getTime(), NOW + 60000);
+
+  assert.strictEqual(auth.getToken(NOW + 60000), null);
+  assert.strictEqual(auth.storage.getItem(CONFIG.AUTH.TOKEN_KEY), null);
+});
+
+test('decode rejects malformed tokens', () => {
+  assert.strictEqual(AuthSession.decode('not-a-token'), null);
+  assert.strictEqual(AuthSession.decode(''), null);
+});
+
+test('_buildHeaders sends the token only when logged in', () => {
+  const { auth, client } = createClient();
+  assert.strictEqual(client._buildHeaders().Authorization, undefined);
+
+  auth.setToken(makeToken({ sub: 'bob', role: 'user', exp: 4e9 }));
+  assert.strictEqual(
+    client._buildHeaders().Authorization,
+    `Bearer ${auth.getToken()}`
+  );
+
+  const anonymous = new APIClient({ BASE_URL: 'http://localhost:3333' });
+  assert.deepStrictEqual(Object.keys(anonymous._buildHeaders()), ['Accept']);
+});
+
+test('login posts the credentials and keeps the token', async () => {
+  const { auth, client } = createClient();
+  responses.push({ body: { token: TOKEN, user: 'alice', role: 'demo' } });
+
+  const session = await client.login('alice', 'secret');
+
+  assert.strictEqual(session.user, 'alice');
+  assert.strictEqual(requests[0].url, 'http://localhost:3333/auth/login');
+  assert.strictEqual(requests[0].options.method, 'POST');
+  assert.deepStrictEqual(JSON.parse(requests[0].options.body), {
+    username: 'alice',
+    password: 'secret',
+  });
+  assert.strictEqual(auth.storage.getItem(CONFIG.AUTH.TOKEN_KEY), TOKEN);
+});
+
+test('a rejected login or request reports its status', async () => {
+  const { auth, client } = createClient();
+  responses.push({ status: 401, body: { message: 'Invalid credentials' } });
+
+  await assert.rejects(client.login('alice', 'wrong'), {
+    status: 401,
+    message: 'Invalid credentials',
+  });
+
+  auth.setToken(makeToken({ sub: 'bob', role: 'user', exp: 4e9 }));
+  responses.push({ status: 401 });
+  await assert.rejects(client.getJammingData(), { status: 401 });
+  assert.strictEqual(auth.getToken(), null);
+
+  auth.setToken(makeToken({ sub: 'bob', role: 'demo', exp: 4e9 }));
+  responses.push({ status: 403 });
+  await assert.rejects(client.getJammingCoverage(), { status: 403 });
+  assert.notStrictEqual(auth.getToken(), null);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, toPlain } = require('./helpers/browser-env');
+
+const { CellHistory } = loadBrowserScripts();
+
+function cell(h3Index, hour, altitude, ratioBad, nObs) {
+  return {
+    type: 'Feature',
+    geometry: null,
+    properties: {
+      h3_index: h3Index,
+      hour,
+      altitude,
+      ratio_bad: ratioBad,
+      n_obs: nObs,
+    },
+  };
+}
+
+// Two bands for cell A with a gap at 02:00, cell B spans 00:00-04:00
+const HOURLY = {
+  type: 'FeatureCollection',
+  features: [
+    cell('A', '2026-10-18T03:00:00Z', 'FL300-FL450', 0.2, 30),
+    cell('A', '2026-10-18T01:00:00Z', 'FL300-FL450', 0.0, 25),
+    cell('A', '2026-10-18T01:00:00Z', 'FL100-FL300', 0.05, 10),
+    cell('B', '2026-10-18T00:00:00Z', 'FL300-FL450', 0.0, 5),
+    cell('B', '2026-10-18T04:00:00Z', 'FL300-FL450', 0.0, 5),
+  ],
+};
+
+function createApiClient() {
+  const calls = [];
+  return {
+    calls,
+    getJammingData: async (options) => {
+      calls.push(options);
+      return { data: HOURLY, metadata: {} };
+    },
+  };
+}
+
+test('load requests hourly, per-band, ungrouped data once per query', async () => {
+  const apiClient = createApiClient();
+  const history = new CellHistory(apiClient);
+  const settings = {
+    lookback_hours: 6,
+    altitudes: 'FL300-FL450',
+    hours_summed: true,
+    grouped: true,
+  };
+
+  await history.load('A', settings);
+  await history.load('B', settings);
+
+  assert.strictEqual(apiClient.calls.length, 1);
+  assert.deepStrictEqual(toPlain(apiClient.calls[0]), {
+    lookback_hours: 6,
+    altitudes: 'FL300-FL450',
+    hours_summed: false,
+    altitude_summed: false,
+    grouped: false,
+  });
+
+  await history.load('A', { ...settings, lookback_hours: 12 });
+  history.clear();
+  await history.load('A', { ...settings, lookback_hours: 12 });
+  assert.strictEqual(apiClient.calls.length, 3);
+});
+
+test('a failed query is not cached', async () => {
+  let fail = true;
+  const history = new CellHistory({
+    getJammingData: async () => {
+      if (fail) throw new Error('API request failed: 503');
+      return { data: HOURLY, metadata: {} };
+    },
+  });
+
+  await assert.rejects(history.load('A', {}), /503/);
+  fail = false;
+  const series = await history.load('A', {});
+  assert.strictEqual(series.bands.length, 2);
+});
+
+test('extractSeries groups a cell by altitude band over the query hours', () => {
+  const history = new CellHistory(null);
+
+  const { hours, bands } = history.extractSeries(HOURLY, 'A');
+
+  assert.deepStrictEqual(
+    toPlain(hours.map((hour) => hour.toISOString().slice(11, 16))),
+    ['00:00', '01:00', '02:00', '03:00', '04:00']
+  );
+  assert.deepStrictEqual(toPlain(bands.map((band) => band.altitude)), [
+    'FL100-FL300',
+    'FL300-FL450',
+  ]);
+  assert.deepStrictEqual(
+    toPlain(
+      bands[1].points.map((point) => [
+        point.time.toISOString().slice(11, 16),
+        point.ratio_bad,
+        point.n_obs,
+      ])
+    ),
+    [
+      ['01:00', 0, 25],
+      ['03:00', 0.2, 30],
+    ]
+  );
+});
+
+test('render charts each band with its jammed hours', () => {
+  const history = new CellHistory(null);
+  const series = history.extractSeries(HOURLY, 'A');
+
+  assert.deepStrictEqual(toPlain(history.summarize(series.bands[1].points)), {
+    observedHours: 2,
+    jammedHours: 1,
+  });
+
+  const html = history.render(series);
+  assert.match(html, /FL100-FL300[\s\S]*Jammed 1\/1h/);
+  assert.match(html, /FL300-FL450[\s\S]*Jammed 1\/2h/);
+  assert.strictEqual(html.match(/<rect /g).length, 3);
+  assert.match(html, /03:00 UTC · 20\.0% · 30 obs/);
+
+  assert.match(
+    history.render(history.extractSeries(HOURLY, 'missing')),
+    /No hourly data/
+  );
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, toPlain } = require('./helpers/browser-env');
+
+const { CompareController, CONFIG } = loadBrowserScripts();
+
+const now = new Date('2024-05-01T12:34:56Z');
+const lookbackSettings = {
+  dataSource: 'jamming/agg',
+  lookback_hours: 6,
+  period_start: null,
+  period_end: null,
+  altitudes: 'FL300-FL450',
+  n_obs_min: 5,
+};
+
+function createController() {
+  return new CompareController(null, null, CONFIG);
+}
+
+test('previous window of a lookback is the same length before it', () => {
+  const controller = createController();
+
+  assert.deepStrictEqual(
+    toPlain(controller.getPreviousWindow(lookbackSettings, now)),
+    {
+      period_start: '2024-05-01T00:34:00Z',
+      period_end: '2024-05-01T06:34:00Z',
+    }
+  );
+});
+
+test('previous window of a date range ends where the range starts', () => {
+  const controller = createController();
+
+  assert.deepStrictEqual(
+    toPlain(
+      controller.getPreviousWindow({
+        ...lookbackSettings,
+        period_start: '2024-04-02T00:00:00Z',
+        period_end: '2024-04-03T00:00:00Z',
+      })
+    ),
+    {
+      period_start: '2024-04-01T00:00:00Z',
+      period_end: '2024-04-02T00:00:00Z',
+    }
+  );
+});
+
+test('side B copies side A settings for the same or previous window', () => {
+  const controller = createController();
+
+  assert.deepStrictEqual(
+    toPlain(controller.getSideSettings(lookbackSettings, 'same')),
+    { ...lookbackSettings, jammingSeverityLevels: [] }
+  );
+
+  const sideB = controller.getSideSettings(lookbackSettings, 'previous', now);
+  assert.strictEqual(sideB.altitudes, 'FL300-FL450');
+  assert.strictEqual(sideB.n_obs_min, 5);
+  assert.strictEqual(sideB.period_end, '2024-05-01T06:34:00Z');
+  // Side A is left untouched
+  assert.strictEqual(lookbackSettings.period_start, null);
+});
+
+test('describe labels lookback and date range windows', () => {
+  const controller = createController();
+
+  assert.strictEqual(
+    controller.describe(lookbackSettings),
+    'Last 6h · FL300-FL450'
+  );
+  assert.strictEqual(
+    controller.describe({
+      ...controller.getSideSettings(lookbackSettings, 'previous', now),
+      dataSource: 'jamming/coverage',
+    }),
+    '2024-05-01 00:34 → 2024-05-01 06:34 UTC · FL300-FL450 · coverage'
+  );
+});
+
+test('side B settings are edited apart from side A', async () => {
+  const controller = createController();
+  const loaded = [];
+  controller.active = true;
+  controller.jammingLayer = {
+    loadData: async (settings) => {
+      loaded.push(settings);
+      return { data: null, metadata: {}, stats: {} };
+    },
+  };
+  const sideA = { ...lookbackSettings, jammingSeverityLevels: ['high'] };
+
+  // The first load copies side A over the previous window
+  await controller.load(sideA);
+  assert.ok(loaded[0].period_start);
+
+  controller.updateSettings({
+    dataSource: 'jamming/coverage',
+    n_obs_min: 10,
+    lookback_hours: 12,
+  });
+  controller.settings.jammingSeverityLevels.push('low');
+  const result = await controller.load({ ...sideA, n_obs_min: 2 });
+
+  assert.deepStrictEqual(toPlain(result.settings), {
+    ...lookbackSettings,
+    dataSource: 'jamming/coverage',
+    lookback_hours: 12,
+    n_obs_min: 10,
+    jammingSeverityLevels: ['high', 'low'],
+  });
+  assert.deepStrictEqual(toPlain(sideA.jammingSeverityLevels), ['high']);
+
+  // Copying from side A again replaces every side B setting
+  controller.reset(sideA, 'same');
+  assert.strictEqual(controller.settings.dataSource, 'jamming/agg');
+  assert.strictEqual(controller.settings.n_obs_min, 5);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, loadFixture } = require('./helpers/browser-env');
+
+const { DataExporter, getColorForRatio } = loadBrowserScripts();
+
+test('toCSV writes id, properties, h3 index, centroid and type', () => {
+  const exporter = new DataExporter();
+  const geojson = loadFixture('jamming-agg.geojson');
+
+  const lines = exporter
+    .toCSV(geojson, ['h3_index', 'n_unique_ac', 'ratio_bad'])
+    .split('\r\n');
+
+  assert.strictEqual(
+    lines[0],
+    'id,n_unique_ac,ratio_bad,h3_index,centroid_lat,centroid_lng,type'
+  );
+  assert.strictEqual(lines.length, geojson.features.length + 1);
+  assert.strictEqual(
+    lines[1],
+    '832d8afffffffff,40,0,832d8afffffffff,34.800000,33.500000,Polygon'
+  );
+});
+
+test('toCSV quotes values with commas, quotes and newlines', () => {
+  const exporter = new DataExporter();
+  const geojson = {
+    type: 'FeatureCollection',
+    features: [
+      {
+        id: 'a',
+        geometry: { type: 'Point', coordinates: [1, 2] },
+        properties: { note: 'say "hi", then\nleave', tags: ['x', 'y'] },
+      },
+    ],
+  };
+
+  const lines = exporter.toCSV(geojson, ['note', 'tags']).split('\r\n');
+
+  assert.strictEqual(
+    lines.slice(1).join('\r\n'),
+    'a,"say ""hi"", then\nleave",x;y,,2.000000,1.000000,Point'
+  );
+});
+
+test('getH3Index falls back to the feature id for spoofing H3 cells', () => {
+  const exporter = new DataExporter();
+  const [cell] = loadFixture('spoofing-h3.geojson').features;
+
+  assert.strictEqual(exporter.getH3Index(cell), '832d8afffffffff');
+  assert.strictEqual(
+    exporter.getH3Index({ id: 'F1', properties: { flight_id: 'F1' } }),
+    ''
+  );
+});
+
+test('getCentroid ignores the closing vertex of polygon rings', () => {
+  const exporter = new DataExporter();
+  const square = {
+    type: 'Polygon',
+    coordinates: [
+      [
+        [0, 0],
+        [2, 0],
+        [2, 2],
+        [0, 2],
+        [0, 0],
+      ],
+    ],
+  };
+
+  assert.deepStrictEqual(Array.from(exporter.getCentroid(square)), [1, 1]);
+  assert.deepStrictEqual(
+    Array.from(
+      exporter.getCentroid({
+        type: 'LineString',
+        coordinates: [
+          [0, 0],
+          [4, 2],
+        ],
+      })
+    ),
+    [2, 1]
+  );
+  assert.strictEqual(exporter.getCentroid(null), null);
+});
+
+test('toKmlColor converts #rrggbb to aabbggrr', () => {
+  const exporter = new DataExporter();
+
+  assert.strictEqual(exporter.toKmlColor('#DC2626', 'ff'), 'ff2626dc');
+  assert.strictEqual(exporter.toKmlColor('#10b981', '99'), '9981b910');
+});
+
+test('toKML styles placemarks with the map colors', () => {
+  const exporter = new DataExporter();
+  const geojson = loadFixture('jamming-agg.geojson');
+
+  const kml = exporter.toKML(geojson, 'Jamming <test>');
+  const worst = getColorForRatio(0.35).replace('#', '').toUpperCase();
+
+  assert.match(kml, /<name>Jamming &lt;test&gt;<\/name>/);
+  assert.strictEqual(kml.match(/<Placemark>/g).length, geojson.features.length);
+  assert.match(kml, new RegExp(`<Style id="c${worst}">`));
+  assert.match(kml, /<Polygon><outerBoundaryIs><LinearRing><coordinates>/);
+});
+
+test('getFeatureColor follows the spoofing count ramp', () => {
+  const exporter = new DataExporter();
+  const counts = loadFixture('spoofing-h3.geojson').features.map((f) =>
+    exporter.getFeatureColor(f)
+  );
+
+  assert.deepStrictEqual(counts, ['#fef3c7', '#fbbf24', '#f59e0b', '#dc2626']);
+});
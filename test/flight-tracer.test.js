@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  loadBrowserScripts,
+  loadFixture,
+  toPlain,
+} = require('./helpers/browser-env');
+const { MockMap } = require('./helpers/mock-map');
+
+const { FlightTracer } = loadBrowserScripts();
+
+function createTracer() {
+  const map = new MockMap();
+  const tracer = new FlightTracer(map);
+  tracer.initialize();
+  return { map, tracer };
+}
+
+function line(segment, coordinates) {
+  return {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates },
+    properties: { segment },
+  };
+}
+
+function phasesOf(legs) {
+  return toPlain(legs.map((leg) => [leg.phase, leg.geometry.type]));
+}
+
+test('splitSegments puts before/after at the ends of the line', () => {
+  const { tracer } = createTracer();
+
+  const full = tracer.splitSegments(
+    line('before-during-after', [
+      [0, 0],
+      [1, 0],
+      [2, 0],
+      [3, 0],
+    ])
+  );
+  assert.deepStrictEqual(toPlain(full), [
+    {
+      phase: 'before',
+      geometry: {
+        type: 'LineString',
+        coordinates: [
+          [0, 0],
+          [1, 0],
+        ],
+      },
+    },
+    {
+      phase: 'during',
+      geometry: {
+        type: 'LineString',
+        coordinates: [
+          [1, 0],
+          [2, 0],
+        ],
+      },
+    },
+    {
+      phase: 'after',
+      geometry: {
+        type: 'LineString',
+        coordinates: [
+          [2, 0],
+          [3, 0],
+        ],
+      },
+    },
+  ]);
+
+  assert.deepStrictEqual(
+    phasesOf(
+      tracer.splitSegments(
+        line('during-after', [
+          [0, 0],
+          [1, 0],
+        ])
+      )
+    ),
+    [
+      ['during', 'Point'],
+      ['after', 'LineString'],
+    ]
+  );
+});
+
+test('splitSegments meets in the middle when no vertex is spoofed', () => {
+  const { tracer } = createTracer();
+
+  const legs = tracer.splitSegments(
+    line('before-during-after', [
+      [0, 0],
+      [2, 2],
+    ])
+  );
+
+  assert.deepStrictEqual(toPlain(legs[1].geometry), {
+    type: 'Point',
+    coordinates: [1, 1],
+  });
+  assert.deepStrictEqual(
+    phasesOf(legs).map(([phase]) => phase),
+    ['before', 'during', 'after']
+  );
+});
+
+test('trace highlights every event of the flight, oldest first', () => {
+  const { map, tracer } = createTracer();
+  const data = loadFixture('spoofing-agg.geojson');
+
+  const trace = tracer.trace(data.features[1], data);
+
+  assert.strictEqual(trace.flightId, 'F1');
+  assert.strictEqual(trace.events.length, 2);
+  assert.deepStrictEqual(toPlain(trace.events.map((event) => event.segment)), [
+    'during',
+    'before-during',
+  ]);
+
+  const features = map.getSource('trace-source').data.features;
+  assert.strictEqual(
+    features.filter((f) => f.properties.kind === 'highlight').length,
+    2
+  );
+  assert.deepStrictEqual(
+    toPlain(
+      features
+        .filter((f) => f.properties.kind === 'leg')
+        .map((f) => f.properties.phase)
+    ),
+    ['during', 'before', 'during']
+  );
+});
+
+test('trace falls back to icao24 when the event has no flight_id', () => {
+  const { tracer } = createTracer();
+  const data = loadFixture('spoofing-agg.geojson');
+  const event = {
+    ...data.features[2],
+    properties: { icao24: '738065' },
+  };
+
+  const trace = tracer.trace(event, data);
+
+  // F2 and F3 share the aircraft
+  assert.strictEqual(trace.events.length, 2);
+});
+
+test('refresh re-runs the trace on new data and clear empties it', () => {
+  const { map, tracer } = createTracer();
+  const data = loadFixture('spoofing-agg.geojson');
+  tracer.trace(data.features[0], data);
+
+  const refreshed = tracer.refresh({
+    type: 'FeatureCollection',
+    features: data.features.slice(1),
+  });
+  assert.strictEqual(refreshed.events.length, 1);
+
+  tracer.clear();
+  assert.strictEqual(tracer.refresh(data), null);
+  assert.strictEqual(map.getSource('trace-source').data.features.length, 0);
+});
+
+test('zoomTo fits the map to the bounds of the geometries', () => {
+  const { map, tracer } = createTracer();
+
+  tracer.zoomTo([
+    { type: 'Point', coordinates: [10, 50] },
+    {
+      type: 'LineString',
+      coordinates: [
+        [12, 48],
+        [14, 49],
+      ],
+    },
+  ]);
+
+  const [call] = map.callsTo('fitBounds');
+  assert.deepStrictEqual(toPlain(call.args[0]), [
+    [10, 48],
+    [14, 50],
+  ]);
+});
@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  loadBrowserScripts,
+  loadFixture,
+  toPlain,
+} = require('./helpers/browser-env');
+const { MockMap } = require('./helpers/mock-map');
+const { h3 } = require('./helpers/h3-stub');
+
+const { aggregateH3Cells, parseH3Query, H3Tools, JammingLayer } =
+  loadBrowserScripts({ h3 });
+const withoutH3 = loadBrowserScripts();
+
+test('aggregateH3Cells sums counts into parents and recomputes ratio_bad', () => {
+  const geojson = loadFixture('jamming-agg.geojson');
+
+  const result = aggregateH3Cells(geojson, 2);
+
+  assert.strictEqual(result.features.length, 1);
+  const parent = result.features[0];
+  assert.strictEqual(parent.id, '822d8ffffffffff');
+  assert.deepStrictEqual(toPlain(parent.properties), {
+    h3_index: '822d8ffffffffff',
+    altitude: 'FL100-FL450',
+    n_unique_ac: 500,
+    n_unique_ac_upper_bound: true,
+    n_good: 469,
+    n_bad: 31,
+    ratio_bad: 31 / 500,
+    n_cells: 6,
+  });
+  // Closed ring from the cell boundary
+  const ring = parent.geometry.coordinates[0];
+  assert.deepStrictEqual(toPlain(ring[0]), toPlain(ring[ring.length - 1]));
+});
+
+test('aggregateH3Cells keeps bands and hours apart', () => {
+  const cell = (h3_index, altitude, hour, n_good, n_bad) => ({
+    type: 'Feature',
+    geometry: null,
+    properties: { h3_index, altitude, hour, n_good, n_bad },
+  });
+  const geojson = {
+    type: 'FeatureCollection',
+    features: [
+      cell('832d8afffffffff', 'FL100-FL200', '2024-01-01T00:00:00Z', 9, 1),
+      cell('832d8bfffffffff', 'FL100-FL200', '2024-01-01T00:00:00Z', 5, 5),
+      cell('832d8afffffffff', 'FL200-FL300', '2024-01-01T00:00:00Z', 10, 0),
+      cell('832d8afffffffff', 'FL100-FL200', '2024-01-01T01:00:00Z', 1, 1),
+    ],
+  };
+
+  const result = aggregateH3Cells(geojson, 2);
+
+  assert.deepStrictEqual(
+    toPlain(
+      result.features.map((f) => [
+        f.properties.altitude,
+        f.properties.hour,
+        f.properties.n_cells,
+        f.properties.ratio_bad,
+      ])
+    ),
+    [
+      ['FL100-FL200', '2024-01-01T00:00:00Z', 2, 6 / 20],
+      ['FL200-FL300', '2024-01-01T00:00:00Z', 1, 0],
+      ['FL100-FL200', '2024-01-01T01:00:00Z', 1, 0.5],
+    ]
+  );
+});
+
+test('aggregateH3Cells takes the largest max_* and drops other child values', () => {
+  const cell = (h3_index, props) => ({
+    type: 'Feature',
+    geometry: null,
+    properties: { h3_index, altitude: 'FL300-FL450', ...props },
+  });
+  const geojson = {
+    type: 'FeatureCollection',
+    features: [
+      cell('832d8afffffffff', {
+        n_good: 9,
+        n_bad: 1,
+        n_unique_ac: 10,
+        n_obs: 120,
+        max_duration: 30,
+        label: 'first',
+      }),
+      cell('832d8bfffffffff', {
+        n_good: 5,
+        n_bad: 5,
+        n_unique_ac: 10,
+        n_obs: 80,
+        max_duration: 45,
+      }),
+      cell('832d8cfffffffff', { n_good: 4, n_bad: 0, n_unique_ac: 4 }),
+    ],
+  };
+
+  const [parent] = aggregateH3Cells(geojson, 2).features;
+
+  assert.deepStrictEqual(toPlain(parent.properties), {
+    altitude: 'FL300-FL450',
+    h3_index: '822d8ffffffffff',
+    n_good: 18,
+    n_bad: 6,
+    n_unique_ac: 24,
+    n_unique_ac_upper_bound: true,
+    ratio_bad: 6 / 24,
+    n_cells: 3,
+    max_duration: 45,
+  });
+});
+
+test('aggregateH3Cells keeps coarse and grouped features unchanged', () => {
+  const coarse = {
+    type: 'Feature',
+    properties: { h3_index: '822d8ffffffffff', n_good: 1, n_bad: 0 },
+  };
+  const grouped = { type: 'Feature', properties: { n_good: 3, n_bad: 1 } };
+  const geojson = { type: 'FeatureCollection', features: [coarse, grouped] };
+
+  const result = aggregateH3Cells(geojson, 2);
+
+  assert.strictEqual(result.features[0], coarse);
+  assert.strictEqual(result.features[1], grouped);
+});
+
+test('aggregateH3Cells returns the input when h3-js is not loaded', () => {
+  const geojson = loadFixture('jamming-agg.geojson');
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.strictEqual(withoutH3.aggregateH3Cells(geojson, 2), geojson);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('parseH3Query accepts an H3 index or "lat, lon"', () => {
+  assert.deepStrictEqual(toPlain(parseH3Query(' 832D8AFFFFFFFFF ')), {
+    h3Index: '832d8afffffffff',
+  });
+  assert.deepStrictEqual(toPlain(parseH3Query('34.8, 33.5')), {
+    lat: 34.8,
+    lng: 33.5,
+  });
+  assert.deepStrictEqual(toPlain(parseH3Query('-12 45.25')), {
+    lat: -12,
+    lng: 45.25,
+  });
+  assert.strictEqual(parseH3Query('95, 10'), null);
+  assert.strictEqual(parseH3Query('Cyprus'), null);
+  assert.strictEqual(parseH3Query(''), null);
+});
+
+test('H3Tools.find and flyTo resolve the cell and zoom by resolution', () => {
+  const map = new MockMap();
+  const tools = new H3Tools(map);
+  tools.initialize();
+
+  const result = tools.find('832d8afffffffff', 5);
+  assert.strictEqual(result.h3Index, '832d8afffffffff');
+  assert.strictEqual(result.resolution, 3);
+
+  const fromLatLng = tools.find('34.8, 33.5', 3);
+  assert.deepStrictEqual(toPlain(fromLatLng.center), [33.5, 34.8]);
+  assert.strictEqual(fromLatLng.resolution, 3);
+
+  assert.strictEqual(tools.find('nowhere', 3), null);
+
+  tools.flyTo(result);
+  const [{ args }] = map.callsTo('flyTo');
+  assert.strictEqual(args[0].zoom, 1 + 3 * 1.15);
+  const features = map.getSource('h3-highlight-source').data.features;
+  assert.deepStrictEqual(
+    toPlain(features.map((f) => [f.id, f.properties.ring])),
+    [['832d8afffffffff', 0]]
+  );
+});
+
+test('H3Tools.highlight shades k rings and clear empties them', () => {
+  const map = new MockMap();
+  const tools = new H3Tools(map);
+  tools.initialize();
+
+  tools.highlight('832d8afffffffff', 2);
+
+  const source = map.getSource('h3-highlight-source');
+  const rings = source.data.features.map((f) => f.properties.ring);
+  assert.strictEqual(rings.filter((ring) => ring === 0).length, 1);
+  assert.strictEqual(rings.filter((ring) => ring === 1).length, 6);
+  assert.strictEqual(rings.filter((ring) => ring === 2).length, 12);
+
+  tools.clear();
+  assert.strictEqual(source.data.features.length, 0);
+});
+
+test('JammingLayer.loadData re-aggregates before the severity filter', async () => {
+  const geojson = loadFixture('jamming-agg.geojson');
+  const apiClient = {
+    getJammingData: async () => ({ data: geojson, metadata: {} }),
+  };
+  const map = new MockMap();
+  const layer = new JammingLayer(map, apiClient);
+  layer.initialize();
+
+  // 31 / 500 = 6.2%: only "low" once merged, though two children are "high"
+  const high = await layer.loadData({
+    dataSource: 'jamming/agg',
+    jammingSeverityLevels: ['high'],
+    aggregateResolution: 2,
+  });
+  assert.strictEqual(high.data.features.length, 0);
+
+  const low = await layer.loadData({
+    dataSource: 'jamming/agg',
+    jammingSeverityLevels: ['low'],
+    aggregateResolution: 2,
+  });
+  assert.strictEqual(low.data.features.length, 1);
+  assert.strictEqual(low.data.features[0].properties.n_cells, 6);
+});
@@ -0,0 +1,169 @@
+/**
+ * Loads the browser scripts from js/ into a Node vm context
+ *
+ * The app ships as plain <script> files sharing globals, so the tests run
+ * them the same way: in one context, in index.html order, with stubbed
+ * browser globals (mapboxgl, document, turf).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+// Same order as the <script> tags in index.html
+const SCRIPTS = [
+  'config.js',
+  'permalink.js',
+  'auth-session.js',
+  'api-client.js',
+  'jamming-layer.js',
+  'spoofing-layer.js',
+  'layer-manager.js',
+  'playback-controller.js',
+  'h3-utils.js',
+  'level-of-detail.js',
+  'compare-controller.js',
+  'cell-history.js',
+  'altitude-profile.js',
+  'exporter.js',
+  'flight-tracer.js',
+  'overlay-manager.js',
+  'alert-manager.js',
+  'region-analyzer.js',
+  'map-manager.js',
+  'app.js',
+];
+
+// Globals the scripts export (class/const declarations are not on globalThis)
+const EXPORTS = [
+  'CONFIG',
+  'getColorForRatio',
+  'formatPercentage',
+  'toUtcIsoString',
+  'toDateTimeInputValue',
+  'Permalink',
+  'AuthSession',
+  'APIClient',
+  'APIError',
+  'APITimeoutError',
+  'APIAuthError',
+  'APIRateLimitError',
+  'APIParameterError',
+  'APIAbortError',
+  'JammingLayer',
+  'SpoofingLayer',
+  'DATA_LAYERS',
+  'LayerManager',
+  'PlaybackController',
+  'getFeatureHour',
+  'isH3Available',
+  'h3CellToFeature',
+  'getH3DataResolution',
+  'aggregateH3Cells',
+  'parseH3Query',
+  'H3Tools',
+  'getResolutionForZoom',
+  'expandBbox',
+  'clipToBbox',
+  'LevelOfDetail',
+  'CompareController',
+  'CellHistory',
+  'AltitudeProfile',
+  'DataExporter',
+  'EXPORT_FORMATS',
+  'FlightTracer',
+  'OverlayManager',
+  'AlertManager',
+  'RegionAnalyzer',
+  'MapManager',
+  'App',
+];
+
+class MockPopup {
+  constructor() {
+    MockPopup.instances.push(this);
+  }
+  setLngLat(lngLat) {
+    this.lngLat = lngLat;
+    return this;
+  }
+  setHTML(html) {
+    this.html = html;
+    return this;
+  }
+  addTo(map) {
+    this.map = map;
+    return this;
+  }
+}
+MockPopup.instances = [];
+
+/**
+ * Create a fresh context with all scripts loaded
+ * @param {Object} globals - Extra globals (e.g. a turf stub)
+ * @returns {Object} The exported globals
+ */
+function loadBrowserScripts(globals = {}) {
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    URL,
+    URLSearchParams,
+    AbortController,
+    mapboxgl: { Popup: MockPopup },
+    document: { addEventListener: () => {} },
+    ...globals,
+  });
+
+  for (const script of SCRIPTS) {
+    const file = path.join(JS_DIR, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  }
+
+  return vm.runInContext(`({ ${EXPORTS.join(', ')} })`, context);
+}
+
+/**
+ * Read a GeoJSON fixture from test/fixtures
+ */
+function loadFixture(name) {
+  const file = path.join(__dirname, '..', 'fixtures', name);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Copy a value out of the vm context so deepStrictEqual does not trip over
+ * the context's own Object prototype
+ */
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * In-memory stand-in for window.localStorage
+ */
+function memoryStorage() {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete items[key];
+    },
+  };
+}
+
+module.exports = {
+  loadBrowserScripts,
+  loadFixture,
+  toPlain,
+  memoryStorage,
+  MockPopup,
+};
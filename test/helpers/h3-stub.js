@@ -0,0 +1,76 @@
+/**
+ * Minimal h3-js stub for H3 tool tests
+ *
+ * getResolution and cellToParent decode the real index bits, so parents
+ * match h3-js. Geometry is fake: every cell is a small square around a
+ * center derived from its index, and neighbor rings are made-up indexes
+ * (6 * k cells on ring k). Enough to test grouping, sums and ring layout.
+ */
+
+const RESOLUTION_SHIFT = 52n;
+const RESOLUTION_MASK = 15n << RESOLUTION_SHIFT;
+
+function digitShift(resolution) {
+  return BigInt((15 - resolution) * 3);
+}
+
+function getResolution(h3Index) {
+  return Number((BigInt(`0x${h3Index}`) & RESOLUTION_MASK) >> RESOLUTION_SHIFT);
+}
+
+function cellToParent(h3Index, resolution) {
+  let value = BigInt(`0x${h3Index}`);
+  value = (value & ~RESOLUTION_MASK) | (BigInt(resolution) << RESOLUTION_SHIFT);
+  // Digits finer than the parent's resolution are unused (7)
+  for (let r = resolution + 1; r <= 15; r++) {
+    value |= 7n << digitShift(r);
+  }
+  return value.toString(16);
+}
+
+function cellToLatLng(h3Index) {
+  const hash = [...h3Index].reduce((sum, c) => sum + c.charCodeAt(0), 0);
+  return [hash % 60, (hash * 7) % 120];
+}
+
+const h3 = {
+  getResolution,
+  cellToParent,
+  cellToLatLng,
+
+  isValidCell(h3Index) {
+    return /^8[0-9a-f]{14}$/.test(h3Index);
+  },
+
+  // [lng, lat] square, open ring (h3-js does not repeat the first vertex)
+  cellToBoundary(h3Index) {
+    const [lat, lng] = cellToLatLng(h3Index);
+    return [
+      [lng - 0.5, lat - 0.5],
+      [lng + 0.5, lat - 0.5],
+      [lng + 0.5, lat + 0.5],
+      [lng - 0.5, lat + 0.5],
+    ];
+  },
+
+  latLngToCell(lat, lng, resolution) {
+    const parent = cellToParent('8f2d8afffffffff', resolution);
+    return `${parent.slice(0, 12)}${Math.round(Math.abs(lat + lng)) % 1000}`
+      .padEnd(15, 'f')
+      .slice(0, 15);
+  },
+
+  gridDiskDistances(h3Index, k) {
+    return Array.from({ length: k + 1 }, (_, ring) =>
+      ring === 0
+        ? [h3Index]
+        : Array.from(
+            { length: 6 * ring },
+            (_, i) =>
+              `${h3Index.slice(0, 12)}${ring}${i.toString(16).padStart(2, '0')}`
+          )
+    );
+  },
+};
+
+module.exports = { h3 };
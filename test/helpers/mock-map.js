@@ -0,0 +1,100 @@
+/**
+ * Stub mapboxgl.Map that records source/layer calls instead of rendering
+ */
+
+class MockSource {
+  constructor(id, options) {
+    this.id = id;
+    this.options = options;
+    this.data = options.data;
+    this.setDataCalls = [];
+  }
+
+  setData(data) {
+    this.data = data;
+    this.setDataCalls.push(data);
+  }
+}
+
+class MockMap {
+  constructor() {
+    this.sources = {};
+    this.layers = [];
+    this.handlers = [];
+    this.layoutProperties = {};
+    this.paintProperties = {};
+    this.calls = [];
+    this.canvas = { style: { cursor: '' } };
+  }
+
+  _record(method, ...args) {
+    this.calls.push({ method, args });
+  }
+
+  addSource(id, options) {
+    this._record('addSource', id, options);
+    this.sources[id] = new MockSource(id, options);
+  }
+
+  getSource(id) {
+    return this.sources[id];
+  }
+
+  addLayer(layer, beforeId) {
+    this._record('addLayer', layer, beforeId);
+    this.layers.push(layer);
+  }
+
+  getLayer(id) {
+    return this.layers.find((layer) => layer.id === id);
+  }
+
+  setLayoutProperty(layerId, name, value) {
+    this._record('setLayoutProperty', layerId, name, value);
+    this.layoutProperties[layerId] = {
+      ...this.layoutProperties[layerId],
+      [name]: value,
+    };
+  }
+
+  setPaintProperty(layerId, name, value) {
+    this._record('setPaintProperty', layerId, name, value);
+    this.paintProperties[layerId] = {
+      ...this.paintProperties[layerId],
+      [name]: value,
+    };
+  }
+
+  on(type, layerIdOrHandler, handler) {
+    this.handlers.push(
+      handler
+        ? { type, layerId: layerIdOrHandler, handler }
+        : { type, layerId: null, handler: layerIdOrHandler }
+    );
+  }
+
+  getCanvas() {
+    return this.canvas;
+  }
+
+  fitBounds(bounds, options) {
+    this._record('fitBounds', bounds, options);
+  }
+
+  easeTo(options) {
+    this._record('easeTo', options);
+  }
+
+  flyTo(options) {
+    this._record('flyTo', options);
+  }
+
+  /**
+   * Calls recorded for a method name
+   */
+  callsTo(method) {
+    return this.calls.filter((call) => call.method === method);
+  }
+}
+
+module.exports = { MockMap, MockSource };
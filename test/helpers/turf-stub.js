@@ -0,0 +1,56 @@
+/**
+ * Minimal Turf stub for region tests
+ *
+ * Polygons are treated as their bounding boxes: booleanIntersects is true
+ * when any feature vertex falls inside, booleanPointInPolygon when the point
+ * does. Good enough for the rectangular regions and small fixture hexagons
+ * used in the tests.
+ */
+
+function positionsOf(coords, positions = []) {
+  if (typeof coords[0] === 'number') {
+    positions.push(coords);
+  } else {
+    coords.forEach((c) => positionsOf(c, positions));
+  }
+  return positions;
+}
+
+function inBbox(geometry, [x, y]) {
+  const positions = positionsOf(geometry.coordinates);
+  const xs = positions.map((p) => p[0]);
+  const ys = positions.map((p) => p[1]);
+
+  return (
+    x >= Math.min(...xs) &&
+    x <= Math.max(...xs) &&
+    y >= Math.min(...ys) &&
+    y <= Math.max(...ys)
+  );
+}
+
+const turf = {
+  booleanIntersects(feature, region) {
+    return positionsOf(feature.geometry.coordinates).some((position) =>
+      inBbox(region, position)
+    );
+  },
+
+  booleanPointInPolygon(point, feature) {
+    return inBbox(feature.geometry, point);
+  },
+
+  // First vertex stands in for a point inside the feature
+  pointOnFeature(feature, properties = {}) {
+    return {
+      type: 'Feature',
+      properties,
+      geometry: {
+        type: 'Point',
+        coordinates: positionsOf(feature.geometry.coordinates)[0],
+      },
+    };
+  },
+};
+
+module.exports = { turf };
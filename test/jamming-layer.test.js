@@ -0,0 +1,446 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  loadBrowserScripts,
+  loadFixture,
+  toPlain,
+} = require('./helpers/browser-env');
+const { MockMap } = require('./helpers/mock-map');
+
+const { JammingLayer } = loadBrowserScripts();
+
+function createLayer(apiClient = null) {
+  const map = new MockMap();
+  const layer = new JammingLayer(map, apiClient);
+  layer.initialize();
+  return { map, layer };
+}
+
+function ratios(geojson) {
+  return geojson.features.map((f) => f.properties.ratio_bad);
+}
+
+test('initialize adds the sources, fill, outline, extrusion and gone layers', () => {
+  const { map } = createLayer();
+
+  assert.deepStrictEqual(
+    map.callsTo('addSource').map((call) => call.args[0]),
+    ['jamming-source', 'jamming-gone-source']
+  );
+  assert.deepStrictEqual(
+    map.layers.map((layer) => [layer.id, layer.type]),
+    [
+      ['jamming-layer', 'fill'],
+      ['jamming-layer-outline', 'line'],
+      ['jamming-layer-extrusion', 'fill-extrusion'],
+      ['jamming-layer-gone', 'line'],
+    ]
+  );
+  assert.strictEqual(
+    map.getLayer('jamming-layer-gone').layout.visibility,
+    'none'
+  );
+});
+
+test('filterBySeverity returns the input when no levels are selected', () => {
+  const { layer } = createLayer();
+  const geojson = loadFixture('jamming-agg.geojson');
+
+  assert.strictEqual(layer.filterBySeverity(geojson, []), geojson);
+  assert.strictEqual(layer.filterBySeverity(geojson, null), geojson);
+});
+
+test('filterBySeverity keeps only the selected levels', () => {
+  const { layer } = createLayer();
+  const geojson = loadFixture('jamming-agg.geojson');
+
+  assert.deepStrictEqual(ratios(layer.filterBySeverity(geojson, ['zero'])), [
+    0,
+    1 / 120,
+  ]);
+  assert.deepStrictEqual(
+    ratios(layer.filterBySeverity(geojson, ['low'])),
+    [0.01, 0.05]
+  );
+  assert.deepStrictEqual(
+    ratios(layer.filterBySeverity(geojson, ['high'])),
+    [0.1, 0.35]
+  );
+  assert.strictEqual(
+    layer.filterBySeverity(geojson, ['zero', 'high']).features.length,
+    4
+  );
+});
+
+test('getSeverityLevel uses the 1% and 10% thresholds', () => {
+  const { layer } = createLayer();
+
+  assert.strictEqual(layer.getSeverityLevel(0), 'zero');
+  assert.strictEqual(layer.getSeverityLevel(0.0099), 'zero');
+  assert.strictEqual(layer.getSeverityLevel(0.01), 'low');
+  assert.strictEqual(layer.getSeverityLevel(0.0999), 'low');
+  assert.strictEqual(layer.getSeverityLevel(0.1), 'high');
+  assert.strictEqual(layer.getSeverityLevel(1), 'high');
+});
+
+test('calculateStats sums aircraft and counts cells at 30% or more', () => {
+  const { layer } = createLayer();
+  const stats = layer.calculateStats(loadFixture('jamming-agg.geojson'));
+
+  assert.deepStrictEqual(toPlain(stats), {
+    totalCells: 6,
+    uniqueAircraft: 500,
+    highSeverityCells: 1,
+  });
+});
+
+test('calculateStats only counts areas for coverage data', () => {
+  const { layer } = createLayer();
+  const stats = layer.calculateStats(
+    loadFixture('jamming-coverage.geojson'),
+    'jamming/coverage'
+  );
+
+  assert.deepStrictEqual(toPlain(stats), {
+    totalCells: 3,
+    uniqueAircraft: 0,
+    highSeverityCells: 0,
+  });
+});
+
+test('calculateStats handles missing data', () => {
+  const { layer } = createLayer();
+
+  assert.deepStrictEqual(toPlain(layer.calculateStats(null)), {
+    totalCells: 0,
+    uniqueAircraft: 0,
+    highSeverityCells: 0,
+  });
+});
+
+test('unionBySeverity returns the input when Turf is not loaded', () => {
+  const { layer } = createLayer();
+  const geojson = loadFixture('jamming-agg.geojson');
+
+  assert.strictEqual(layer.unionBySeverity(geojson), geojson);
+});
+
+// Stub Turf: "union" concatenates polygons into a MultiPolygon
+const unionTurf = {
+  featureCollection: (features) => ({ type: 'FeatureCollection', features }),
+  union: (fc) => ({
+    type: 'Feature',
+    geometry: {
+      type: 'MultiPolygon',
+      coordinates: fc.features.flatMap((f) =>
+        f.geometry.type === 'MultiPolygon'
+          ? f.geometry.coordinates
+          : [f.geometry.coordinates]
+      ),
+    },
+    properties: {},
+  }),
+};
+
+test('unionBySeverity merges each severity group into one feature', () => {
+  const { JammingLayer: Layer } = loadBrowserScripts({ turf: unionTurf });
+  const layer = new Layer(new MockMap(), null);
+
+  const result = layer.unionBySeverity(loadFixture('jamming-agg.geojson'));
+
+  assert.strictEqual(result.features.length, 3);
+  const bySeverity = Object.fromEntries(
+    result.features.map((f) => [f.properties.severity_level, f])
+  );
+  assert.deepStrictEqual(Object.keys(bySeverity).sort(), [
+    'high',
+    'low',
+    'zero',
+  ]);
+
+  const high = bySeverity.high;
+  assert.strictEqual(high.properties.unioned, true);
+  assert.strictEqual(high.properties.unioned_count, 2);
+  assert.strictEqual(high.properties.ratio_bad, (0.1 + 0.35) / 2);
+  assert.strictEqual(high.geometry.coordinates.length, 2);
+});
+
+test('loadData filters agg data and pushes it into the source', async () => {
+  const geojson = loadFixture('jamming-agg.geojson');
+  const requests = [];
+  const apiClient = {
+    getJammingData: async (options) => {
+      requests.push(['agg', options]);
+      return { data: geojson, metadata: { url: 'agg-url' } };
+    },
+    getJammingCoverage: async () => {
+      throw new Error('coverage should not be requested');
+    },
+  };
+  const { map, layer } = createLayer(apiClient);
+
+  const result = await layer.loadData({
+    dataSource: 'jamming/agg',
+    jammingSeverityLevels: ['high'],
+  });
+
+  assert.strictEqual(requests.length, 1);
+  assert.deepStrictEqual(ratios(result.data), [0.1, 0.35]);
+  assert.strictEqual(result.metadata.url, 'agg-url');
+  assert.strictEqual(result.stats.totalCells, 2);
+
+  const source = map.getSource('jamming-source');
+  assert.strictEqual(source.setDataCalls.length, 1);
+  assert.strictEqual(source.data, layer.currentData);
+});
+
+test('loadData does not severity-filter coverage data', async () => {
+  const geojson = loadFixture('jamming-coverage.geojson');
+  const apiClient = {
+    getJammingCoverage: async () => ({ data: geojson, metadata: {} }),
+  };
+  const { map, layer } = createLayer(apiClient);
+
+  const result = await layer.loadData({
+    dataSource: 'jamming/coverage',
+    jammingSeverityLevels: ['high'],
+  });
+
+  assert.strictEqual(result.data, geojson);
+  assert.strictEqual(map.getSource('jamming-source').data, geojson);
+});
+
+function withRatios(geojson, ratiosByIndex) {
+  return {
+    ...geojson,
+    features: geojson.features
+      .filter((f) => f.properties.h3_index in ratiosByIndex)
+      .map((f) => ({
+        ...f,
+        properties: {
+          ...f.properties,
+          ratio_bad: ratiosByIndex[f.properties.h3_index],
+        },
+      })),
+  };
+}
+
+test('diffData classifies cells by severity change', () => {
+  const { layer } = createLayer();
+  const geojson = loadFixture('jamming-agg.geojson');
+  const [a, b, c, d] = geojson.features.map((f) => f.properties.h3_index);
+
+  const previous = withRatios(geojson, { [a]: 0, [b]: 0.2, [c]: 0.05 });
+  const current = withRatios(geojson, { [a]: 0.05, [b]: 0.2, [d]: 0.5 });
+  const diff = layer.diffData(previous, current);
+
+  assert.deepStrictEqual(toPlain(Array.from(diff.changes)), [
+    [a, 'escalated'],
+    [b, 'unchanged'],
+    [d, 'new'],
+  ]);
+  assert.deepStrictEqual(
+    toPlain(
+      diff.gone.features.map((f) => [
+        f.properties.h3_index,
+        f.properties.change,
+      ])
+    ),
+    [[c, 'gone']]
+  );
+  assert.deepStrictEqual(toPlain(diff.counts), {
+    new: 1,
+    newHigh: 1,
+    escalated: 1,
+    deescalated: 0,
+    unchanged: 1,
+    gone: 1,
+  });
+
+  // Inputs are not mutated
+  assert.strictEqual(current.features[0].properties.change, undefined);
+});
+
+test('loadData diffs consecutive loads of the same query only', async () => {
+  const geojson = loadFixture('jamming-agg.geojson');
+  let response = geojson;
+  const apiClient = {
+    getJammingData: async () => ({ data: response, metadata: {} }),
+  };
+  const { map, layer } = createLayer(apiClient);
+  const options = { dataSource: 'jamming/agg', lookback_hours: 24 };
+
+  const first = await layer.loadData(options);
+  assert.strictEqual(first.stats.changes, null);
+
+  response = { ...geojson, features: geojson.features.slice(1) };
+  const second = await layer.loadData(options);
+  assert.strictEqual(second.stats.changes.unchanged, 5);
+  assert.strictEqual(second.stats.changes.gone, 1);
+
+  // The change status is on the map source only, not the loaded data
+  assert.ok(second.data.features.every((f) => !('change' in f.properties)));
+  assert.ok(
+    map
+      .getSource('jamming-source')
+      .data.features.every((f) => f.properties.change === 'unchanged')
+  );
+  assert.strictEqual(
+    map.getSource('jamming-gone-source').data.features.length,
+    1
+  );
+
+  // A different query starts a new baseline
+  const third = await layer.loadData({ ...options, lookback_hours: 48 });
+  assert.strictEqual(third.stats.changes, null);
+  assert.strictEqual(
+    map.getSource('jamming-gone-source').data.features.length,
+    0
+  );
+});
+
+test('loadData does not diff unioned severity blobs', async () => {
+  const { JammingLayer: Layer } = loadBrowserScripts({ turf: unionTurf });
+  const map = new MockMap();
+  const layer = new Layer(map, {
+    getJammingData: async () => ({
+      data: loadFixture('jamming-agg.geojson'),
+      metadata: {},
+    }),
+  });
+  layer.initialize();
+  const options = { dataSource: 'jamming/agg', unionBySeverity: true };
+
+  await layer.loadData(options);
+  const second = await layer.loadData(options);
+  assert.strictEqual(second.stats.changes, null);
+  assert.strictEqual(layer.changes, null);
+
+  // Turning the union off starts a new baseline, turning it on drops it
+  await layer.loadData({ ...options, unionBySeverity: false });
+  const separate = await layer.loadData({ ...options, unionBySeverity: false });
+  assert.strictEqual(separate.stats.changes.unchanged, 6);
+  const unioned = await layer.loadData(options);
+  assert.strictEqual(unioned.stats.changes, null);
+  assert.ok(
+    map
+      .getSource('jamming-source')
+      .data.features.every((f) => !('change' in f.properties))
+  );
+});
+
+test('setStyleMode switches outlines and shows gone cells', () => {
+  const { map, layer } = createLayer();
+
+  layer.setStyleMode('changes');
+
+  const outline = map.paintProperties['jamming-layer-outline'];
+  assert.strictEqual(outline['line-color'][0], 'match');
+  assert.deepStrictEqual(toPlain(outline['line-color'][1]), ['get', 'change']);
+  assert.strictEqual(
+    map.layoutProperties['jamming-layer-gone'].visibility,
+    'visible'
+  );
+
+  layer.setStyleMode('severity');
+
+  assert.strictEqual(
+    map.paintProperties['jamming-layer-outline']['line-color'][0],
+    'case'
+  );
+  assert.strictEqual(
+    map.paintProperties['jamming-layer-outline']['line-width'],
+    1
+  );
+  assert.strictEqual(
+    map.layoutProperties['jamming-layer-gone'].visibility,
+    'none'
+  );
+});
+
+test('setVisibility toggles both layers', () => {
+  const { map, layer } = createLayer();
+
+  layer.setVisibility(false);
+
+  assert.strictEqual(layer.visible, false);
+  assert.strictEqual(map.layoutProperties['jamming-layer'].visibility, 'none');
+  assert.strictEqual(
+    map.layoutProperties['jamming-layer-outline'].visibility,
+    'none'
+  );
+});
+
+test('setExtrusion swaps the fill for 3D columns scaled to the largest value', () => {
+  const { map, layer } = createLayer();
+  const geojson = loadFixture('jamming-agg.geojson');
+  const maxAircraft = Math.max(
+    ...geojson.features.map((f) => f.properties.n_unique_ac)
+  );
+  layer.updateSource(geojson);
+
+  layer.setExtrusion('n_unique_ac');
+
+  assert.deepStrictEqual(
+    toPlain(
+      map.paintProperties['jamming-layer-extrusion']['fill-extrusion-height']
+    ),
+    [
+      'interpolate',
+      ['linear'],
+      ['to-number', ['coalesce', ['get', 'n_unique_ac'], 0]],
+      0,
+      0,
+      maxAircraft,
+      300000,
+    ]
+  );
+  assert.strictEqual(map.layoutProperties['jamming-layer'].visibility, 'none');
+  assert.strictEqual(
+    map.layoutProperties['jamming-layer-extrusion'].visibility,
+    'visible'
+  );
+  // Color keeps the severity scale
+  assert.deepStrictEqual(
+    toPlain(
+      map.getLayer('jamming-layer-extrusion').paint['fill-extrusion-color']
+    ),
+    toPlain(layer.getColorExpression())
+  );
+
+  // New data rescales the heights
+  layer.updateSource({
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', properties: { n_unique_ac: 7 } }],
+  });
+  assert.strictEqual(
+    map.paintProperties['jamming-layer-extrusion']['fill-extrusion-height'][5],
+    7
+  );
+
+  layer.setExtrusion(null);
+  assert.strictEqual(
+    map.layoutProperties['jamming-layer'].visibility,
+    'visible'
+  );
+  assert.strictEqual(
+    map.layoutProperties['jamming-layer-extrusion'].visibility,
+    'none'
+  );
+});
+
+test('hidden layers stay hidden when extruded', () => {
+  const { map, layer } = createLayer();
+
+  layer.setVisibility(false);
+  layer.setExtrusion('n_bad');
+
+  assert.strictEqual(
+    map.layoutProperties['jamming-layer-extrusion'].visibility,
+    'none'
+  );
+  assert.strictEqual(
+    map.paintProperties['jamming-layer-extrusion']['fill-extrusion-height'],
+    0 // No data yet
+  );
+});
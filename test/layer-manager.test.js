@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, loadFixture } = require('./helpers/browser-env');
+const { MockMap } = require('./helpers/mock-map');
+
+const { LayerManager } = loadBrowserScripts();
+
+// Fixture-backed API client that records the options of each call
+function createApiClient({ failSpoofing = false } = {}) {
+  const calls = [];
+  const respond = (method, fixture) => async (options) => {
+    calls.push({ method, options });
+    if (failSpoofing && method.startsWith('getSpoofing')) {
+      throw new Error('API request failed: 503');
+    }
+    return { data: loadFixture(fixture), metadata: { url: method } };
+  };
+
+  return {
+    calls,
+    getJammingData: respond('getJammingData', 'jamming-agg.geojson'),
+    getJammingCoverage: respond(
+      'getJammingCoverage',
+      'jamming-coverage.geojson'
+    ),
+    getSpoofingData: respond('getSpoofingData', 'spoofing-agg.geojson'),
+    getSpoofingH3Data: respond('getSpoofingH3Data', 'spoofing-h3.geojson'),
+  };
+}
+
+function createManager(apiClient = createApiClient()) {
+  const map = new MockMap();
+  const manager = new LayerManager(map, apiClient);
+  manager.initialize();
+  return { map, manager, apiClient };
+}
+
+test('initialize creates one layer per data source with unique ids', () => {
+  const { map, manager } = createManager();
+
+  assert.deepStrictEqual(Object.keys(map.sources).sort(), [
+    'coverage-gone-source',
+    'coverage-source',
+    'jamming-gone-source',
+    'jamming-source',
+    'spoofing-grid-source',
+    'spoofing-source',
+  ]);
+  assert.strictEqual(
+    new Set(map.layers.map((layer) => layer.id)).size,
+    map.layers.length
+  );
+  assert.strictEqual(
+    manager.getLayer('jamming/agg').sourceId,
+    'jamming-source'
+  );
+  assert.strictEqual(
+    manager.getLayer('spoofing/agg').sourceId,
+    'spoofing-source'
+  );
+
+  // Only the primary (jamming/agg) is shown
+  assert.strictEqual(
+    map.layoutProperties['jamming-layer'].visibility,
+    'visible'
+  );
+  assert.strictEqual(map.layoutProperties['coverage-layer'].visibility, 'none');
+  assert.strictEqual(
+    map.layoutProperties['spoofing-line-layer'].visibility,
+    'none'
+  );
+});
+
+test('loadAll loads every visible layer and returns the primary result', async () => {
+  const { manager, apiClient } = createManager();
+  manager.setVisibility('spoofing/agg', true);
+
+  const result = await manager.loadAll({
+    dataSource: 'jamming/agg',
+    lookback_hours: 12,
+  });
+
+  assert.deepStrictEqual(
+    apiClient.calls.map((call) => call.method),
+    ['getJammingData', 'getSpoofingData']
+  );
+  // A layer that was never loaded borrows the settings, with its own source
+  assert.strictEqual(apiClient.calls[1].options.dataSource, 'spoofing/agg');
+  assert.strictEqual(apiClient.calls[1].options.lookback_hours, 12);
+  assert.strictEqual(result.metadata.url, 'getJammingData');
+  assert.strictEqual(
+    manager.getLayer('spoofing/agg').currentData.features.length,
+    loadFixture('spoofing-agg.geojson').features.length
+  );
+});
+
+test('each layer keeps the settings it was last loaded with', async () => {
+  const { manager, apiClient } = createManager();
+
+  await manager.loadAll({ dataSource: 'spoofing/agg', lookback_hours: 2 });
+  manager.setVisibility('spoofing/agg', true);
+  apiClient.calls.length = 0;
+
+  await manager.loadAll({ dataSource: 'jamming/agg', lookback_hours: 48 });
+
+  const spoofingCall = apiClient.calls.find(
+    (call) => call.method === 'getSpoofingData'
+  );
+  assert.strictEqual(spoofingCall.options.lookback_hours, 2);
+  assert.strictEqual(manager.getSettings('spoofing/agg', {}).lookback_hours, 2);
+});
+
+test('a failing secondary layer does not fail the primary load', async () => {
+  const { manager } = createManager(createApiClient({ failSpoofing: true }));
+  manager.setVisibility('spoofing/h3', true);
+
+  const result = await manager.loadAll({ dataSource: 'jamming/coverage' });
+
+  assert.strictEqual(result.metadata.url, 'getJammingCoverage');
+  await assert.rejects(manager.loadAll({ dataSource: 'spoofing/agg' }), /503/);
+});
+
+test('switching the primary hides the previous one unless it is enabled', () => {
+  const { map, manager } = createManager();
+
+  manager.setPrimary('spoofing/h3');
+  assert.strictEqual(map.layoutProperties['jamming-layer'].visibility, 'none');
+  assert.strictEqual(
+    map.layoutProperties['spoofing-grid-h3-layer'].visibility,
+    'visible'
+  );
+
+  manager.setEnabled(['jamming/agg']);
+  manager.setPrimary('spoofing/agg');
+  assert.deepStrictEqual(
+    [...manager.getVisibleSources()],
+    ['spoofing/agg', 'jamming/agg']
+  );
+  assert.strictEqual(
+    map.layoutProperties['spoofing-grid-h3-layer'].visibility,
+    'none'
+  );
+});
+
+test('setOpacity scales each layer base opacity', () => {
+  const { map, manager } = createManager();
+
+  manager.setOpacity('jamming/agg', 0.5);
+  manager.setOpacity('spoofing/agg', 0.5);
+
+  assert.strictEqual(map.paintProperties['jamming-layer']['fill-opacity'], 0.3);
+  assert.strictEqual(
+    map.paintProperties['jamming-layer-outline']['line-opacity'],
+    0.4
+  );
+  assert.strictEqual(
+    map.paintProperties['spoofing-line-layer']['line-opacity'],
+    0.4
+  );
+  assert.strictEqual(
+    map.paintProperties['spoofing-point-layer']['circle-stroke-opacity'],
+    0.25
+  );
+  // Other layers are untouched
+  assert.strictEqual(map.paintProperties['coverage-layer'], undefined);
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  loadBrowserScripts,
+  loadFixture,
+  toPlain,
+} = require('./helpers/browser-env');
+const { MockMap } = require('./helpers/mock-map');
+const { h3 } = require('./helpers/h3-stub');
+
+const {
+  getResolutionForZoom,
+  expandBbox,
+  clipToBbox,
+  LevelOfDetail,
+  JammingLayer,
+  SpoofingLayer,
+} = loadBrowserScripts({ h3 });
+
+// MockMap with a camera: zoom and [west, south, east, north] bounds
+function createCameraMap(zoom, bounds) {
+  const map = new MockMap();
+  map.camera = { zoom, bounds };
+  map.getZoom = () => map.camera.zoom;
+  map.getBounds = () => {
+    const [west, south, east, north] = map.camera.bounds;
+    return {
+      getWest: () => west,
+      getSouth: () => south,
+      getEast: () => east,
+      getNorth: () => north,
+    };
+  };
+  return map;
+}
+
+function ids(geojson) {
+  return toPlain(geojson.features.map((f) => f.properties.h3_index));
+}
+
+test('getResolutionForZoom gets finer as the map zooms in', () => {
+  assert.strictEqual(getResolutionForZoom(0), 1);
+  assert.strictEqual(getResolutionForZoom(2.9), 1);
+  assert.strictEqual(getResolutionForZoom(3), 2);
+  assert.strictEqual(getResolutionForZoom(5), 3);
+  assert.strictEqual(getResolutionForZoom(7), 4);
+  assert.strictEqual(getResolutionForZoom(20), 5);
+});
+
+test('expandBbox adds a margin and gives up past a full turn', () => {
+  assert.deepStrictEqual(
+    toPlain(expandBbox([30, 30, 40, 36], 0.5)),
+    [25, 27, 45, 39]
+  );
+  assert.deepStrictEqual(
+    toPlain(expandBbox([0, -80, 10, 80], 0.5)),
+    [-5, -90, 15, 90]
+  );
+  assert.strictEqual(expandBbox([-150, -60, 150, 60], 0.5), null);
+});
+
+test('clipToBbox keeps features meeting the box, across world copies', () => {
+  const geojson = loadFixture('jamming-agg.geojson');
+
+  assert.deepStrictEqual(ids(clipToBbox(geojson, [33, 34, 34, 36])), [
+    '832d8afffffffff',
+    '832d8bfffffffff',
+  ]);
+  // Same area one world copy to the east
+  assert.deepStrictEqual(ids(clipToBbox(geojson, [393, 34, 394, 36])), [
+    '832d8afffffffff',
+    '832d8bfffffffff',
+  ]);
+  assert.strictEqual(clipToBbox(geojson, [0, 0, 10, 10]).features.length, 0);
+  assert.strictEqual(clipToBbox(geojson, null), geojson);
+});
+
+test('LevelOfDetail re-applies only for a new resolution or a view outside the clipped area', () => {
+  const map = createCameraMap(5, [34, 34, 36, 36]);
+  const lod = new LevelOfDetail(map);
+  const views = [];
+  lod.onChange = (view) => views.push(view);
+  lod.initialize();
+
+  // Off by default: native resolution, clipping only
+  assert.strictEqual(views[0].resolution, null);
+  lod.setAutoResolution(true);
+  views.shift();
+
+  assert.strictEqual(views.length, 1);
+  assert.strictEqual(views[0].resolution, 3);
+  assert.deepStrictEqual(toPlain(views[0].bbox), [33, 33, 37, 37]);
+
+  // Small pan inside the margin: nothing to re-render
+  map.camera.bounds = [34.5, 34.5, 36.5, 36.5];
+  assert.strictEqual(lod.update(), false);
+
+  // Pan past the margin
+  map.camera.bounds = [36, 34, 38, 36];
+  assert.strictEqual(lod.update(), true);
+
+  // Zoom out into another resolution, then below the clipping zoom
+  map.camera.zoom = 4;
+  assert.strictEqual(lod.update(), true);
+  assert.strictEqual(views[2].resolution, 2);
+  map.camera.zoom = 2;
+  map.camera.bounds = [-180, -85, 180, 85];
+  lod.update();
+  assert.strictEqual(views[3].bbox, null);
+
+  lod.setAutoResolution(false);
+  assert.strictEqual(views[4].resolution, null);
+});
+
+test('JammingLayer merges and clips what it shows at a view', async () => {
+  const geojson = loadFixture('jamming-agg.geojson');
+  const map = new MockMap();
+  const layer = new JammingLayer(map, {
+    getJammingData: async () => ({ data: geojson, metadata: {} }),
+  });
+  layer.initialize();
+  await layer.loadData({ dataSource: 'jamming/agg' });
+
+  const source = map.getSource('jamming-source');
+  layer.setLevelOfDetail({ resolution: 2, bbox: null });
+  assert.deepStrictEqual(ids(source.data), ['822d8ffffffffff']);
+
+  layer.setLevelOfDetail({ resolution: 3, bbox: [33, 34, 34, 36] });
+  assert.deepStrictEqual(ids(source.data), [
+    '832d8afffffffff',
+    '832d8bfffffffff',
+  ]);
+  assert.strictEqual(layer.displayedData, source.data);
+
+  // Stats, table and exports keep the full response
+  assert.strictEqual(layer.currentData.features.length, 6);
+
+  layer.setLevelOfDetail(null);
+  assert.strictEqual(source.data, layer.currentData);
+});
+
+test('JammingLayer does not merge coverage cells', async () => {
+  const geojson = loadFixture('jamming-coverage.geojson');
+  const map = new MockMap();
+  const layer = new JammingLayer(map, {
+    getJammingCoverage: async () => ({ data: geojson, metadata: {} }),
+  });
+  layer.initialize();
+  await layer.loadData({ dataSource: 'jamming/coverage' });
+
+  layer.setLevelOfDetail({ resolution: 1, bbox: null });
+
+  assert.deepStrictEqual(
+    ids(map.getSource('jamming-source').data),
+    ids(geojson)
+  );
+});
+
+test('SpoofingLayer requests spoofing/h3 at the view resolution', async () => {
+  const requests = [];
+  const map = new MockMap();
+  const layer = new SpoofingLayer(map, {
+    getSpoofingH3Data: async (options) => {
+      requests.push(options.resolution);
+      return { data: loadFixture('spoofing-h3.geojson'), metadata: {} };
+    },
+  });
+  layer.initialize();
+
+  await layer.loadData({ dataSource: 'spoofing/h3', resolution: 6 });
+  layer.setLevelOfDetail({ resolution: 2, bbox: [0, 0, 10, 10] });
+  await layer.loadData({ dataSource: 'spoofing/h3', resolution: 6 });
+
+  assert.deepStrictEqual(toPlain(requests), [6, 2]);
+  assert.strictEqual(map.getSource('spoofing-source').data.features.length, 0);
+  assert.strictEqual(layer.currentData.features.length, 4);
+});
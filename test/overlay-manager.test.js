@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, toPlain } = require('./helpers/browser-env');
+const { MockMap } = require('./helpers/mock-map');
+const { turf } = require('./helpers/turf-stub');
+
+function box(name, west, south, east, north) {
+  return {
+    type: 'Feature',
+    properties: { name },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [west, south],
+          [east, south],
+          [east, north],
+          [west, north],
+          [west, south],
+        ],
+      ],
+    },
+  };
+}
+
+const FILES = {
+  'data/overlays/firs.geojson': {
+    type: 'FeatureCollection',
+    features: [box('LCCC - Nicosia FIR', 30, 33, 36, 36)],
+  },
+  'data/overlays/countries.geojson': {
+    type: 'FeatureCollection',
+    features: [
+      box('Cyprus', 32, 34.5, 34.6, 35.7),
+      box('Lebanon', 35, 33, 36.6, 34.7),
+    ],
+  },
+  'data/overlays/airports.geojson': {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        properties: { iata: 'LCA', name: 'Larnaca International Airport' },
+        geometry: { type: 'Point', coordinates: [33.62, 34.88] },
+      },
+    ],
+  },
+};
+
+// fetch stub serving FILES; anything else is a 404
+async function fetchStub(url) {
+  return FILES[url]
+    ? { ok: true, status: 200, json: async () => FILES[url] }
+    : { ok: false, status: 404, json: async () => ({}) };
+}
+
+// A FIR overlay as data/overlays/README.md describes adding one
+const FIR_OVERLAY = {
+  label: 'FIR Boundaries',
+  url: 'data/overlays/firs.geojson',
+  type: 'boundary',
+  color: '#a78bfa',
+  dashed: true,
+  labelProperty: 'name',
+  popupLabel: 'FIR',
+};
+
+async function createManager(fetch = fetchStub, extraOverlays = {}) {
+  const { OverlayManager, CONFIG } = loadBrowserScripts({ turf, fetch });
+  const map = new MockMap();
+  const manager = new OverlayManager(map, {
+    ...CONFIG.OVERLAYS,
+    ...extraOverlays,
+  });
+  await manager.initialize();
+  return { map, manager };
+}
+
+test('initialize adds hidden layers for every overlay', async () => {
+  const { map } = await createManager();
+
+  assert.deepStrictEqual(
+    map.layers.map((layer) => [layer.id, layer.type]).sort(),
+    [
+      ['overlay-airports-labels', 'symbol'],
+      ['overlay-airports-points', 'circle'],
+      ['overlay-countries-labels', 'symbol'],
+      ['overlay-countries-lines', 'line'],
+    ]
+  );
+  map.layers.forEach((layer) => {
+    assert.strictEqual(map.layoutProperties[layer.id].visibility, 'none');
+  });
+  assert.strictEqual(
+    map.getSource('overlay-countries-label-points').data.features.length,
+    2
+  );
+});
+
+test('setVisibility toggles an overlay and its labels', async () => {
+  const { map, manager } = await createManager();
+
+  manager.setVisibility('airports', true);
+
+  assert.strictEqual(manager.visible.airports, true);
+  assert.strictEqual(
+    map.layoutProperties['overlay-airports-points'].visibility,
+    'visible'
+  );
+  assert.strictEqual(
+    map.layoutProperties['overlay-airports-labels'].visibility,
+    'visible'
+  );
+  assert.strictEqual(
+    map.layoutProperties['overlay-countries-lines'].visibility,
+    'none'
+  );
+});
+
+test('findContaining names the boundary around a point', async () => {
+  const { manager } = await createManager();
+
+  assert.strictEqual(
+    manager.findContaining('countries', [33.6, 34.9]),
+    'Cyprus'
+  );
+  assert.strictEqual(manager.findContaining('countries', [0, 0]), null);
+});
+
+test('getLocationHtml names the country for popups', async () => {
+  const { manager } = await createManager();
+
+  const html = manager.getLocationHtml({ lng: 35.5, lat: 33.9 });
+
+  assert.match(
+    html,
+    /Country:<\/span>\s*<span class="popup-stat-value">Lebanon/
+  );
+  assert.doesNotMatch(html, /FIR/);
+});
+
+test('getLocationHtml adds a row for an added FIR overlay', async () => {
+  const { manager } = await createManager(fetchStub, { firs: FIR_OVERLAY });
+
+  const html = manager.getLocationHtml({ lng: 35.5, lat: 33.9 });
+
+  assert.match(
+    html,
+    /FIR:<\/span>\s*<span class="popup-stat-value">LCCC - Nicosia FIR/
+  );
+  assert.match(
+    html,
+    /Country:<\/span>\s*<span class="popup-stat-value">Lebanon/
+  );
+});
+
+test('missing overlay files load as empty and are skipped in popups', async () => {
+  const { manager } = await createManager(
+    async (url) =>
+      url.includes('firs') ? { ok: false, status: 404 } : fetchStub(url),
+    { firs: FIR_OVERLAY }
+  );
+
+  assert.strictEqual(manager.hasData('firs'), false);
+  assert.deepStrictEqual(toPlain(manager.data.firs.features), []);
+
+  const html = manager.getLocationHtml({ lng: 33.6, lat: 34.9 });
+  assert.doesNotMatch(html, /FIR/);
+  assert.match(html, /Cyprus/);
+});
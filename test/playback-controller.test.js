@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, toPlain } = require('./helpers/browser-env');
+
+const { PlaybackController, getFeatureHour } = loadBrowserScripts();
+
+function cell(h3Index, hour) {
+  return {
+    type: 'Feature',
+    geometry: null,
+    properties: { h3_index: h3Index, hour, n_good: 9, n_bad: 1 },
+  };
+}
+
+// Passes features through untouched and records what it was asked
+function createJammingLayer() {
+  return {
+    requestKey: Symbol('jamming'),
+    shown: [],
+    aggregate: (data) => data,
+    filterBySeverity: (data) => data,
+    updateSource(data) {
+      this.shown.push(data);
+    },
+  };
+}
+
+test('getFeatureHour reads the hour property only', () => {
+  assert.strictEqual(
+    getFeatureHour(cell('A', '2026-10-18T03:25:00Z')).toISOString(),
+    '2026-10-18T03:00:00.000Z'
+  );
+  assert.strictEqual(
+    getFeatureHour({ properties: { timestamp: '2026-10-18T03:00:00Z' } }),
+    null
+  );
+  assert.strictEqual(getFeatureHour(cell('A', 'not a date')), null);
+});
+
+test('load requests hourly data under the jamming layer request key', async () => {
+  const layer = createJammingLayer();
+  const calls = [];
+  const apiClient = {
+    getJammingData: async (params, options) => {
+      calls.push({ params, options });
+      return {
+        data: {
+          type: 'FeatureCollection',
+          features: [
+            cell('A', '2026-10-18T01:00:00Z'),
+            cell('B', '2026-10-18T00:00:00Z'),
+            cell('C', '2026-10-18T01:00:00Z'),
+          ],
+        },
+        metadata: {},
+      };
+    },
+  };
+  const playback = new PlaybackController(layer, apiClient);
+
+  const result = await playback.load({ lookback_hours: 6 });
+
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(toPlain(calls[0].params), {
+    lookback_hours: 6,
+    hours_summed: false,
+  });
+  assert.strictEqual(calls[0].options.key, layer.requestKey);
+  assert.strictEqual(result.frameCount, 2);
+  assert.deepStrictEqual(
+    toPlain(playback.frames.map((frame) => frame.data.features.length)),
+    [1, 2]
+  );
+});
@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  Authenticator,
+  hashPassword,
+  verifyPassword,
+  parseUserList,
+} = require('../proxy/auth');
+const { createProxyCore } = require('../proxy/core');
+
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+
+function createAuthenticator(options = {}) {
+  return new Authenticator({
+    secret: 'test-secret',
+    users: {
+      alice: { hash: hashPassword('pw', 'salt'), role: 'user' },
+      guest: { hash: hashPassword('guest-pw', 'salt'), role: 'demo' },
+    },
+    ...options,
+  });
+}
+
+// Swap a token's payload, keeping its signature
+function withPayload(token, payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${token.split('.')[1]}`;
+}
+
+test('passwords are checked against their scrypt hash', () => {
+  const stored = hashPassword('correct horse');
+
+  assert.strictEqual(verifyPassword('correct horse', stored), true);
+  assert.strictEqual(verifyPassword('correct hors', stored), false);
+  assert.strictEqual(verifyPassword('pw', 'plain$salt$'), false);
+  assert.strictEqual(verifyPassword('pw', undefined), false);
+});
+
+test('login refuses wrong passwords and unknown users', () => {
+  const auth = createAuthenticator();
+
+  assert.strictEqual(auth.login('alice', 'wrong'), null);
+  assert.strictEqual(auth.login('alice', undefined), null);
+  assert.strictEqual(auth.login('mallory', 'pw'), null);
+  assert.strictEqual(auth.login('constructor', ''), null);
+  assert.strictEqual(auth.login('alice', 'pw').role, 'user');
+  assert.strictEqual(auth.login('guest', 'guest-pw').role, 'demo');
+});
+
+test('tampered, foreign and malformed tokens are rejected', () => {
+  const auth = createAuthenticator();
+  const { token } = auth.issue('guest', 'demo', 3600, NOW);
+  const payload = auth.verify(token, NOW);
+  assert.strictEqual(payload.sub, 'guest');
+
+  // Raising the role invalidates the signature
+  assert.strictEqual(
+    auth.verify(withPayload(token, { ...payload, role: 'user' }), NOW),
+    null
+  );
+  assert.strictEqual(auth.verify(`${token.slice(0, -1)}A`, NOW), null);
+  assert.strictEqual(
+    createAuthenticator({ secret: 'other-secret' }).verify(token, NOW),
+    null
+  );
+  ['', 'abc', `${token.split('.')[0]}.`, null, 42].forEach((value) => {
+    assert.strictEqual(auth.verify(value, NOW), null);
+  });
+
+  // Without a secret nothing verifies
+  assert.strictEqual(new Authenticator().verify(token, NOW), null);
+});
+
+test('expired tokens and unknown roles are rejected', () => {
+  const auth = createAuthenticator();
+  const { token } = auth.issue('alice', 'user', 60, NOW);
+
+  assert.ok(auth.verify(token, NOW + 59 * 1000));
+  assert.strictEqual(auth.verify(token, NOW + 60 * 1000), null);
+
+  const exp = NOW / 1000 + 3600;
+  assert.strictEqual(
+    auth.verify(auth.sign({ sub: 'alice', role: 'admin', exp }), NOW),
+    null
+  );
+  assert.strictEqual(
+    auth.verify(auth.sign({ sub: 'alice', role: 'user' }), NOW),
+    null
+  );
+  assert.throws(() => auth.issue('alice', 'admin'), /Unknown role/);
+  assert.throws(() => parseUserList('bob:scrypt$a$b:root'), /Unknown role/);
+  assert.throws(
+    () => new Authenticator({ users: parseUserList('bob:scrypt$a$b') }),
+    /AUTH_SECRET/
+  );
+});
+
+test('only Bearer headers with a valid token authenticate', () => {
+  const auth = createAuthenticator();
+  const { token } = auth.issue('alice');
+  const request = (authorization) => ({ headers: { authorization } });
+
+  assert.strictEqual(
+    auth.authenticate(request(`Bearer ${token}`)).sub,
+    'alice'
+  );
+  assert.strictEqual(auth.authenticate(request(`Basic ${token}`)), null);
+  assert.strictEqual(auth.authenticate(request(`Bearer ${token} extra`)), null);
+  assert.strictEqual(auth.authenticate({ headers: {} }), null);
+});
+
+test('the demo role may only GET its paths', () => {
+  const auth = createAuthenticator({
+    demoPaths: ['/db-api/v1/jamming/agg', '/db-api/v1/spoofing/*'],
+  });
+  const demo = { sub: 'guest', role: 'demo' };
+
+  assert.strictEqual(
+    auth.authorize(demo, 'GET', '/db-api/v1/jamming/agg?a=1'),
+    true
+  );
+  assert.strictEqual(
+    auth.authorize(demo, 'GET', '/db-api/v1/spoofing/h3_geojson'),
+    true
+  );
+  assert.strictEqual(
+    auth.authorize(demo, 'POST', '/db-api/v1/jamming/agg'),
+    false
+  );
+  assert.strictEqual(
+    auth.authorize(demo, 'GET', '/db-api/v1/jamming/coverage'),
+    false
+  );
+  assert.strictEqual(
+    auth.authorize(demo, 'GET', '/db-api/v1/spoofing/../jamming/coverage'),
+    false
+  );
+  assert.strictEqual(
+    auth.authorize(
+      { sub: 'alice', role: 'user' },
+      'POST',
+      '/db-api/v1/jamming/coverage'
+    ),
+    true
+  );
+});
+
+test('the proxy rejects malformed logins and the demo role elsewhere', async (t) => {
+  // Keep the proxy's request logs out of the test runner's output
+  t.mock.method(console, 'log', () => {});
+  const core = createProxyCore(
+    {},
+    {
+      API_KEY: 'test-key',
+      CLIENT_ID: 'test-client',
+      AUTH_SECRET: 'test-secret',
+      AUTH_USERS: `guest:${hashPassword('guest-pw', 'salt')}:demo`,
+    },
+    {},
+    {
+      transport: async () => ({
+        statusCode: 200,
+        headers: {},
+        body: Buffer.from('{}'),
+      }),
+    }
+  );
+  const send = (method, url, { body = null, headers = {} } = {}) =>
+    core.handle({ method, url, headers, body, remoteAddress: '192.0.2.1' });
+  const login = (body) =>
+    send('POST', '/auth/login', { body: Buffer.from(body) });
+
+  for (const body of [
+    'null',
+    '42',
+    '"guest"',
+    '[]',
+    '{"username":["guest"],"password":"guest-pw"}',
+    '{',
+  ]) {
+    const result = await login(body);
+    assert.strictEqual(result.statusCode, 400, body);
+    assert.match(JSON.parse(result.body).error, /Bad Request/);
+  }
+  assert.strictEqual(
+    (await login('{"username":"guest","password":"wrong"}')).statusCode,
+    401
+  );
+
+  const session = await login('{"username":"guest","password":"guest-pw"}');
+  const { token } = JSON.parse(session.body);
+  const headers = { authorization: `Bearer ${token}` };
+
+  assert.strictEqual(
+    (await send('GET', '/db-api/v1/jamming/agg', { headers })).statusCode,
+    200
+  );
+  assert.strictEqual(
+    (await send('GET', '/db-api/v1/jamming/coverage', { headers })).statusCode,
+    403
+  );
+  assert.strictEqual(
+    (await send('GET', '/db-api/v1/jamming/agg')).statusCode,
+    401
+  );
+});
@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache, parseTtlList } = require('../proxy/cache');
+const { ProxyCore } = require('../proxy/core');
+
+function upstream(body = '{"type":"FeatureCollection"}', headers = {}) {
+  return {
+    statusCode: 200,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: Buffer.from(body),
+  };
+}
+
+test('normalizeKey sorts the query and drops trailing slashes', () => {
+  assert.strictEqual(
+    ResponseCache.normalizeKey(
+      '/db-api/v1/jamming/agg/?n_obs_min=5&altitudes=FL450&altitudes=FL300'
+    ),
+    '/db-api/v1/jamming/agg?altitudes=FL300&altitudes=FL450&n_obs_min=5'
+  );
+  assert.strictEqual(ResponseCache.normalizeKey('/'), '/');
+});
+
+test('parseTtlList reads relative and absolute endpoints', () => {
+  assert.deepStrictEqual(
+    parseTtlList('jamming/agg:60, /custom/path:10,broken,spoofing/x:abc'),
+    { '/db-api/v1/jamming/agg': 60, '/custom/path': 10 }
+  );
+  assert.deepStrictEqual(parseTtlList(undefined), {});
+});
+
+test('entries are fresh, then stale, then gone', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const cache = new ResponseCache({ defaultTtl: 10, staleTtl: 5 });
+  const key = '/db-api/v1/custom';
+
+  cache.set(key, upstream('{}', { etag: '"v1"', 'x-request-id': 'abc' }));
+  assert.strictEqual(cache.get(key).state, 'fresh');
+  assert.deepStrictEqual(cache.get(key).entry.headers, {
+    'content-type': 'application/json',
+    etag: '"v1"',
+  });
+
+  t.mock.timers.tick(12 * 1000);
+  const stale = cache.get(key);
+  assert.strictEqual(stale.state, 'stale');
+  assert.deepStrictEqual(cache.conditionalHeaders(stale.entry), {
+    'If-None-Match': '"v1"',
+  });
+
+  cache.touch(key);
+  assert.strictEqual(cache.get(key).state, 'fresh');
+
+  t.mock.timers.tick(16 * 1000);
+  assert.strictEqual(cache.get(key), null);
+  assert.strictEqual(cache.entries.size, 0);
+});
+
+test('per-endpoint TTLs override the default', () => {
+  const cache = new ResponseCache({
+    defaultTtl: 30,
+    ttls: { '/db-api/v1/jamming/agg': 60 },
+  });
+
+  assert.strictEqual(cache.getTtl('/db-api/v1/jamming/agg?a=1'), 60);
+  assert.strictEqual(cache.getTtl('/db-api/v1/jamming/coverage'), 900);
+  assert.strictEqual(cache.getTtl('/other'), 30);
+});
+
+test('the oldest entry is evicted when the cache is full', () => {
+  const cache = new ResponseCache({ maxEntries: 2 });
+
+  cache.set('/a', upstream());
+  cache.set('/b', upstream());
+  cache.set('/a', upstream()); // Re-setting moves it to the back
+  cache.set('/c', upstream());
+
+  assert.deepStrictEqual(Array.from(cache.entries.keys()), ['/a', '/c']);
+});
+
+test('stats count hits, stale hits and misses', () => {
+  const cache = new ResponseCache();
+  cache.set('/a', upstream('12345'));
+  cache.record('fresh');
+  cache.record('stale');
+  cache.record('miss');
+  cache.record('miss');
+
+  const stats = cache.stats();
+  assert.strictEqual(stats.entries, 1);
+  assert.strictEqual(stats.sizeBytes, 5);
+  assert.strictEqual(stats.hits, 1);
+  assert.strictEqual(stats.staleHits, 1);
+  assert.strictEqual(stats.misses, 2);
+  assert.strictEqual(stats.hitRate, 0.5);
+});
+
+test('revalidate runs once per key at a time', async () => {
+  const cache = new ResponseCache();
+  let calls = 0;
+  let finish;
+  const pending = new Promise((resolve) => (finish = resolve));
+
+  cache.revalidate('/a', () => {
+    calls++;
+    return pending;
+  });
+  cache.revalidate('/a', () => calls++);
+  assert.strictEqual(cache.counters.revalidations, 1);
+
+  finish();
+  await pending;
+  await new Promise((resolve) => setImmediate(resolve));
+  cache.revalidate('/a', () => calls++);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(calls, 2);
+});
+
+test('entries persist to disk and are read back by a new cache', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-cache-'));
+  try {
+    new ResponseCache({ dir }).set('/a?x=1', upstream('{"a":1}'));
+    // Disk writes are asynchronous
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const cache = new ResponseCache({ dir });
+    const found = cache.get('/a?x=1');
+    assert.strictEqual(found.state, 'fresh');
+    assert.strictEqual(found.entry.body, '{"a":1}');
+    assert.strictEqual(cache.counters.diskReads, 1);
+    assert.strictEqual(cache.get('/a?x=2'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ProxyCore whose upstream answers with the scripted replies in turn
+function createCore(t, replies, cacheOptions = {}) {
+  // Keep the proxy's request logs out of the test runner's output
+  t.mock.method(console, 'log', () => {});
+  const calls = [];
+  const core = new ProxyCore({
+    config: {
+      upstream: 'https://upstream.example',
+      allowedOrigins: [],
+      allowedPaths: ['/db-api/v1/jamming/agg'],
+    },
+    cache: new ResponseCache(cacheOptions),
+    transport: async (url, options) => {
+      calls.push({ url, ...options });
+      const reply = replies.shift();
+      return { headers: {}, body: Buffer.from('{}'), ...reply };
+    },
+  });
+  const get = (url, headers = {}) =>
+    core.handle({ method: 'GET', url, headers, body: null });
+  return { core, calls, get };
+}
+
+test('API responses are cached, revalidated when stale and bypassable', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000 });
+  const { core, calls, get } = createCore(
+    t,
+    [
+      { statusCode: 200, headers: { etag: '"v1"' }, body: Buffer.from('1') },
+      { statusCode: 304 },
+      { statusCode: 200, body: Buffer.from('2') },
+    ],
+    { ttls: { '/db-api/v1/jamming/agg': 10 }, staleTtl: 60 }
+  );
+  const url = '/db-api/v1/jamming/agg?b=2&a=1';
+
+  assert.strictEqual((await get(url)).headers['X-Cache'], 'MISS');
+  const hit = await get('/db-api/v1/jamming/agg?a=1&b=2');
+  assert.strictEqual(hit.headers['X-Cache'], 'HIT');
+  assert.strictEqual(hit.body.toString(), '1');
+  assert.strictEqual(calls.length, 1);
+
+  // A stale entry is served at once and revalidated in the background
+  t.mock.timers.tick(20 * 1000);
+  const stale = await get(url);
+  assert.strictEqual(stale.headers['X-Cache'], 'HIT');
+  assert.strictEqual(stale.headers.Age, '20');
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(calls[1].headers['If-None-Match'], '"v1"');
+  assert.strictEqual(
+    core.cache.get(ResponseCache.normalizeKey(url)).state,
+    'fresh'
+  );
+
+  // no-cache goes upstream and stores the new response
+  const bypass = await get(url, { 'cache-control': 'no-cache' });
+  assert.strictEqual(bypass.headers['X-Cache'], 'MISS');
+  assert.strictEqual((await get(url)).body.toString(), '2');
+  assert.strictEqual(calls.length, 3);
+});
+
+test('error responses are not cached', async (t) => {
+  const { calls, get } = createCore(t, [
+    { statusCode: 503 },
+    { statusCode: 200 },
+  ]);
+  const url = '/db-api/v1/jamming/agg';
+
+  assert.strictEqual((await get(url)).statusCode, 503);
+  assert.strictEqual((await get(url)).headers['X-Cache'], 'MISS');
+  assert.strictEqual(calls.length, 2);
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  loadConfig,
+  isOriginAllowed,
+  isPathAllowed,
+  parsePathList,
+  DEFAULT_ALLOWED_ORIGINS,
+  DEFAULT_ALLOWED_PATHS,
+} = require('../proxy/config');
+const { Authenticator } = require('../proxy/auth');
+
+test('paths escaping an allowed prefix are rejected', () => {
+  const allowed = parsePathList('spoofing/*,jamming/agg');
+
+  assert.strictEqual(
+    isPathAllowed(
+      '/db-api/v1/spoofing/agg/geojson?lookback_minutes=60',
+      allowed
+    ),
+    true
+  );
+  [
+    '/db-api/v1/spoofing/../../../admin/keys',
+    '/db-api/v1/spoofing/%2e%2e/%2e%2e/%2e%2e/admin/keys',
+    '/db-api/v1/spoofing/%2E%2E/admin',
+    '/db-api/v1/spoofing/.%2e/admin',
+    '/db-api/v1/spoofing/./agg',
+    '/db-api/v1/spoofing\\..\\admin',
+    '//evil.example/db-api/v1/spoofing/agg',
+    '/db-api/v1/jamming/agg/..',
+  ].forEach((url) => {
+    assert.strictEqual(isPathAllowed(url, allowed), false, url);
+  });
+});
+
+test('the demo role cannot climb out of its paths either', () => {
+  const authenticator = new Authenticator({ secret: 'test-secret' });
+  const demo = { name: 'guest', role: 'demo' };
+
+  assert.strictEqual(
+    authenticator.authorize(demo, 'GET', DEFAULT_ALLOWED_PATHS[0]),
+    true
+  );
+  assert.strictEqual(
+    authenticator.authorize(
+      demo,
+      'GET',
+      '/db-api/v1/jamming/agg/%2e%2e/coverage'
+    ),
+    false
+  );
+});
+
+test('settings come from flags, then the environment, then .env', () => {
+  const dotEnv = { PORT: '4000', UPSTREAM_URL: 'https://dotenv.example' };
+  const processEnv = { PORT: '5000', UPSTREAM_URL: '' };
+
+  assert.strictEqual(loadConfig({}, {}, {}).port, 3333);
+  assert.strictEqual(loadConfig({}, dotEnv, {}).port, 4000);
+  assert.strictEqual(loadConfig({}, dotEnv, processEnv).port, 5000);
+  assert.strictEqual(
+    loadConfig({ port: '6000' }, dotEnv, processEnv).port,
+    6000
+  );
+
+  // An empty process variable does not hide the .env value
+  const config = loadConfig({}, dotEnv, processEnv);
+  assert.strictEqual(config.upstream, 'https://dotenv.example');
+  assert.strictEqual(
+    loadConfig({ upstream: 'http://flag.example//' }, dotEnv, {}).upstream,
+    'http://flag.example'
+  );
+  assert.strictEqual(loadConfig().upstream, 'https://gpswise.aero');
+});
+
+test('invalid ports and upstreams are refused', () => {
+  ['0', '65536', 'abc'].forEach((port) => {
+    assert.throws(() => loadConfig({ port }), /Invalid port/);
+  });
+  assert.throws(
+    () => loadConfig({}, { UPSTREAM_URL: 'not a url' }),
+    /Invalid upstream URL/
+  );
+  assert.throws(
+    () => loadConfig({}, {}, { UPSTREAM_URL: 'ftp://files.example' }),
+    /must be http\(s\)/
+  );
+});
+
+test('path lists expand relative entries and prefix wildcards', () => {
+  const { allowedPaths } = loadConfig({}, { ALLOWED_PATHS: 'spoofing/*' }, {});
+  assert.deepStrictEqual(allowedPaths, ['/db-api/v1/spoofing/*']);
+  assert.deepStrictEqual(parsePathList(' jamming/agg , /health,'), [
+    '/db-api/v1/jamming/agg',
+    '/health',
+  ]);
+  assert.deepStrictEqual(loadConfig().allowedPaths, DEFAULT_ALLOWED_PATHS);
+
+  assert.strictEqual(
+    isPathAllowed('/db-api/v1/spoofing/h3_geojson', allowedPaths),
+    true
+  );
+  assert.strictEqual(isPathAllowed('/db-api/v1/spoofing', allowedPaths), false);
+  assert.strictEqual(
+    isPathAllowed('/db-api/v1/jamming/agg', allowedPaths),
+    false
+  );
+  // Exact entries do not match longer paths
+  assert.strictEqual(
+    isPathAllowed('/db-api/v1/jamming/agg/extra', DEFAULT_ALLOWED_PATHS),
+    false
+  );
+});
+
+test('origins are checked against the allowlist', () => {
+  assert.deepStrictEqual(loadConfig().allowedOrigins, DEFAULT_ALLOWED_ORIGINS);
+
+  const { allowedOrigins } = loadConfig(
+    { origins: 'https://app.example' },
+    { ALLOWED_ORIGINS: 'https://other.example' }
+  );
+  assert.deepStrictEqual(allowedOrigins, ['https://app.example']);
+  assert.strictEqual(
+    isOriginAllowed('https://app.example', allowedOrigins),
+    true
+  );
+  assert.strictEqual(
+    isOriginAllowed('https://evil.example', allowedOrigins),
+    false
+  );
+  // Requests without an Origin are not CORS requests
+  assert.strictEqual(isOriginAllowed(undefined, allowedOrigins), true);
+  assert.strictEqual(isOriginAllowed('https://evil.example', ['*']), true);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FixtureStore } = require('../proxy/fixtures');
+const { createProxyCore } = require('../proxy/core');
+
+const ENV = { API_KEY: 'test-key', CLIENT_ID: 'test-client' };
+const AGG = '/db-api/v1/jamming/agg';
+
+function upstream(body) {
+  return {
+    statusCode: 200,
+    headers: {
+      'content-type': 'application/json',
+      'x-period-start': '2024-06-01T00:00:00Z',
+      etag: '"v1"',
+    },
+    body: Buffer.from(JSON.stringify(body)),
+  };
+}
+
+// Run a test with a fresh fixtures directory
+function withDir(fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-fixtures-'));
+    try {
+      await fn(dir);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test(
+  'save writes a fixture per endpoint and query',
+  withDir((dir) => {
+    const store = new FixtureStore(dir);
+    const filePath = store.save(
+      `${AGG}?lookback_hours=6&altitudes=FL300`,
+      upstream({ type: 'FeatureCollection' })
+    );
+
+    assert.strictEqual(
+      path.basename(path.dirname(filePath)),
+      'db_api_v1_jamming_agg'
+    );
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.strictEqual(fixture.key, `${AGG}?altitudes=FL300&lookback_hours=6`);
+    assert.deepStrictEqual(fixture.params, {
+      altitudes: 'FL300',
+      lookback_hours: '6',
+    });
+    assert.deepStrictEqual(fixture.headers, {
+      'content-type': 'application/json',
+      'x-period-start': '2024-06-01T00:00:00Z',
+    });
+    assert.deepStrictEqual(fixture.body, { type: 'FeatureCollection' });
+    assert.deepStrictEqual(store.summary(), { [AGG]: 1 });
+  })
+);
+
+test(
+  'find matches exactly unless the nearest fallback is on',
+  withDir((dir) => {
+    new FixtureStore(dir).save(
+      `${AGG}?lookback_hours=6&altitudes=FL300`,
+      upstream({ hours: 6 })
+    );
+    new FixtureStore(dir).save(
+      `${AGG}?lookback_hours=12&altitudes=FL450`,
+      upstream({ hours: 12 })
+    );
+
+    const exactOnly = new FixtureStore(dir);
+    const exact = exactOnly.find(`${AGG}?altitudes=FL300&lookback_hours=6`);
+    assert.strictEqual(exact.match, 'exact');
+    assert.deepStrictEqual(exact.fixture.body, { hours: 6 });
+    assert.strictEqual(
+      exactOnly.find(`${AGG}?lookback_hours=12&altitudes=FL300`),
+      null
+    );
+
+    const nearest = new FixtureStore(dir, { nearest: true });
+    const found = nearest.find(`${AGG}?lookback_hours=12&altitudes=FL300`);
+    assert.strictEqual(found.match, 'nearest');
+    assert.strictEqual(nearest.find('/db-api/v1/jamming/coverage'), null);
+  })
+);
+
+test(
+  'toResponse serializes the stored body',
+  withDir((dir) => {
+    const store = new FixtureStore(dir);
+    const response = store.toResponse({
+      statusCode: 200,
+      headers: { 'x-period-end': '2024-06-02T00:00:00Z' },
+      body: { a: 1 },
+    });
+
+    assert.deepStrictEqual(response, {
+      statusCode: 200,
+      headers: { 'x-period-end': '2024-06-02T00:00:00Z' },
+      body: '{"a":1}',
+    });
+    assert.strictEqual(store.toResponse({ body: 'plain' }).body, 'plain');
+  })
+);
+
+test(
+  'record mode saves every request, cached or not, for replay',
+  withDir(async (fixturesDir) => {
+    let calls = 0;
+    const recorder = createProxyCore(
+      { mode: 'record', fixturesDir },
+      ENV,
+      {},
+      {
+        transport: async () => upstream({ call: ++calls }),
+      }
+    );
+    const request = (url) => ({ method: 'GET', url, headers: {} });
+
+    await recorder.handle(request(`${AGG}?lookback_hours=6`));
+    const second = await recorder.handle(request(`${AGG}?lookback_hours=6`));
+    assert.strictEqual(second.headers['X-Cache'], 'MISS');
+    assert.strictEqual(calls, 2);
+
+    const replayer = createProxyCore({ mode: 'replay', fixturesDir }, {}, {});
+    const replayed = await replayer.handle(request(`${AGG}?lookback_hours=6`));
+    assert.strictEqual(replayed.statusCode, 200);
+    assert.strictEqual(replayed.headers['X-Fixture'], 'exact');
+    assert.deepStrictEqual(JSON.parse(replayed.body), { call: 2 });
+
+    const missing = await replayer.handle(request(`${AGG}?lookback_hours=12`));
+    assert.strictEqual(missing.statusCode, 404);
+    assert.match(JSON.parse(missing.body).hint, /--nearest/);
+  })
+);
@@ -0,0 +1,356 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxyCore } = require('../proxy/core');
+const { hashPassword } = require('../proxy/auth');
+const { handler, createHandler, toRequest } = require('../proxy/lambda');
+
+const ENV = { API_KEY: 'test-key', CLIENT_ID: 'test-client' };
+const ORIGIN = 'http://localhost:5151';
+
+// Fake upstream: records requests, answers with `reply` (or its error)
+function createUpstream(reply = { statusCode: 200 }) {
+  const calls = [];
+  const transport = async (url, options) => {
+    calls.push({ url, ...options });
+    if (reply instanceof Error) throw reply;
+    return {
+      statusCode: reply.statusCode,
+      headers: { 'x-period-start': '2024-06-01T00:00:00Z' },
+      body: Buffer.from(JSON.stringify({ type: 'FeatureCollection' })),
+    };
+  };
+  return { calls, transport };
+}
+
+function createTestHandler(env = {}, reply) {
+  const upstream = createUpstream(reply);
+  const core = createProxyCore(
+    {},
+    { ...ENV, ...env },
+    {},
+    {
+      transport: upstream.transport,
+    }
+  );
+  return { upstream, handle: createHandler(core) };
+}
+
+// API Gateway REST API (payload 1.0) event
+function restEvent(method, path, query = null, extra = {}) {
+  return {
+    httpMethod: method,
+    path,
+    headers: { Origin: ORIGIN },
+    queryStringParameters: query,
+    multiValueQueryStringParameters: null,
+    body: null,
+    isBase64Encoded: false,
+    requestContext: { identity: { sourceIp: '203.0.113.7' } },
+    ...extra,
+  };
+}
+
+// HTTP API / function URL (payload 2.0) event
+function httpEvent(method, rawPath, rawQueryString = '', extra = {}) {
+  return {
+    version: '2.0',
+    rawPath,
+    rawQueryString,
+    headers: { origin: ORIGIN },
+    requestContext: { http: { method, sourceIp: '198.51.100.2' } },
+    isBase64Encoded: false,
+    ...extra,
+  };
+}
+
+test('toRequest reads both payload formats', () => {
+  const rest = toRequest(
+    restEvent('GET', '/db-api/v1/jamming/agg', null, {
+      multiValueQueryStringParameters: { altitudes: ['FL300', 'FL450'] },
+      headers: { 'X-Access-Token': 'abc' },
+    })
+  );
+  assert.strictEqual(
+    rest.url,
+    '/db-api/v1/jamming/agg?altitudes=FL300&altitudes=FL450'
+  );
+  assert.strictEqual(rest.headers['x-access-token'], 'abc');
+  assert.strictEqual(rest.remoteAddress, '203.0.113.7');
+
+  // Test events and some authorizers carry no identity
+  for (const requestContext of [{}, undefined]) {
+    const bare = toRequest(
+      restEvent('GET', '/health', null, { requestContext })
+    );
+    assert.strictEqual(bare.remoteAddress, undefined);
+  }
+
+  const http = toRequest(
+    httpEvent('POST', '/auth/login', '', {
+      body: Buffer.from('{"a":1}').toString('base64'),
+      isBase64Encoded: true,
+    })
+  );
+  assert.strictEqual(http.method, 'POST');
+  assert.strictEqual(http.url, '/auth/login');
+  assert.strictEqual(http.body.toString(), '{"a":1}');
+  assert.strictEqual(http.remoteAddress, '198.51.100.2');
+});
+
+test('API calls go upstream with credentials, then come from the cache', async () => {
+  const { upstream, handle } = createTestHandler();
+  const event = restEvent('GET', '/db-api/v1/jamming/agg', {
+    lookback_hours: '6',
+  });
+
+  const first = await handle(event);
+  assert.strictEqual(first.statusCode, 200);
+  assert.strictEqual(first.headers['X-Cache'], 'MISS');
+  assert.strictEqual(first.headers['Access-Control-Allow-Origin'], ORIGIN);
+  assert.strictEqual(first.headers['x-period-start'], '2024-06-01T00:00:00Z');
+  assert.deepStrictEqual(JSON.parse(first.body), {
+    type: 'FeatureCollection',
+  });
+
+  assert.strictEqual(upstream.calls.length, 1);
+  assert.strictEqual(
+    upstream.calls[0].url,
+    'https://gpswise.aero/db-api/v1/jamming/agg?lookback_hours=6'
+  );
+  assert.strictEqual(upstream.calls[0].headers['X-API-Key'], 'test-key');
+  assert.strictEqual(upstream.calls[0].headers['X-Client-ID'], 'test-client');
+
+  const second = await handle(event);
+  assert.strictEqual(second.headers['X-Cache'], 'HIT');
+  assert.strictEqual(upstream.calls.length, 1);
+});
+
+test('routing rejects unknown paths and origins and answers preflights', async () => {
+  const { upstream, handle } = createTestHandler();
+
+  const notFound = await handle(httpEvent('GET', '/db-api/v1/admin'));
+  assert.strictEqual(notFound.statusCode, 404);
+
+  const traversal = await handle(
+    httpEvent('GET', '/db-api/v1/jamming/agg/../../../admin/keys')
+  );
+  assert.strictEqual(traversal.statusCode, 404);
+
+  const foreign = await handle(
+    httpEvent('GET', '/db-api/v1/jamming/agg', '', {
+      headers: { origin: 'https://evil.example' },
+    })
+  );
+  assert.strictEqual(foreign.statusCode, 403);
+
+  const preflight = await handle(
+    httpEvent('OPTIONS', '/db-api/v1/jamming/agg')
+  );
+  assert.strictEqual(preflight.statusCode, 204);
+  assert.match(
+    preflight.headers['Access-Control-Allow-Headers'],
+    /Authorization/
+  );
+
+  assert.strictEqual(upstream.calls.length, 0);
+});
+
+test('requests that fail before routing get a CORS error response', () => {
+  const core = createProxyCore({}, ENV, {}, {});
+  const response = core.reject(
+    { method: 'POST', url: '/auth/login', headers: { origin: ORIGIN } },
+    413,
+    { error: 'Payload Too Large', message: 'Request body too large' }
+  );
+
+  assert.strictEqual(response.statusCode, 413);
+  assert.strictEqual(response.headers['Access-Control-Allow-Origin'], ORIGIN);
+  assert.strictEqual(JSON.parse(response.body).error, 'Payload Too Large');
+});
+
+test('rate limits and upstream failures become error responses', async () => {
+  const { handle } = createTestHandler(
+    { RATE_LIMIT_BURST: '1', RATE_LIMIT_PER_SECOND: '0.1' },
+    new Error('connect ECONNREFUSED')
+  );
+  const event = httpEvent('GET', '/db-api/v1/jamming/coverage');
+
+  const failed = await handle(event);
+  assert.strictEqual(failed.statusCode, 502);
+  assert.strictEqual(JSON.parse(failed.body).message, 'connect ECONNREFUSED');
+
+  const limited = await handle(event);
+  assert.strictEqual(limited.statusCode, 429);
+  assert.strictEqual(limited.headers['Retry-After'], '10');
+});
+
+test('identical requests in flight share one upstream call', async () => {
+  // The upstream answers once released, so both requests are in flight
+  const upstream = createUpstream();
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  const core = createProxyCore(
+    {},
+    ENV,
+    {},
+    {
+      transport: async (url, options) => {
+        await gate;
+        return upstream.transport(url, options);
+      },
+    }
+  );
+  const handle = createHandler(core);
+  const event = httpEvent('GET', '/db-api/v1/jamming/agg', 'lookback_hours=6');
+
+  const first = handle(event);
+  const second = handle(event);
+  assert.strictEqual(core.inflight.size, 1);
+  release();
+
+  const results = await Promise.all([first, second]);
+  assert.deepStrictEqual(
+    results.map((result) => result.headers['X-Cache']),
+    ['MISS', 'DEDUP']
+  );
+  assert.strictEqual(upstream.calls.length, 1);
+  assert.strictEqual(core.inflight.size, 0);
+  assert.deepStrictEqual(core.usage.report()[0].clients['ip:198.51.100.2'], {
+    calls: 2,
+    upstream: 1,
+    cached: 0,
+    deduped: 1,
+    limited: 0,
+  });
+});
+
+test('a client over its daily quota gets 429 until midnight UTC', async () => {
+  const { upstream, handle } = createTestHandler({ DAILY_QUOTA: '2' });
+  const event = httpEvent('GET', '/db-api/v1/jamming/agg');
+
+  const first = await handle(event);
+  assert.strictEqual(first.headers['X-Quota-Limit'], '2');
+  assert.strictEqual(first.headers['X-Quota-Remaining'], '1');
+  assert.strictEqual((await handle(event)).headers['X-Quota-Remaining'], '0');
+
+  const over = await handle(event);
+  assert.strictEqual(over.statusCode, 429);
+  assert.match(JSON.parse(over.body).message, /Daily quota of 2/);
+  assert.ok(Number(over.headers['Retry-After']) <= 86400);
+  assert.strictEqual(upstream.calls.length, 1);
+
+  // Other clients have their own quota
+  const other = await handle(
+    httpEvent('GET', '/db-api/v1/jamming/agg', '', {
+      requestContext: { http: { method: 'GET', sourceIp: '192.0.2.9' } },
+    })
+  );
+  assert.strictEqual(other.statusCode, 200);
+});
+
+test('calls in flight count against the daily quota', async () => {
+  const upstream = createUpstream();
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  const core = createProxyCore(
+    {},
+    { ...ENV, DAILY_QUOTA: '2' },
+    {},
+    {
+      transport: async (url, options) => {
+        await gate;
+        return upstream.transport(url, options);
+      },
+    }
+  );
+  const handle = createHandler(core);
+  const event = (query) => httpEvent('GET', '/db-api/v1/jamming/agg', query);
+
+  const pending = [handle(event('a=1')), handle(event('a=2'))];
+  const over = await handle(event('a=3'));
+  assert.strictEqual(over.statusCode, 429);
+
+  release();
+  const served = await Promise.all(pending);
+  assert.deepStrictEqual(
+    served.map((result) => result.statusCode),
+    [200, 200]
+  );
+  assert.strictEqual(upstream.calls.length, 2);
+  assert.strictEqual(core.usage.reserved.size, 0);
+});
+
+test('usage and cache stats need the admin token', async () => {
+  const { handle: closed } = createTestHandler();
+  assert.strictEqual(
+    (await closed(httpEvent('GET', '/usage'))).statusCode,
+    404
+  );
+  assert.strictEqual(
+    (await closed(httpEvent('GET', '/cache/stats'))).statusCode,
+    404
+  );
+
+  const { handle } = createTestHandler({ ADMIN_TOKEN: 'admin-secret' });
+  const adminEvent = (path, token) =>
+    httpEvent('GET', path, '', {
+      headers: { origin: ORIGIN, 'x-admin-token': token },
+    });
+
+  assert.strictEqual(
+    (await handle(httpEvent('GET', '/usage'))).statusCode,
+    401
+  );
+  assert.strictEqual(
+    (await handle(adminEvent('/usage', 'admin-secre'))).statusCode,
+    401
+  );
+
+  const usage = await handle(adminEvent('/usage', 'admin-secret'));
+  assert.strictEqual(usage.statusCode, 200);
+  assert.deepStrictEqual(JSON.parse(usage.body).days, []);
+  assert.strictEqual(
+    (await handle(adminEvent('/cache/stats', 'admin-secret'))).statusCode,
+    200
+  );
+});
+
+test('login issues a token that unlocks the API', async () => {
+  const { handle } = createTestHandler({
+    AUTH_SECRET: 'test-secret',
+    AUTH_USERS: `alice:${hashPassword('pw', 'salt')}`,
+  });
+  const apiEvent = (headers = {}) =>
+    httpEvent('GET', '/db-api/v1/jamming/agg', '', {
+      headers: { origin: ORIGIN, ...headers },
+    });
+
+  assert.strictEqual((await handle(apiEvent())).statusCode, 401);
+
+  const login = await handle(
+    httpEvent('POST', '/auth/login', '', {
+      body: JSON.stringify({ username: 'alice', password: 'pw' }),
+    })
+  );
+  assert.strictEqual(login.statusCode, 200);
+  const { token, role } = JSON.parse(login.body);
+  assert.strictEqual(role, 'user');
+
+  const authorized = await handle(
+    apiEvent({ authorization: `Bearer ${token}` })
+  );
+  assert.strictEqual(authorized.statusCode, 200);
+});
+
+test('handler reports missing settings', async () => {
+  const apiKey = process.env.API_KEY;
+  delete process.env.API_KEY;
+
+  try {
+    const result = await handler(httpEvent('GET', '/health'));
+    assert.strictEqual(result.statusCode, 500);
+    assert.match(JSON.parse(result.body).message, /API_KEY/);
+  } finally {
+    if (apiKey !== undefined) process.env.API_KEY = apiKey;
+  }
+});
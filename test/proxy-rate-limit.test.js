@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  RateLimiter,
+  UsageTracker,
+  parseTokenList,
+  secondsUntilNextDay,
+} = require('../proxy/rate-limit');
+
+const NOON = Date.parse('2024-06-01T12:00:00Z');
+
+test('a bucket allows a burst, then refills over time', () => {
+  const limiter = new RateLimiter({ capacity: 2, refillPerSecond: 0.5 });
+
+  assert.deepStrictEqual(limiter.take('a', NOON), {
+    allowed: true,
+    remaining: 1,
+    retryAfter: 0,
+  });
+  assert.strictEqual(limiter.take('a', NOON).allowed, true);
+  assert.deepStrictEqual(limiter.take('a', NOON + 500), {
+    allowed: false,
+    remaining: 0,
+    retryAfter: 2,
+  });
+
+  // Each client has its own bucket
+  assert.strictEqual(limiter.take('b', NOON).allowed, true);
+
+  // One token back after two seconds, never more than the capacity
+  assert.strictEqual(limiter.take('a', NOON + 2000).allowed, true);
+  assert.strictEqual(limiter.take('a', NOON + 2000).allowed, false);
+  assert.strictEqual(limiter.take('a', NOON + 60000).remaining, 1);
+});
+
+test('prune drops refilled buckets and runs when the map is full', () => {
+  const limiter = new RateLimiter({
+    capacity: 2,
+    refillPerSecond: 1,
+    maxBuckets: 2,
+  });
+  limiter.take('a', NOON);
+  limiter.take('b', NOON + 1500);
+
+  limiter.prune(NOON + 2000);
+  assert.deepStrictEqual(Array.from(limiter.buckets.keys()), ['b']);
+
+  limiter.take('c', NOON + 2000);
+  limiter.take('d', NOON + 2500);
+  assert.deepStrictEqual(Array.from(limiter.buckets.keys()), ['c', 'd']);
+});
+
+test('usage is counted per client per UTC day', () => {
+  const usage = new UsageTracker({ maxDays: 2 });
+  usage.record('ip:a', 'upstream', NOON);
+  usage.record('ip:a', 'cached', NOON);
+  usage.record('ip:a', 'limited', NOON);
+  usage.record('ip:b', 'deduped', NOON);
+
+  assert.strictEqual(usage.served('ip:a', NOON), 2);
+  assert.strictEqual(usage.served('ip:c', NOON), 0);
+  assert.strictEqual(usage.served('ip:a', NOON + 86400000), 0);
+
+  const [day] = usage.report();
+  assert.strictEqual(day.day, '2024-06-01');
+  assert.strictEqual(day.calls, 4);
+  assert.deepStrictEqual(Object.keys(day.clients), ['ip:a', 'ip:b']);
+  assert.deepStrictEqual(day.clients['ip:a'], {
+    calls: 3,
+    upstream: 1,
+    cached: 1,
+    deduped: 0,
+    limited: 1,
+  });
+
+  // Only the last maxDays days are kept, most recent first
+  usage.record('ip:a', 'upstream', NOON + 86400000);
+  usage.record('ip:a', 'upstream', NOON + 2 * 86400000);
+  assert.deepStrictEqual(
+    usage.report().map((entry) => entry.day),
+    ['2024-06-03', '2024-06-02']
+  );
+});
+
+test('reserved calls count as served until recorded or released', () => {
+  const usage = new UsageTracker();
+  const first = usage.reserve('ip:a');
+  const second = usage.reserve('ip:a');
+  assert.strictEqual(usage.served('ip:a', NOON), 2);
+
+  first.record('upstream', NOON);
+  first.record('upstream', NOON);
+  first.release();
+  assert.strictEqual(usage.served('ip:a', NOON), 2);
+  assert.strictEqual(usage.report()[0].clients['ip:a'].upstream, 1);
+
+  // A released call (e.g. a failed upstream request) is not counted
+  second.release();
+  second.record('cached', NOON);
+  assert.strictEqual(usage.served('ip:a', NOON), 1);
+  assert.strictEqual(usage.reserved.size, 0);
+});
+
+test('clients past the daily cap share one usage entry', () => {
+  const usage = new UsageTracker({ maxClients: 2 });
+  ['ip:a', 'ip:b', 'ip:c', 'ip:d', 'ip:a'].forEach((client) =>
+    usage.record(client, 'upstream', NOON)
+  );
+
+  const { clients } = usage.report()[0];
+  assert.deepStrictEqual(Object.keys(clients), [
+    'ip:a',
+    '(other clients)',
+    'ip:b',
+  ]);
+  assert.strictEqual(clients['(other clients)'].calls, 2);
+});
+
+test('quotas reset at the next UTC midnight', () => {
+  assert.strictEqual(secondsUntilNextDay(NOON), 12 * 3600);
+  assert.strictEqual(
+    secondsUntilNextDay(Date.parse('2024-06-01T23:59:59.500Z')),
+    1
+  );
+});
+
+test('access token lists map tokens to names', () => {
+  assert.deepStrictEqual(parseTokenList('alice:s3cret, ci:t0k:en,broken'), {
+    s3cret: 'alice',
+    't0k:en': 'ci',
+  });
+  assert.deepStrictEqual(parseTokenList(''), {});
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  loadBrowserScripts,
+  loadFixture,
+  toPlain,
+  memoryStorage,
+} = require('./helpers/browser-env');
+const { turf } = require('./helpers/turf-stub');
+
+const { RegionAnalyzer, JammingLayer } = loadBrowserScripts({ turf });
+
+test('bboxToPolygon builds a closed ring and rejects invalid boxes', () => {
+  const analyzer = new RegionAnalyzer();
+
+  assert.deepStrictEqual(toPlain(analyzer.bboxToPolygon(30, 33, 36, 37)), {
+    type: 'Polygon',
+    coordinates: [
+      [
+        [30, 33],
+        [36, 33],
+        [36, 37],
+        [30, 37],
+        [30, 33],
+      ],
+    ],
+  });
+  assert.strictEqual(analyzer.bboxToPolygon(36, 33, 30, 37), null);
+  assert.strictEqual(analyzer.bboxToPolygon(30, 37, 36, 33), null);
+  assert.strictEqual(analyzer.bboxToPolygon(30, -95, 36, 37), null);
+  assert.strictEqual(analyzer.bboxToPolygon(NaN, 33, 36, 37), null);
+});
+
+test('clip keeps features intersecting the area for layer stats', () => {
+  const analyzer = new RegionAnalyzer();
+  const geojson = loadFixture('jamming-agg.geojson');
+  const area = analyzer.bboxToPolygon(33, 34, 34, 35.5);
+
+  const clipped = analyzer.clip(geojson, area);
+  const layer = new JammingLayer(null, null);
+
+  assert.ok(clipped.features.length > 0);
+  assert.ok(clipped.features.length < geojson.features.length);
+  assert.strictEqual(
+    layer.calculateStats(clipped).totalCells,
+    clipped.features.length
+  );
+  assert.strictEqual(analyzer.clip(null, area).features.length, 0);
+});
+
+test('histogram bins ratio_bad into 10% buckets', () => {
+  const analyzer = new RegionAnalyzer();
+  const bins = analyzer.histogram(loadFixture('jamming-agg.geojson').features);
+
+  assert.strictEqual(bins.length, 10);
+  assert.deepStrictEqual(
+    toPlain(bins.map((bin) => bin.count)),
+    [4, 1, 0, 1, 0, 0, 0, 0, 0, 0]
+  );
+  assert.strictEqual(
+    analyzer.histogram([{ properties: { ratio_bad: 1 } }])[9].count,
+    1
+  );
+});
+
+test('saved areas persist and replace areas with the same name', () => {
+  const storage = memoryStorage();
+  const analyzer = new RegionAnalyzer(storage);
+  const box = analyzer.bboxToPolygon(0, 0, 1, 1);
+  const bigger = analyzer.bboxToPolygon(0, 0, 2, 2);
+
+  const first = analyzer.saveRegion('Nicosia FIR', box);
+  const again = analyzer.saveRegion('Nicosia FIR', bigger);
+  analyzer.saveRegion('Other', box);
+
+  assert.strictEqual(again.id, first.id);
+
+  const restored = new RegionAnalyzer(storage);
+  assert.deepStrictEqual(toPlain(restored.savedRegions.map((r) => r.name)), [
+    'Nicosia FIR',
+    'Other',
+  ]);
+  assert.deepStrictEqual(
+    toPlain(restored.getRegion(first.id).geometry),
+    toPlain(bigger)
+  );
+
+  restored.removeRegion(first.id);
+  assert.strictEqual(new RegionAnalyzer(storage).savedRegions.length, 1);
+});
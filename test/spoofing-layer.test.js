@@ -0,0 +1,244 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  loadBrowserScripts,
+  loadFixture,
+  toPlain,
+} = require('./helpers/browser-env');
+const { MockMap } = require('./helpers/mock-map');
+
+const { SpoofingLayer } = loadBrowserScripts();
+
+function createLayer(apiClient = null) {
+  const map = new MockMap();
+  const layer = new SpoofingLayer(map, apiClient);
+  layer.initialize();
+  return { map, layer };
+}
+
+function segments(geojson) {
+  return geojson.features.map((f) => f.properties.segment);
+}
+
+test('initialize adds line, arrow, point and H3 layers on one source', () => {
+  const { map } = createLayer();
+
+  assert.deepStrictEqual(Object.keys(map.sources), ['spoofing-source']);
+  assert.deepStrictEqual(
+    map.layers.map((layer) => layer.id),
+    [
+      'spoofing-line-layer',
+      'spoofing-arrow-layer',
+      'spoofing-point-layer',
+      'spoofing-h3-layer',
+      'spoofing-h3-outline-layer',
+    ]
+  );
+  assert.ok(map.layers.every((layer) => layer.source === 'spoofing-source'));
+});
+
+test('filterBySegment returns the input when no segments are selected', () => {
+  const { layer } = createLayer();
+  const geojson = loadFixture('spoofing-agg.geojson');
+
+  assert.strictEqual(layer.filterBySegment(geojson, []), geojson);
+  assert.strictEqual(layer.filterBySegment(geojson, undefined), geojson);
+});
+
+test('filterBySegment keeps only the selected segments', () => {
+  const { layer } = createLayer();
+  const geojson = loadFixture('spoofing-agg.geojson');
+
+  assert.deepStrictEqual(segments(layer.filterBySegment(geojson, ['during'])), [
+    'during',
+  ]);
+  assert.deepStrictEqual(
+    segments(
+      layer.filterBySegment(geojson, ['before-during', 'before-during-after'])
+    ),
+    ['before-during', 'before-during-after']
+  );
+});
+
+test('calculateStats counts events, aircraft and flights in agg mode', () => {
+  const { layer } = createLayer();
+  layer.currentMode = 'agg';
+
+  const stats = layer.calculateStats(loadFixture('spoofing-agg.geojson'));
+
+  assert.deepStrictEqual(toPlain(stats), {
+    totalCells: 4,
+    uniqueAircraft: 2,
+    highSeverityCells: 3, // Unique flights
+  });
+});
+
+test('calculateStats sums counts and flags cells of 10+ in H3 mode', () => {
+  const { layer } = createLayer();
+  layer.currentMode = 'h3';
+
+  const stats = layer.calculateStats(loadFixture('spoofing-h3.geojson'));
+
+  assert.deepStrictEqual(toPlain(stats), {
+    totalCells: 4,
+    totalAffected: 76,
+    highCountCells: 2,
+  });
+});
+
+test('loadData filters agg data by segment and updates the source', async () => {
+  const apiClient = {
+    getSpoofingData: async () => ({
+      data: loadFixture('spoofing-agg.geojson'),
+      metadata: { url: 'agg-url' },
+    }),
+  };
+  const { map, layer } = createLayer(apiClient);
+
+  const result = await layer.loadData({
+    dataSource: 'spoofing/agg',
+    spoofingSegments: ['during-after'],
+  });
+
+  assert.strictEqual(layer.currentMode, 'agg');
+  assert.deepStrictEqual(segments(result.data), ['during-after']);
+  assert.deepStrictEqual(segments(map.getSource('spoofing-source').data), [
+    'during-after',
+  ]);
+});
+
+test('loadData merges agg and H3 data when both layers are shown', async () => {
+  const apiClient = {
+    getSpoofingData: async () => ({
+      data: loadFixture('spoofing-agg.geojson'),
+      metadata: { url: 'agg-url' },
+    }),
+    getSpoofingH3Data: async () => ({
+      data: loadFixture('spoofing-h3.geojson'),
+      metadata: { url: 'h3-url' },
+    }),
+  };
+  const { map, layer } = createLayer(apiClient);
+
+  const result = await layer.loadData({
+    dataSource: 'spoofing/h3',
+    showBothSpoofingLayers: true,
+    spoofingSegments: ['during'],
+  });
+
+  // 1 agg event (segment filtered) + 4 H3 cells on the map
+  assert.strictEqual(result.data.features.length, 5);
+  assert.strictEqual(map.getSource('spoofing-source').data.features.length, 5);
+  // Stats and metadata follow the selected endpoint (H3)
+  assert.strictEqual(result.metadata.url, 'h3-url');
+  assert.strictEqual(result.stats.totalCells, 4);
+  assert.strictEqual(result.stats.totalAffected, 76);
+});
+
+test('setVisibility toggles every spoofing layer', () => {
+  const { map, layer } = createLayer();
+
+  layer.setVisibility(false);
+
+  for (const layerId of [
+    'spoofing-line-layer',
+    'spoofing-arrow-layer',
+    'spoofing-point-layer',
+    'spoofing-h3-layer',
+    'spoofing-h3-outline-layer',
+  ]) {
+    assert.strictEqual(map.layoutProperties[layerId].visibility, 'none');
+  }
+});
+
+test('trajectories are colored by segment and sized by duration', () => {
+  const { map } = createLayer();
+  const paint = (id) => map.layers.find((layer) => layer.id === id).paint;
+
+  assert.deepStrictEqual(toPlain(paint('spoofing-line-layer')['line-color']), [
+    'match',
+    ['get', 'segment'],
+    'during',
+    '#dc2626',
+    'before-during',
+    '#f59e0b',
+    'during-after',
+    '#a855f7',
+    'before-during-after',
+    '#3b82f6',
+    '#dc2626',
+  ]);
+  assert.deepStrictEqual(toPlain(paint('spoofing-line-layer')['line-width']), [
+    'step',
+    ['coalesce', ['get', 'duration_sec'], 0],
+    2,
+    60,
+    3,
+    300,
+    5,
+    900,
+    7,
+  ]);
+  assert.deepStrictEqual(
+    toPlain(paint('spoofing-arrow-layer')['text-color']),
+    toPlain(paint('spoofing-line-layer')['line-color'])
+  );
+});
+
+test('the map source carries duration and start time, currentData does not', async () => {
+  const apiClient = {
+    getSpoofingData: async () => ({
+      data: loadFixture('spoofing-agg.geojson'),
+      metadata: {},
+    }),
+  };
+  const { map, layer } = createLayer(apiClient);
+
+  await layer.loadData({ dataSource: 'spoofing/agg' });
+
+  const props = map.getSource('spoofing-source').data.features[2].properties;
+  assert.strictEqual(props.duration_sec, 900); // 09:10 -> 09:25
+  assert.strictEqual(props.time_ms, Date.parse('2026-10-18T09:10:00Z'));
+  assert.strictEqual(
+    layer.currentData.features[2].properties.duration_sec,
+    undefined
+  );
+  assert.strictEqual(layer.timeRange.min, Date.parse('2026-10-18T08:00:00Z'));
+});
+
+test('fade by age ramps event opacity from oldest to newest', () => {
+  const { map, layer } = createLayer();
+  layer.updateSource(loadFixture('spoofing-agg.geojson'));
+  const { min, max } = layer.timeRange;
+
+  layer.setOpacity(0.5);
+  layer.setFadeByAge(true);
+
+  assert.deepStrictEqual(
+    toPlain(map.paintProperties['spoofing-line-layer']['line-opacity']),
+    [
+      'interpolate',
+      ['linear'],
+      ['coalesce', ['get', 'time_ms'], min],
+      min,
+      0.4 * 0.15,
+      max,
+      0.4,
+    ]
+  );
+  assert.strictEqual(
+    map.paintProperties['spoofing-arrow-layer']['text-opacity'][6],
+    0.45
+  );
+  // H3 cells are not faded
+  assert.strictEqual(
+    map.paintProperties['spoofing-h3-layer']['fill-opacity'],
+    0.3
+  );
+
+  layer.setFadeByAge(false);
+  assert.strictEqual(
+    map.paintProperties['spoofing-line-layer']['line-opacity'],
+    0.4
+  );
+});